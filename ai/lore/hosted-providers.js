@@ -0,0 +1,29 @@
+/*
+this file registers the hosted lore ai providers.
+providers with an api key call through the preauthenticator, so the key never reaches this page.
+*/
+
+import loreAI from './lore-ai.js';
+import {makeUrlEndpoint} from './lore-providers.js';
+import preauthenticator from '../../preauthenticator.js';
+
+export const authenticatedApiName = 'ai';
+
+const hostedProviders = [
+  {name: 'AI21', url: `https://ai.webaverse.com/ai21/v1/engines/j1-large/completions`, needsApiKey: false},
+  {name: 'GOOSEAI', url: `https://ai.webaverse.com/gooseai/v1/engines/gpt-neo-20b/completions`, needsApiKey: false},
+  {name: 'OPENAI', url: `https://api.openai.com/v1/engines/text-davinci-002/completions`, needsApiKey: true},
+  {name: 'CONVAI', url: `https://api.convai.com/webaverse`, needsApiKey: true},
+];
+for (const {name, url, needsApiKey} of hostedProviders) {
+  loreAI.registerProvider({
+    name,
+    url,
+    needsApiKey,
+    settings: [],
+    makeEndpoint: () => needsApiKey ?
+      query => preauthenticator.callAuthenticatedApi(authenticatedApiName, url, query)
+    :
+      makeUrlEndpoint(url),
+  });
+}
@@ -32,7 +32,18 @@ import {
   makeCharacterIntroPrompt,
   makeCharacterIntroStop,
   parseCharacterIntroResponse,
+
+  makeMemoryPrompt,
+  makeMemoryStop,
+  parseMemoryResponse,
 } from './lore-model.js'
+import {
+  defaultLocalUrl,
+  makeUrlEndpoint,
+  makeOpenAICompatibleEndpoint,
+  makeMockEndpoint,
+} from './lore-providers.js';
+import {AIMemory, getMemoryKey} from './lore-memory.js';
 
 const numGenerateTries = 5;
 const temperature = 1;
@@ -47,17 +58,20 @@ class AICharacter extends EventTarget {
 
     this.name = name;
     this.bio = bio;
+    this.memory = new AIMemory();
   }
 }
 class AIObject extends EventTarget {
   constructor({
     name = defaultObjectName,
     description = defaultObjectDescription,
+    app = null,
   } = {}) {
     super();
 
     this.name = name;
     this.description = description;
+    this.app = app;
   }
 }
 class AIScene {
@@ -73,6 +87,7 @@ class AIScene {
     ];
     this.messages = [];
     this.generateFn = generateFn;
+    this.worldKey = null;
 
     const _waitForFrame = () => new Promise(resolve => {
       requestAnimationFrame(() => {
@@ -84,30 +99,33 @@ class AIScene {
       const action = 'none';
       const object = 'none';
       const target = 'none';
-      this.messages.push({
+      const entry = {
         character: this.localCharacter,
         message,
         emote,
         action,
         object,
         target,
-      });
+      };
+      this.messages.push(entry);
       while (this.messages.length > 8) {
         this.messages.shift();
       }
       await _waitForFrame();
+      return entry;
     };
     const _pushResponseMessage = async o => {
       const {name, message, emote, action, object, target} = o;
       const character = this.characters.find(c => c.name === name);
-      this.messages.push({
+      const entry = {
         character,
         message,
         emote,
         action,
         object,
         target,
-      });
+      };
+      this.messages.push(entry);
       while (this.messages.length > 8) {
         this.messages.shift();
       }
@@ -121,6 +139,7 @@ class AIScene {
         },
       }));
       await _waitForFrame();
+      return entry;
     };
     localPlayer.characterHups.addEventListener('hupadd', e => {
       const {hup} = e.data;
@@ -134,7 +153,8 @@ class AIScene {
           });
           if (mentionedCharacterIndex !== -1) {
             const mentionedCharacter = this.characters[mentionedCharacterIndex];
-            await _pushRequestMessage(message);
+            const request = await _pushRequestMessage(message);
+            const responses = [];
             for (let i = 0; i < numGenerateTries; i++) {
               let response = await this.generate(mentionedCharacter);
               if (response) {
@@ -144,7 +164,7 @@ class AIScene {
                     const {name, message} = o;
                     const character = this.characters.find(c => c.name === name);
                     if (message && character && character !== this.localCharacter) {
-                      await _pushResponseMessage(o);
+                      responses.push(await _pushResponseMessage(o));
                     } else {
                       break;
                     }
@@ -153,9 +173,11 @@ class AIScene {
                 }
               }
             }
+            this.rememberExchange([request].concat(responses));
           }
         } else { // middle of conversation
-          await _pushRequestMessage(message);
+          const request = await _pushRequestMessage(message);
+          const responses = [];
           
           for (let i = 0; i < numGenerateTries; i++) {
             // const nextCharacterIndex = 1 + Math.floor(Math.random() * (this.characters.length - 1)); // skip over local character
@@ -171,7 +193,7 @@ class AIScene {
                 const character = this.characters.find(c => c.name === name);
                 // console.log('character name', this.characters.map(c => c.name), characterNameLowerCase, !!character);
                 if (message && character && character !== this.localCharacter) {
-                  await _pushResponseMessage(o);
+                  responses.push(await _pushResponseMessage(o));
                 } else {
                   break;
                 }
@@ -179,6 +201,7 @@ class AIScene {
               break;
             }
           }
+          this.rememberExchange([request].concat(responses));
         }
       });
     });
@@ -191,6 +214,9 @@ class AIScene {
   }
   addCharacter(opts) {
     const character = new AICharacter(opts);
+    if (this.worldKey !== null) {
+      character.memory.load(getMemoryKey(this.worldKey, character.name));
+    }
     this.characters.push(character);
     return character;
   }
@@ -205,6 +231,94 @@ class AIScene {
   removeObject(object) {
     this.objects.splice(this.objects.indexOf(object), 1);
   }
+  // names from the model are matched ignoring case; npcs go by their lore name
+  getObjectByName(name) {
+    const nameLowerCase = name.toLowerCase();
+    return this.objects.find(o => o.name.toLowerCase() === nameLowerCase) ??
+      this.objects.find(o => o.app?.getLoreSpec?.().name.toLowerCase() === nameLowerCase) ??
+      null;
+  }
+  // npc memories are kept per world; the world key is usually the scene url
+  setWorld(worldKey) {
+    this.worldKey = worldKey;
+    for (const character of this.characters) {
+      if (character !== this.localCharacter) {
+        character.memory.load(getMemoryKey(worldKey, character.name));
+      }
+    }
+  }
+  getCharacterByName(name) {
+    return this.characters.find(c => c !== this.localCharacter && c.name === name) ?? null;
+  }
+  // every character that spoke in the exchange remembers all of it
+  rememberExchange(messages) {
+    const characters = new Set(messages.map(m => m.character).filter(c => c !== this.localCharacter));
+    for (const character of characters) {
+      this.rememberMessages(character, messages.map(m => ({
+        name: m.character.name,
+        message: m.message,
+      })));
+    }
+  }
+  async rememberMessages(character, messages) {
+    await character.memory.waitForLoad();
+    character.memory.addMessages(messages);
+    if (character.memory.needsSummary()) {
+      try {
+        await this.updateMemory(character);
+      } catch (err) {
+        console.warn('failed to update lore memory', err);
+      }
+    }
+  }
+  // remember a fact for an npc by name, even if it is not in the scene
+  async remember(name, fact) {
+    const character = this.getCharacterByName(name);
+    if (character) {
+      await character.memory.waitForLoad();
+      character.memory.remember(fact);
+    } else if (this.worldKey !== null) {
+      const memory = new AIMemory();
+      await memory.load(getMemoryKey(this.worldKey, name));
+      memory.remember(fact);
+      await memory.save();
+    } else {
+      console.warn('no world to remember in', {name, fact});
+    }
+  }
+  async updateMemory(character) {
+    const {memory} = character;
+    if (memory.updating) return;
+
+    memory.updating = true;
+    try {
+      const messages = memory.overflow.slice();
+      const prompt = makeMemoryPrompt({
+        name: character.name,
+        playerName: this.localCharacter.name,
+        summary: memory.summary,
+        facts: memory.facts,
+        messages,
+      });
+      const stop = makeMemoryStop();
+      const response = await this.generateFn(prompt, stop);
+      const {summary, facts} = parseMemoryResponse(response);
+      // with no model the messages stay in the overflow until one is set
+      if (summary) {
+        memory.setSummary(summary, facts, messages.length);
+      }
+    } finally {
+      memory.updating = false;
+    }
+  }
+  _getMemories() {
+    return this.characters
+      .filter(c => c !== this.localCharacter)
+      .map(character => ({
+        character,
+        memory: character.memory.getPromptMemory(),
+      }));
+  }
   async generate(dstCharacter = null) {
     const prompt = makeLorePrompt({
       settings: this.settings,
@@ -212,6 +326,7 @@ class AIScene {
       messages: this.messages,
       objects: this.objects,
       dstCharacter,
+      memories: this._getMemories(),
     });
     const stop = makeLoreStop(this.localCharacter, 0);
     let response = await this.generateFn(prompt, stop);
@@ -250,6 +365,7 @@ class AIScene {
     const prompt = makeSelectCharacterPrompt({
       name,
       description,
+      memory: this.getCharacterByName(name)?.memory.getPromptMemory(),
     });
     console.log('select character prompt', {prompt});
     const stop = makeSelectCharacterStop();
@@ -263,6 +379,7 @@ class AIScene {
     const prompt = makeChatPrompt({
       messages,
       nextCharacter,
+      memory: this.getCharacterByName(nextCharacter)?.memory.getPromptMemory(),
     });
     console.log('chat prompt', {prompt});
     const stop = makeChatStop();
@@ -303,6 +420,8 @@ class AIScene {
 class LoreAI {
   constructor() {
     this.endpointFn = null;
+    this.providers = new Map();
+    this.providerName = null;
   }
   async generate(prompt, {
     stop,
@@ -361,25 +480,38 @@ class LoreAI {
   }
   setEndpoint(endpointFn) {
     this.endpointFn = endpointFn;
+    this.providerName = null;
   }
   async setEndpointUrl(url) {
     if (url) {
-      const endpointFn = async query => {
-        const res = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(query),
-        });
-        const j = await res.json();
-        return j;
-      };
-      this.setEndpoint(endpointFn);
+      this.setEndpoint(makeUrlEndpoint(url));
     } else {
       this.setEndpoint(null);
     }
   }
+  // a provider is {name, needsApiKey, settings: [{name, label, defaultValue}], makeEndpoint(settings)}; hosted ones also have a url
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+  getProviders() {
+    return Array.from(this.providers.values());
+  }
+  getProvider(name) {
+    return this.providers.get(name) ?? null;
+  }
+  setProvider(name, settings = {}) {
+    const provider = this.getProvider(name);
+    if (!provider) {
+      throw new Error('unknown lore provider: ' + name);
+    }
+
+    const providerSettings = {};
+    for (const {name, defaultValue} of provider.settings) {
+      providerSettings[name] = settings[name] ?? defaultValue;
+    }
+    this.setEndpoint(provider.makeEndpoint(providerSettings));
+    this.providerName = name;
+  }
   createScene(localPlayer) {
     return new AIScene({
       localPlayer,
@@ -396,4 +528,28 @@ class LoreAI {
   }
 };
 const loreAI = new LoreAI();
+
+// providers that work offline; the hosted ones are in hosted-providers.js
+loreAI.registerProvider({
+  name: 'NONE',
+  needsApiKey: false,
+  settings: [],
+  makeEndpoint: () => null,
+});
+loreAI.registerProvider({
+  name: 'LOCAL',
+  needsApiKey: false,
+  settings: [
+    {name: 'url', label: 'Server URL', defaultValue: defaultLocalUrl},
+    {name: 'model', label: 'Model', defaultValue: ''},
+  ],
+  makeEndpoint: makeOpenAICompatibleEndpoint,
+});
+loreAI.registerProvider({
+  name: 'MOCK',
+  needsApiKey: false,
+  settings: [],
+  makeEndpoint: () => makeMockEndpoint(),
+});
+
 export default loreAI;
\ No newline at end of file
@@ -0,0 +1,156 @@
+/*
+this file contains the long-term memory of lore ai characters: a rolling summary, facts about the player and past interactions.
+memories are persisted in indexeddb under 'lore/<world>/<character name>'.
+messages that fall out of the kept interactions wait in overflow until the scene folds them into the summary.
+*/
+
+import * as storage from '../../storage.js';
+
+const storagePrefix = 'lore/';
+const maxFacts = 20;
+const maxInteractions = 5;
+const maxInteractionMessages = 8;
+const maxOverflowMessages = 32;
+const summarizeOverflowMessages = 4;
+const interactionTimeout = 5 * 60 * 1000;
+const saveDebounceTime = 1000;
+
+export const getMemoryKey = (worldKey, name) => `${storagePrefix}${encodeURIComponent(worldKey)}/${encodeURIComponent(name)}`;
+
+export class AIMemory {
+  constructor() {
+    this.key = null;
+    this.summary = '';
+    this.facts = [];
+    this.interactions = []; // [{startTime, endTime, messages: [{name, message}]}]
+    this.overflow = [];
+    this.currentInteraction = null;
+    this.loadPromise = Promise.resolve();
+    this.saveTimeout = null;
+    this.updating = false;
+  }
+  load(key) {
+    // write out a pending save before switching keys
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+      this.save().catch(err => {
+        console.warn('failed to save lore memory', err);
+      });
+    }
+
+    this.key = key;
+    this.summary = '';
+    this.facts = [];
+    this.interactions = [];
+    this.overflow = [];
+    this.currentInteraction = null;
+
+    this.loadPromise = (async () => {
+      try {
+        const data = await storage.get(key);
+        if (data && this.key === key) {
+          this.summary = data.summary ?? '';
+          this.facts = data.facts ?? [];
+          this.interactions = data.interactions ?? [];
+          this.overflow = data.overflow ?? [];
+        }
+      } catch (err) {
+        console.warn('failed to load lore memory', key, err);
+      }
+    })();
+    return this.loadPromise;
+  }
+  waitForLoad() {
+    return this.loadPromise;
+  }
+  toJSON() {
+    return {
+      summary: this.summary,
+      facts: this.facts,
+      interactions: this.interactions,
+      overflow: this.overflow,
+    };
+  }
+  async save() {
+    if (this.key !== null) {
+      await storage.set(this.key, this.toJSON());
+    }
+  }
+  queueSave() {
+    if (!this.saveTimeout) {
+      this.saveTimeout = setTimeout(async () => {
+        this.saveTimeout = null;
+        try {
+          await this.save();
+        } catch (err) {
+          console.warn('failed to save lore memory', this.key, err);
+        }
+      }, saveDebounceTime);
+    }
+  }
+  // messages are [{name, message}]
+  addMessages(messages, timestamp = Date.now()) {
+    // a conversation from an earlier session or after a long pause is a new interaction
+    if (!this.currentInteraction || timestamp - this.currentInteraction.endTime > interactionTimeout) {
+      this.currentInteraction = {
+        startTime: timestamp,
+        endTime: timestamp,
+        messages: [],
+      };
+      this.interactions.push(this.currentInteraction);
+      while (this.interactions.length > maxInteractions) {
+        this.overflow.push(...this.interactions.shift().messages);
+      }
+    }
+
+    const interaction = this.currentInteraction;
+    interaction.endTime = timestamp;
+    for (const {name, message} of messages) {
+      interaction.messages.push({
+        name,
+        message,
+      });
+    }
+    while (interaction.messages.length > maxInteractionMessages) {
+      this.overflow.push(interaction.messages.shift());
+    }
+    // without a model to summarize them, the oldest messages are forgotten
+    if (this.overflow.length > maxOverflowMessages) {
+      this.overflow.splice(0, this.overflow.length - maxOverflowMessages);
+    }
+
+    this.queueSave();
+  }
+  needsSummary() {
+    return this.overflow.length >= summarizeOverflowMessages;
+  }
+  // fold the first numMessages overflow messages into the summary
+  setSummary(summary, facts, numMessages) {
+    this.summary = summary;
+    for (const fact of facts) {
+      this.remember(fact);
+    }
+    this.overflow.splice(0, numMessages);
+
+    this.queueSave();
+  }
+  remember(fact) {
+    if (!this.facts.includes(fact)) {
+      this.facts.push(fact);
+      while (this.facts.length > maxFacts) {
+        this.facts.shift();
+      }
+      this.queueSave();
+    }
+  }
+  // the part of the memory shown in prompts
+  getPromptMemory() {
+    const lastInteraction = this.interactions.filter(interaction => interaction !== this.currentInteraction).pop();
+    return {
+      summary: this.summary,
+      facts: this.facts,
+      lastMessages: lastInteraction ? lastInteraction.messages : [],
+    };
+  }
+}
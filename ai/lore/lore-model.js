@@ -1 +1,369 @@
-export * from 'https://webaverse.github.io/lore/lore-model.js';
\ No newline at end of file
+/*
+this file contains the lore prompt model: the prompts sent to the language model and the parsers for its completions.
+it has no dependencies, so dialogue works offline with the mock provider and the parsers can be run in node.
+*/
+
+export const defaultPlayerName = 'Anon';
+export const defaultPlayerBio = 'A new player. Not much is known about them.';
+export const defaultObjectName = 'Thing';
+export const defaultObjectDescription = 'A thing. Not much is known about it.';
+
+export const emotes = ['none', 'alert', 'angry', 'embarrassed', 'headNod', 'headShake', 'sad', 'surprise', 'victory'];
+export const actions = ['none', 'follow', 'stop', 'moveto', 'pickup', 'use', 'idle', 'patrol', 'wander', 'guard', 'flee'];
+// marks the last line of a conversation
+export const endToken = '*END*';
+
+const none = 'none';
+const _cleanName = name => String(name).replace(/[\n:\[\]]/g, ' ').trim();
+const _cleanText = text => String(text).replace(/\n+/g, ' ').trim();
+
+// characters are referenced as index/name so that two characters with the same name stay distinct
+const _characterLabel = (character, index) => `${index}/${_cleanName(character.name)}`;
+const _formatTags = ({emote = none, action = none, object = none, target = none}) =>
+  `[emote=${emote},action=${action},object=${object},target=${target}]`;
+const tagsRegex = /\[emote=([^,\]]*),action=([^,\]]*),object=([^,\]]*),target=([^,\]]*)\]\s*$/;
+const _parseTags = s => {
+  const match = s.match(tagsRegex);
+  if (match) {
+    const [, emote, action, object, target] = match.map(v => v.trim() || none);
+    return {
+      text: s.slice(0, match.index).trim(),
+      emote,
+      action,
+      object,
+      target,
+    };
+  } else {
+    return {
+      text: s.trim(),
+      emote: none,
+      action: none,
+      object: none,
+      target: none,
+    };
+  }
+};
+const _parseDone = s => {
+  const done = s.includes(endToken);
+  return {
+    text: s.replace(endToken, '').trim(),
+    done,
+  };
+};
+const _unquote = s => s.trim().replace(/^"([\s\S]*)"$/, '$1').trim();
+
+// memory is {summary, facts, lastMessages} from AIMemory.getPromptMemory()
+const _formatMemory = (label, memory) => {
+  const lines = [];
+  if (memory.summary) {
+    lines.push(`${label} remembers: ${_cleanText(memory.summary)}`);
+  }
+  if (memory.facts.length > 0) {
+    lines.push(`${label} knows: ${memory.facts.map(_cleanText).join(' ')}`);
+  }
+  if (memory.lastMessages.length > 0) {
+    lines.push(`${label} last talked about:\n${memory.lastMessages.map(m => `  ${_cleanName(m.name)}: ${_cleanText(m.message)}`).join('\n')}`);
+  }
+  return lines.join('\n');
+};
+const _formatMemorySection = memoryLines => memoryLines.length > 0 ? `# Memories\n\n${memoryLines.join('\n')}\n\n` : '';
+
+// scene dialogue
+
+export const makeLorePrompt = ({
+  settings,
+  characters,
+  messages,
+  objects,
+  dstCharacter,
+  memories = [],
+}) => `\
+# Setting
+
+${settings.length > 0 ? settings.join('\n\n') : 'An open world metaverse.'}
+
+# Characters
+
+${characters.map((c, i) => `${_characterLabel(c, i)}: ${_cleanText(c.bio)}`).join('\n')}
+
+# Objects
+
+${objects.length > 0 ? objects.map(o => `${_cleanName(o.name)}: ${_cleanText(o.description)}`).join('\n') : none}
+
+${_formatMemorySection(memories
+  .map(({character, memory}) => _formatMemory(_characterLabel(character, characters.indexOf(character)), memory))
+  .filter(lines => !!lines))}\
+# Instructions
+
+Each line is one character speaking, as +id/name: message [emote=EMOTE,action=ACTION,object=OBJECT,target=TARGET].
+EMOTE is one of ${emotes.join(', ')}. ACTION is one of ${actions.join(', ')}.
+OBJECT is the name of an object the action uses and TARGET is the name of the character it is aimed at, or none.
+
+# Example
+
++0/${defaultPlayerName}: Hi! Can you follow me? [emote=none,action=none,object=none,target=none]
++1/Guide: Sure, lead the way. [emote=headNod,action=follow,object=none,target=${defaultPlayerName}]
+
+# Conversation
+
+${messages.map(m => {
+  const index = characters.indexOf(m.character);
+  return `+${_characterLabel(m.character, index)}: ${_cleanText(m.message)} ${_formatTags(m)}`;
+}).join('\n')}
++${dstCharacter ? `${_characterLabel(dstCharacter, characters.indexOf(dstCharacter))}:` : ''}`;
+
+// stop before the model starts speaking for the player
+export const makeLoreStop = (localCharacter, localCharacterIndex) => `\n+${_characterLabel(localCharacter, localCharacterIndex)}`;
+
+// the prompt ends partway through a line; restore the start of it
+export const postProcessResponse = (response, characters, dstCharacter) => {
+  response = response.trim();
+  if (dstCharacter) {
+    response = `+${_characterLabel(dstCharacter, characters.indexOf(dstCharacter))}: ${response}`;
+  } else if (!response.startsWith('+')) {
+    response = '+' + response;
+  }
+  return response;
+};
+
+const loreLineRegex = /^\+(\d+)\/([^:]+?)\s*:\s*([\s\S]*)$/;
+export const parseLoreResponses = response => {
+  const result = [];
+  for (const line of response.split('\n')) {
+    const match = line.trim().match(loreLineRegex);
+    if (match) {
+      const [, , name, rest] = match;
+      const {text, emote, action, object, target} = _parseTags(rest);
+      result.push({
+        name,
+        message: text,
+        emote,
+        action,
+        object,
+        target,
+      });
+    }
+  }
+  return result;
+};
+
+// location comments
+
+export const makeCommentPrompt = ({
+  settings,
+  dstCharacter,
+  name,
+}) => `\
+# Setting
+
+${settings.length > 0 ? settings.join('\n\n') : 'An open world metaverse.'}
+
+# Instructions
+
+${dstCharacter ? _cleanName(dstCharacter.name) : 'The narrator'} makes a short, witty comment about each location.
+
+# Comments
+
+location: The Great Tree
+comment: It has been here longer than any of us, and it will outlive us all.
+location: Sewer Junction
+comment: Mind your step. And your nose.
+location: ${_cleanName(name)}
+comment:`;
+export const makeCommentStop = () => '\n';
+export const parseCommentResponse = response => _unquote(response.split('\n')[0]);
+
+// comments when selecting an object
+
+export const makeSelectTargetPrompt = ({
+  name,
+  description,
+}) => `\
+# Instructions
+
+The player looks at an object and makes a short comment about it.
+
+# Comments
+
+object: Sword
+description: A rusty sword with a chipped blade.
+comment: It has seen better days, but it still has some fight in it.
+object: Treasure chest
+description: A heavy wooden chest, locked tight.
+comment: Whatever is inside, someone wanted it kept safe.
+object: ${_cleanName(name)}
+description: ${_cleanText(description || defaultObjectDescription)}
+comment:`;
+export const makeSelectTargetStop = () => '\n';
+export const parseSelectTargetResponse = response => _unquote(response.split('\n')[0]);
+
+// opening lines when selecting a character
+
+export const makeSelectCharacterPrompt = ({
+  name,
+  description,
+  memory = null,
+}) => `\
+# Instructions
+
+The player walks up to a character, who greets them in their own voice and remembers what they know about the player.
+Add ${endToken} if the character does not want to talk.
+
+${_formatMemorySection(memory ? [_formatMemory(_cleanName(name), memory)].filter(lines => !!lines) : [])}\
+# Greetings
+
+character: Guard
+description: A tired guard who has been on duty all night.
+greeting: Move along, nothing to see here. ${endToken}
+character: Merchant
+description: A cheerful merchant selling odds and ends.
+greeting: Welcome, welcome! Care to see my wares?
+character: ${_cleanName(name)}
+description: ${_cleanText(description || defaultPlayerBio)}
+greeting:`;
+export const makeSelectCharacterStop = () => '\n';
+export const parseSelectCharacterResponse = response => {
+  const {text, done} = _parseDone(response.split('\n')[0]);
+  return {
+    value: _unquote(text),
+    done,
+  };
+};
+
+// conversations
+
+const _formatChatMessages = messages => messages.map(m => `+${_cleanName(m.name)}: ${_cleanText(m.text)} [emote=${m.emote || none}]`).join('\n');
+
+export const makeChatPrompt = ({
+  messages,
+  nextCharacter,
+  memory = null,
+}) => `\
+# Instructions
+
+Continue the conversation, one line per message, as +name: message [emote=EMOTE].
+EMOTE is one of ${emotes.join(', ')}. Add ${endToken} to the line that ends the conversation.
+
+${_formatMemorySection(memory ? [_formatMemory(_cleanName(nextCharacter), memory)].filter(lines => !!lines) : [])}\
+# Conversation
+
+${_formatChatMessages(messages)}
++${_cleanName(nextCharacter)}:`;
+export const makeChatStop = () => '\n';
+export const parseChatResponse = response => {
+  const {text, done} = _parseDone(response.split('\n')[0]);
+  const tagMatch = text.match(/\[emote=([^\]]*)\]\s*$/);
+  return {
+    value: _unquote(tagMatch ? text.slice(0, tagMatch.index) : text),
+    emote: tagMatch ? (tagMatch[1].trim() || none) : none,
+    done,
+  };
+};
+
+export const makeOptionsPrompt = ({
+  messages,
+  nextCharacter,
+}) => `\
+# Instructions
+
+List up to three things ${_cleanName(nextCharacter)} could say next, one per line, as - message [emote=EMOTE].
+EMOTE is one of ${emotes.join(', ')}. Write ${endToken} instead if the conversation is over.
+
+# Conversation
+
+${_formatChatMessages(messages)}
+
+# Options for ${_cleanName(nextCharacter)}
+
+-`;
+export const makeOptionsStop = () => '\n\n';
+export const parseOptionsResponse = response => {
+  const {text, done} = _parseDone('-' + response);
+  const options = [];
+  for (const line of text.split('\n')) {
+    const match = line.trim().match(/^-\s*(.+?)\s*(?:\[emote=([^\]]*)\])?$/);
+    if (match) {
+      const message = _unquote(match[1]);
+      if (message) {
+        options.push({
+          message,
+          emote: match[2]?.trim() || none,
+        });
+      }
+    }
+  }
+  return {
+    value: options,
+    done: done || options.length === 0,
+  };
+};
+
+// character select screen
+
+export const makeCharacterIntroPrompt = ({
+  name,
+  bio,
+}) => `\
+# Instructions
+
+Each character introduces themselves in one line, then says one line when they are picked.
+
+# Introductions
+
+name: Scillia
+bio: Her nickname is Scilly or SLY. 13/F drop hunter. She is an adventurer, swordfighter and fan of potions.
+intro: Hi, I'm Scilly! Let's go hunting for drops together!
+onselect: Finally, some action!
+name: ${_cleanName(name)}
+bio: ${_cleanText(bio || defaultPlayerBio)}
+intro:`;
+export const makeCharacterIntroStop = () => '\nname:';
+export const parseCharacterIntroResponse = response => {
+  const [messageLine = '', ...rest] = response.split('\n');
+  const onselectLine = rest.find(line => /^\s*onselect:/.test(line)) ?? '';
+  return {
+    message: _unquote(messageLine),
+    onselect: _unquote(onselectLine.replace(/^\s*onselect:/, '')),
+  };
+};
+
+// long-term memory
+
+export const makeMemoryPrompt = ({
+  name,
+  playerName,
+  summary,
+  facts,
+  messages,
+}) => `\
+# Instructions
+
+Update what ${_cleanName(name)} remembers about their conversations with ${_cleanName(playerName)}.
+Write one short summary line that combines the old summary with the new messages,
+then one fact: line for each new thing ${_cleanName(name)} learned about ${_cleanName(playerName)}.
+
+# Old summary
+
+${summary ? _cleanText(summary) : none}
+
+# Known facts
+
+${facts.length > 0 ? facts.map(fact => `fact: ${_cleanText(fact)}`).join('\n') : none}
+
+# New messages
+
+${messages.map(m => `${_cleanName(m.name)}: ${_cleanText(m.message)}`).join('\n')}
+
+# Updated memory
+
+summary:`;
+export const makeMemoryStop = () => '\n\n';
+export const parseMemoryResponse = response => {
+  const [summaryLine = '', ...rest] = response.split('\n');
+  return {
+    summary: _unquote(summaryLine),
+    facts: rest
+      .map(line => line.match(/^\s*fact:\s*(.+)$/)?.[1].trim())
+      .filter(fact => !!fact && fact !== none),
+  };
+};
@@ -0,0 +1,82 @@
+/*
+this file contains the completion endpoints the lore ai can use.
+an endpoint takes an openai style completion query ({prompt, max_tokens, stop, temperature, ...}) and resolves to {choices: [{text}]}.
+*/
+
+// llama.cpp's server; ollama serves the same api at http://127.0.0.1:11434/v1
+export const defaultLocalUrl = 'http://127.0.0.1:8080/v1';
+
+export const makeUrlEndpoint = (url, {headers = {}} = {}) => async query => {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+    },
+    body: JSON.stringify(query),
+  });
+  if (res.ok) {
+    return await res.json();
+  } else {
+    throw new Error(`completion request failed: ${res.status} ${res.statusText}`);
+  }
+};
+
+// any server implementing the openai /v1/completions api
+export const makeOpenAICompatibleEndpoint = ({
+  url = defaultLocalUrl,
+  model = '',
+  apiKey = '',
+} = {}) => {
+  const endpointFn = makeUrlEndpoint((url || defaultLocalUrl).replace(/\/+$/, '') + '/completions', {
+    headers: apiKey ? {
+      Authorization: `Bearer ${apiKey}`,
+    } : {},
+  });
+  return query => endpointFn(model ? {...query, model} : query);
+};
+
+// canned completions for the prompts in lore-model.js
+const _mockLoreCompletion = prompt => {
+  // the prompt ends with '+' when any character may answer; pick the first one that is not the player
+  const speaker = /\n\+$/.test(prompt) ? prompt.match(/^(1\/[^:\n]+):/m)?.[1] : null;
+  return `${speaker ? speaker + ':' : ''} I hear you. [emote=headNod,action=none,object=none,target=none]`;
+};
+export const defaultMockCompletions = [
+  {match: '# Updated memory', text: ' They talked for a while.'},
+  {match: 'ACTION is one of', text: _mockLoreCompletion},
+  {match: '# Options for', text: ' Tell me more. [emote=none]\n- Goodbye. [emote=headNod]'},
+  {match: 'Continue the conversation', text: ' Nice to meet you. [emote=victory] *END*'},
+  {match: '\ngreeting:', text: ' Hello there, traveler.'},
+  {match: '\nintro:', text: ' Hi, nice to meet you!\nonselect: Let\'s go!'},
+  {match: '\ncomment:', text: ' Interesting.'},
+];
+
+// replays canned completions, so dialogue can be run and tested without a model.
+// {match, text} entries answer prompts containing match (a string or regexp); text can be a function of the prompt.
+// plain string entries are replayed in order, looping, for prompts no rule matches.
+export const makeMockEndpoint = ({
+  completions = defaultMockCompletions,
+} = {}) => {
+  const rules = completions.filter(completion => typeof completion === 'object');
+  const script = completions.filter(completion => typeof completion === 'string');
+  let scriptIndex = 0;
+  return async query => {
+    const {prompt} = query;
+    const rule = rules.find(({match}) => typeof match === 'string' ? prompt.includes(match) : match.test(prompt));
+    let text;
+    if (rule) {
+      text = typeof rule.text === 'function' ? rule.text(prompt) : rule.text;
+    } else if (script.length > 0) {
+      text = script[scriptIndex];
+      scriptIndex = (scriptIndex + 1) % script.length;
+    } else {
+      text = '';
+    }
+    return {
+      choices: [{
+        text,
+      }],
+    };
+  };
+};
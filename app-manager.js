@@ -485,6 +485,27 @@ class AppManager extends EventTarget {
       self.removeTrackedAppInternal(removeInstanceId);
     });
   }
+  // sets (or with null, removes) a component on both the tracked app and the live app
+  setTrackedAppComponent(instanceId, key, value) {
+    const trackedApp = this.getTrackedApp(instanceId);
+    if (trackedApp) {
+      const components = (trackedApp.get('components') ?? [])
+        .filter(component => component.key !== key);
+      if (value !== null) {
+        components.push({key, value});
+      }
+      trackedApp.set('components', components);
+    }
+
+    const app = this.getAppByInstanceId(instanceId);
+    if (app) {
+      if (value !== null) {
+        app.setComponent(key, value);
+      } else {
+        app.removeComponent(key);
+      }
+    }
+  }
   addApp(app) {
     this.apps.push(app);
     
@@ -662,6 +683,7 @@ class AppManager extends EventTarget {
       const transform = trackedApp.get('transform');
       const components = trackedApp.get('components') ?? [];
       const object = {
+        instanceId: trackedApp.get('instanceId'),
         transform,
         components,
       };
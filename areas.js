@@ -0,0 +1,32 @@
+/* this file contains the area tests shared by quests, checkpoints, voice zones and mobs.
+an area is a box around an app: size is [width, height, depth] (the app's size component, else defaultAreaSize),
+centered on the app's position on x and z, standing on it on y, and turned with the app.
+players are in an area when their feet are; the player position is at the head. */
+
+import * as THREE from 'three';
+
+export const defaultAreaSize = [4, 2, 4];
+
+const localVector = new THREE.Vector3();
+const localMatrix = new THREE.Matrix4();
+
+export const getPlayerFeetPosition = (player, target) => {
+  target.copy(player.position);
+  if (player.avatar) {
+    target.y -= player.avatar.height;
+  }
+  return target;
+};
+export const makeAreaBox = (app, size = app.getComponent('size') ?? defaultAreaSize) => {
+  const [width, height, depth] = size;
+  return {
+    containsPoint(p) {
+      localMatrix.copy(app.matrixWorld).invert();
+      localVector.copy(p).applyMatrix4(localMatrix);
+      return Math.abs(localVector.x) <= width / 2 &&
+        Math.abs(localVector.z) <= depth / 2 &&
+        localVector.y >= 0 && localVector.y <= height;
+    },
+  };
+};
+export const isInArea = (app, p) => makeAreaBox(app).containsPoint(p);
@@ -7,6 +7,7 @@ import LegsManager from './vrarmik/LegsManager.js';
 import {scene, camera} from '../renderer.js';
 import MicrophoneWorker from './microphone-worker.js';
 import {AudioRecognizer} from '../audio-recognizer.js';
+import {LipSync} from './lip-sync.js';
 import audioManager from '../audio-manager.js';
 import {
   // angleDifference,
@@ -474,6 +475,7 @@ class Avatar {
     this.flipLeg = flipLeg;
     // this.retargetedAnimations = retargetedAnimations;
     this.vowels = Float32Array.from([1, 0, 0, 0, 0]);
+    this.lipSync = new LipSync();
     this.poseAnimation = null;
 
     modelBones.Root.traverse(o => {
@@ -1730,6 +1732,9 @@ class Avatar {
       const volumeValue = this.volume !== -1 ? Math.min(this.volume * 12, 1) : -1;
       // console.log('got volume value', this.volume, volumeValue);
       const blinkValue = this.blinker.update(now);
+      // voiced lines play their viseme track; gated tracks still close the mouth when the audio is silent
+      const lipSyncing = this.lipSync.update(now);
+      const lipSyncOpenValue = (lipSyncing && this.lipSync.track.gated && volumeValue !== -1) ? Math.min(volumeValue * 4, 1) : 1;
       for (const visemeMapping of this.skinnedMeshesVisemeMappings) {
         if (visemeMapping) {
           const [
@@ -1755,21 +1760,40 @@ class Avatar {
             morphTargetInfluences[i] = 0;
           }
 
-          // if (volumeValue !== -1) { // real speech
-          if (aIndex !== -1) {
-            morphTargetInfluences[aIndex] = volumeValue;
-          }
-          if (eIndex !== -1) {
-            morphTargetInfluences[eIndex] = volumeValue * this.vowels[1];
-          }
-          if (iIndex !== -1) {
-            morphTargetInfluences[iIndex] = volumeValue * this.vowels[2];
-          }
-          if (oIndex !== -1) {
-            morphTargetInfluences[oIndex] = volumeValue * this.vowels[3];
-          }
-          if (uIndex !== -1) {
-            morphTargetInfluences[uIndex] = volumeValue * this.vowels[4];
+          if (lipSyncing) {
+            const {weights} = this.lipSync;
+            if (aIndex !== -1) {
+              morphTargetInfluences[aIndex] = weights[0] * lipSyncOpenValue;
+            }
+            if (eIndex !== -1) {
+              morphTargetInfluences[eIndex] = weights[1] * lipSyncOpenValue;
+            }
+            if (iIndex !== -1) {
+              morphTargetInfluences[iIndex] = weights[2] * lipSyncOpenValue;
+            }
+            if (oIndex !== -1) {
+              morphTargetInfluences[oIndex] = weights[3] * lipSyncOpenValue;
+            }
+            if (uIndex !== -1) {
+              morphTargetInfluences[uIndex] = weights[4] * lipSyncOpenValue;
+            }
+          } else {
+            // if (volumeValue !== -1) { // real speech
+            if (aIndex !== -1) {
+              morphTargetInfluences[aIndex] = volumeValue;
+            }
+            if (eIndex !== -1) {
+              morphTargetInfluences[eIndex] = volumeValue * this.vowels[1];
+            }
+            if (iIndex !== -1) {
+              morphTargetInfluences[iIndex] = volumeValue * this.vowels[2];
+            }
+            if (oIndex !== -1) {
+              morphTargetInfluences[oIndex] = volumeValue * this.vowels[3];
+            }
+            if (uIndex !== -1) {
+              morphTargetInfluences[uIndex] = volumeValue * this.vowels[4];
+            }
           }
           /* } else { // fake speech
             this.fakeSpeechSmoothed = this.fakeSpeechSmoothed * 0.99 + 0.01 * this.fakeSpeechValue;
@@ -0,0 +1,217 @@
+/* this file contains the viseme lip sync of voiced lines.
+a line becomes a track of mouth shapes, timed against its audio: from the phoneme alignment of the tts engine when there is one, else estimated from the text.
+shapes are weights of the vrm visemes, in the order of the avatar's vowels: aa, ee, ih, oh, ou. */
+
+export const visemeNames = ['aa', 'ee', 'ih', 'oh', 'ou'];
+
+const AA = 0;
+const EE = 1;
+const IH = 2;
+const OH = 3;
+const OU = 4;
+const CLOSED = -1;
+
+// arpabet phonemes, as most aligners output them: [viseme, weight, relative length]
+const phonemeShapes = {
+  AA: [AA, 1, 1.2],
+  AE: [AA, 0.7, 1.2],
+  AH: [AA, 0.6, 1],
+  AO: [OH, 1, 1.2],
+  AW: [AA, 0.9, 1.4],
+  AY: [AA, 0.9, 1.4],
+  EH: [EE, 0.8, 1],
+  ER: [OU, 0.5, 1.2],
+  EY: [EE, 0.9, 1.3],
+  IH: [IH, 0.7, 1],
+  IY: [IH, 1, 1.2],
+  OW: [OH, 0.9, 1.3],
+  OY: [OH, 0.9, 1.4],
+  UH: [OU, 0.7, 1],
+  UW: [OU, 1, 1.2],
+  B: [CLOSED, 0, 0.7],
+  M: [CLOSED, 0, 0.8],
+  P: [CLOSED, 0, 0.7],
+  F: [IH, 0.2, 0.8],
+  V: [IH, 0.2, 0.7],
+  W: [OU, 0.6, 0.7],
+  R: [OU, 0.4, 0.7],
+  CH: [OU, 0.4, 0.9],
+  JH: [OU, 0.4, 0.8],
+  SH: [OU, 0.4, 0.9],
+  ZH: [OU, 0.4, 0.8],
+  TH: [IH, 0.3, 0.8],
+  DH: [IH, 0.3, 0.6],
+};
+const defaultConsonantShape = [IH, 0.3, 0.6];
+const pauseLengths = {
+  ' ': 0.5,
+  ',': 2,
+  ';': 2,
+  ':': 2,
+  '-': 1,
+  '.': 3,
+  '!': 3,
+  '?': 3,
+};
+
+// rough english spelling to phonemes; longer graphemes first
+const graphemePhonemes = [
+  ['ee', 'IY'], ['ea', 'IY'], ['ie', 'IY'], ['oo', 'UW'], ['ou', 'AW'], ['ow', 'OW'], ['oa', 'OW'],
+  ['ai', 'EY'], ['ay', 'EY'], ['ei', 'EY'], ['oi', 'OY'], ['oy', 'OY'], ['au', 'AO'], ['aw', 'AO'],
+  ['th', 'TH'], ['sh', 'SH'], ['ch', 'CH'], ['ph', 'F'], ['ng', 'NG'], ['wh', 'W'], ['ck', 'K'],
+  ['a', 'AE'], ['e', 'EH'], ['i', 'IH'], ['o', 'AA'], ['u', 'AH'], ['y', 'IY'],
+  ['b', 'B'], ['c', 'K'], ['d', 'D'], ['f', 'F'], ['g', 'G'], ['h', 'HH'], ['j', 'JH'], ['k', 'K'],
+  ['l', 'L'], ['m', 'M'], ['n', 'N'], ['p', 'P'], ['q', 'K'], ['r', 'R'], ['s', 'S'], ['t', 'T'],
+  ['v', 'V'], ['w', 'W'], ['x', 'K'], ['z', 'Z'],
+];
+
+const _getPhonemeShape = phoneme => phonemeShapes[phoneme.toUpperCase().replace(/[0-9]/g, '')] ?? defaultConsonantShape;
+const _makeWeights = (viseme, weight) => {
+  const weights = new Float32Array(visemeNames.length);
+  if (viseme !== CLOSED) {
+    weights[viseme] = weight;
+  }
+  return weights;
+};
+const restWeights = new Float32Array(visemeNames.length);
+
+const _wordToPhonemes = word => {
+  // a final e is usually silent
+  if (word.length > 2 && word.endsWith('e') && !/[aeiou]e$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+  const result = [];
+  for (let i = 0; i < word.length;) {
+    const entry = graphemePhonemes.find(([grapheme]) => word.startsWith(grapheme, i));
+    if (entry) {
+      // as in go and hello
+      result.push((entry[0] === 'o' && i === word.length - 1) ? 'OW' : entry[1]);
+      i += entry[0].length;
+    } else {
+      i++;
+    }
+  }
+  return result;
+};
+
+// a track is {keyframes: [{time, weights}], duration, gated}, with times in seconds.
+// gated tracks are only estimates, so the mouth also follows the volume of the audio
+export const makeTrackFromPhonemes = phonemes => {
+  const keyframes = [];
+  let duration = 0;
+  for (const {phoneme, start, end} of phonemes) {
+    const [viseme, weight] = _getPhonemeShape(phoneme);
+    keyframes.push({
+      time: start,
+      weights: _makeWeights(viseme, weight),
+    });
+    duration = Math.max(duration, end);
+  }
+  keyframes.push({
+    time: duration,
+    weights: restWeights,
+  });
+  return {
+    keyframes,
+    duration,
+    gated: false,
+  };
+};
+export const makeTrackFromText = (text, duration, {gated = true} = {}) => {
+  // lay out the phonemes by their relative lengths, then stretch them over the duration
+  const units = [];
+  const s = text.toLowerCase();
+  for (let i = 0; i < s.length;) {
+    const wordMatch = s.slice(i).match(/^[a-z']+/);
+    if (wordMatch) {
+      for (const phoneme of _wordToPhonemes(wordMatch[0].replace(/'/g, ''))) {
+        const [viseme, weight, length] = _getPhonemeShape(phoneme);
+        units.push({
+          weights: _makeWeights(viseme, weight),
+          length,
+        });
+      }
+      i += wordMatch[0].length;
+    } else {
+      const pauseLength = pauseLengths[s[i]];
+      if (pauseLength !== undefined) {
+        units.push({
+          weights: restWeights,
+          length: pauseLength,
+        });
+      }
+      i++;
+    }
+  }
+
+  const totalLength = units.reduce((total, unit) => total + unit.length, 0);
+  const keyframes = [];
+  let time = 0;
+  for (const unit of units) {
+    keyframes.push({
+      time,
+      weights: unit.weights,
+    });
+    time += unit.length / totalLength * duration;
+  }
+  keyframes.push({
+    time: duration,
+    weights: restWeights,
+  });
+  return {
+    keyframes,
+    duration,
+    gated,
+  };
+};
+
+// the share of each keyframe spent blending into the next, so shapes run into each other like real speech
+const blendFactor = 0.4;
+const smoothFactor = 0.5;
+
+export class LipSync {
+  constructor() {
+    this.track = null;
+    this.startTime = 0;
+    this.keyframeIndex = 0;
+    this.weights = new Float32Array(visemeNames.length);
+  }
+  play(track, startTime = performance.now()) {
+    this.track = track;
+    this.startTime = startTime;
+    this.keyframeIndex = 0;
+  }
+  stop() {
+    this.track = null;
+  }
+  isPlaying() {
+    return !!this.track;
+  }
+  // returns whether a track is playing; the shape is left in weights
+  update(now) {
+    const {track} = this;
+    if (track) {
+      const time = (now - this.startTime) / 1000;
+      if (time < track.duration) {
+        const {keyframes} = track;
+        while (this.keyframeIndex < keyframes.length - 1 && keyframes[this.keyframeIndex + 1].time <= time) {
+          this.keyframeIndex++;
+        }
+        const keyframe = keyframes[this.keyframeIndex];
+        const nextKeyframe = keyframes[this.keyframeIndex + 1] ?? keyframe;
+        const span = nextKeyframe.time - keyframe.time;
+        const blendStart = keyframe.time + span * (1 - blendFactor);
+        const f = (span > 0 && time > blendStart) ? (time - blendStart) / (span * blendFactor) : 0;
+        for (let i = 0; i < this.weights.length; i++) {
+          const target = keyframe.weights[i] * (1 - f) + nextKeyframe.weights[i] * f;
+          this.weights[i] += (target - this.weights[i]) * smoothFactor;
+        }
+        return true;
+      } else {
+        this.track = null;
+      }
+    }
+    this.weights.fill(0);
+    return false;
+  }
+}
@@ -42,6 +42,11 @@ const zeroVector = new THREE.Vector3(0, 0, 0);
 const upVector = new THREE.Vector3(0, 1, 0);
 const cameraOffsetDefault = 0.65;
 const maxFocusTime = 300;
+const lockCameraPitch = 0.3;
+const lockCameraLerpFactor = 0.1;
+const lockCameraMinDistance = 2;
+const lockCameraMaxDistance = 6;
+const lockCameraDistanceFactor = 0.25;
 
 const cameraOffset = new THREE.Vector3();
 let cameraOffsetTargetZ = cameraOffset.z;
@@ -193,6 +198,8 @@ class CameraManager extends EventTarget {
     this.lastTimestamp = 0;
     this.cinematicScript = null;
     this.cinematicScriptStartTime = -1;
+    this.lockTargetPosition = new THREE.Vector3();
+    this.lockTargetEnabled = false;
 
     document.addEventListener('pointerlockchange', e => {
       let pointerLockElement = document.pointerLockElement;
@@ -282,11 +289,14 @@ class CameraManager extends EventTarget {
   }
   handleMouseMove(e) {
     const {movementX, movementY} = e;
-
+    this.rotateCamera(-movementX * Math.PI * 2 * 0.0005, -movementY * Math.PI * 2 * 0.0005);
+  }
+  // turn the camera around its target by yaw and pitch radians
+  rotateCamera(yaw, pitch) {
     camera.position.add(localVector.copy(this.getCameraOffset()).applyQuaternion(camera.quaternion));
   
-    camera.rotation.y -= movementX * Math.PI * 2 * 0.0005;
-    camera.rotation.x -= movementY * Math.PI * 2 * 0.0005;
+    camera.rotation.y += yaw;
+    camera.rotation.x += pitch;
     camera.rotation.x = Math.min(Math.max(camera.rotation.x, -Math.PI * 0.35), Math.PI / 2);
     camera.quaternion.setFromEuler(camera.rotation);
 
@@ -299,8 +309,12 @@ class CameraManager extends EventTarget {
     }
   }
   handleWheelEvent(e) {
+    this.zoomCamera(e.deltaY * 0.01);
+  }
+  // move the third person camera away from (positive) or toward the player
+  zoomCamera(delta) {
     if (!this.target) {
-      cameraOffsetTargetZ = Math.min(cameraOffset.z - e.deltaY * 0.01, 0);
+      cameraOffsetTargetZ = Math.min(cameraOffset.z - delta, 0);
     }
   }
   addShake(position, intensity, radius, decay) {
@@ -470,10 +484,23 @@ class CameraManager extends EventTarget {
     this.lerpStartTime = timestamp;
     this.lastTimestamp = timestamp;
   }
+  // frame the player and a lock-on target from behind the player, or stop with null
+  setLockTarget(position) {
+    if (position) {
+      this.lockTargetPosition.copy(position);
+      this.lockTargetEnabled = true;
+    } else {
+      this.lockTargetEnabled = false;
+    }
+  }
   startCinematicScript(cinematicScript) {
     this.cinematicScript = cinematicScript;
     this.cinematicScriptStartTime = performance.now();
   }
+  stopCinematicScript() {
+    this.cinematicScript = null;
+    this.setCameraToNullTarget();
+  }
   updatePost(timestamp, timeDiff) {
     const renderer = getRenderer();
     const session = renderer.xr.getSession();
@@ -563,13 +590,35 @@ class CameraManager extends EventTarget {
         this.cinematicScript = null;
       }
     } else {
+      let offsetTargetZ = cameraOffsetTargetZ;
+      const _lockCamera = () => {
+        if (this.lockTargetEnabled) {
+          localEuler.setFromQuaternion(
+            localQuaternion3.setFromRotationMatrix(
+              localMatrix.lookAt(localPlayer.position, this.lockTargetPosition, upVector)
+            ),
+            'YXZ'
+          );
+          localEuler.x = -lockCameraPitch;
+          localEuler.z = 0;
+          this.targetQuaternion.slerp(localQuaternion3.setFromEuler(localEuler), lockCameraLerpFactor);
+
+          // pull back in third person to fit the target in view
+          if (offsetTargetZ <= -0.5) {
+            const distance = localPlayer.position.distanceTo(this.lockTargetPosition);
+            offsetTargetZ = Math.min(offsetTargetZ, -Math.min(lockCameraMinDistance + distance * lockCameraDistanceFactor, lockCameraMaxDistance));
+          }
+        }
+      };
+      _lockCamera();
+
       const _bumpCamera = () => {
         const direction = localVector.set(0, 0, 1)
           .applyQuaternion(camera.quaternion);
         const backOffset = 1;
         // const cameraBackThickness = 0.5;
 
-        const sweepDistance = Math.max(-cameraOffsetTargetZ, 0);
+        const sweepDistance = Math.max(-offsetTargetZ, 0);
 
         // console.log('offset', cameraOffsetTargetZ);
 
@@ -598,7 +647,7 @@ class CameraManager extends EventTarget {
 
       const _lerpCameraOffset = () => {
         const lerpFactor = 0.15;
-        let cameraOffsetZ = Math.max(cameraOffsetTargetZ, cameraOffsetLimitZ);
+        let cameraOffsetZ = Math.max(offsetTargetZ, cameraOffsetLimitZ);
         if (cameraOffsetZ > -0.5) {
           cameraOffsetZ = 0;
         }
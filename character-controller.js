@@ -40,6 +40,10 @@ import {CharacterBehavior} from './character-behavior.js';
 import {CharacterFx} from './character-fx.js';
 import {VoicePack, VoicePackVoicer} from './voice-output/voice-pack-voicer.js';
 import {VoiceEndpoint, VoiceEndpointVoicer} from './voice-output/voice-endpoint-voicer.js';
+import {LocalVoice, LocalVoicer} from './voice-output/local-voicer.js';
+import voiceChat from './voice-chat.js';
+import {PlayerStats} from './player-stats.js';
+import {writeWhisperKey} from './whispers.js';
 import {BinaryInterpolant, BiActionInterpolant, UniActionInterpolant, InfiniteActionInterpolant, PositionInterpolant, QuaternionInterpolant} from './interpolants.js';
 import {applyPlayerToAvatar, switchAvatar} from './player-avatar-binding.js';
 import {
@@ -161,6 +165,7 @@ class PlayerBase extends THREE.Object3D {
     this.characterFx = new CharacterFx(this);
     this.characterHitter = new CharacterHitter(this);
     this.characterBehavior = new CharacterBehavior(this);
+    this.playerStats = new PlayerStats(this);
 
     this.leftHand = new PlayerHand();
     this.rightHand = new PlayerHand();
@@ -309,6 +314,11 @@ class PlayerBase extends THREE.Object3D {
     }
     this.updateVoicer();
   }
+  // speak with the local tts engine; voiceName is passed to the engine
+  setLocalVoice(voiceName) {
+    this.voiceEndpoint = new LocalVoice(voiceName);
+    this.updateVoicer();
+  }
   getVoice() {
     return this.voiceEndpoint || this.voicePack;
   }
@@ -319,6 +329,8 @@ class PlayerBase extends THREE.Object3D {
       this.voicer = new VoicePackVoicer(syllableFiles, audioBuffer, this);
     } else if (voice instanceof VoiceEndpoint) {
       this.voicer = new VoiceEndpointVoicer(voice, this);
+    } else if (voice instanceof LocalVoice) {
+      this.voicer = new LocalVoicer(voice, this);
     } else if (voice === null) {
       this.voicer = null;
     } else {
@@ -1035,6 +1047,10 @@ class LocalPlayer extends UninterpolatedPlayer {
     this.detached = !!opts.detached;
 
     this.characterPhysics = new CharacterPhysics(this);
+
+    if (this.isLocalPlayer) {
+      this.playerStats.load();
+    }
   }
   async setPlayerSpec(playerSpec) {
     const p = this.setAvatarUrl(playerSpec.avatarUrl);
@@ -1137,7 +1153,12 @@ class LocalPlayer extends UninterpolatedPlayer {
       if (oldAvatar !== undefined && oldAvatar !== null && oldAvatar !== '') {
         self.playerMap.set('avatar', oldAvatar);
       }
+
+      self.playerStats.writeState();
     });
+    if (this.isLocalPlayer) {
+      writeWhisperKey(this);
+    }
     
     this.appManager.bindState(this.getAppsState());
   }
@@ -1317,7 +1338,7 @@ class RemotePlayer extends InterpolatedPlayer {
         this.avatar.setAudioEnabled(true);
       }
 
-      this.audioWorkletNode.connect(this.avatar.getAudioInput());
+      voiceChat.connectPlayer(this, this.audioWorkletNode, this.avatar.getAudioInput());
     }
   }
   // This is called by WSRTC (in world.js) when it receives new packets for this player
@@ -1330,6 +1351,11 @@ class RemotePlayer extends InterpolatedPlayer {
   detachState() {
     return null;
   }
+  destroy() {
+    voiceChat.disconnectPlayer(this);
+
+    super.destroy();
+  }
   attachState(oldState) {
     let index = -1;
     for (let i = 0; i < this.playersArray.length; i++) {
@@ -1364,6 +1390,10 @@ class RemotePlayer extends InterpolatedPlayer {
         this.name = e.changes.keys.get('name').value;
       }
 
+      if (e.changes.keys.has('stats')) {
+        this.playerStats.readState();
+      }
+
       if (e.changes.keys.has('transform')) {
         const transform = e.changes.keys.get('transform').value;
         const timestamp = performance.now();
@@ -1394,6 +1424,7 @@ class RemotePlayer extends InterpolatedPlayer {
 
     this.appManager.bindState(this.getAppsState());
     this.syncAvatar();
+    this.playerStats.readState();
   }
   update(timestamp, timeDiff) {
     if(!this.avatar) return // console.log("no avatar"); // avatar takes time to load, ignore until it does
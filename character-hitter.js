@@ -1,16 +1,20 @@
 import * as THREE from 'three';
-import {scene, camera} from './renderer.js';
+import {camera} from './renderer.js';
 import physics from './physics-manager.js';
 // import physx from './physx.js';
 import Avatar from './avatars/avatars.js';
 import metaversefile from 'metaversefile';
-import * as metaverseModules from './metaverse-modules.js';
+import damageManager from './damage.js';
+import hpManager from './hp-manager.js';
 
 const localVector = new THREE.Vector3();
 const localVector2 = new THREE.Vector3();
 const localQuaternion = new THREE.Quaternion();
+const localQuaternion2 = new THREE.Quaternion();
 const localEuler = new THREE.Euler();
 const localMatrix = new THREE.Matrix4();
+const zeroVector = new THREE.Vector3(0, 0, 0);
+const upVector = new THREE.Vector3(0, 1, 0);
 
 //
 
@@ -19,6 +23,41 @@ const physicsScene = physics.getScene();
 
 //
 
+const _getUseComponent = useAction => {
+  const app = metaversefile.getAppByInstanceId(useAction.instanceId);
+  return app?.getComponent('use') ?? {};
+};
+
+// attacks turn to the lock-on target (see z-targeting.js), which the avatar might still be turning to;
+// the hit is turned around the player with it
+const _turnToFacePosition = (player, args) => {
+  const {characterPhysics} = player;
+  if (characterPhysics?.facePositionEnabled) {
+    const faceDirection = localVector.copy(characterPhysics.facePosition)
+      .sub(player.position);
+    faceDirection.y = 0;
+    if (faceDirection.lengthSq() > 0.001) {
+      const quaternion = localQuaternion.setFromRotationMatrix(
+        localMatrix.lookAt(zeroVector, faceDirection, upVector)
+      );
+      const turn = localQuaternion2.copy(player.quaternion).invert()
+        .premultiply(quaternion);
+      args = {
+        ...args,
+        position: args.position.clone()
+          .sub(player.position)
+          .applyQuaternion(turn)
+          .add(player.position),
+        quaternion: args.quaternion.clone()
+          .premultiply(turn),
+      };
+      player.quaternion.copy(quaternion);
+      player.updateMatrixWorld();
+    }
+  }
+  return args;
+};
+
 const hitAttemptEventData = {
   type: '',
   args: null,
@@ -32,12 +71,15 @@ export class CharacterHitter {
     this.player = player;
 
     this.lastHitTime = -Infinity;
+    this.deathActions = [];
   }
   attemptHit({
     type,
     args,
     timestamp = performance.now(),
   }) {
+    args = _turnToFacePosition(this.player, args);
+
     hitAttemptEventData.type = type;
     hitAttemptEventData.args = args;
     hitManager.dispatchEvent(hitAttemptEvent);
@@ -64,7 +106,7 @@ export class CharacterHitter {
             const timeDiff = timestamp - this.lastHitTime;
             if (timeDiff > 1000) {
               const useAction = this.player.getAction('use');
-              const damage = typeof useAction.damage === 'number' ? useAction.damage : 10;
+              const {damage, damageType, critical, dot} = damageManager.rollHit(_getUseComponent(useAction), this.player);
               const hitDirection = app.position.clone()
                 .sub(this.player.position);
               hitDirection.y = 0;
@@ -87,6 +129,10 @@ export class CharacterHitter {
                 hitPosition,
                 hitQuaternion,
                 hitDirection,
+                attacker: this.player,
+                damageType,
+                critical,
+                dot,
                 // willDie,
               });
             
@@ -104,7 +150,10 @@ export class CharacterHitter {
           const _performHit = () => {
             const targetApp = metaversefile.getAppByPhysicsId(result.objectId);
             if (targetApp) {
-              const damage = 2;
+              const {damage, damageType, critical, dot} = damageManager.rollHit({
+                damage: 2,
+                ...args,
+              }, this.player);
 
               const hitPosition = new THREE.Vector3().fromArray(result.point);
               const hitQuaternion = new THREE.Quaternion().setFromRotationMatrix(
@@ -127,6 +176,10 @@ export class CharacterHitter {
                 hitPosition,
                 hitDirection,
                 hitQuaternion,
+                attacker: this.player,
+                damageType,
+                critical,
+                dot,
                 // willDie,
               });
             } else {
@@ -144,7 +197,44 @@ export class CharacterHitter {
       }
     }
   }
-  getHit(damage) {
+  isDead() {
+    return this.player.hasAction('dead');
+  }
+  getHit(damage, {
+    attacker = null,
+    damageType = 'physical',
+    critical = false,
+    dot = null,
+    isDot = false,
+  } = {}) {
+    if (this.isDead()) {
+      return;
+    }
+
+    damage = damageManager.resist(this.player, damage, damageType);
+    const {playerStats} = this.player;
+    playerStats.setHp(playerStats.get('hp') - damage);
+    this.player.dispatchEvent({
+      type: 'hurt',
+      damage,
+      damageType,
+      critical,
+      attacker,
+      isDot,
+    });
+    hpManager.addDamageMesh(this.player.position, camera.quaternion, {damage, damageType, critical});
+    if (playerStats.get('hp') <= 0) {
+      this.die({attacker});
+      return;
+    }
+    if (dot) {
+      damageManager.addDot(this.player, damageType, dot, {attacker});
+    }
+    // damage over time does not make the player flinch
+    if (isDot) {
+      return;
+    }
+
     const newAction = {
       type: 'hurt',
       animation: Math.random() < 0.5 ? 'pain_arch' : 'pain_back',
@@ -177,23 +267,6 @@ export class CharacterHitter {
     // console.log('play grunt', emotion, gruntType);
     this.player.characterSfx.playGrunt(gruntType);
 
-    {
-      const damageMeshApp = metaversefile.createApp();
-      (async () => {
-        await metaverseModules.waitForLoad();
-        const {modules} = metaversefile.useDefaultModules();
-        const m = modules['damageMesh'];
-        await damageMeshApp.addModule(m);
-      })();
-      damageMeshApp.position.copy(this.player.position);
-      localEuler.setFromQuaternion(camera.quaternion, 'YXZ');
-      localEuler.x = 0;
-      localEuler.z = 0;
-      damageMeshApp.quaternion.setFromEuler(localEuler);
-      damageMeshApp.updateMatrixWorld();
-      scene.add(damageMeshApp);
-    }
-
     const animations = Avatar.getAnimations();
     const hurtAnimation = animations.find(a => a.isHurt);
     const hurtAnimationDuration = hurtAnimation.duration;
@@ -206,6 +279,50 @@ export class CharacterHitter {
       this.player.removeActionIndex(faceposeActionIndex);
     }, 1000);
   }
+  // the dead action is synced, so remote players see the death; the hurt pose is held until revive
+  die({attacker = null} = {}) {
+    if (this.isDead()) {
+      return;
+    }
+
+    this.deathActions = [
+      this.player.addAction({
+        type: 'dead',
+      }),
+      this.player.addAction({
+        type: 'hurt',
+        animation: 'pain_back',
+      }),
+      this.player.addAction({
+        type: 'facepose',
+        emotion: 'sorrow',
+        value: 1,
+      }),
+    ];
+    this.player.characterSfx.playGrunt('scream');
+    damageManager.removeDots(this.player);
+
+    this.player.dispatchEvent({
+      type: 'die',
+      attacker,
+    });
+  }
+  revive() {
+    for (const action of this.deathActions) {
+      const index = this.player.indexOfAction(action);
+      if (index !== -1) {
+        this.player.removeActionIndex(index);
+      }
+    }
+    this.deathActions = [];
+
+    const {playerStats} = this.player;
+    playerStats.setHp(playerStats.getMaxHp());
+
+    this.player.dispatchEvent({
+      type: 'revive',
+    });
+  }
   update() {
     // nothing
   }
@@ -5,6 +5,7 @@ the HTML part of this code lives as part of the React app. */
 // import * as THREE from 'three';
 // import metaversefile from 'metaversefile';
 import {chatManager} from './chat-manager.js';
+import {decryptWhisper} from './whispers.js';
 
 const deadTimeoutTime = 2000;
 
@@ -101,8 +102,7 @@ class CharacterHups extends EventTarget {
 
     this.hups = [];
 
-    player.addEventListener('actionadd', e => {
-      const {action} = e;
+    const _addAction = action => {
       const {type, actionId} = action;
       // console.log('action add', action);
 
@@ -146,6 +146,22 @@ class CharacterHups extends EventTarget {
         }));
         newHup.updateVoicer(action.message, action.emote);
       }
+    };
+    player.addEventListener('actionadd', e => {
+      const {action} = e;
+      // whispers are read by their sender and recipient only
+      if (action.whisper) {
+        decryptWhisper(action.whisper).then(message => {
+          if (message !== null) {
+            _addAction({
+              ...action,
+              message,
+            });
+          }
+        });
+      } else {
+        _addAction(action);
+      }
     });
     player.addEventListener('actionremove', e => {
       const {action} = e;
@@ -48,6 +48,18 @@ class CharacterPhysics {
    
     this.lastPistolUse = false;
     this.lastPistolUseStartTime = -Infinity;
+
+    // the lock-on target, which the avatar faces over its movement (see z-targeting.js)
+    this.facePosition = new THREE.Vector3();
+    this.facePositionEnabled = false;
+  }
+  setFacePosition(position) {
+    if (position) {
+      this.facePosition.copy(position);
+      this.facePositionEnabled = true;
+    } else {
+      this.facePositionEnabled = false;
+    }
   }
   setPosition(p) {
     localVector.copy(p);
@@ -137,7 +149,20 @@ class CharacterPhysics {
       // capsule physics
       if (!this.player.hasAction('sit')) {
         // avatar facing direction
-        if (velocityAvatarDirection) {
+        if (this.facePositionEnabled) {
+          const faceDirection = localVector5.copy(this.facePosition)
+            .sub(localVector);
+          faceDirection.y = 0;
+          if (faceDirection.lengthSq() > 0.001) {
+            localQuaternion.setFromRotationMatrix(
+              localMatrix.lookAt(
+                zeroVector,
+                faceDirection,
+                upVector
+              )
+            );
+          }
+        } else if (velocityAvatarDirection) {
           const horizontalVelocity = localVector5.set(
             this.velocity.x,
             0,
@@ -454,6 +479,7 @@ class CharacterPhysics {
     if (this.player.avatar) {
       this.velocity.set(0, 0, 0);
     }
+    this.facePositionEnabled = false;
   }
   destroy() {
     // nothing
@@ -0,0 +1,196 @@
+/* this file contains the built-in chat commands.
+modules add their own with the useChatCommand hook; see chat-manager.js for the command spec. */
+
+import * as THREE from 'three';
+import metaversefile from 'metaversefile';
+import {chatManager, commandPrefix} from './chat-manager.js';
+import {runAction} from './quest-manager.js';
+import {makeId} from './util.js';
+import {getWhisperKey, encryptWhisper} from './whispers.js';
+import voiceChat from './voice-chat.js';
+import {triggerEmote} from './src/components/general/character/Poses.jsx';
+import emotes from './src/components/general/character/emotes.json';
+
+const spawnDistance = 2;
+const maxGiveQuantity = 100;
+
+const localVector = new THREE.Vector3();
+
+const _getRemotePlayerNames = () => metaversefile.useRemotePlayers().map(player => player.name);
+const _findRemotePlayer = name => {
+  const remotePlayers = metaversefile.useRemotePlayers();
+  const player = remotePlayers.find(player => player.name.toLowerCase() === name.toLowerCase()) ??
+    remotePlayers.find(player => player.playerId === name);
+  if (!player) {
+    throw new Error(`no player named ${name}`);
+  }
+  return player;
+};
+const _parseNumber = s => {
+  const n = parseFloat(s);
+  if (isNaN(n)) {
+    throw new Error(`not a number: ${s}`);
+  }
+  return n;
+};
+const _usage = command => `usage: ${commandPrefix}${command.name}${command.usage ? ' ' + command.usage : ''}`;
+
+const defaultCommands = [
+  {
+    name: 'help',
+    usage: '[command]',
+    description: 'List the commands, or describe one',
+    complete: () => chatManager.getCommands().map(command => command.name),
+    run([name]) {
+      if (name) {
+        const command = chatManager.getCommand(name);
+        if (!command) {
+          throw new Error(`unknown command: ${name}`);
+        }
+        return `${_usage(command)} -- ${command.description}`;
+      } else {
+        return chatManager.getCommands().map(command => commandPrefix + command.name).join(' ');
+      }
+    },
+  },
+  {
+    name: 'emote',
+    usage: '<emote>',
+    description: 'Play an emote',
+    complete: () => emotes.map(emote => emote.name),
+    run([name = '']) {
+      if (!emotes.some(emote => emote.name === name.replace(/Soft$/, ''))) {
+        throw new Error(`unknown emote: ${name}`);
+      }
+      triggerEmote(name);
+    },
+  },
+  {
+    name: 'me',
+    usage: '<action>',
+    description: 'Describe what you are doing',
+    run(args, {rest}) {
+      if (!rest) {
+        throw new Error(_usage(this));
+      }
+      chatManager.addMessage(`*${rest}*`, {
+        timeout: 3000,
+      });
+    },
+  },
+  {
+    name: 'whisper',
+    aliases: ['w'],
+    usage: '<player> <message>',
+    description: 'Say something that only one player sees',
+    complete: args => args.length === 1 ? _getRemotePlayerNames() : [],
+    async run([name = '', ...words], {player}) {
+      const message = words.join(' ');
+      if (!message) {
+        throw new Error(_usage(this));
+      }
+      const target = _findRemotePlayer(name);
+      const targetKey = getWhisperKey(target);
+      if (!targetKey) {
+        throw new Error(`${target.name} cannot receive whispers`);
+      }
+      // the action is synced to the whole room, so only the encrypted text goes in it
+      chatManager.addPlayerMessage(player, {
+        type: 'chat',
+        chatId: makeId(5),
+        playerId: player.playerId,
+        playerName: player.name,
+        message: '',
+        whisper: await encryptWhisper(targetKey, message),
+      }, {
+        timeout: 3000,
+      });
+      return `whispered to ${target.name}`;
+    },
+  },
+  {
+    name: 'mute',
+    usage: '<player>',
+    description: 'Mute or unmute a player\'s voice',
+    complete: args => args.length === 1 ? _getRemotePlayerNames() : [],
+    run([name = '']) {
+      const target = _findRemotePlayer(name);
+      const muted = !voiceChat.getPlayerSettings(target).muted;
+      voiceChat.setPlayerMuted(target, muted);
+      return `${target.name} ${muted ? 'muted' : 'unmuted'}`;
+    },
+  },
+  {
+    name: 'tp',
+    usage: '<x> <y> <z>',
+    description: 'Teleport to a position',
+    permission: 'admin',
+    run(args, {player}) {
+      if (args.length !== 3) {
+        throw new Error(_usage(this));
+      }
+      const position = new THREE.Vector3(...args.map(_parseNumber));
+      player.setSpawnPoint(position, player.quaternion);
+      return `teleported to ${position.toArray().join(' ')}`;
+    },
+  },
+  {
+    name: 'spawn',
+    usage: '<url>',
+    description: 'Spawn an app in front of you',
+    permission: 'admin',
+    async run([url], {player}) {
+      if (!url) {
+        throw new Error(_usage(this));
+      }
+      const position = localVector.set(0, 0, -spawnDistance)
+        .applyQuaternion(player.quaternion)
+        .add(player.position);
+      if (player.avatar) {
+        position.y -= player.avatar.height;
+      }
+      await metaversefile.addTrackedApp(
+        url,
+        position.clone(),
+        new THREE.Quaternion(),
+        new THREE.Vector3(1, 1, 1),
+        [],
+      );
+      return `spawned ${url}`;
+    },
+  },
+  {
+    name: 'give',
+    usage: '<item> [quantity] [url]',
+    description: 'Drop items for yourself; the item is a default module or named by the url',
+    permission: 'admin',
+    complete: args => args.length === 1 ? Object.keys(metaversefile.useDefaultModules().moduleUrls) : [],
+    async run([name, quantity = '1', url]) {
+      if (!name) {
+        throw new Error(_usage(this));
+      }
+      const {moduleUrls} = metaversefile.useDefaultModules();
+      const start_url = url ?? moduleUrls[name];
+      if (!start_url) {
+        throw new Error(`unknown item: ${name}; give its url`);
+      }
+      // every item is an app in the world
+      const n = THREE.MathUtils.clamp(Math.floor(_parseNumber(quantity)), 1, maxGiveQuantity);
+      await runAction(null, {
+        key: 'drop',
+        value: {
+          name,
+          quantity: n,
+          start_url,
+        },
+      });
+      return `gave ${n} ${name}`;
+    },
+  },
+];
+
+export const registerDefaultCommands = () => {
+  for (const command of defaultCommands) {
+    chatManager.registerCommand(command);
+  }
+};
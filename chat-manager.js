@@ -1,6 +1,19 @@
 import {makeId, makePromise} from './util.js';
 import metaversefileApi from 'metaversefile';
 
+/* slash commands are registered with registerCommand({name, aliases, usage, description, permission, complete, run}):
+  permission -- the role needed to run it, 'player' or 'admin' (default 'player')
+  complete(args) -- suggestions for the last argument
+  run(args, {player, rest}) -- args are the words after the command and rest is the raw text after it; returns the output text.
+    errors thrown are shown as the output. */
+export const commandPrefix = '/';
+export const commandRoles = ['player', 'admin'];
+const maxCompletions = 8;
+
+// words split on spaces, with "quoted words" kept together
+const _parseArgs = text => Array.from(text.matchAll(/"([^"]*)"?|(\S+)/g), match => match[1] ?? match[2]);
+const _quoteArg = arg => /\s/.test(arg) ? `"${arg}"` : arg;
+
 const _getEmotion = text => {
   let match;
   if (match = text.match(/(😃|😊|😁|😄|😆|(?:^|\s)lol(?:$|\s))/)) {
@@ -29,6 +42,10 @@ class ChatManager extends EventTarget {
 
     this.voiceRunning = false;
     this.voiceQueue = [];
+
+    this.commands = [];
+    // single player worlds are yours to edit; multiplayer rooms demote you to player
+    this.role = 'admin';
   }
   addPlayerMessage(player, m, {timeout = 3000} = {}) {
     const match = _getEmotion(m.message);
@@ -107,6 +124,142 @@ class ChatManager extends EventTarget {
     const localPlayer = metaversefileApi.useLocalPlayer();
     this.removePlayerMessage(localPlayer, m);
   }
+  // what the chat input sends: a command or a message
+  async submitMessage(text, opts) {
+    if (this.isCommand(text)) {
+      return await this.runCommand(text);
+    } else {
+      return this.addMessage(text, opts);
+    }
+  }
+
+  registerCommand({
+    name,
+    aliases = [],
+    usage = '',
+    description = '',
+    permission = 'player',
+    complete = null,
+    run,
+  }) {
+    if (!commandRoles.includes(permission)) {
+      throw new Error('unknown command permission: ' + permission);
+    }
+    // looked up case insensitively
+    name = name.toLowerCase();
+    aliases = aliases.map(alias => alias.toLowerCase());
+    for (const n of [name, ...aliases]) {
+      if (this.getCommand(n)) {
+        throw new Error('command already registered: ' + n);
+      }
+    }
+
+    const command = {
+      name,
+      aliases,
+      usage,
+      description,
+      permission,
+      complete,
+      run,
+    };
+    this.commands.push(command);
+    this.dispatchEvent(new MessageEvent('commandschange'));
+    return command;
+  }
+  unregisterCommand(command) {
+    const index = this.commands.indexOf(command);
+    if (index !== -1) {
+      this.commands.splice(index, 1);
+      this.dispatchEvent(new MessageEvent('commandschange'));
+    }
+  }
+  getCommand(name) {
+    name = name.toLowerCase();
+    return this.commands.find(command => command.name === name || command.aliases.includes(name)) ?? null;
+  }
+  getRole() {
+    return this.role;
+  }
+  setRole(role) {
+    if (!commandRoles.includes(role)) {
+      throw new Error('unknown role: ' + role);
+    }
+    this.role = role;
+    this.dispatchEvent(new MessageEvent('commandschange'));
+  }
+  canRunCommand(command) {
+    return commandRoles.indexOf(this.role) >= commandRoles.indexOf(command.permission);
+  }
+  // the commands available to the local player
+  getCommands() {
+    return this.commands.filter(command => this.canRunCommand(command));
+  }
+  isCommand(text) {
+    return text.startsWith(commandPrefix);
+  }
+  async runCommand(text) {
+    const [, name, rest = ''] = text.slice(commandPrefix.length).match(/^(\S*)\s*([\s\S]*)$/);
+    const command = this.getCommand(name);
+
+    let output, error;
+    try {
+      if (!command) {
+        throw new Error(`unknown command: ${commandPrefix}${name}`);
+      }
+      if (!this.canRunCommand(command)) {
+        throw new Error(`${commandPrefix}${command.name} needs the ${command.permission} role`);
+      }
+      const player = metaversefileApi.useLocalPlayer();
+      output = (await command.run(_parseArgs(rest), {player, rest})) ?? '';
+      error = false;
+    } catch (err) {
+      output = err.message;
+      error = true;
+    }
+
+    this.dispatchEvent(new MessageEvent('commandoutput', {
+      data: {
+        text,
+        output,
+        error,
+      },
+    }));
+    return output;
+  }
+  // the full input lines that complete the text
+  getCompletions(text) {
+    if (!this.isCommand(text)) {
+      return [];
+    }
+    const body = text.slice(commandPrefix.length);
+    const spaceIndex = body.search(/\s/);
+    if (spaceIndex === -1) {
+      const prefix = body.toLowerCase();
+      return this.getCommands()
+        .filter(command => command.name.startsWith(prefix))
+        .map(command => commandPrefix + command.name + ' ')
+        .slice(0, maxCompletions);
+    } else {
+      const command = this.getCommand(body.slice(0, spaceIndex));
+      if (command?.complete && this.canRunCommand(command)) {
+        const rest = body.slice(spaceIndex);
+        const args = _parseArgs(rest);
+        if (/\s$/.test(rest)) {
+          args.push('');
+        }
+        const lastArg = args[args.length - 1].toLowerCase();
+        const head = commandPrefix + body.slice(0, spaceIndex) + ' ' +
+          args.slice(0, -1).map(arg => _quoteArg(arg) + ' ').join('');
+        return (command.complete(args) ?? [])
+          .filter(suggestion => suggestion.toLowerCase().startsWith(lastArg))
+          .map(suggestion => head + _quoteArg(suggestion) + ' ')
+          .slice(0, maxCompletions);
+      } else {
+        return [];
+      }
+    }
+  }
   async waitForVoiceTurn(fn) {
     // console.log('wait for voice queue', this.voiceRunning, this.voiceQueue.length);
     
@@ -0,0 +1,178 @@
+/* this file contains the damage model of the hit pipeline.
+every hit has a damage type: physical, fire, poison or lightning.
+attacks are specced on the weapon's use component (or the bullet hit args, or the mob json):
+  damage -- the base damage
+  damageType -- one of damageTypes, default physical
+  critChance -- 0-1, raised by the attacker's lck; critical hits deal critMultiplier times the damage
+  dot -- damage over time after the hit: true for the type's default, or {damage, duration, interval} with times in ms
+targets declare resistances as {[damageType]: factor}, the fraction of that type's damage they ignore; negative factors are weaknesses.
+apps declare them with the resistances component and mobs in their json. a target that resists a type fully is immune to its damage over time. */
+
+import * as THREE from 'three';
+
+export const damageTypes = ['physical', 'fire', 'poison', 'lightning'];
+
+const defaultDamage = 10;
+const defaultCritChance = 0.05;
+const defaultCritMultiplier = 2;
+const critChancePerLck = 0.005;
+const defaultDots = {
+  physical: {damage: 1, duration: 4000, interval: 1000}, // bleed
+  fire: {damage: 2, duration: 3000, interval: 500}, // burn
+  poison: {damage: 1, duration: 6000, interval: 1000},
+  lightning: {damage: 3, duration: 1000, interval: 250}, // shock
+};
+// dots tick at most this often, so a bad interval cannot stall the frame
+const minDotInterval = 100;
+const dotHitOffset = new THREE.Vector3(0, 1, 0);
+
+const _getDotSpec = (dot, damageType) => {
+  if (dot === true) {
+    return defaultDots[damageType];
+  } else if (dot) {
+    return {
+      ...defaultDots[damageType],
+      ...dot,
+    };
+  } else {
+    return null;
+  }
+};
+
+class DamageManager extends EventTarget {
+  constructor() {
+    super();
+
+    this.dots = []; // {target, damageType, damage, interval, endTime, nextTime, opts}
+  }
+  // rolls an attack spec into a hit: {damage, damageType, critical, dot}
+  rollHit({
+    damage = defaultDamage,
+    damageType = 'physical',
+    critChance = defaultCritChance,
+    critMultiplier = defaultCritMultiplier,
+    dot = null,
+  } = {}, attacker = null) {
+    if (!damageTypes.includes(damageType)) {
+      console.warn('unknown damage type', damageType);
+      damageType = 'physical';
+    }
+
+    const lck = attacker?.playerStats?.get('lck') ?? 0;
+    const critical = Math.random() < critChance + lck * critChancePerLck;
+    return {
+      damage: critical ? damage * critMultiplier : damage,
+      damageType,
+      critical,
+      dot: _getDotSpec(dot, damageType),
+    };
+  }
+  getResistances(target) {
+    return target.hitTracker?.resistances ?? target.getComponent?.('resistances') ?? {};
+  }
+  getResistance(target, damageType) {
+    return this.getResistances(target)[damageType] ?? 0;
+  }
+  // the damage left after the target's resistance
+  resist(target, damage, damageType = 'physical') {
+    return Math.max(damage * (1 - this.getResistance(target, damageType)), 0);
+  }
+  // a new dot of a type replaces the target's current one
+  addDot(target, damageType, {damage, duration, interval}, opts = {}) {
+    if (!(interval >= minDotInterval)) {
+      console.warn('dot interval too short', interval);
+      interval = minDotInterval;
+    }
+    if (this.getResistance(target, damageType) < 1) {
+      const now = performance.now();
+      this.#removeDot(target, damageType);
+      this.dots.push({
+        target,
+        damageType,
+        damage,
+        interval,
+        endTime: now + duration,
+        nextTime: now + interval,
+        opts,
+      });
+      this.#dispatchDotChange(target);
+    }
+  }
+  getDots(target) {
+    return this.dots.filter(dot => dot.target === target);
+  }
+  hasDot(target, damageType) {
+    return this.dots.some(dot => dot.target === target && dot.damageType === damageType);
+  }
+  removeDots(target) {
+    const numDots = this.dots.length;
+    this.dots = this.dots.filter(dot => dot.target !== target);
+    if (this.dots.length !== numDots) {
+      this.#dispatchDotChange(target);
+    }
+  }
+  #removeDot(target, damageType) {
+    const index = this.dots.findIndex(dot => dot.target === target && dot.damageType === damageType);
+    if (index !== -1) {
+      this.dots.splice(index, 1);
+    }
+  }
+  #dispatchDotChange(target) {
+    this.dispatchEvent(new MessageEvent('dotchange', {
+      data: {
+        target,
+        damageTypes: this.getDots(target).map(dot => dot.damageType),
+      },
+    }));
+  }
+  #isAlive(target) {
+    if (target.characterHitter) {
+      return !target.characterHitter.isDead();
+    } else {
+      return !!target.hitTracker && target.hitTracker.hp > 0;
+    }
+  }
+  #tick(dot) {
+    const {target, damageType, damage, opts} = dot;
+    const tickOpts = {
+      ...opts,
+      damageType,
+      critical: false,
+      dot: null,
+      isDot: true,
+    };
+    if (target.characterHitter) {
+      target.characterHitter.getHit(damage, tickOpts);
+    } else {
+      tickOpts.hitPosition = new THREE.Vector3().setFromMatrixPosition(target.matrixWorld)
+        .add(dotHitOffset);
+      target.hit(damage, tickOpts);
+    }
+  }
+  update(timestamp) {
+    if (this.dots.length > 0) {
+      const changedTargets = new Set();
+      for (const dot of this.dots.slice()) {
+        if (!this.#isAlive(dot.target)) {
+          changedTargets.add(dot.target);
+          continue;
+        }
+        while (dot.nextTime <= Math.min(timestamp, dot.endTime) && this.#isAlive(dot.target)) {
+          this.#tick(dot);
+          dot.nextTime += dot.interval;
+        }
+        if (timestamp >= dot.endTime || !this.#isAlive(dot.target)) {
+          changedTargets.add(dot.target);
+        }
+      }
+      if (changedTargets.size > 0) {
+        this.dots = this.dots.filter(dot => !changedTargets.has(dot.target) || (this.#isAlive(dot.target) && timestamp < dot.endTime));
+        for (const target of changedTargets) {
+          this.#dispatchDotChange(target);
+        }
+      }
+    }
+  }
+}
+const damageManager = new DamageManager();
+export default damageManager;
@@ -0,0 +1,193 @@
+/*
+this file contains authored dialogue trees, declared as dialogue in the npc json:
+  start: node id | [node id, ...] -- the first of these whose conditions are met opens the conversation
+  aiFallback -- whether the ai talks when no start node is met (default true)
+  nodes: {[id]: node}
+    text -- the npc line
+    emote -- emote played with the line
+    ai -- generate the line with the lore ai instead; text is used if that fails
+    conditions: [{key, value}] -- the node can only start the conversation if all of these are met
+    effects: [{key, value}] -- run when the line is said
+    options: [{text, emote, next, end, ai, conditions, effects}] -- player replies; options whose conditions are not met are hidden
+      next -- the node the option leads to
+      end -- the option ends the conversation
+      ai -- the option hands the rest of the conversation to the lore ai
+    next -- the node that follows a line without options
+    end -- the line ends the conversation
+conditions are {key, value}:
+  quest: {id, state} -- the quest log entry is in state ('active', 'completed', 'failed' or 'none'; default 'completed')
+  has: name | {name, quantity} -- the player has collected or wears that many of the item
+  flag: name | {name, value} -- the dialogue flag is set to value (default true)
+  all / any / not: [conditions]
+effects are {key, value}:
+  setFlag: name | {name, value} -- set a dialogue flag (default true)
+  give: {name, quantity, start_url} -- drop items for the player
+  startQuest: {start_url} -- spawn a quest app
+  and any quest complete action (drop, spawn, remember, sound).
+dialogue flags are persisted in indexeddb under 'flags'.
+*/
+
+import dropManager from './drop-manager.js';
+import questManager, {runAction} from './quest-manager.js';
+import {getLocalPlayer} from './players.js';
+import * as storage from './storage.js';
+
+const flagsStorageKey = 'flags';
+const saveDebounceTime = 1000;
+
+const _getSpecName = spec => typeof spec === 'string' ? spec : (spec?.name ?? '');
+const _namesMatch = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+//
+
+class DialogueFlags extends EventTarget {
+  constructor() {
+    super();
+
+    this.flags = {};
+    this.saveTimeout = null;
+
+    this.loadPromise = (async () => {
+      try {
+        const flags = await storage.get(flagsStorageKey);
+        if (flags) {
+          this.flags = flags;
+        }
+      } catch (err) {
+        console.warn('failed to load dialogue flags', err);
+      }
+    })();
+  }
+  waitForLoad() {
+    return this.loadPromise;
+  }
+  get(name) {
+    return this.flags[name] ?? false;
+  }
+  set(name, value = true) {
+    this.flags[name] = value;
+    this.dispatchEvent(new MessageEvent('flagchange', {
+      data: {
+        name,
+        value,
+      },
+    }));
+    this.queueSave();
+  }
+  queueSave() {
+    if (!this.saveTimeout) {
+      this.saveTimeout = setTimeout(async () => {
+        this.saveTimeout = null;
+        try {
+          await storage.set(flagsStorageKey, this.flags);
+        } catch (err) {
+          console.warn('failed to save dialogue flags', err);
+        }
+      }, saveDebounceTime);
+    }
+  }
+}
+export const dialogueFlags = new DialogueFlags();
+
+//
+
+const _countItems = name => {
+  const localPlayer = getLocalPlayer();
+  const numClaims = dropManager.claims.filter(claim => _namesMatch(claim.name ?? '', name)).length;
+  const numWorn = localPlayer.appManager.apps.filter(app => _namesMatch(app.name ?? '', name)).length;
+  return numClaims + numWorn;
+};
+const _isConditionMet = condition => {
+  const {key, value} = condition;
+  switch (key) {
+    case 'all': return value.every(_isConditionMet);
+    case 'any': return value.some(_isConditionMet);
+    case 'not': return !value.every(_isConditionMet);
+    case 'quest': {
+      const {id, state = 'completed'} = value;
+      return (questManager.getLogEntry(id)?.state ?? 'none') === state;
+    }
+    case 'has': {
+      const name = _getSpecName(value);
+      const quantity = value?.quantity ?? 1;
+      return _countItems(name) >= quantity;
+    }
+    case 'flag': {
+      const name = _getSpecName(value);
+      return dialogueFlags.get(name) === (value?.value ?? true);
+    }
+    default: {
+      console.warn('unknown dialogue condition', key, value);
+      return false;
+    }
+  }
+};
+export const areConditionsMet = (conditions = []) => conditions.every(_isConditionMet);
+
+const _runEffect = async (player, effect) => {
+  const {key, value} = effect;
+  switch (key) {
+    case 'setFlag': {
+      dialogueFlags.set(_getSpecName(value), value?.value ?? true);
+      break;
+    }
+    case 'give': {
+      await runAction(player, {
+        key: 'drop',
+        value,
+      });
+      break;
+    }
+    case 'startQuest': {
+      await runAction(player, {
+        key: 'spawn',
+        value,
+      });
+      break;
+    }
+    default: {
+      await runAction(player, effect);
+      break;
+    }
+  }
+};
+
+//
+
+export class Dialogue {
+  constructor(spec, player) {
+    this.start = Array.isArray(spec.start) ? spec.start : [spec.start ?? 'start'];
+    this.nodes = spec.nodes ?? {};
+    this.aiFallback = spec.aiFallback ?? true;
+    this.player = player; // the npc; spawned apps default to its transform
+  }
+  getNode(id) {
+    return this.nodes[id] ?? null;
+  }
+  // the flags and the quest log load from storage, so wait for them before checking anything
+  async getStartNodeId() {
+    await Promise.all([
+      dialogueFlags.waitForLoad(),
+      questManager.waitForLoad(),
+    ]);
+    return this.start.find(id => {
+      const node = this.getNode(id);
+      return !!node && areConditionsMet(node.conditions);
+    }) ?? null;
+  }
+  getOptions(node) {
+    return (node.options ?? []).filter(option => areConditionsMet(option.conditions));
+  }
+  // effects run in order but do not hold up the conversation
+  runEffects(effects = []) {
+    (async () => {
+      for (const effect of effects) {
+        try {
+          await _runEffect(this.player, effect);
+        } catch (err) {
+          console.warn('dialogue effect failed', effect, err);
+        }
+      }
+    })();
+  }
+}
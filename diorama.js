@@ -590,6 +590,17 @@ const createPlayerDiorama = ({
         grassBackground = true;
       }
     },
+    // grass, poison, noise, smoke, lightning, radial, glyph, dots, or null for none
+    setBackground(name) {
+      grassBackground = name === 'grass';
+      poisonBackground = name === 'poison';
+      noiseBackground = name === 'noise';
+      smokeBackground = name === 'smoke';
+      lightningBackground = name === 'lightning';
+      radialBackground = name === 'radial';
+      glyphBackground = name === 'glyph';
+      dotsBackground = name === 'dots';
+    },
     triggerLoad() {
       Promise.all([
         /* (async () => {
@@ -13,7 +13,7 @@ import dioramaManager from './diorama.js';
 import {world} from './world.js';
 import {buildMaterial, highlightMaterial, selectMaterial, hoverMaterial, hoverEquipmentMaterial} from './shaders.js';
 import {getRenderer, sceneLowPriority, camera} from './renderer.js';
-import {downloadFile, snapPosition, getDropUrl, handleDropJsonItem} from './util.js';
+import {downloadFile, snapPosition, getDropUrl, handleDropJsonItem, getRandomString} from './util.js';
 import {maxGrabDistance, throwReleaseTime, storageHost, minFov, maxFov, throwAnimationDuration} from './constants.js';
 import metaversefileApi from './metaversefile-api.js';
 import * as metaverseModules from './metaverse-modules.js';
@@ -25,6 +25,8 @@ import npcManager from './npc-manager.js';
 import raycastManager from './raycast-manager.js';
 import zTargeting from './z-targeting.js';
 import Avatar from './avatars/avatars.js';
+import undoManager from './undo-manager.js';
+import damageManager from './damage.js';
 
 const localVector = new THREE.Vector3();
 const localVector2 = new THREE.Vector3();
@@ -48,6 +50,14 @@ const localRay = new THREE.Ray();
 const physicsScene = physicsManager.getScene();
 let isMouseUp = false;
 
+// player portrait backgrounds for damage over time, the first matching type wins
+const dotBackgroundPriority = ['poison', 'lightning', 'fire'];
+const dotBackgrounds = {
+  poison: 'poison',
+  lightning: 'lightning',
+  fire: 'smoke',
+};
+
 // const zeroVector = new THREE.Vector3(0, 0, 0);
 // const oneVector = new THREE.Vector3(1, 1, 1);
 // const cubicBezier = easing(0, 1, 0, 1);
@@ -288,6 +298,48 @@ sceneLowPriority.add(mouseSelectPhysicsMesh);
 let mouseSelectedObject = null;
 let mouseSelectedPhysicsId = 0;
 let mouseSelectedPosition = null;
+// the full selection, including mouseSelectedObject; the others get their own meshes
+let mouseSelectedObjects = [];
+const mouseMultiSelectPhysicsMeshes = [];
+const _getMouseMultiSelectPhysicsMesh = index => {
+  while (mouseMultiSelectPhysicsMeshes.length <= index) {
+    const mesh = _makeHighlightPhysicsMesh(selectMaterial);
+    mesh.visible = false;
+    sceneLowPriority.add(mesh);
+    mouseMultiSelectPhysicsMeshes.push(mesh);
+  }
+  return mouseMultiSelectPhysicsMeshes[index];
+};
+const _getAppPhysicsId = app => {
+  const physicsObjects = app.getPhysicsObjects();
+  return physicsObjects.length > 0 ? physicsObjects[0].physicsId : 0;
+};
+// selecting any member of a group selects the whole group
+const _getGroupedApps = app => {
+  const groupId = app.getComponent('group');
+  if (groupId) {
+    return world.appManager.apps.filter(app => app.getComponent('group') === groupId);
+  } else {
+    return [app];
+  }
+};
+world.appManager.addEventListener('appremove', e => {
+  const app = e.data;
+  if (mouseSelectedObjects.includes(app)) {
+    mouseSelectedObjects = mouseSelectedObjects.filter(a => a !== app);
+  }
+});
+const _expandGroups = apps => {
+  const result = [];
+  for (const app of apps) {
+    for (const groupedApp of _getGroupedApps(app)) {
+      if (!result.includes(groupedApp)) {
+        result.push(groupedApp);
+      }
+    }
+  }
+  return result;
+};
 
 const mouseDomHoverPhysicsMesh = _makeHighlightPhysicsMesh(hoverMaterial);
 mouseDomHoverPhysicsMesh.visible = false;
@@ -347,14 +399,20 @@ const _delete = () => {
     const localPlayer = getLocalPlayer();
     localPlayer.ungrab();
     
+    // part of the grab edit, so undo puts the object back where it was picked up
     world.appManager.removeTrackedApp(grabbedObject.instanceId);
+    undoManager.endEdit();
 
   } else if (highlightedPhysicsObject) {
-    world.appManager.removeTrackedApp(highlightedPhysicsObject.instanceId);
+    undoManager.transact(() => {
+      world.appManager.removeTrackedApp(highlightedPhysicsObject.instanceId);
+    });
     highlightedPhysicsObject = null;
 
   } else if (mouseSelectedObject) {
-    world.appManager.removeTrackedApp(mouseSelectedObject.instanceId);
+    undoManager.transact(() => {
+      world.appManager.removeTrackedApp(mouseSelectedObject.instanceId);
+    });
     
     if (mouseHoverObject === mouseSelectedObject) {
       gameManager.setMouseHoverObject(null);
@@ -364,8 +422,7 @@ const _delete = () => {
 };
 const _click = e => {
   if (_getGrabbedObject(0)) {
-    const localPlayer = getLocalPlayer();
-    localPlayer.ungrab();
+    _ungrab();
   } else {
     if (highlightedPhysicsObject) {
       _grab(highlightedPhysicsObject);
@@ -407,6 +464,8 @@ const _startUse = () => {
         };
         // console.log('new use action', newUseAction, useComponent, {animation, animationCombo, animationEnvelope});
         localPlayer.addAction(newUseAction);
+        // turn the attack to a nearby enemy
+        zTargeting.softLock();
 
         wearApp.use();
       }
@@ -433,12 +492,21 @@ const _mouseup = () => {
 };
 
 const _grab = object => {
+  // the whole grab, including rotates and pushes, is one undo step
+  undoManager.beginEdit();
+
   const localPlayer = getLocalPlayer();
   localPlayer.grab(object);
   
   gameManager.gridSnap = 0;
   gameManager.editMode = false;
 };
+const _ungrab = () => {
+  const localPlayer = getLocalPlayer();
+  localPlayer.ungrab();
+
+  undoManager.endEdit();
+};
 
 const hitRadius = 1;
 const hitHeight = 0.2;
@@ -699,6 +767,26 @@ const _gameUpdate = (timestamp, timeDiff) => {
         console.warn('no physics transform for object', o, physicsId, physicsTransform);
       } */
     }
+
+    let numMultiSelectMeshes = 0;
+    for (const app of mouseSelectedObjects) {
+      if (app !== o) {
+        for (const physicsObject of app.getPhysicsObjects()) {
+          const {physicsMesh} = physicsObject;
+          const mesh = _getMouseMultiSelectPhysicsMesh(numMultiSelectMeshes++);
+          mesh.geometry = physicsMesh.geometry;
+          localMatrix2.copy(physicsMesh.matrixWorld)
+            .decompose(mesh.position, mesh.quaternion, mesh.scale);
+          mesh.material.uniforms.uTime.value = (now%1500)/1500;
+          mesh.material.uniforms.uTime.needsUpdate = true;
+          mesh.visible = true;
+          mesh.updateMatrixWorld();
+        }
+      }
+    }
+    for (let i = numMultiSelectMeshes; i < mouseMultiSelectPhysicsMeshes.length; i++) {
+      mouseMultiSelectPhysicsMeshes[i].visible = false;
+    }
   };
   _updateMouseSelect();
   
@@ -970,6 +1058,8 @@ const _gameUpdate = (timestamp, timeDiff) => {
         localPlayer.headTargetEnabled = true;
       } else if (zTargeting?.focusTargetReticle?.position) {
         localPlayer.setTarget(zTargeting.focusTargetReticle.position);
+      } else if (zTargeting?.lockTarget) {
+        localPlayer.setTarget(zTargeting.lockReticle.position);
       } else {
         localPlayer.setTarget(null);
       }
@@ -1197,6 +1287,12 @@ class GameManager extends EventTarget {
   menuMiddleToggle() {
     zTargeting.toggle();
   }
+  menuLockOn() {
+    zTargeting.lockOn();
+  }
+  menuCycleTarget() {
+    zTargeting.cycleLockTarget();
+  }
   menuDragdownRight(e) {
     // this.draggingRight = true;
   }
@@ -1210,11 +1306,24 @@ class GameManager extends EventTarget {
     menuMesh.key(c);
   }
   menuSelectAll() {
-    menuMesh.selectAll();
+    this.setMouseSelectedObjects(world.appManager.apps.slice());
   }
   menuPaste(s) {
     menuMesh.paste(s);
   }
+  menuUndo() {
+    // finish any grab first so that it lands in the history
+    if (_getGrabbedObject(0)) {
+      _ungrab();
+    }
+    undoManager.undo();
+  }
+  menuRedo() {
+    if (_getGrabbedObject(0)) {
+      _ungrab();
+    }
+    undoManager.redo();
+  }
   inputFocused() {
     return !!document.activeElement && ['INPUT', 'TEXTAREA'].includes(document.activeElement.nodeName);
   }
@@ -1232,8 +1341,7 @@ class GameManager extends EventTarget {
   dropSelectedApp() {
     const app = loadoutManager.getSelectedApp();
     if (app) {
-      const localPlayer = getLocalPlayer();
-      localPlayer.unwear(app, {
+      undoManager.unwear(app, {
         /* dropStartPosition: localVector.copy(localPlayer.position)
           .add(localVector2.set(0, 0.5, -1).applyQuaternion(localPlayer.quaternion)),
         dropDirection: zeroVector, */
@@ -1244,8 +1352,7 @@ class GameManager extends EventTarget {
     if (this.selectedIndex !== -1) {
       const app = loadoutManager.getSelectedApp();
       if (app) {
-        const localPlayer = getLocalPlayer();
-        localPlayer.unwear(app, {
+        undoManager.unwear(app, {
           destroy: true,
         });
       }
@@ -1437,13 +1544,18 @@ class GameManager extends EventTarget {
     const app = await metaversefileApi.createAppAsync({
       start_url: u,
     });
-    world.appManager.importApp(app);
+    undoManager.transact(() => {
+      world.appManager.importApp(app);
+    });
     app.activate();
     // XXX set to index
   }
   selectLoadout(index) {
     loadoutManager.setSelectedIndex(index);
   }
+  selectAdjacentLoadout(offset) {
+    loadoutManager.selectAdjacentIndex(offset);
+  }
   canToggleAxis() {
     return false; // !!world.appManager.grabbedObjects[0]; // || (editedObject && editedObject.isBuild);
   }
@@ -1460,8 +1572,7 @@ class GameManager extends EventTarget {
         this.setMouseSelectedObject(null);
       }
       if (_getGrabbedObject(0)) {
-        const localPlayer = getLocalPlayer();
-        localPlayer.ungrab();
+        _ungrab();
       } 
     }
   }
@@ -1482,7 +1593,7 @@ class GameManager extends EventTarget {
       }
     }
 
-    if (!localPlayer.hasAction('jump') && !localPlayer.hasAction('fly') && !localPlayer.hasAction('fallLoop') && !localPlayer.hasAction('swim')) {
+    if (!localPlayer.hasAction('jump') && !localPlayer.hasAction('fly') && !localPlayer.hasAction('fallLoop') && !localPlayer.hasAction('swim') && !localPlayer.hasAction('dead')) {
       const newJumpAction = {
         type: 'jump',
         trigger:trigger,
@@ -1561,7 +1672,32 @@ class GameManager extends EventTarget {
   getMouseSelectedPosition() {
     return mouseSelectedPosition;
   }
+  getMouseSelectedObjects() {
+    return mouseSelectedObjects;
+  }
   setMouseSelectedObject(o, physicsId, position) {
+    mouseSelectedObjects = o ? _getGroupedApps(o) : [];
+    this.#setMouseSelectedObjectInternal(o, physicsId, position);
+  }
+  // replace the selection, e.g. from a box select; the last app becomes the primary selection
+  setMouseSelectedObjects(apps) {
+    mouseSelectedObjects = _expandGroups(apps);
+    const o = apps.length > 0 ? apps[apps.length - 1] : null;
+    this.#setMouseSelectedObjectInternal(o, o ? _getAppPhysicsId(o) : 0, null);
+  }
+  // shift-click
+  toggleMouseSelectedObject(o, physicsId, position) {
+    const groupedApps = _getGroupedApps(o);
+    if (mouseSelectedObjects.includes(o)) {
+      mouseSelectedObjects = mouseSelectedObjects.filter(app => !groupedApps.includes(app));
+      const lastApp = mouseSelectedObjects.length > 0 ? mouseSelectedObjects[mouseSelectedObjects.length - 1] : null;
+      this.#setMouseSelectedObjectInternal(lastApp, lastApp ? _getAppPhysicsId(lastApp) : 0, null);
+    } else {
+      mouseSelectedObjects = mouseSelectedObjects.concat(groupedApps.filter(app => !mouseSelectedObjects.includes(app)));
+      this.#setMouseSelectedObjectInternal(o, physicsId, position);
+    }
+  }
+  #setMouseSelectedObjectInternal(o, physicsId, position) {
     mouseSelectedObject = o;
     mouseSelectedPhysicsId = physicsId;
     if (mouseSelectedObject && position) {
@@ -1573,11 +1709,86 @@ class GameManager extends EventTarget {
     world.appManager.dispatchEvent(new MessageEvent('selectchange', {
       data: {
         app: mouseSelectedObject,
+        apps: mouseSelectedObjects,
         physicsId: mouseSelectedPhysicsId,
         position: mouseSelectedPosition,
       },
     }));
   }
+  deleteMouseSelectedObjects() {
+    const apps = mouseSelectedObjects;
+    if (apps.length > 0) {
+      this.setMouseHoverObject(null);
+      this.setMouseSelectedObject(null);
+      undoManager.transact(() => {
+        for (const app of apps) {
+          if (world.appManager.hasTrackedApp(app.instanceId)) {
+            world.appManager.removeTrackedApp(app.instanceId);
+          }
+        }
+      });
+    }
+  }
+  // group the selected apps under a new group root app placed at their center
+  groupMouseSelectedObjects() {
+    const apps = mouseSelectedObjects.filter(app => world.appManager.hasTrackedApp(app.instanceId));
+    const oldRoots = apps.filter(app => app.getComponent('group') === app.instanceId);
+    const members = apps.filter(app => !oldRoots.includes(app));
+    if (members.length >= 2) {
+      const groupId = getRandomString();
+      const center = localVector.set(0, 0, 0);
+      for (const app of members) {
+        center.add(app.position);
+      }
+      center.divideScalar(members.length);
+
+      undoManager.transact(() => {
+        for (const app of oldRoots) {
+          world.appManager.removeTrackedApp(app.instanceId);
+        }
+        for (const app of members) {
+          world.appManager.setTrackedAppComponent(app.instanceId, 'group', groupId);
+        }
+        world.appManager.addTrackedApp(
+          metaverseModules.moduleUrls.group,
+          center,
+          localQuaternion.identity(),
+          localVector2.set(1, 1, 1),
+          [
+            {
+              key: 'group',
+              value: groupId,
+            },
+          ],
+          groupId,
+        );
+      });
+
+      mouseSelectedObjects = members;
+    }
+  }
+  ungroupMouseSelectedObjects() {
+    const groupIds = new Set();
+    for (const app of mouseSelectedObjects) {
+      const groupId = app.getComponent('group');
+      if (groupId) {
+        groupIds.add(groupId);
+      }
+    }
+    if (groupIds.size > 0) {
+      const members = mouseSelectedObjects.filter(app => !groupIds.has(app.instanceId));
+      undoManager.transact(() => {
+        for (const app of mouseSelectedObjects) {
+          if (groupIds.has(app.instanceId)) {
+            world.appManager.removeTrackedApp(app.instanceId);
+          } else if (groupIds.has(app.getComponent('group'))) {
+            world.appManager.setTrackedAppComponent(app.instanceId, 'group', null);
+          }
+        }
+      });
+      this.setMouseSelectedObjects(members);
+    }
+  }
   getMouseDomHoverObject() {
     return mouseDomHoverObject;
   }
@@ -1648,6 +1859,12 @@ class GameManager extends EventTarget {
     const localPlayer = getLocalPlayer();
     localPlayer.removeAction('activate');
   }
+  // a tap on the app in reach activates it, as if the activate key was held until it fires
+  menuTap(app) {
+    if (app && grabUseMesh.visible && grabUseMesh.targetApp === app) {
+      this.menuActivateDown();
+    }
+  }
   setAvatarQuality(quality) {
     const localPlayer = getLocalPlayer();
     localPlayer.avatar.setQuality(quality);
@@ -1665,6 +1882,15 @@ class GameManager extends EventTarget {
       // glyphBackground: true,
     });
 
+    // the portrait shows what the player is suffering from
+    damageManager.addEventListener('dotchange', e => {
+      const {target, damageTypes} = e.data;
+      if (target === localPlayer) {
+        const damageType = dotBackgroundPriority.find(damageType => damageTypes.includes(damageType));
+        this.playerDiorama.setBackground(damageType ? dotBackgrounds[damageType] : 'grass');
+      }
+    });
+
     localPlayer.addEventListener('avatarchange', e => {
       this.playerDiorama.setObjects([
         e.avatar.model,
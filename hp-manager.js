@@ -7,6 +7,7 @@ import {scene} from './renderer.js';
 import * as metaverseModules from './metaverse-modules.js';
 import * as sounds from './sounds.js';
 import metaversefileApi from 'metaversefile';
+import damageManager from './damage.js';
 
 // const localVector = new THREE.Vector3();
 const localEuler = new THREE.Euler();
@@ -26,6 +27,30 @@ const damagePhysicsMesh = _makeDamagePhysicsMesh();
 damagePhysicsMesh.visible = false;
 scene.add(damagePhysicsMesh);
 
+// the damage number popping up at position, turned to the heading of quaternion
+const addDamageMesh = (position, quaternion, {damage, damageType, critical}) => {
+  const damageMeshApp = metaversefileApi.createApp({
+    components: [
+      {key: 'damage', value: damage},
+      {key: 'damageType', value: damageType},
+      {key: 'critical', value: critical},
+    ],
+  });
+  (async () => {
+    await metaverseModules.waitForLoad();
+    const {modules} = metaversefileApi.useDefaultModules();
+    const m = modules['damageMesh'];
+    await damageMeshApp.addModule(m);
+  })();
+  damageMeshApp.position.copy(position);
+  localEuler.setFromQuaternion(quaternion, 'YXZ');
+  localEuler.x = 0;
+  localEuler.z = 0;
+  damageMeshApp.quaternion.setFromEuler(localEuler);
+  damageMeshApp.updateMatrixWorld();
+  scene.add(damageMeshApp);
+};
+
 const hitAnimationLength = 300;
 let damageAnimation = null;
 const update = (timestamp, timeDiff) => {
@@ -60,6 +85,7 @@ const triggerDamageAnimation = collisionId => {
 
 const makeHitTracker = ({
   totalHp = 100,
+  resistances = null, // else the app's resistances component
 } = {}) => {
   const hitTracker = new THREE.Object3D();
   hitTracker.name = 'hitTracker';
@@ -67,6 +93,7 @@ const makeHitTracker = ({
   let hitTime = -1;
   hitTracker.hp = totalHp;
   hitTracker.totalHp = totalHp;
+  hitTracker.resistances = resistances;
   let currentApp = null;
   const frame = e => {
     hitTracker.update(e.data.timeDiff);
@@ -105,10 +132,21 @@ const makeHitTracker = ({
     }
   };
   hitTracker.hit = (damage, opts) => {
-    const result = hitTracker.damage(damage);
+    const {
+      collisionId,
+      hitPosition,
+      hitDirection,
+      hitQuaternion,
+      attacker = null,
+      damageType = 'physical',
+      critical = false,
+      dot = null,
+      isDot = false,
+    } = opts;
+    damage = damageManager.resist(currentApp, damage, damageType);
+    const result = hitTracker.damage(damage, {isDot});
     const {hit, died} = result;
     if (hit) {
-      const {collisionId, hitPosition, hitDirection, hitQuaternion} = opts;
 
       if (died) {
         triggerDamageAnimation(collisionId);
@@ -116,24 +154,11 @@ const makeHitTracker = ({
         sounds.playSoundName('enemyDeath');
       }
 
-      {
-        const damageMeshApp = metaversefileApi.createApp();
-        (async () => {
-          await metaverseModules.waitForLoad();
-          const {modules} = metaversefileApi.useDefaultModules();
-          const m = modules['damageMesh'];
-          await damageMeshApp.addModule(m);
-        })();
-        damageMeshApp.position.copy(hitPosition);
-        localEuler.setFromQuaternion(hitQuaternion, 'YXZ');
-        localEuler.x = 0;
-        localEuler.z = 0;
-        damageMeshApp.quaternion.setFromEuler(localEuler);
-        damageMeshApp.updateMatrixWorld();
-        scene.add(damageMeshApp);
-      }
+      addDamageMesh(hitPosition, hitQuaternion, {damage, damageType, critical});
 
-      sounds.playSoundName('enemyCut');
+      if (!isDot) {
+        sounds.playSoundName('enemyCut');
+      }
 
       const hitEvent = {
         type: 'hit',
@@ -141,30 +166,59 @@ const makeHitTracker = ({
         hitPosition,
         hitDirection,
         hitQuaternion,
+        attacker,
+        damage,
+        damageType,
+        critical,
+        isDot,
         // willDie,
         hp: hitTracker.hp,
         totalHp: hitTracker.totalHp,
       };
       // hitTracker.dispatchEvent(hitEvent);
       currentApp.dispatchEvent(hitEvent);
+      if (dot && !died) {
+        damageManager.addDot(currentApp, damageType, dot, {
+          collisionId,
+          hitDirection,
+          hitQuaternion,
+          attacker,
+        });
+      }
       if (died) {
+        damageManager.removeDots(currentApp);
         const dieEvent = {
           type: 'die',
+          attacker,
           // position: cylinderMesh.position,
           // quaternion: cylinderMesh.quaternion,
         };
         // hitTracker.dispatchEvent();
         currentApp.dispatchEvent(dieEvent);
+        // the attacker's stats count the kill
+        attacker?.dispatchEvent({
+          type: 'kill',
+          app: currentApp,
+        });
       }
     }
     return result;
   };
 
-  hitTracker.damage = damage => {
-    if (hitTime === -1) {
+  // damage over time lands during the hit animation, without restarting it
+  hitTracker.damage = (damage, {isDot = false} = {}) => {
+    // the dead only die once
+    if (hitTracker.hp <= 0) {
+      return {
+        hit: false,
+        died: false,
+      };
+    } else if (hitTime === -1 || isDot) {
       hitTracker.hp = Math.max(hitTracker.hp - damage, 0);
       if (hitTracker.hp > 0) {
-        hitTime = 0;
+        if (!isDot) {
+          hitTime = 0;
+        }
         
         /* hitTracker.dispatchEvent({
           type: 'hit',
@@ -208,6 +262,7 @@ const makeHitTracker = ({
 
 const hpManager = {
   makeHitTracker,
+  addDamageMesh,
   update,
   // triggerDamageAnimation,
 };
@@ -24,11 +24,12 @@ import transformControls from './transform-controls.js';
 import storyManager from './story.js';
 // import domRenderer from './dom-renderer.jsx';
 import raycastManager from './raycast-manager.js';
+import keybindingsManager, {getMouseBinding, getGamepadBinding, defaultGamepadSettings} from './keybindings-manager.js';
 
 // const localVector = new THREE.Vector3();
 // const localVector2 = new THREE.Vector3();
 const localVector3 = new THREE.Vector3();
-// const localVector2D = new THREE.Vector2();
+const localVector2D = new THREE.Vector2();
 // const localVector2D2 = new THREE.Vector2();
 // const localQuaternion = new THREE.Quaternion();
 const localQuaternion2 = new THREE.Quaternion();
@@ -73,18 +74,12 @@ ioManager.keys = {
   space: false,
   ctrl: false,
 };
-const lastKeysDownTime = {
-  keyW: 0,
-  keyA: 0,
-  keyS: 0,
-  keyD: 0,
-  keyE: 0,
-};
 
 const resetKeys = () => {
   for (const k in ioManager.keys) {
     ioManager.keys[k] = false;
   }
+  inputsDown.clear();
 };
 
 cameraManager.addEventListener('pointerlockchange', () => {
@@ -120,6 +115,108 @@ const _updateVertical = direction => {
 const keysDirection = new THREE.Vector3();
 ioManager.keysDirection = keysDirection;
 
+// gamepad and touch sticks
+
+const stickLookSpeed = Math.PI; // radians per second at full stick and the default sensitivity
+const gamepadButtonThreshold = 0.5;
+const gamepadButtonsDown = [];
+const gamepadDirection = new THREE.Vector3();
+ioManager.gamepadDirection = gamepadDirection;
+
+const _getGamepad = () => {
+  const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+  for (const gamepad of gamepads) {
+    if (gamepad && gamepad.connected && gamepad.mapping === 'standard') {
+      return gamepad;
+    }
+  }
+  return null;
+};
+// radial dead zone, rescaled so the stick ramps up from zero at its edge
+const _applyDeadZone = (x, y, deadZone, target) => {
+  target.set(x, y);
+  const length = target.length();
+  if (length <= deadZone) {
+    target.set(0, 0);
+  } else {
+    target.multiplyScalar(Math.min((length - deadZone) / (1 - deadZone), 1) / length);
+  }
+  return target;
+};
+const _releaseGamepadButtons = () => {
+  for (let i = 0; i < gamepadButtonsDown.length; i++) {
+    if (gamepadButtonsDown[i]) {
+      ioManager.actionUp(getGamepadBinding(i));
+      gamepadButtonsDown[i] = false;
+    }
+  }
+};
+const _updateGamepad = timeDiff => {
+  gamepadDirection.set(0, 0, 0);
+
+  const gamepad = _getGamepad();
+  if (gamepad && !_inputFocused()) {
+    const {deadZone, lookSensitivity, invertLook} = keybindingsManager.getGamepadSettings();
+
+    // buttons and triggers go through the action map
+    for (let i = 0; i < gamepad.buttons.length; i++) {
+      const button = gamepad.buttons[i];
+      const down = button.pressed || button.value > gamepadButtonThreshold;
+      const input = getGamepadBinding(i);
+      if (down && !gamepadButtonsDown[i]) {
+        const actionName = keybindingsManager.getAction(input);
+        if (actionName) {
+          ioManager.actionDown(input, actionName);
+        }
+      } else if (!down && gamepadButtonsDown[i]) {
+        ioManager.actionUp(input);
+      }
+      gamepadButtonsDown[i] = down;
+    }
+
+    // left stick moves
+    const move = _applyDeadZone(gamepad.axes[0] ?? 0, gamepad.axes[1] ?? 0, deadZone / 100, localVector2D);
+    gamepadDirection.set(move.x, 0, move.y);
+
+    // right stick looks
+    const look = _applyDeadZone(gamepad.axes[2] ?? 0, gamepad.axes[3] ?? 0, deadZone / 100, localVector2D);
+    if (look.x !== 0 || look.y !== 0) {
+      const angle = stickLookSpeed * (lookSensitivity / defaultGamepadSettings.lookSensitivity) * timeDiff / 1000;
+      cameraManager.rotateCamera(-look.x * angle, (invertLook ? look.y : -look.y) * angle);
+    }
+  } else {
+    _releaseGamepadButtons();
+  }
+};
+
+// the touch controls set the virtual stick positions, -1 to 1
+const touchDirection = new THREE.Vector3();
+const touchLook = new THREE.Vector2();
+ioManager.setTouchMove = (x, y) => {
+  touchDirection.set(x, 0, y);
+};
+ioManager.setTouchLook = (x, y) => {
+  touchLook.set(x, y);
+};
+ioManager.tap = (clientX, clientY) => {
+  raycastManager.setLastMouseEvent({
+    clientX,
+    clientY,
+    deltaX: 0,
+    deltaY: 0,
+  });
+  raycastManager.update();
+  const collision = raycastManager.getCollision();
+  game.menuTap(collision ? collision.app : null);
+};
+const _updateTouch = timeDiff => {
+  if (touchLook.x !== 0 || touchLook.y !== 0) {
+    const {lookSensitivity, invertLook} = keybindingsManager.getGamepadSettings();
+    const angle = stickLookSpeed * (lookSensitivity / defaultGamepadSettings.lookSensitivity) * timeDiff / 1000;
+    cameraManager.rotateCamera(-touchLook.x * angle, (invertLook ? touchLook.y : -touchLook.y) * angle);
+  }
+};
+
 const _updateIo = timeDiff => {
   const renderer = getRenderer();
   const xrCamera = renderer.xr.getSession() ? renderer.xr.getCamera(camera) : camera;
@@ -217,11 +314,16 @@ const _updateIo = timeDiff => {
       }
     }
   } else {
+    _updateGamepad(timeDiff);
+    _updateTouch(timeDiff);
+
     keysDirection.set(0, 0, 0);
     
     const localPlayer = metaversefile.useLocalPlayer();
     
     _updateHorizontal(keysDirection);
+    keysDirection.add(gamepadDirection)
+      .add(touchDirection);
     if (keysDirection.equals(zeroVector)) {
       if (localPlayer.hasAction('narutoRun')) {
         keysDirection.copy(cameraManager.lastNonzeroDirectionVector);
@@ -255,10 +357,12 @@ const _updateIo = timeDiff => {
       }
       ioManager.lastCtrlKey = ioManager.keys.ctrl;
     }
-    if (keysDirection.length() > 0 && physicsScene.getPhysicsEnabled() && movementEnabled) {
+    if (keysDirection.length() > 0 && physicsScene.getPhysicsEnabled() && movementEnabled && !localPlayer.characterHitter.isDead()) {
+      // a stick pushed part way walks slower; keys are always full speed
+      const magnitude = Math.min(keysDirection.length(), 1);
       localPlayer.characterPhysics.applyWasd(
         keysDirection.normalize()
-          .multiplyScalar(game.getSpeed() * timeDiff)
+          .multiplyScalar(game.getSpeed() * timeDiff * magnitude)
       );
     }
   }
@@ -297,211 +401,118 @@ ioManager.bindInterface = () => {
   }
 }; */
 const doubleTapTime = 200;
-ioManager.keydown = e => {
-  if (_inputFocused() || e.repeat) {
-    return;
+const lastActionsDownTime = {};
+const _doubleTap = (actionName, oppositeActionName) => {
+  const now = performance.now();
+  const timeDiff = now - (lastActionsDownTime[actionName] ?? 0);
+  if (timeDiff < doubleTapTime && ioManager.keys.shift) {
+    ioManager.keys.doubleTap = true;
+    game.menuDoubleTap();
   }
-
-  if (e.keyCode === 18) { // alt
-    e.preventDefault();
-    e.stopPropagation();
-    return;
-  }
-
-  // HACK: these keybindings control developer avatar animation offset settings in avatars.js
-  /* if (e.which === 74) {
-    window.lol -= 0.01;
-    console.log(window.lol);
-  } else if (e.which === 75) {
-    window.lol += 0.01;
-    console.log(window.lol);
-  } else if (e.which === 78) {
-    window.lol2 += 0.01;
-    console.log(window.lol2);
-  } else if (e.which === 77) {
-    window.lol2 += 0.01;
-    console.log(window.lol2);
-  } */
-
-  switch (e.which) {
-    case 9: { // tab
-      break;
-    }
-    case 49: // 1
-    case 50: // 2
-    case 51: // 3
-    case 52: // 4
-    case 53: // 5
-    case 54: // 6
-    case 55: // 7
-    case 56: // 8
-    {
-      game.selectLoadout(e.which - 49);
-      break;
-    }
-    case 87: { // W
+  lastActionsDownTime[actionName] = now;
+  lastActionsDownTime[oppositeActionName] = 0;
+};
+// what each bound action does on press and release
+const actionHandlers = {
+  moveForward: {
+    down() {
       ioManager.keys.up = true;
       if (!cameraManager.pointerLockElement) {
         game.menuVertical(-1);
       }
-
-      const now = performance.now();
-      const timeDiff = now - lastKeysDownTime.keyW;
-      if (timeDiff < doubleTapTime && ioManager.keys.shift) {
-        ioManager.keys.doubleTap = true;
-        game.menuDoubleTap();
-      }
-      lastKeysDownTime.keyW = now;
-      lastKeysDownTime.keyS = 0;
-      break;
-    }
-    case 65: { // A
+      _doubleTap('moveForward', 'moveBack');
+    },
+    up() {
+      ioManager.keys.up = false;
+    },
+  },
+  moveLeft: {
+    down() {
       ioManager.keys.left = true;
       if (!cameraManager.pointerLockElement) {
         game.menuHorizontal(-1);
       }
-
-      const now = performance.now();
-      const timeDiff = now - lastKeysDownTime.keyA;
-      if (timeDiff < doubleTapTime && ioManager.keys.shift) {
-        ioManager.keys.doubleTap = true;
-        game.menuDoubleTap();
-      }
-      lastKeysDownTime.keyA = now;
-      lastKeysDownTime.keyD = 0;
-      break;
-    }
-    case 83: { // S
-      if (e.ctrlKey) {
-        e.preventDefault();
-        e.stopPropagation();
-
-        game.saveScene();
-      } else {
-        ioManager.keys.down = true;
-        if (!cameraManager.pointerLockElement) {
-          if (game.menuOpen) {
-            game.menuVertical(1);
-          } else {
-            // if (!game.dragging) {
-              // _setTransformMode('scale');
-            // }
-          }
-        }
-
-        const now = performance.now();
-        const timeDiff = now - lastKeysDownTime.keyS;
-        if (timeDiff < doubleTapTime && ioManager.keys.shift) {
-          ioManager.keys.doubleTap = true;
-          game.menuDoubleTap();
-        }
-        lastKeysDownTime.keyS = now;
-        lastKeysDownTime.keyW = 0;
+      _doubleTap('moveLeft', 'moveRight');
+    },
+    up() {
+      ioManager.keys.left = false;
+    },
+  },
+  moveBack: {
+    down() {
+      ioManager.keys.down = true;
+      if (!cameraManager.pointerLockElement && game.menuOpen) {
+        game.menuVertical(1);
       }
-      break;
-    }
-    case 68: { // D
+      _doubleTap('moveBack', 'moveForward');
+    },
+    up() {
+      ioManager.keys.down = false;
+    },
+  },
+  moveRight: {
+    down() {
       ioManager.keys.right = true;
       if (!cameraManager.pointerLockElement) {
         game.menuHorizontal(1);
       }
+      _doubleTap('moveRight', 'moveLeft');
+    },
+    up() {
+      ioManager.keys.right = false;
+    },
+  },
+  jump: {
+    down() {
+      ioManager.keys.space = true;
+      if (!game.isJumping()) {
+        game.jump('jump');
+      }
+    },
+    up() {
+      ioManager.keys.space = false;
+    },
+  },
+  run: {
+    down() {
+      ioManager.keys.shift = true;
+    },
+    up() {
+      ioManager.keys.shift = false;
+      ioManager.keys.doubleTap = false;
 
-      const now = performance.now();
-      const timeDiff = now - lastKeysDownTime.keyD;
-      if (timeDiff < doubleTapTime && ioManager.keys.shift) {
-        ioManager.keys.doubleTap = true;
-        game.menuDoubleTap();
+      game.menuUnDoubleTap();
+    },
+  },
+  crouch: {
+    down() {
+      if (game.canPush()) {
+        ioManager.keys.backward = true;
+      } else {
+        ioManager.keys.ctrl = true;
       }
-      lastKeysDownTime.keyD = now;
-      lastKeysDownTime.keyA = 0;
-      break;
-    }
-    case 70: { // F
-      e.preventDefault();
-      e.stopPropagation();
+    },
+    up() {
+      ioManager.keys.backward = false;
+      ioManager.keys.ctrl = false;
+    },
+  },
+  fly: {
+    down() {
       if (game.canPush()) {
         ioManager.keys.forward = true;
       } else {
-        /* if (game.canJumpOff()) {
-          game.jumpOff();
-        } */
         game.toggleFly();
       }
-      break;
-    }
-    /* case 90: { // Z
-      if (!e.ctrlKey) {
-        if (game.canStartBuild()) {
-          game.startBuild('wall');
-        } else if (game.canBuild()) {
-          game.setBuildMode('wall');
-        }
-      }
-      break;
-    } */
-    case 88: { // X
-      if (!e.ctrlKey) {
-        /* if (game.canStartBuild()) {
-          game.startBuild('floor');
-        } else if (game.canBuild()) {
-          game.setBuildMode('floor');
-        } else { */
-          game.menuDelete();
-        // }
-      }
-      break;
-    }
-    case 67: { // C
-      // if (!e.ctrlKey) {
-        /* if (game.canStartBuild()) {
-          game.startBuild('stair');
-        } else if (game.canBuild()) {
-          game.setBuildMode('stair');
-        } else */if (game.canPush()) {
-          ioManager.keys.backward = true;
-        } else {
-          ioManager.keys.ctrl = true;
-        }
-      // }
-      break;
-    }
-    /* case 73: { // I
-      inventoryToggle();
-      break;
-    } */
-    /* case 82: { // R
-      e.preventDefault();
-      e.stopPropagation();
-      document.getElementById('key-r').click(); // equip
-      break;
-    } */
-    case 71: { // G
-      // game.menuDrop();
-      // game.menuGDown();
-      game.menuSwitchCharacter();
-      break;
-    }
-    case 86: { // V
-      // if (!_inputFocused()) {
-        e.preventDefault();
-        e.stopPropagation();
-        game.menuVDown(e);
-      // }
-      break;
-    }
-    case 66: { // B
-      // if (!_inputFocused()) {
-        e.preventDefault();
-        e.stopPropagation();
-        game.menuBDown(e);
-      // }
-      break;
-    }
-    case 69: { // E
-      // if (cameraManager.pointerLockElement) {
-      
+    },
+    up() {
+      ioManager.keys.forward = false;
+    },
+  },
+  interact: {
+    down() {
       const now = performance.now();
-      const timeDiff = now - lastKeysDownTime.keyE;
+      const timeDiff = now - (lastActionsDownTime.interact ?? 0);
       if (timeDiff < doubleTapTime) {
         game.menuMiddleToggle();
       } else {
@@ -513,101 +524,241 @@ ioManager.keydown = e => {
           game.menuActivateDown();
         }
       }
-      lastKeysDownTime.keyE = now;
-
-      // }
-      break;
-    }
-    case 84: { // T
-      e.preventDefault();
-      e.stopPropagation();
-      voiceInput.toggleMic();
-      break;
-    }
-    case 89: { // Y
-      e.preventDefault();
-      e.stopPropagation();
-      voiceInput.toggleSpeech();
-      break;
-    }
-    case 80: { // P
-      // game.destroyWorld()
-      // game.menuPhysics();
-      break;
-    }
-    case 82: { // R
+      lastActionsDownTime.interact = now;
+    },
+    up() {
+      if (cameraManager.pointerLockElement) {
+        game.menuActivateUp();
+      }
+    },
+  },
+  attack: {
+    down() {
+      game.menuMouseDown();
+    },
+    up() {
+      game.menuMouseUp();
+    },
+  },
+  aim: {
+    down() {
+      game.menuAim();
+    },
+    up() {
+      game.menuUnaim();
+    },
+  },
+  lockOn: {
+    down() {
+      game.menuLockOn();
+    },
+  },
+  cycleTarget: {
+    down() {
+      game.menuCycleTarget();
+    },
+  },
+  drop: {
+    down() {
       if (cameraManager.pointerLockElement) {
         if (game.canRotate()) {
           game.menuRotate(1);
         } else {
           game.dropSelectedApp();
         }
-      } else {
-        // if (!game.dragging) {
-          // _setTransformMode('rotate');
-        // }
       }
-      break;
-    }
-    case 16: { // shift
-      ioManager.keys.shift = true;
-      break;
-    }
-    case 32: { // space
-      ioManager.keys.space = true;
-      // if (controlsManager.isPossessed()) {
-        if (!game.isJumping()) {
-          game.jump('jump');
-        }
-      // }
-      break;
-    }
-    /* case 17: { // ctrl
-      ioManager.keys.ctrl = true;
-      break;
-    } */
-    case 81: { // Q
-      if (e.ctrlKey) {
-        if (cameraManager.pointerLockElement) {
-          cameraManager.exitPointerLock();
-        } else {
-          cameraManager.requestPointerLock();
-        }
+    },
+  },
+  deleteHeld: {
+    down() {
+      game.menuDelete();
+    },
+  },
+  unaim: {
+    down() {
+      if (game.canToggleAxis()) {
+        game.toggleAxis();
       } else {
-        // game.setWeaponWheel(true);
-        if (game.canToggleAxis()) {
-          game.toggleAxis();
-        } else {
-          // clear conflicting aim with quick menu
-          game.menuUnaim();
-        }
+        // clear conflicting aim with quick menu
+        game.menuUnaim();
       }
-      break;
-    }
-    /* case 13: { // enter
-      game.enter();
-      break;
-    } */
-    /* case 77: { // M
-      game.toggleMap();
-      break;
-    } */
-    case 74: { // J
+    },
+  },
+  dance: {
+    down(e) {
+      game.menuVDown(e);
+    },
+    up() {
+      game.menuVUp();
+    },
+  },
+  powerUp: {
+    down(e) {
+      game.menuBDown(e);
+    },
+    up() {
+      game.menuBUp();
+    },
+  },
+  switchCharacter: {
+    down() {
+      game.menuSwitchCharacter();
+    },
+  },
+  toggleMic: {
+    down() {
+      voiceInput.toggleMic();
+    },
+  },
+  pushToTalk: {
+    down() {
+      voiceInput.setTalking(true);
+    },
+    up() {
+      voiceInput.setTalking(false);
+    },
+  },
+  toggleSpeech: {
+    down() {
+      voiceInput.toggleSpeech();
+    },
+  },
+  toggleInventory: {
+    down() {
       game.inventoryHack = !game.inventoryHack;
-      break;
-    }
-    case 27: { // esc
-      game.setContextMenu(false);
-      break;
-    }
-    case 72: { // H
+    },
+  },
+  toggleDebug: {
+    down() {
       const debug = metaversefile.useDebug();
       debug.toggle();
-      break;
-    }
-    case 192: { // tilde
+    },
+  },
+  toggleEditMode: {
+    down() {
       game.toggleEditMode();
-      break;
+    },
+  },
+  togglePointerLock: {
+    down() {
+      if (cameraManager.pointerLockElement) {
+        cameraManager.exitPointerLock();
+      } else {
+        cameraManager.requestPointerLock();
+      }
+    },
+  },
+  undo: {
+    down() {
+      game.menuUndo();
+    },
+  },
+  redo: {
+    down() {
+      game.menuRedo();
+    },
+  },
+  saveScene: {
+    down() {
+      game.saveScene();
+    },
+  },
+  deleteSelected: {
+    down() {
+      game.deleteMouseSelectedObjects();
+    },
+  },
+  loadoutPrevious: {
+    down() {
+      game.selectAdjacentLoadout(-1);
+    },
+  },
+  loadoutNext: {
+    down() {
+      game.selectAdjacentLoadout(1);
+    },
+  },
+};
+for (let i = 0; i < 8; i++) {
+  actionHandlers[`loadout${i + 1}`] = {
+    down() {
+      game.selectLoadout(i);
+    },
+  };
+}
+
+// actions the player does in the world, which the dead cannot do
+const playerActionNames = new Set([
+  'jump',
+  'crouch',
+  'fly',
+  'interact',
+  'attack',
+  'aim',
+  'lockOn',
+  'cycleTarget',
+  'drop',
+  'dance',
+  'powerUp',
+]);
+
+// inputs that are down, and the action each one started, so releases end the same action
+const inputsDown = new Map();
+ioManager.actionDown = (input, actionName, e = null) => {
+  if (playerActionNames.has(actionName) && metaversefile.useLocalPlayer().characterHitter.isDead()) {
+    return;
+  }
+  if (!inputsDown.has(input)) {
+    inputsDown.set(input, actionName);
+    // panel actions have no handler here; their ui components handle them first
+    actionHandlers[actionName]?.down?.(e);
+  }
+};
+ioManager.actionUp = (input, e = null) => {
+  const actionName = inputsDown.get(input);
+  if (actionName) {
+    inputsDown.delete(input);
+    actionHandlers[actionName]?.up?.(e);
+  }
+};
+// ends every action that is down, for when their releases will not reach us
+ioManager.releaseInputs = () => {
+  for (const input of Array.from(inputsDown.keys())) {
+    ioManager.actionUp(input);
+  }
+};
+ioManager.isActionDown = actionName => {
+  for (const name of inputsDown.values()) {
+    if (name === actionName) {
+      return true;
+    }
+  }
+  return false;
+};
+
+ioManager.keydown = e => {
+  if (_inputFocused() || e.repeat) {
+    return;
+  }
+
+  if (e.keyCode === 18) { // alt
+    e.preventDefault();
+    e.stopPropagation();
+    return;
+  }
+
+  const actionName = keybindingsManager.getKeyAction(e);
+  if (actionName) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    ioManager.actionDown(e.code, actionName, e);
+  } else {
+    switch (e.which) {
+      case 27: { // esc
+        game.setContextMenu(false);
+        break;
+      }
     }
   }
 };
@@ -637,98 +788,17 @@ ioManager.keyup = e => {
     return;
   }
 
-  switch (e.which) {
-    /* case 81: { // Q
-      game.setWeaponWheel(false);
-      break;
-    } */
-    case 87: { // W
-      ioManager.keys.up = false;
-      break;
-    }
-    case 65: { // A
-      ioManager.keys.left = false;
-      break;
-    }
-    case 83: { // S
-      ioManager.keys.down = false;
-      break;
-    }
-    case 68: { // D
-      ioManager.keys.right = false;
-      break;
-    }
-    case 32: { // space
-      ioManager.keys.space = false;
-      break;
-    }
-    /* case 17: { // ctrl
-      ioManager.keys.ctrl = false;
-      break;
-    } */
-    case 69: { // E
-      if (cameraManager.pointerLockElement) {
-        game.menuActivateUp();
-      }
-      break;
-    }
-    case 70: { // F
-      // if (cameraManager.pointerLockElement) {
-        ioManager.keys.forward = false;
-      // }
-      break;
-    }
-    case 67: { // C
-      // if (cameraManager.pointerLockElement) {
-        ioManager.keys.backward = false;
-        ioManager.keys.ctrl = false;
-      // }
-      break;
-    }
-    /* case 71: { // G
-      // if (!_inputFocused()) {
-        e.preventDefault();
-        e.stopPropagation();
-        game.menuGUp();
-      // }
-      break;
-    } */
-    case 86: { // V
-      // if (!_inputFocused()) {
-        e.preventDefault();
-        e.stopPropagation();
-        game.menuVUp();
-      // }
-      break;
-    }
-    case 66: { // B
-      // if (!_inputFocused()) {
-        e.preventDefault();
-        e.stopPropagation();
-        game.menuBUp();
-      // }
-      break;
-    }
-    case 16: { // shift
-      ioManager.keys.shift = false;
-      ioManager.keys.doubleTap = false;
-      
-      game.menuUnDoubleTap();
-      break;
-    }
-    case 46: { // delete
-      const object = game.getMouseSelectedObject();
-      if (object) {
-        game.setMouseHoverObject(null);
+  if (inputsDown.has(e.code)) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    ioManager.actionUp(e.code, e);
+  } else {
+    switch (e.which) {
+      case 27: { // esc
         game.setMouseSelectedObject(null);
-        world.removeObject(object.instanceId);
+        break;
       }
-      break;
-    }
-    case 27: {
-      // if (game.getMouseSelectedObject()) {
-        game.setMouseSelectedObject(null);
-      // }
     }
   }
 };
@@ -783,14 +853,24 @@ ioManager.dblclick = e => {
 };
 // let mouseDown = false;
 let lastMouseButtons = 0;
+// MouseEvent.button index -> MouseEvent.buttons mask; the middle button is reserved for targeting
+const boundMouseButtons = [
+  [0, 1], // left
+  [2, 2], // right
+  [3, 8], // back
+  [4, 16], // forward
+];
 ioManager.mousedown = e => {
   const changedButtons = lastMouseButtons ^ e.buttons;
   if (cameraManager.pointerLockElement) {
-    if ((changedButtons & 1) && (e.buttons & 1)) { // left
-      game.menuMouseDown();
-    }
-    if ((changedButtons & 2) && (e.buttons & 2)) { // right
-      game.menuAim();
+    for (const [button, mask] of boundMouseButtons) {
+      if ((changedButtons & mask) && (e.buttons & mask)) {
+        const input = getMouseBinding(button);
+        const actionName = keybindingsManager.getAction(input);
+        if (actionName) {
+          ioManager.actionDown(input, actionName, e);
+        }
+      }
     }
   } else {
     if ((changedButtons & 1) && (e.buttons & 1)) { // left
@@ -819,13 +899,15 @@ ioManager.mouseup = e => {
   const changedButtons = lastMouseButtons ^ e.buttons;
   // if (mouseDown) {
     if (cameraManager.pointerLockElement) {
-      if ((changedButtons & 1) && !(e.buttons & 1)) { // left
-        game.menuMouseUp();
-      }
-      if ((changedButtons & 2) && !(e.buttons & 2)) { // right
-        game.menuUnaim();
+      for (const [button, mask] of boundMouseButtons) {
+        if ((changedButtons & mask) && !(e.buttons & mask)) {
+          ioManager.actionUp(getMouseBinding(button), e);
+        }
       }
     } else {
+      if ((changedButtons & 1) && !(e.buttons & 1)) { // left
+        transformControls.handleMouseUp();
+      }
       if ((changedButtons & 2) && !(e.buttons & 2)) { // right
         game.menuDragupRight();
       }
@@ -838,6 +920,10 @@ ioManager.mouseup = e => {
   lastMouseButtons = e.buttons;
   raycastManager.setLastMouseEvent(e);
 };
+ioManager.blur = e => {
+  // keys let go in another window never come up here
+  ioManager.releaseInputs();
+};
 ioManager.paste = e => {
   if (!window.document.activeElement) {
     const items = Array.from(e.clipboardData.items);
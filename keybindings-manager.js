@@ -0,0 +1,277 @@
+/*
+this file contains the action map: named gameplay actions and the inputs bound to them, plus the gamepad stick settings.
+a binding is a string: a KeyboardEvent.code with optional modifiers ('KeyW', 'Ctrl+KeyZ'), a mouse button ('Mouse0') or a gamepad button ('Gamepad0').
+key codes are physical key positions, so the default layout is the same keys on qwerty and azerty keyboards.
+settings are persisted in localStorage and an input can only be bound to one action.
+panel and editor actions are handled by the ui components that own them, which match key events with getKeyAction.
+*/
+
+const storageKey = 'ControlsSettings';
+const modifierCodeRegex = /^(?:Shift|Control|Alt|Meta)(?:Left|Right)$/;
+const mouseButtonNames = ['Left mouse', 'Middle mouse', 'Right mouse', 'Mouse 4', 'Mouse 5'];
+// standard gamepad mapping
+const gamepadButtonNames = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'];
+
+export const actions = [
+  {name: 'moveForward', label: 'Move forward', bindings: ['KeyW', 'ArrowUp']},
+  {name: 'moveLeft', label: 'Move left', bindings: ['KeyA', 'ArrowLeft']},
+  {name: 'moveBack', label: 'Move back', bindings: ['KeyS', 'ArrowDown']},
+  {name: 'moveRight', label: 'Move right', bindings: ['KeyD', 'ArrowRight']},
+  {name: 'jump', label: 'Jump', bindings: ['Space', 'Gamepad0']},
+  {name: 'run', label: 'Run (double tap a direction to sprint)', bindings: ['ShiftLeft', 'ShiftRight', 'Gamepad10']},
+  {name: 'crouch', label: 'Crouch / pull', bindings: ['KeyC', 'Gamepad1']},
+  {name: 'fly', label: 'Fly / push', bindings: ['KeyF']},
+  {name: 'interact', label: 'Action', bindings: ['KeyE', 'Gamepad2']},
+  {name: 'attack', label: 'Use weapon', bindings: ['Mouse0', 'Gamepad7']},
+  {name: 'aim', label: 'Aim', bindings: ['Mouse2', 'Gamepad6']},
+  {name: 'lockOn', label: 'Lock on / release target', bindings: ['KeyI', 'Gamepad11']},
+  {name: 'cycleTarget', label: 'Next lock-on target', bindings: ['BracketRight', 'Gamepad15']},
+  {name: 'drop', label: 'Drop item', bindings: ['KeyR']},
+  {name: 'deleteHeld', label: 'Delete held item', bindings: ['KeyX']},
+  {name: 'unaim', label: 'Cancel aim', bindings: ['KeyQ']},
+  {name: 'dance', label: 'Dance / grid snap', bindings: ['KeyV', 'Gamepad3']},
+  {name: 'powerUp', label: 'Power up', bindings: ['KeyB']},
+  {name: 'switchCharacter', label: 'Switch character', bindings: ['KeyG']},
+  {name: 'toggleMic', label: 'Toggle microphone', bindings: ['KeyT']},
+  {name: 'pushToTalk', label: 'Push to talk', bindings: ['KeyU']},
+  {name: 'toggleSpeech', label: 'Toggle speech to text', bindings: ['KeyY']},
+  {name: 'toggleInventory', label: 'Inventory', bindings: ['KeyJ']},
+  {name: 'toggleDebug', label: 'Debug overlay', bindings: ['KeyH']},
+  {name: 'toggleEditMode', label: 'Edit mode', bindings: ['Backquote']},
+  {name: 'togglePointerLock', label: 'Lock / unlock mouse', bindings: ['Ctrl+KeyQ']},
+  {name: 'undo', label: 'Undo', bindings: ['Ctrl+KeyZ']},
+  {name: 'redo', label: 'Redo', bindings: ['Ctrl+Shift+KeyZ']},
+  {name: 'saveScene', label: 'Download scene', bindings: ['Ctrl+KeyS']},
+  {name: 'selectAll', label: 'Select all objects', bindings: ['Ctrl+KeyA']},
+  {name: 'groupSelection', label: 'Group selected objects', bindings: ['Ctrl+KeyG']},
+  {name: 'ungroupSelection', label: 'Ungroup selected objects', bindings: ['Ctrl+Shift+KeyG']},
+  {name: 'deleteSelected', label: 'Delete selected objects', bindings: ['Delete']},
+  {name: 'toggleCharacterPanel', label: 'Character panel', bindings: ['Tab']},
+  {name: 'toggleWorldPanel', label: 'World panel', bindings: ['KeyZ']},
+  {name: 'toggleQuestLog', label: 'Quest log', bindings: ['KeyN']},
+  {name: 'toggleMagicPanel', label: 'Magic panel', bindings: ['Slash']},
+  {name: 'toggleMapGen', label: 'Map', bindings: ['KeyM']},
+  {name: 'playIntro', label: 'Play cinematic intro', bindings: ['BracketLeft']},
+  {name: 'toggleFiredrop', label: 'Firedrop effect', bindings: ['Shift+KeyJ']},
+  {name: 'toggleHalo', label: 'Halo effect', bindings: ['KeyK']},
+  {name: 'toggleSilks', label: 'Silks effect', bindings: ['KeyL']},
+  {name: 'toggleComet', label: 'Comet effect', bindings: ['KeyP']},
+  {name: 'toggleFlare', label: 'Flare effect', bindings: ['Semicolon']},
+  {name: 'toggleMagic', label: 'Magic effect', bindings: ['Comma']},
+  {name: 'toggleLimit', label: 'Limit effect', bindings: ['Period']},
+  {name: 'snapshotMapChunk', label: 'Snapshot map chunk', bindings: ['Quote']},
+  {name: 'loadoutPrevious', label: 'Previous loadout slot', bindings: ['Gamepad4']},
+  {name: 'loadoutNext', label: 'Next loadout slot', bindings: ['Gamepad5']},
+].concat(Array.from({length: 8}, (_, i) => ({
+  name: `loadout${i + 1}`,
+  label: `Loadout slot ${i + 1}`,
+  bindings: [`Digit${i + 1}`],
+})));
+const actionNames = actions.map(action => action.name);
+// slider values, 0-100
+export const defaultGamepadSettings = {
+  deadZone: 20,
+  lookSensitivity: 50,
+  invertLook: false,
+};
+
+export const getDefaultBindings = () => {
+  const bindings = {};
+  for (const action of actions) {
+    bindings[action.name] = action.bindings.slice();
+  }
+  return bindings;
+};
+export const isGamepadBinding = binding => /^Gamepad\d+$/.test(binding);
+export const isMouseBinding = binding => /^Mouse\d+$/.test(binding);
+
+export const getKeyBinding = (e, {shift = true} = {}) => {
+  const {code} = e;
+  if (modifierCodeRegex.test(code)) {
+    return code;
+  } else {
+    const modifiers = [];
+    e.ctrlKey && modifiers.push('Ctrl');
+    e.altKey && modifiers.push('Alt');
+    shift && e.shiftKey && modifiers.push('Shift');
+    return modifiers.concat([code]).join('+');
+  }
+};
+export const getMouseBinding = button => `Mouse${button}`;
+export const getGamepadBinding = index => `Gamepad${index}`;
+
+class KeybindingsManager extends EventTarget {
+  constructor() {
+    super();
+
+    this.bindings = getDefaultBindings();
+    this.inputActions = new Map();
+    this.gamepadSettings = {...defaultGamepadSettings};
+    this.layoutMap = null;
+
+    this.loadBindings();
+
+    // show the key printed on the user's keyboard layout where the browser can tell us
+    navigator.keyboard?.getLayoutMap?.().then(layoutMap => {
+      this.layoutMap = layoutMap;
+      this.dispatchEvent(new MessageEvent('bindingschange', {
+        data: {
+          bindings: this.bindings,
+        },
+      }));
+    }, err => {
+      // nothing
+    });
+  }
+  loadBindings() {
+    let settings = null;
+    try {
+      settings = JSON.parse(localStorage.getItem(storageKey));
+    } catch (err) {
+      console.warn('failed to load key bindings', err);
+    }
+
+    const bindings = getDefaultBindings();
+    // older settings stored single key names; those fall back to the defaults
+    const savedBindings = settings?.bindings;
+    if (savedBindings) {
+      for (const name of actionNames) {
+        if (Array.isArray(savedBindings[name])) {
+          bindings[name] = savedBindings[name].filter(binding => typeof binding === 'string');
+        }
+      }
+    }
+    if (this.getConflicts(bindings).length === 0) {
+      this.#setBindingsInternal(bindings);
+    } else {
+      console.warn('saved key bindings conflict, using defaults');
+      this.#setBindingsInternal(getDefaultBindings());
+    }
+
+    this.gamepadSettings = {
+      ...defaultGamepadSettings,
+      ...settings?.gamepad,
+    };
+  }
+  #saveSettings() {
+    localStorage.setItem(storageKey, JSON.stringify({
+      bindings: this.bindings,
+      gamepad: this.gamepadSettings,
+    }));
+  }
+  getBindings() {
+    return this.bindings;
+  }
+  // returns [{binding, actions}] for every input bound to more than one action
+  getConflicts(bindings = this.bindings) {
+    const inputActions = new Map();
+    for (const name in bindings) {
+      for (const binding of bindings[name]) {
+        if (!binding) {
+          continue;
+        }
+        let names = inputActions.get(binding);
+        if (!names) {
+          names = [];
+          inputActions.set(binding, names);
+        }
+        if (!names.includes(name)) {
+          names.push(name);
+        }
+      }
+    }
+
+    const conflicts = [];
+    for (const [binding, names] of inputActions) {
+      if (names.length > 1) {
+        conflicts.push({
+          binding,
+          actions: names,
+        });
+      }
+    }
+    return conflicts;
+  }
+  setBindings(bindings) {
+    const conflicts = this.getConflicts(bindings);
+    if (conflicts.length > 0) {
+      const {binding, actions} = conflicts[0];
+      throw new Error(`${this.formatBinding(binding)} is bound to both ${actions.join(' and ')}`);
+    }
+
+    this.#setBindingsInternal(bindings);
+    this.#saveSettings();
+  }
+  resetBindings() {
+    this.setBindings(getDefaultBindings());
+  }
+  getGamepadSettings() {
+    return this.gamepadSettings;
+  }
+  setGamepadSettings(gamepadSettings) {
+    this.gamepadSettings = {
+      ...this.gamepadSettings,
+      ...gamepadSettings,
+    };
+    this.#saveSettings();
+
+    this.dispatchEvent(new MessageEvent('gamepadsettingschange', {
+      data: {
+        gamepadSettings: this.gamepadSettings,
+      },
+    }));
+  }
+  #setBindingsInternal(bindings) {
+    this.bindings = {};
+    this.inputActions.clear();
+    for (const name of actionNames) {
+      const actionBindings = (bindings[name] ?? []).filter(binding => !!binding);
+      this.bindings[name] = actionBindings;
+      for (const binding of actionBindings) {
+        this.inputActions.set(binding, name);
+      }
+    }
+
+    this.dispatchEvent(new MessageEvent('bindingschange', {
+      data: {
+        bindings: this.bindings,
+      },
+    }));
+  }
+  getAction(binding) {
+    return this.inputActions.get(binding) ?? null;
+  }
+  // an exact match wins; otherwise shift is ignored, since it is also the run key
+  getKeyAction(e) {
+    return this.getAction(getKeyBinding(e)) ??
+      (e.shiftKey ? this.getAction(getKeyBinding(e, {shift: false})) : null);
+  }
+  formatBinding(binding) {
+    if (!binding) {
+      return '';
+    } else if (isMouseBinding(binding)) {
+      const button = parseInt(binding.slice('Mouse'.length), 10);
+      return mouseButtonNames[button] ?? binding;
+    } else if (isGamepadBinding(binding)) {
+      const button = parseInt(binding.slice('Gamepad'.length), 10);
+      return 'Pad ' + (gamepadButtonNames[button] ?? button);
+    } else {
+      const parts = binding.split('+');
+      const code = parts.pop();
+      const layoutKey = this.layoutMap?.get(code);
+      let keyName;
+      if (layoutKey) {
+        keyName = layoutKey === ' ' ? 'Space' : layoutKey;
+      } else {
+        keyName = code
+          .replace(/^Key|^Digit/, '')
+          .replace(/^Arrow(.+)$/, '$1 arrow')
+          .replace(/^(Shift|Control|Alt|Meta)(Left|Right)$/, '$2 $1')
+          .replace(/^Backquote$/, '`');
+      }
+      return parts.concat([keyName]).join(' + ');
+    }
+  }
+}
+const keybindingsManager = new KeybindingsManager();
+export default keybindingsManager;
@@ -129,6 +129,21 @@ class LoadoutManager extends EventTarget {
     }
     return -1;
   }
+  // step through the used slots, wrapping around
+  selectAdjacentIndex(offset) {
+    this.ensureRenderers();
+
+    const startIndex = this.selectedIndex !== -1 ? this.selectedIndex : (offset > 0 ? numSlots - 1 : 0);
+    for (let i = 1; i <= numSlots; i++) {
+      const index = (((startIndex + i * offset) % numSlots) + numSlots) % numSlots;
+      if (this.apps[index]) {
+        if (index !== this.selectedIndex) {
+          this.setSelectedIndex(index);
+        }
+        break;
+      }
+    }
+  }
   update(timestamp, timeDiff) {
     for (let i = 0; i < this.hotbarRenderers.length; i++) {
       this.hotbarRenderers[i].update(timestamp, timeDiff, i);
@@ -28,6 +28,7 @@ const moduleUrls = {
   flare: './metaverse_modules/flare/',
   firedrop: './metaverse_modules/firedrop/',
   meshLodItem: './metaverse_modules/mesh-lod-item/',
+  group: './metaverse_modules/group/',
 };
 const modules = {};
 let loadPromise = null;
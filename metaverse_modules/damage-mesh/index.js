@@ -7,7 +7,16 @@ const {useApp, useInternals, useMaterials, useFrame, /*usePhysics,*/ useText} =
 
 const localVector4D = new THREE.Vector4();
 
-let multiText = null;
+// gradient colors of the damage number, per damage type
+const damageTypeColors = {
+  physical: [0xffca28, 0xff6f00],
+  fire: [0xff5722, 0xb71c1c],
+  poison: [0xb2ff59, 0x33691e],
+  lightning: [0xe1f5fe, 0x29b6f6],
+};
+const damageFontSize = 0.25;
+const criticalDamageFontSize = 0.375;
+const multiTexts = {}; // damage type -> MultiText
 
 export default e => {
   const app = useApp();
@@ -16,6 +25,12 @@ export default e => {
   const {WebaverseShaderMaterial} = useMaterials();
   const Text = useText();
 
+  // the damage the hit pipeline set on the app; otherwise a random number
+  const damage = app.getComponent('damage');
+  const damageType = app.getComponent('damageType') ?? 'physical';
+  const critical = !!app.getComponent('critical');
+  const colors = damageTypeColors[damageType] ?? damageTypeColors.physical;
+
   const _makeMultiText = () => {
     class MultiText {
       constructor(material) {
@@ -101,8 +116,8 @@ export default e => {
         varying vec2 vUv;
         varying vec3 vColor;
     
-        vec3 color1 = vec3(${new THREE.Color(0xffca28).toArray().map(n => n.toFixed(8)).join(', ')});
-        vec3 color2 = vec3(${new THREE.Color(0xff6f00).toArray().map(n => n.toFixed(8)).join(', ')});
+        vec3 color1 = vec3(${new THREE.Color(colors[0]).toArray().map(n => n.toFixed(8)).join(', ')});
+        vec3 color2 = vec3(${new THREE.Color(colors[1]).toArray().map(n => n.toFixed(8)).join(', ')});
     
         void main() {
           vec3 c = (color1*(1. - vUv.y) + color2*vUv.y);
@@ -130,10 +145,10 @@ export default e => {
       anchorY = 'middle',
       color = 0x000000,
     ) {
-      if (!multiText) {
-        multiText = _makeMultiText();
+      if (!multiTexts[damageType]) {
+        multiTexts[damageType] = _makeMultiText();
       }
-      const textMesh = multiText.makeText();
+      const textMesh = multiTexts[damageType].makeText();
       // textMesh.material = redMaterial;
       textMesh.text = text + text;
       textMesh.font = font;
@@ -201,8 +216,11 @@ export default e => {
           frameHandlers.splice(frameHandlers.indexOf(frameHandler), 1);
         }
         if (!textMeshSpec) {
-          const text = Math.floor(Math.random() * 2000) + '';
-          const textMesh = await makeTextMesh(text);
+          const text = typeof damage === 'number' ?
+            Math.max(Math.round(damage), 0) + (critical ? '!' : '')
+          :
+            Math.floor(Math.random() * 2000) + '';
+          const textMesh = await makeTextMesh(text, undefined, critical ? criticalDamageFontSize : damageFontSize);
           textMesh.frustumCulled = false;
           app.add(textMesh);
           textMesh.updateMatrixWorld();
@@ -0,0 +1,12 @@
+import metaversefile from 'metaversefile';
+const {useApp} = metaversefile;
+
+// the root of an editor group.
+// members are the world apps whose 'group' component matches this app's instanceId; their transforms stay in world space.
+export default () => {
+  const app = useApp();
+
+  app.name = 'group';
+
+  return app;
+};
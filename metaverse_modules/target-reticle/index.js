@@ -46,6 +46,10 @@ const targetTypeColors = [
 const triangleHalfSize = 0.08;
 const triangleSize = triangleHalfSize * 2;
 const innerRadius = 0.3;
+const hpBarWidth = 0.6;
+const hpBarHeight = 0.06;
+const hpBarBorder = 0.01;
+const hpBarOffset = innerRadius + triangleHalfSize + 0.12;
 
 function createTargetReticleGeometry() {
   const a = new THREE.Vector2(-triangleHalfSize, triangleHalfSize);
@@ -146,6 +150,34 @@ function createTargetReticleGeometries(count) {
   result.drawStride = geometry.attributes.position.count;
   return result;
 }
+// the locked target's hp, shown above its reticle
+const _makeHpBarMesh = () => {
+  const _makeMaterial = color => new THREE.MeshBasicMaterial({
+    color,
+    depthTest: false,
+    transparent: true,
+  });
+
+  const hpBarMesh = new THREE.Object3D();
+  const backgroundMesh = new THREE.Mesh(
+    new THREE.PlaneBufferGeometry(hpBarWidth + hpBarBorder * 2, hpBarHeight + hpBarBorder * 2),
+    _makeMaterial(0x000000)
+  );
+  backgroundMesh.renderOrder = 1;
+  hpBarMesh.add(backgroundMesh);
+  // grows from the left edge
+  const fillMesh = new THREE.Mesh(
+    new THREE.PlaneBufferGeometry(hpBarWidth, hpBarHeight)
+      .translate(hpBarWidth / 2, 0, 0),
+    _makeMaterial(0xef5350)
+  );
+  fillMesh.position.x = -hpBarWidth / 2;
+  fillMesh.renderOrder = 2;
+  hpBarMesh.add(fillMesh);
+  hpBarMesh.fillMesh = fillMesh;
+  hpBarMesh.visible = false;
+  return hpBarMesh;
+};
 const _makeTargetReticleMesh = () => {
   const {WebaverseShaderMaterial} = useMaterials();
   const camera = useCamera();
@@ -367,6 +399,10 @@ const _makeTargetReticleMesh = () => {
   });
   const mesh = new THREE.Mesh(geometry, material);
   mesh.frustumCulled = false;
+
+  const hpBarMesh = _makeHpBarMesh();
+  mesh.add(hpBarMesh);
+
   mesh.update = (timestamp, timeDiff) => {
     const maxTime = 3000;
     const f = (timestamp % maxTime) / maxTime;
@@ -399,6 +435,19 @@ const _makeTargetReticleMesh = () => {
     geometry.attributes.zoom.needsUpdate = true;
     geometry.setDrawRange(0, geometry.drawStride * numReticles);
   };
+  // hp is 0-1; a null position hides the bar
+  mesh.setTargetHp = (position, hp) => {
+    if (position) {
+      hpBarMesh.position.copy(position)
+        .add(localVector.set(0, hpBarOffset, 0).applyQuaternion(camera.quaternion));
+      hpBarMesh.quaternion.copy(camera.quaternion);
+      hpBarMesh.fillMesh.scale.x = Math.min(Math.max(hp, 0), 1);
+      hpBarMesh.visible = true;
+    } else {
+      hpBarMesh.visible = false;
+    }
+    hpBarMesh.updateMatrixWorld();
+  };
   return mesh;
 };
 export default () => {
@@ -126,7 +126,7 @@ class App extends THREE.Object3D {
     return this.components.some(component => component.key === key);
   }
   removeComponent(key) {
-    const index = this.components.findIndex(component => component.type === key);
+    const index = this.components.findIndex(component => component.key === key);
     if (index !== -1) {
       this.components.splice(index, 1);
       this.dispatchEvent({
@@ -218,6 +218,7 @@ const _bindAppManagerToLoreAIScene = (appManager, loreAIScene) => {
     const object = loreAIScene.addObject({
       name: app.name,
       description: app.description,
+      app,
     });
     bindings.set(app, object);
   });
@@ -230,6 +231,11 @@ const _bindAppManagerToLoreAIScene = (appManager, loreAIScene) => {
 };
 _bindAppManagerToLoreAIScene(world.appManager, loreAIScene);
 world.loreAIScene = loreAIScene;
+// npc memories are kept per world
+universe.addEventListener('worldload', () => {
+  const {src, room} = universe.currentWorld;
+  loreAIScene.setWorld(room ? `room:${room}` : (src ?? 'default'));
+});
 
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -816,6 +822,19 @@ metaversefile.setApi({
       throw new Error('useResize cannot be called outside of render()');
     }
   },
+  // registers a chat command for as long as the app lives; see chat-manager.js for the spec
+  useChatCommand(spec) {
+    const app = currentAppRender;
+    if (app) {
+      const command = chatManager.registerCommand(spec);
+      app.addEventListener('destroy', () => {
+        chatManager.unregisterCommand(command);
+      });
+      return command;
+    } else {
+      throw new Error('useChatCommand cannot be called outside of render()');
+    }
+  },
   getNextInstanceId() {
     return getRandomString();
   },
@@ -0,0 +1,383 @@
+/* this file contains the mob combat ai, which drives both the mob apps and the instanced procgen mobs.
+mobs chase the local player when they come within aggroDistance, and attack them. the mob json declares:
+  walkSpeed -- in m/s
+  leashDistance -- how far the mob chases from its home; past it the mob walks home, ignoring the player until it is back within half of it, and heals there.
+    a mob that cannot get home makes its home where it got stuck
+  fleeHp -- 0-1; under this fraction of its hp the mob runs from the player, then goes home to heal
+  attacks -- [{type, ...}]; the mob uses the first one that is off cooldown with the player in range:
+    type -- melee (a swing in front of the mob), ranged (a projectile) or charge (a run through the player)
+    range -- how close the player has to be, in m
+    windup -- the telegraph before the attack goes off, in ms: the mob stops, turns to the player and plays animation
+    animation -- the wind-up animation clip; mobs without it rear back
+    cooldown -- ms before the mob can use the attack again
+    recovery -- ms the mob stands still after the attack
+    hitRadius, hitHalfHeight -- the capsule of the swing, projectile or charge, checked with physicsScene.getCollisionObject
+    speed -- of the projectile or the charge, in m/s
+    damage, damageType, critChance, critMultiplier, dot -- the hit, see damage.js; default to the mob's own
+  mobs without attacks swing in melee every attackRate ms.
+attacks head where the player was when the wind-up ended, so players can dodge them. */
+
+import * as THREE from 'three';
+import {scene} from './renderer.js';
+import physicsManager from './physics-manager.js';
+import damageManager from './damage.js';
+import {getLocalPlayer} from './players.js';
+import {getPlayerFeetPosition} from './areas.js';
+
+const localVector = new THREE.Vector3();
+const localVector2 = new THREE.Vector3();
+const localVector3 = new THREE.Vector3();
+const localVector4 = new THREE.Vector3();
+const localVector5 = new THREE.Vector3();
+const localQuaternion = new THREE.Quaternion();
+
+const physicsScene = physicsManager.getScene();
+
+export const mobAttackTypes = ['melee', 'ranged', 'charge'];
+
+const minDistance = 1;
+const defaultLeashDistance = 20;
+const fleeSpeedFactor = 1.5;
+const chargeOvershoot = 2;
+const returnAggroFactor = 0.5;
+const returnStuckTime = 3000;
+const minReturnProgress = 0.1;
+const defaultAttacks = {
+  melee: {range: 1.5, windup: 400, cooldown: 1000, recovery: 300, hitRadius: 0.5, hitHalfHeight: 0.3},
+  ranged: {range: 10, windup: 600, cooldown: 2000, recovery: 300, hitRadius: 0.2, hitHalfHeight: 0, speed: 10, maxDistance: 20},
+  charge: {range: 6, windup: 800, cooldown: 4000, recovery: 800, hitRadius: 0.6, hitHalfHeight: 0.3, speed: 8},
+};
+const forwardVector = new THREE.Vector3(0, 0, -1);
+
+const projectileGeometry = new THREE.SphereBufferGeometry(1, 8, 6);
+const projectileMaterial = new THREE.MeshBasicMaterial({
+  color: 0xff6f00,
+});
+
+const _zeroY = v => {
+  v.y = 0;
+  return v;
+};
+// the middle of the player, where ranged attacks aim
+const _getCenterPosition = (player, target) => {
+  target.copy(player.position);
+  if (player.avatar) {
+    target.y -= player.avatar.height * 0.5;
+  }
+  return target;
+};
+// the first object in the capsule, counting the local player, whose controller is normally left out of queries
+const _getCollision = (player, radius, halfHeight, position, quaternion) => {
+  const {characterController} = player;
+  characterController && physicsScene.enableGeometryQueries(characterController);
+  const collision = physicsScene.getCollisionObject(radius, halfHeight, position, quaternion);
+  characterController && physicsScene.disableGeometryQueries(characterController);
+  return collision;
+};
+const _isPlayerCollision = (player, collision) => !!collision && !!player.characterController &&
+  collision.objectId === player.characterController.physicsId;
+const _hitPlayer = (player, attack, attacker) => {
+  const {damage, damageType, critical, dot} = damageManager.rollHit(attack, attacker);
+  player.characterHitter.getHit(damage, {
+    attacker,
+    damageType,
+    critical,
+    dot,
+  });
+};
+const _makeAttacks = json => {
+  const {
+    attacks,
+    damage = 5,
+    damageType,
+    critChance,
+    critMultiplier,
+    dot,
+    attackRate = 1000,
+  } = json;
+  const hit = {damage, damageType, critChance, critMultiplier, dot};
+  return (attacks ?? [{type: 'melee', cooldown: attackRate}]).filter(attack => {
+    if (mobAttackTypes.includes(attack.type)) {
+      return true;
+    } else {
+      console.warn('unknown mob attack type', attack.type);
+      return false;
+    }
+  }).map(attack => ({
+    ...defaultAttacks[attack.type],
+    ...hit,
+    ...attack,
+  }));
+};
+
+class MobProjectile extends THREE.Mesh {
+  constructor(attack, attacker, ignorePhysicsIds, position, direction) {
+    super(projectileGeometry, projectileMaterial);
+
+    this.attack = attack;
+    this.attacker = attacker;
+    this.ignorePhysicsIds = ignorePhysicsIds;
+    this.direction = direction.clone();
+    this.distance = 0;
+
+    this.position.copy(position);
+    this.quaternion.setFromUnitVectors(forwardVector, this.direction);
+    this.scale.setScalar(attack.hitRadius);
+    this.updateMatrixWorld();
+  }
+  // returns whether the projectile is done
+  update(timeDiffS) {
+    const {attack} = this;
+    const moveDistance = attack.speed * timeDiffS;
+    this.position.add(localVector.copy(this.direction).multiplyScalar(moveDistance));
+    this.updateMatrixWorld();
+    this.distance += moveDistance;
+
+    const localPlayer = getLocalPlayer();
+    const collision = _getCollision(localPlayer, attack.hitRadius, attack.hitHalfHeight, this.position, this.quaternion);
+    if (_isPlayerCollision(localPlayer, collision)) {
+      if (!localPlayer.characterHitter.isDead()) {
+        _hitPlayer(localPlayer, attack, this.attacker);
+      }
+      return true;
+    } else if (collision && !this.ignorePhysicsIds.includes(collision.objectId)) {
+      return true;
+    } else {
+      return this.distance >= attack.maxDistance;
+    }
+  }
+}
+const projectiles = [];
+export const updateMobProjectiles = (timestamp, timeDiff) => {
+  const timeDiffS = timeDiff / 1000;
+  for (const projectile of projectiles.slice()) {
+    if (projectile.update(timeDiffS)) {
+      scene.remove(projectile);
+      projectiles.splice(projectiles.indexOf(projectile), 1);
+    }
+  }
+};
+
+/* the ai moves the mob through its body:
+  attacker -- who hits the player, as the death screen names them
+  getPhysicsObjects() -- the mob's own physics objects, which its projectiles pass through
+  getPosition(target) -- the mob's world feet position
+  getHp() -- the mob's hp, 0-1
+  heal() -- restores the mob's hp
+  move(direction, distance, timeDiffS) -- moves the mob along the flat direction
+  lookAt(position) -- turns the mob toward the position
+  telegraph(attack, f) -- shows the wind-up of the attack, f 0-1; a null attack ends it */
+export class MobAi {
+  constructor(json, body) {
+    const {
+      aggroDistance = 0,
+      walkSpeed = 1,
+      leashDistance = defaultLeashDistance,
+      fleeHp = 0,
+      radius = 0.3,
+      height = 1,
+    } = json;
+    this.aggroDistance = aggroDistance;
+    this.walkSpeed = walkSpeed;
+    this.leashDistance = leashDistance;
+    this.fleeHp = fleeHp;
+    this.radius = radius;
+    this.height = height;
+    this.attacks = _makeAttacks(json);
+    this.body = body;
+
+    this.home = body.getPosition(new THREE.Vector3());
+    this.state = 'idle';
+    this.stateTime = 0;
+    this.attack = null;
+    this.readyTimes = this.attacks.map(() => 0);
+    this.direction = new THREE.Vector3();
+    this.chargeDistance = 0;
+    this.chargeEndTime = 0;
+    this.chargeHit = false;
+    this.returnDistance = Infinity;
+    this.returnProgressTime = 0;
+  }
+  #setState(state, timestamp) {
+    this.state = state;
+    this.stateTime = timestamp;
+    if (state === 'return') {
+      this.returnDistance = Infinity;
+      this.returnProgressTime = timestamp;
+    }
+  }
+  #moveToward(position, target, speed, timeDiffS, stopDistance) {
+    const direction = _zeroY(localVector5.copy(target).sub(position));
+    const maxDistance = direction.length() - stopDistance;
+    if (maxDistance > 0) {
+      this.body.move(direction.normalize(), Math.min(speed * timeDiffS, maxDistance), timeDiffS);
+    }
+  }
+  #getAttackPosition(position, attack, target) {
+    return target.copy(this.direction)
+      .multiplyScalar(this.radius + attack.hitRadius)
+      .add(position)
+      .add(localVector4.set(0, this.height * 0.5, 0));
+  }
+  #release(position, targetPosition, timestamp) {
+    const {attack, body} = this;
+    const localPlayer = getLocalPlayer();
+    this.readyTimes[this.attacks.indexOf(attack)] = timestamp + attack.cooldown;
+    _zeroY(this.direction.copy(targetPosition).sub(position)).normalize();
+    const quaternion = localQuaternion.setFromUnitVectors(forwardVector, this.direction);
+
+    switch (attack.type) {
+      case 'melee': {
+        const hitPosition = this.#getAttackPosition(position, attack, localVector3);
+        const collision = _getCollision(localPlayer, attack.hitRadius, attack.hitHalfHeight, hitPosition, quaternion);
+        if (_isPlayerCollision(localPlayer, collision)) {
+          _hitPlayer(localPlayer, attack, body.attacker);
+        }
+        this.#setState('recover', timestamp);
+        break;
+      }
+      case 'ranged': {
+        const projectilePosition = this.#getAttackPosition(position, attack, localVector3);
+        const direction = _getCenterPosition(localPlayer, localVector4)
+          .sub(projectilePosition)
+          .normalize();
+        const ignorePhysicsIds = body.getPhysicsObjects().map(physicsObject => physicsObject.physicsId);
+        const projectile = new MobProjectile(attack, body.attacker, ignorePhysicsIds, projectilePosition, direction);
+        scene.add(projectile);
+        projectiles.push(projectile);
+        this.#setState('recover', timestamp);
+        break;
+      }
+      case 'charge': {
+        // run through where the player stood
+        this.chargeDistance = position.distanceTo(targetPosition) + chargeOvershoot;
+        // give up on charges that get blocked
+        this.chargeEndTime = timestamp + this.chargeDistance / attack.speed * 1000 * 2;
+        this.chargeHit = false;
+        this.#setState('charge', timestamp);
+        break;
+      }
+    }
+  }
+  #charge(position, timeDiffS, timestamp) {
+    const {attack, body} = this;
+    const moveDistance = Math.min(attack.speed * timeDiffS, this.chargeDistance);
+    body.move(this.direction, moveDistance, timeDiffS);
+    this.chargeDistance -= moveDistance;
+
+    const localPlayer = getLocalPlayer();
+    if (!this.chargeHit && !localPlayer.characterHitter.isDead()) {
+      body.getPosition(position);
+      const hitPosition = this.#getAttackPosition(position, attack, localVector3);
+      const quaternion = localQuaternion.setFromUnitVectors(forwardVector, this.direction);
+      const collision = _getCollision(localPlayer, attack.hitRadius, attack.hitHalfHeight, hitPosition, quaternion);
+      if (_isPlayerCollision(localPlayer, collision)) {
+        _hitPlayer(localPlayer, attack, body.attacker);
+        this.chargeHit = true;
+      }
+    }
+
+    if (this.chargeDistance <= 0 || timestamp >= this.chargeEndTime) {
+      this.#setState('recover', timestamp);
+    }
+  }
+  update(timestamp, timeDiff) {
+    const {body} = this;
+    const timeDiffS = timeDiff / 1000;
+    const localPlayer = getLocalPlayer();
+    const position = body.getPosition(localVector);
+    const targetPosition = getPlayerFeetPosition(localPlayer, localVector2);
+    const distance = position.distanceTo(targetPosition);
+    const homeDistance = position.distanceTo(this.home);
+    // the dead are left alone
+    const alive = !localPlayer.characterHitter.isDead();
+    const timeSinceState = timestamp - this.stateTime;
+
+    switch (this.state) {
+      case 'idle': {
+        if (alive && distance < this.aggroDistance) {
+          this.#setState('chase', timestamp);
+        } else if (homeDistance > minDistance) {
+          this.#setState('return', timestamp);
+        }
+        break;
+      }
+      case 'chase': {
+        if (!alive || distance > this.aggroDistance || homeDistance > this.leashDistance) {
+          this.#setState('return', timestamp);
+        } else if (body.getHp() < this.fleeHp) {
+          this.#setState('flee', timestamp);
+        } else {
+          const attack = this.attacks.find((attack, i) => distance <= attack.range && timestamp >= this.readyTimes[i]);
+          if (attack) {
+            this.attack = attack;
+            this.#setState('windup', timestamp);
+          } else {
+            this.#moveToward(position, targetPosition, this.walkSpeed, timeDiffS, minDistance);
+          }
+          body.lookAt(targetPosition);
+        }
+        break;
+      }
+      case 'windup': {
+        const {attack} = this;
+        if (!alive) {
+          body.telegraph(null, 0);
+          this.#setState('return', timestamp);
+        } else if (timeSinceState >= attack.windup) {
+          body.telegraph(null, 0);
+          this.#release(position, targetPosition, timestamp);
+        } else {
+          body.lookAt(targetPosition);
+          body.telegraph(attack, timeSinceState / attack.windup);
+        }
+        break;
+      }
+      case 'charge': {
+        this.#charge(position, timeDiffS, timestamp);
+        break;
+      }
+      case 'recover': {
+        if (timeSinceState >= this.attack.recovery) {
+          this.attack = null;
+          this.#setState('chase', timestamp);
+        }
+        break;
+      }
+      case 'return': {
+        if (homeDistance < this.returnDistance - minReturnProgress) {
+          this.returnDistance = homeDistance;
+          this.returnProgressTime = timestamp;
+        }
+
+        if (homeDistance <= minDistance) {
+          body.heal();
+          this.#setState('idle', timestamp);
+        } else if (timestamp - this.returnProgressTime >= returnStuckTime) {
+          // blocked on the way home
+          this.home.copy(position);
+          body.heal();
+          this.#setState('idle', timestamp);
+        } else if (alive && distance < this.aggroDistance && homeDistance < this.leashDistance * returnAggroFactor) {
+          this.#setState('chase', timestamp);
+        } else {
+          this.#moveToward(position, this.home, this.walkSpeed, timeDiffS, 0);
+          body.lookAt(this.home);
+        }
+        break;
+      }
+      case 'flee': {
+        if (!alive || distance > this.aggroDistance) {
+          this.#setState('idle', timestamp);
+        } else {
+          const fleePosition = localVector3.copy(position)
+            .multiplyScalar(2)
+            .sub(targetPosition);
+          this.#moveToward(position, fleePosition, this.walkSpeed * fleeSpeedFactor, timeDiffS, 0);
+          body.lookAt(fleePosition);
+        }
+        break;
+      }
+    }
+  }
+}
@@ -4,6 +4,7 @@ import metaversefile from 'metaversefile';
 import {getLocalPlayer} from './players.js';
 import physicsManager from './physics-manager.js';
 import hpManager from './hp-manager.js';
+import {MobAi, updateMobProjectiles} from './mob-ai.js';
 // import {LodChunkTracker} from './lod.js';
 import {alea} from './procgen/procgen.js';
 import {createRelativeUrl} from './util.js';
@@ -15,21 +16,23 @@ import {createTextureAtlas} from './atlasing.js';
 const localVector = new THREE.Vector3();
 const localVector2 = new THREE.Vector3();
 const localVector3 = new THREE.Vector3();
-const localVector4 = new THREE.Vector3();
 const localVector5 = new THREE.Vector3();
 const localVector6 = new THREE.Vector3();
 const localVector7 = new THREE.Vector3();
 const localQuaternion = new THREE.Quaternion();
 const localQuaternion2 = new THREE.Quaternion();
+const localQuaternion3 = new THREE.Quaternion();
 const localEuler = new THREE.Euler();
 const localMatrix = new THREE.Matrix4();
 
 const upVector = new THREE.Vector3(0, 1, 0);
+const rightVector = new THREE.Vector3(1, 0, 0);
 const identityMatrix = new THREE.Matrix4();
 const chunkWorldSize = 16;
-const minDistance = 1;
-const hitDistance = 1.5;
 const maxAnisotropy = 16;
+const windupLeanAngle = 0.3;
+
+const physicsScene = physicsManager.getScene();
 
 const maxGeometries = 8;
 const maxInstancesPerDrawCall = 128;
@@ -40,10 +43,20 @@ const bakeFps = 24;
 
 // window.THREE = THREE;
 
-const _zeroY = v => {
-  v.y = 0;
-  return v;
+// the flat rotation that turns the model from position toward target
+const _getFacingQuaternion = (position, target, modelPrerotation, result) => {
+  result.setFromRotationMatrix(
+    localMatrix.lookAt(position, target, upVector)
+  ).premultiply(modelPrerotation);
+  localEuler.setFromQuaternion(result, 'YXZ');
+  localEuler.x = 0;
+  localEuler.y += Math.PI;
+  localEuler.z = 0;
+  return result.setFromEuler(localEuler);
 };
+// mobs without a wind-up animation rear back to telegraph their attacks
+const _getLeanQuaternion = (facingQuaternion, lean, result) => result.copy(facingQuaternion)
+  .multiply(localQuaternion3.setFromAxisAngle(rightVector, -windupLeanAngle * lean));
 const _findMesh = o => {
   let mesh = null;
   const _recurse = o => {
@@ -94,7 +107,7 @@ function makeCharacterController(app, {
         .applyQuaternion(localQuaternion)
     );
 
-  const characterController = physicsManager.createCharacterController(
+  const characterController = physicsScene.createCharacterController(
     radius - contactOffset,
     innerHeight,
     contactOffset,
@@ -162,7 +175,6 @@ class Mob {
 
       const rng = this.#getRng();
       const numDrops = Math.floor(rng() * 3) + 1;
-      let lastHitTime = 0;
 
       const _attachToApp = () => {
         this.app.add(subApp);
@@ -193,7 +205,9 @@ class Mob {
         }
       };
       const _bindHitTracker = () => {
-        const hitTracker = hpManager.makeHitTracker();
+        const hitTracker = hpManager.makeHitTracker({
+          resistances: mobComponent.resistances ?? null,
+        });
         hitTracker.bind(subApp);
         subApp.dispatchEvent({type: 'hittrackeradded'});
         const die = () => {
@@ -206,7 +220,7 @@ class Mob {
 
       const mesh = subApp;
       const animations = subApp.glb.animations;
-      let  {idleAnimation = ['idle'], aggroDistance, walkSpeed = 1} = mobComponent;
+      let  {idleAnimation = ['idle']} = mobComponent;
       if (idleAnimation) {
         if (!Array.isArray(idleAnimation)) {
           idleAnimation = [idleAnimation];
@@ -245,7 +259,7 @@ class Mob {
           halfHeight,
         } = spec;
         _getPhysicsExtraPositionQuaternion(spec, localVector, localQuaternion, localVector2, localMatrix);
-        const physicsObject = physicsManager.addCapsuleGeometry(localVector, localQuaternion, radius, halfHeight);
+        const physicsObject = physicsScene.addCapsuleGeometry(localVector, localQuaternion, radius, halfHeight);
         physicsObject.spec = spec;
         return physicsObject;
       });
@@ -253,9 +267,9 @@ class Mob {
       subApp.getPhysicsObjects = () => physicsObjects;
 
       this.cleanupFns.push(() => {
-        physicsManager.destroyCharacterController(characterController);
+        physicsScene.destroyCharacterController(characterController);
         for (const extraPhysicsObject of extraPhysicsObjects) {
-          physicsManager.removeGeometry(extraPhysicsObject);
+          physicsScene.removeGeometry(extraPhysicsObject);
         }
       });
 
@@ -269,137 +283,132 @@ class Mob {
       }
 
       // initialize animation
+      const mixer = new THREE.AnimationMixer(mesh);
       const idleAnimationClips = idleAnimation.map(name => animations.find(a => a.name === name)).filter(a => !!a);
-      if (idleAnimationClips.length > 0) {
-        const mixer = new THREE.AnimationMixer(mesh);
-        const idleActions = idleAnimationClips.map(idleAnimationClip => mixer.clipAction(idleAnimationClip));
-        for (const idleAction of idleActions) {
-          idleAction.play();
-        }
-        
-        this.updateFns.push((timestamp, timeDiff) => {
-          const deltaSeconds = timeDiff / 1000;
-          mixer.update(deltaSeconds);
-        });
+      const idleActions = idleAnimationClips.map(idleAnimationClip => mixer.clipAction(idleAnimationClip));
+      for (const idleAction of idleActions) {
+        idleAction.play();
       }
+      this.updateFns.push((timestamp, timeDiff) => {
+        const deltaSeconds = timeDiff / 1000;
+        mixer.update(deltaSeconds);
+      });
+
+      // set up combat ai
+      mesh.updateMatrixWorld();
+      const facingQuaternion = new THREE.Quaternion();
+      mesh.matrixWorld.decompose(localVector, facingQuaternion, localVector2);
+      let velocity = new THREE.Vector3(0, 0, 0);
+      let windupAction = null;
+      let windupLean = 0;
+      const _setMeshTransform = position => {
+        const quaternion = _getLeanQuaternion(facingQuaternion, windupLean, localQuaternion);
+        mesh.matrixWorld.compose(position, quaternion, localVector3.setFromMatrixScale(mesh.matrixWorld));
+        mesh.matrix.copy(mesh.matrixWorld);
+        if (mesh.parent) {
+          mesh.matrix.premultiply(localMatrix.copy(mesh.parent.matrixWorld).invert());
+        }
+        mesh.matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+      };
+      const ai = new MobAi(mobComponent, {
+        attacker: subApp,
+        getPhysicsObjects: () => physicsObjects,
+        getPosition: target => target.setFromMatrixPosition(mesh.matrixWorld),
+        getHp: () => subApp.hitTracker.hp / subApp.hitTracker.totalHp,
+        heal: () => {
+          subApp.hitTracker.hp = subApp.hitTracker.totalHp;
+        },
+        move: (direction, distance, timeDiffS) => {
+          const moveDelta = localVector6.copy(direction)
+            .multiplyScalar(distance)
+            .add(localVector7.copy(velocity).multiplyScalar(timeDiffS));
+          const minDist = 0;
+
+          const popExtraGeometry = (() => {
+            for (const extraPhysicsObject of extraPhysicsObjects) {
+              physicsScene.disableActor(extraPhysicsObject);
+            }
+            return () => {
+              for (const extraPhysicsObject of extraPhysicsObjects) {
+                physicsScene.enableActor(extraPhysicsObject);
+              }
+            };
+          })();
+
+          const flags = physicsScene.moveCharacterController(
+            characterController,
+            moveDelta,
+            minDist,
+            timeDiffS,
+            characterController.position
+          );
+          popExtraGeometry();
+
+          // const collided = flags !== 0;
+          let grounded = !!(flags & 0x1);
+          if (!grounded) {
+            velocity.add(
+              localVector.copy(physicsScene.getGravity())
+                .multiplyScalar(timeDiffS)
+            );
+          } else {
+            velocity.set(0, 0, 0);
+          }
+
+          _setMeshTransform(
+            localVector2.copy(characterController.position)
+              .sub(physicsOffset)
+          );
+        },
+        lookAt: position => {
+          const meshPosition = localVector5.setFromMatrixPosition(mesh.matrixWorld);
+          const targetQuaternion = _getFacingQuaternion(meshPosition, position, modelPrerotation, localQuaternion2);
+          facingQuaternion.slerp(targetQuaternion, 0.1);
+          _setMeshTransform(meshPosition);
+        },
+        telegraph: (attack, f) => {
+          if (attack) {
+            const clip = attack.animation ? animations.find(a => a.name === attack.animation) : null;
+            if (clip) {
+              if (!windupAction) {
+                windupAction = mixer.clipAction(clip)
+                  .setLoop(THREE.LoopOnce)
+                  .setDuration(attack.windup / 1000)
+                  .reset()
+                  .play();
+                windupAction.clampWhenFinished = true;
+              }
+            } else {
+              windupLean = f;
+            }
+          } else {
+            if (windupAction) {
+              windupAction.stop();
+              windupAction = null;
+            }
+            windupLean = 0;
+          }
+          _setMeshTransform(localVector5.setFromMatrixPosition(mesh.matrixWorld));
+        },
+      });
 
       // set up frame loop
       let animation = null;
-      let velocity = new THREE.Vector3(0, 0, 0);
       this.updateFns.push((timestamp, timeDiff) => {
-        const localPlayer = getLocalPlayer();
-        const timeDiffS = timeDiff / 1000;
-
         if (animation) {
           mesh.position.add(localVector.copy(animation.velocity).multiplyScalar(timeDiff/1000));
-          animation.velocity.add(localVector.copy(physicsManager.getGravity()).multiplyScalar(timeDiff/1000));
+          animation.velocity.add(localVector.copy(physicsScene.getGravity()).multiplyScalar(timeDiff/1000));
           if (mesh.position.y < 0) {
             animation = null;
           }
 
-          physicsManager.setCharacterControllerPosition(characterController, mesh.position);
+          physicsScene.setCharacterControllerPosition(characterController, mesh.position);
 
           mesh.updateMatrixWorld();
           
           // _updatePhysics();
         } else {
-          // decompose world transform
-          mesh.matrixWorld.decompose(localVector2, localQuaternion, localVector3);
-          const meshPosition = localVector2;
-          const meshQuaternion = localQuaternion;
-          const meshScale = localVector3;
-
-          const meshPositionY0 = localVector4.copy(meshPosition);
-          const characterPositionY0 = localVector5.copy(localPlayer.position)
-            .add(localVector6.set(0, localPlayer.avatar ? -localPlayer.avatar.height : 0, 0));
-          const distance = meshPositionY0.distanceTo(characterPositionY0);
-
-          _zeroY(meshPositionY0);
-          _zeroY(characterPositionY0);
-
-          const _handleAggroMovement = () => {
-            if (distance < aggroDistance) {
-              if (distance > minDistance) {
-                const movementDirection = _zeroY(characterPositionY0.sub(meshPositionY0))
-                  .normalize();
-                const maxMoveDistance = distance - minDistance;
-                const moveDistance = Math.min(walkSpeed * timeDiff * 1000, maxMoveDistance);
-                const moveDelta = localVector6.copy(movementDirection)
-                  .multiplyScalar(moveDistance)
-                  .add(localVector7.copy(velocity).multiplyScalar(timeDiffS));
-                const minDist = 0;
-
-                const popExtraGeometry = (() => {
-                  for (const extraPhysicsObject of extraPhysicsObjects) {
-                    physicsManager.disableActor(extraPhysicsObject);
-                  }
-                  return () => {
-                    for (const extraPhysicsObject of extraPhysicsObjects) {
-                      physicsManager.enableActor(extraPhysicsObject);
-                    }
-                  };
-                })();
-
-                const flags = physicsManager.moveCharacterController(
-                  characterController,
-                  moveDelta,
-                  minDist,
-                  timeDiffS,
-                  characterController.position
-                );
-                popExtraGeometry();
-
-                // const collided = flags !== 0;
-                let grounded = !!(flags & 0x1);
-                if (!grounded) {                  
-                  velocity.add(
-                    localVector.copy(physicsManager.getGravity())
-                      .multiplyScalar(timeDiffS)
-                  );
-                } else {
-                  velocity.set(0, 0, 0);
-                }
-
-                meshPosition.copy(characterController.position)
-                  .sub(physicsOffset);
-                
-                const targetQuaternion = localQuaternion2
-                  .setFromRotationMatrix(
-                    localMatrix
-                      .lookAt(
-                        meshPosition,
-                        localPlayer.position,
-                        upVector
-                      )
-                  ).premultiply(modelPrerotation);
-                localEuler.setFromQuaternion(targetQuaternion, 'YXZ');
-                localEuler.x = 0;
-                localEuler.y += Math.PI;
-                localEuler.z = 0;
-                localQuaternion2.setFromEuler(localEuler);
-                meshQuaternion.slerp(targetQuaternion, 0.1);
-
-                mesh.matrixWorld.compose(meshPosition, meshQuaternion, meshScale);
-                mesh.matrix.copy(mesh.matrixWorld);
-                if (app.parent) {
-                  mesh.matrix.premultiply(localMatrix.copy(app.parent.matrixWorld).invert());
-                }
-                mesh.matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
-              }
-            }
-          };
-          _handleAggroMovement();
-
-          const _handleAggroHit = () => {
-            if (distance < hitDistance) {
-              const timeSinceLastHit = timestamp - lastHitTime;
-              if (timeSinceLastHit > 1000) {
-                localPlayer.characterHitter.getHit(Math.random() * 10);
-                lastHitTime = timestamp;
-              }
-            }
-          };
-          _handleAggroHit();
+          ai.update(timestamp, timeDiff);
 
           const _updateExtraPhysics = () => {
             for (const extraPhysicsObject of extraPhysicsObjects) {
@@ -410,7 +419,7 @@ class Mob {
               extraPhysicsObject.position.copy(localVector);
               extraPhysicsObject.quaternion.copy(localQuaternion);
               extraPhysicsObject.updateMatrixWorld();
-              physicsManager.setTransform(extraPhysicsObject);
+              physicsScene.setTransform(extraPhysicsObject);
             }
           };
           _updateExtraPhysics();
@@ -452,8 +461,48 @@ class Mob {
   }
 }
 
+// a procgen mob; its transform is local to the batched mesh. procgen mobs can't be hurt, so they never flee
 class MobInstance {
-  constructor() {
+  constructor(parent, json, position, quaternion) {
+    this.parent = parent;
+    this.name = json.name ?? '';
+    this.position = position;
+    this.quaternion = quaternion;
+    this.modelPrerotation = new THREE.Quaternion().fromArray(json.modelQuaternion ?? [0, 0, 0, 1]);
+    this.lean = 0;
+    this.dirty = false;
+
+    this.ai = new MobAi(json, {
+      attacker: this,
+      getPhysicsObjects: () => [],
+      getPosition: target => target.copy(this.position)
+        .applyMatrix4(this.parent.matrixWorld),
+      getHp: () => 1,
+      heal: () => {},
+      move: (direction, distance) => {
+        this.parent.matrixWorld.decompose(localVector, localQuaternion, localVector2);
+        this.position.add(
+          localVector.copy(direction)
+            .multiplyScalar(distance)
+            .applyQuaternion(localQuaternion.invert())
+        );
+        this.dirty = true;
+      },
+      lookAt: position => {
+        const localPosition = localVector.copy(position)
+          .applyMatrix4(localMatrix.copy(this.parent.matrixWorld).invert());
+        const targetQuaternion = _getFacingQuaternion(this.position, localPosition, this.modelPrerotation, localQuaternion2);
+        this.quaternion.slerp(targetQuaternion, 0.1);
+        this.dirty = true;
+      },
+      telegraph: (attack, f) => {
+        this.lean = attack ? f : 0;
+        this.dirty = true;
+      },
+    });
+  }
+  update(timestamp, timeDiff) {
+    this.ai.update(timestamp, timeDiff);
   }
 }
 
@@ -506,6 +555,7 @@ class MobBatchedMesh extends InstancedBatchedMesh {
   }) {
     const {
       glbs,
+      jsons,
       skinnedMeshes: meshes,
     } = mobData;
     const {
@@ -776,6 +826,7 @@ gl_Position = projectionMatrix * mvPosition;
     // window.geometry = geometry;
 
     this.glbs = glbs;
+    this.jsons = jsons;
     this.meshes = meshes;
     // this.rootBones = rootBones;
     this.drawCalls = Array(meshes.length).fill(null);
@@ -855,7 +906,7 @@ gl_Position = projectionMatrix * mvPosition;
       // mobData.instances.length > 0 && console.log('got mob data', mobData, chunk); // XXX
       if (!live) return;
 
-      const _renderMobGeometry = (drawCall, ps, qs, index) => {
+      const _renderMobGeometry = (drawCall, json, ps, qs, index) => {
         // locals
 
         const instanceIndex = drawCall.getInstanceCount();
@@ -897,7 +948,12 @@ gl_Position = projectionMatrix * mvPosition;
         drawCall.updateTexture('timeOffset', timeOffsetOffset + instanceIndex, 1);
 
 
-        const instance = new MobInstance();
+        const instance = new MobInstance(
+          this,
+          json,
+          new THREE.Vector3(px, py, pz),
+          new THREE.Quaternion(qx, qy, qz, qw)
+        );
         drawCall.instances.push(instance);
 
         // physics
@@ -959,7 +1015,7 @@ gl_Position = projectionMatrix * mvPosition;
         const geometryIndex = Math.floor(geometryNoise * this.meshes.length);
         
         const drawCall = this.getDrawCall(geometryIndex);
-        const mobInstance = _renderMobGeometry(drawCall, mobData.ps, mobData.qs, i);
+        const mobInstance = _renderMobGeometry(drawCall, this.jsons[geometryIndex], mobData.ps, mobData.qs, i);
         // window.drawCall = drawCall;
 
         signal.addEventListener('abort', e => {
@@ -968,12 +1024,37 @@ gl_Position = projectionMatrix * mvPosition;
       }
     }
   }
+  // writes the moved mob instance to the instance textures
+  #updateInstanceTransform(drawCall, instanceIndex, mobInstance) {
+    const pTexture = drawCall.getTexture('p');
+    const pOffset = drawCall.getTextureOffset('p');
+    const qTexture = drawCall.getTexture('q');
+    const qOffset = drawCall.getTextureOffset('q');
+
+    mobInstance.position.toArray(pTexture.image.data, pOffset + instanceIndex * 3);
+    _getLeanQuaternion(mobInstance.quaternion, mobInstance.lean, localQuaternion)
+      .toArray(qTexture.image.data, qOffset + instanceIndex * 4);
+
+    drawCall.updateTexture('p', pOffset / 3 + instanceIndex, 1);
+    drawCall.updateTexture('q', qOffset / 4 + instanceIndex, 1);
+  }
   update(timestamp, timeDiff) {
     const shader = this.material.userData.shader;
     if (shader) {
       const frameIndex = timestamp * bakeFps / 1000;
       shader.uniforms.time.value = Math.floor(frameIndex);
     }
+
+    for (const drawCall of this.drawCalls) {
+      for (let i = 0; i < drawCall.instances.length; i++) {
+        const mobInstance = drawCall.instances[i];
+        mobInstance.update(timestamp, timeDiff);
+        if (mobInstance.dirty) {
+          this.#updateInstanceTransform(drawCall, i, mobInstance);
+          mobInstance.dirty = false;
+        }
+      }
+    }
   }
 }
 
@@ -982,11 +1063,13 @@ class MobsCompiledData {
     appUrls = [],
   } = {}) {
     this.glbs = null;
+    this.jsons = null;
     this.skinnedMeshes = null;
 
     this.loadPromise = (async () => {
       // lod mob modules
-      const glbs = await Promise.all(appUrls.map(async u => {
+      const jsons = [];
+      const glbs = await Promise.all(appUrls.map(async (u, i) => {
         const m = await metaversefile.import(u);
 
         // load glb
@@ -994,6 +1077,8 @@ class MobsCompiledData {
           const mobJsonUrl = m.srcUrl;
           const res = await fetch(mobJsonUrl);
           const j = await res.json();
+          // the json also drives the mob ai
+          jsons[i] = j;
 
           return await new Promise((accept, reject) => {
             const mobUrl = createRelativeUrl(j.mobUrl, mobJsonUrl);
@@ -1013,6 +1098,7 @@ class MobsCompiledData {
       const skinnedMeshes = skinnedMeshSpecs.map(spec => spec.mesh);
 
       this.glbs = glbs;
+      this.jsons = jsons;
       this.skinnedMeshes = skinnedMeshes;
     })();
   }
@@ -1198,6 +1284,7 @@ class MobManager {
     for (const mob of this.mobs) {
       mob.update(timestamp, timeDiff);
     }
+    updateMobProjectiles(timestamp, timeDiff);
   }
 }
 const mobManager = new MobManager();
@@ -0,0 +1,269 @@
+/*
+this file contains the npc behavior state machine, declared in the npc json:
+  behavior -- the starting state: 'idle' (default), 'patrol', 'wander' or 'guard'
+  patrol: [[x, y, z], ...] -- waypoints relative to the spawn point, walked in a loop
+  wander: radius | {radius, pause} -- walk to random points within radius of the spawn point, pausing pause seconds at each
+  guard: radius | {radius} -- hold the spawn point; approach the player while they are within radius, without leaving it
+  flee: true | {distance, duration} -- when hit, run distance meters away, then go back to the previous state after duration seconds
+  schedule: [{time: 'HH:MM', behavior}] -- switch state at these times of the local clock
+movement uses the PathFinder where it finds a path, else walks straight at the goal.
+*/
+
+import * as THREE from 'three';
+import {PathFinder} from './npc-utils.js';
+
+const slowdownFactor = 0.4;
+export const walkSpeed = 0.075 * slowdownFactor;
+export const runSpeed = walkSpeed * 8;
+export const behaviorStates = ['idle', 'patrol', 'wander', 'guard', 'flee'];
+
+const waypointReachDistance = 0.5;
+const goalReachDistance = 0.5;
+const guardApproachDistance = 2;
+const scheduleCheckInterval = 1000;
+const defaultWanderPause = 3;
+const defaultFleeDistance = 10;
+const defaultFleeDuration = 5;
+
+const localVector = new THREE.Vector3();
+const localVector2 = new THREE.Vector3();
+
+const _parseTime = time => {
+  const [hours, minutes = 0] = String(time).split(':').map(n => parseInt(n, 10));
+  return hours * 60 + minutes;
+};
+// the latest entry at or before now, wrapping around midnight
+const _getScheduledBehavior = (schedule, date) => {
+  const now = date.getHours() * 60 + date.getMinutes();
+  let result = null;
+  let resultTime = -Infinity;
+  for (const entry of schedule) {
+    let time = _parseTime(entry.time);
+    if (time > now) {
+      time -= 24 * 60;
+    }
+    if (time > resultTime) {
+      result = entry.behavior;
+      resultTime = time;
+    }
+  }
+  return result;
+};
+
+export class NpcBehavior extends EventTarget {
+  constructor({
+    npcPlayer,
+    spawnPosition,
+    spec = {},
+  }) {
+    super();
+
+    this.npcPlayer = npcPlayer;
+    this.spawnPosition = spawnPosition.clone();
+
+    this.patrol = Array.isArray(spec.patrol) ?
+      spec.patrol.map(p => new THREE.Vector3().fromArray(p).add(this.spawnPosition))
+    :
+      [];
+    const wander = typeof spec.wander === 'number' ? {radius: spec.wander} : spec.wander;
+    this.wander = wander ? {
+      radius: wander.radius,
+      pause: wander.pause ?? defaultWanderPause,
+    } : null;
+    const guard = typeof spec.guard === 'number' ? {radius: spec.guard} : spec.guard;
+    this.guard = guard ? {
+      radius: guard.radius,
+    } : null;
+    const flee = spec.flee === true ? {} : spec.flee;
+    this.flee = flee ? {
+      distance: flee.distance ?? defaultFleeDistance,
+      duration: flee.duration ?? defaultFleeDuration,
+    } : null;
+    this.schedule = Array.isArray(spec.schedule) ? spec.schedule : [];
+
+    this.pathFinder = new PathFinder({
+      ignorePhysicsIds: [npcPlayer.characterController.physicsId],
+    });
+
+    this.state = 'idle';
+    this.previousState = 'idle';
+    this.goal = null;
+    this.path = null;
+    this.waypointIndex = 0;
+    this.patrolIndex = 0;
+    this.waitTime = 0;
+    this.fleeTime = 0;
+    this.scheduleCheckTime = 0;
+    this.scheduledBehavior = null;
+
+    this.setState(spec.behavior ?? 'idle');
+    this.#updateSchedule();
+  }
+  canSetState(state) {
+    switch (state) {
+      case 'idle': return true;
+      case 'patrol': return this.patrol.length > 0;
+      case 'wander': return !!this.wander;
+      case 'guard': return !!this.guard;
+      case 'flee': return !!this.flee;
+      default: return false;
+    }
+  }
+  setState(state) {
+    if (!this.canSetState(state)) {
+      console.warn('npc behavior not available', {name: this.npcPlayer.name, state});
+      return false;
+    }
+
+    if (state !== 'flee') {
+      this.previousState = state;
+    }
+    this.state = state;
+    this.#clearGoal();
+    this.waitTime = 0;
+    this.fleeTime = 0;
+    if (state === 'patrol') {
+      this.patrolIndex = this.#getClosestPatrolIndex();
+    }
+
+    this.dispatchEvent(new MessageEvent('statechange', {
+      data: {
+        state,
+      },
+    }));
+    return true;
+  }
+  // run away along direction, e.g. the hit direction
+  startFlee(direction) {
+    if (this.setState('flee')) {
+      localVector.copy(direction);
+      localVector.y = 0;
+      if (localVector.lengthSq() === 0) {
+        localVector.set(0, 0, 1);
+      }
+      localVector.normalize()
+        .multiplyScalar(this.flee.distance)
+        .add(this.npcPlayer.position);
+      this.#setGoal(localVector);
+    }
+  }
+  #getClosestPatrolIndex() {
+    let closestIndex = 0;
+    let closestDistance = Infinity;
+    for (let i = 0; i < this.patrol.length; i++) {
+      const distance = this.patrol[i].distanceTo(this.npcPlayer.position);
+      if (distance < closestDistance) {
+        closestIndex = i;
+        closestDistance = distance;
+      }
+    }
+    return closestIndex;
+  }
+  #setGoal(position, {usePath = true} = {}) {
+    this.goal = (this.goal ?? new THREE.Vector3()).copy(position);
+    this.path = usePath ? this.pathFinder.getPath(this.npcPlayer.position, this.goal) : null;
+    this.waypointIndex = 0;
+  }
+  #clearGoal() {
+    this.goal = null;
+    this.path = null;
+    this.waypointIndex = 0;
+  }
+  // returns whether the goal was reached
+  #walk(speed, timeDiff, reachDistance = goalReachDistance) {
+    const waypoint = this.path?.[this.waypointIndex];
+    const v = localVector.copy(waypoint ? waypoint.position : this.goal)
+      .sub(this.npcPlayer.position);
+    v.y = 0;
+    const distance = v.length();
+    if (waypoint) {
+      if (distance < waypointReachDistance) {
+        this.waypointIndex++;
+      }
+    } else if (distance < reachDistance) {
+      this.#clearGoal();
+      return true;
+    }
+
+    if (distance > 0) {
+      v.multiplyScalar(speed * timeDiff / distance);
+      this.npcPlayer.characterPhysics.applyWasd(v);
+    }
+    return false;
+  }
+  #updateSchedule() {
+    if (this.schedule.length > 0) {
+      const behavior = _getScheduledBehavior(this.schedule, new Date());
+      // only switch when the schedule changes, so states set in between stick until then
+      if (behavior && behavior !== this.scheduledBehavior) {
+        this.scheduledBehavior = behavior;
+        if (this.state !== 'flee') {
+          this.setState(behavior);
+        } else {
+          this.previousState = behavior;
+        }
+      }
+    }
+  }
+  update(timestamp, timeDiff, localPlayer) {
+    this.scheduleCheckTime += timeDiff;
+    if (this.scheduleCheckTime >= scheduleCheckInterval) {
+      this.scheduleCheckTime = 0;
+      this.#updateSchedule();
+    }
+
+    switch (this.state) {
+      case 'patrol': {
+        if (!this.goal) {
+          this.#setGoal(this.patrol[this.patrolIndex]);
+        }
+        if (this.#walk(walkSpeed, timeDiff)) {
+          this.patrolIndex = (this.patrolIndex + 1) % this.patrol.length;
+        }
+        break;
+      }
+      case 'wander': {
+        if (this.waitTime > 0) {
+          this.waitTime -= timeDiff / 1000;
+        } else {
+          if (!this.goal) {
+            const angle = Math.random() * Math.PI * 2;
+            const radius = Math.sqrt(Math.random()) * this.wander.radius;
+            localVector2.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius)
+              .add(this.spawnPosition);
+            this.#setGoal(localVector2);
+          }
+          if (this.#walk(walkSpeed, timeDiff)) {
+            this.waitTime = this.wander.pause;
+          }
+        }
+        break;
+      }
+      case 'guard': {
+        // the area is small, so the guard walks straight
+        const playerDistance = localVector2.copy(localPlayer.position)
+          .sub(this.spawnPosition)
+          .setY(0)
+          .length();
+        if (playerDistance < this.guard.radius) {
+          this.#setGoal(localPlayer.position, {usePath: false});
+          this.#walk(walkSpeed, timeDiff, guardApproachDistance);
+        } else {
+          this.#setGoal(this.spawnPosition, {usePath: false});
+          this.#walk(walkSpeed, timeDiff);
+        }
+        break;
+      }
+      case 'flee': {
+        this.fleeTime += timeDiff / 1000;
+        if (this.goal) {
+          this.#walk(runSpeed, timeDiff);
+        }
+        if (this.fleeTime >= this.flee.duration) {
+          this.setState(this.previousState);
+        }
+        break;
+      }
+    }
+  }
+}
@@ -0,0 +1,177 @@
+/*
+this file contains the ambient conversations npcs hold with each other when they are within earshot.
+lines come from the lore ai and show as chat hups, voiced with each npc's voice endpoint.
+conversations are rate limited, draw from a budget of lines that refills over time and pause while the player is in a conversation.
+*/
+
+import metaversefile from 'metaversefile';
+import npcManager from './npc-manager.js';
+import story from './story.js';
+import {chatManager} from './chat-manager.js';
+import {getLocalPlayer} from './players.js';
+import {makeId} from './util.js';
+import {triggerEmote} from './src/components/general/character/Poses.jsx';
+import validEmotionMapping from './validEmotionMapping.json';
+
+const earshotDistance = 6;
+const listenDistance = 20; // no one chats where the player cannot hear
+const conversationCooldown = 30 * 1000;
+const lineInterval = 4 * 1000;
+const maxLines = 6;
+const maxBudget = 20;
+const budgetRefillTime = 30 * 1000; // one line per refill
+const chatTimeout = 5000;
+
+class NpcChatter extends EventTarget {
+  constructor() {
+    super();
+
+    this.enabled = true;
+    this.conversation = null;
+    this.cooldown = conversationCooldown;
+    this.budget = maxBudget;
+    this.budgetRefill = 0;
+
+    story.addEventListener('conversationstart', e => {
+      this.stopConversation();
+    });
+  }
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.stopConversation();
+    }
+  }
+  isPaused() {
+    return !this.enabled || !!story.getConversation();
+  }
+  stopConversation() {
+    if (this.conversation) {
+      this.conversation.live = false;
+      this.conversation = null;
+      this.cooldown = conversationCooldown;
+    }
+  }
+  #findSpeakers() {
+    const localPlayer = getLocalPlayer();
+    const npcs = npcManager.npcs.filter(npc => npc.npcApp && npc.avatar && npc.position.distanceTo(localPlayer.position) < listenDistance);
+    for (let i = 0; i < npcs.length; i++) {
+      for (let j = i + 1; j < npcs.length; j++) {
+        if (npcs[i].position.distanceTo(npcs[j].position) < earshotDistance) {
+          // either one may open
+          return Math.random() < 0.5 ? [npcs[i], npcs[j]] : [npcs[j], npcs[i]];
+        }
+      }
+    }
+    return null;
+  }
+  #isInEarshot(conversation) {
+    const [a, b] = conversation.speakers;
+    return npcManager.npcs.includes(a) &&
+      npcManager.npcs.includes(b) &&
+      a.position.distanceTo(b.position) < earshotDistance;
+  }
+  #say(player, text, emote) {
+    const m = {
+      type: 'chat',
+      chatId: makeId(5),
+      playerId: player.playerId,
+      playerName: player.name,
+      message: text,
+    };
+    chatManager.addPlayerMessage(player, m, {
+      timeout: chatTimeout,
+    });
+    if (emote !== 'none' && validEmotionMapping[emote] !== undefined) {
+      triggerEmote(validEmotionMapping[emote], player);
+    }
+  }
+  async #progress(conversation) {
+    const speaker = conversation.speakers[conversation.messages.length % 2];
+    this.budget--;
+
+    let result;
+    try {
+      const aiScene = metaversefile.useLoreAIScene();
+      result = await aiScene.generateChatMessage(conversation.messages, speaker.name);
+    } catch (err) {
+      console.warn('ambient conversation failed', err);
+      result = null;
+    }
+    // the player may have started talking or walked off meanwhile
+    if (!conversation.live) return;
+
+    const text = result?.value;
+    if (text && !conversation.messages.some(m => m.text === text)) {
+      conversation.messages.push({
+        player: speaker,
+        name: speaker.name,
+        text,
+        emote: result.emote,
+      });
+      this.#say(speaker, text, result.emote);
+
+      this.dispatchEvent(new MessageEvent('message', {
+        data: {
+          player: speaker,
+          text,
+        },
+      }));
+    }
+
+    if (!text || result.done || conversation.messages.length >= maxLines) {
+      this.stopConversation();
+    } else {
+      conversation.waitTime = lineInterval;
+      conversation.generating = false;
+    }
+  }
+  update(timestamp, timeDiff) {
+    if (this.budget < maxBudget) {
+      this.budgetRefill += timeDiff;
+      if (this.budgetRefill >= budgetRefillTime) {
+        this.budgetRefill = 0;
+        this.budget++;
+      }
+    }
+
+    if (this.isPaused()) {
+      this.stopConversation();
+      return;
+    }
+
+    const {conversation} = this;
+    if (conversation) {
+      if (!this.#isInEarshot(conversation)) {
+        this.stopConversation();
+      } else if (!conversation.generating) {
+        conversation.waitTime -= timeDiff;
+        if (conversation.waitTime <= 0) {
+          if (this.budget > 0) {
+            conversation.generating = true;
+            this.#progress(conversation);
+          } else {
+            this.stopConversation();
+          }
+        }
+      }
+    } else {
+      this.cooldown -= timeDiff;
+      if (this.cooldown <= 0) {
+        this.cooldown = conversationCooldown;
+        const speakers = this.budget > 0 ? this.#findSpeakers() : null;
+        if (speakers) {
+          this.conversation = {
+            speakers,
+            messages: [],
+            live: true,
+            generating: false,
+            waitTime: 0,
+          };
+        }
+      }
+    }
+  }
+}
+const npcChatter = new NpcChatter();
+export default npcChatter;
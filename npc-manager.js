@@ -4,17 +4,27 @@ import physicsManager from './physics-manager.js';
 import {LocalPlayer} from './character-controller.js';
 import {getLocalPlayer, remotePlayers} from './players.js';
 import * as voices from './voices.js';
+import localTts from './voice-output/local-tts.js';
 import {world} from './world.js';
 import {chatManager} from './chat-manager.js';
 import {createRelativeUrl} from './util.js';
+import {PathFinder} from './npc-utils.js';
+import {NpcBehavior, behaviorStates, walkSpeed, runSpeed} from './npc-behavior.js';
 import { triggerEmote } from './src/components/general/character/Poses.jsx';
 import validEmotionMapping from "./validEmotionMapping.json";
 
 const localVector = new THREE.Vector3();
+const localVector2 = new THREE.Vector3();
 
 const physicsScene = physicsManager.getScene();
 const cancelFnMap = new WeakMap();
 
+const pickupActions = ['pickup', 'grab', 'take', 'get'];
+const useActions = ['use', 'activate'];
+const waypointReachDistance = 0.5;
+const objectReachDistance = 1;
+const useDuration = 1000;
+
 class NpcManager extends EventTarget {
   constructor() {
     super();
@@ -85,6 +95,7 @@ class NpcManager extends EventTarget {
     let json = null;
     let npcPlayer = null;
     let character = null;
+    let behavior = null;
     const cancelFns = [
       () => {
         live = false;
@@ -111,13 +122,14 @@ class NpcManager extends EventTarget {
 
     app.getPhysicsObjects = () => npcPlayer ? [npcPlayer.characterController] : [];
     app.getLoreSpec = () => {
-      const name = json.name ?? 'Anon';
-      const description = json.bio ?? '';
+      const name = json?.name ?? 'Anon';
+      const description = json?.bio ?? '';
       return {
         name,
         description,
       }
     };
+    app.getDialogue = () => json?.dialogue ?? null;
 
     // events
     let targetSpec = null;
@@ -140,6 +152,21 @@ class NpcManager extends EventTarget {
         };
         app.addEventListener('hittrackeradded', hittrackeradd);
 
+        // run from whoever hit, else along the blow
+        const hit = e => {
+          if (behavior?.flee) {
+            targetSpec = null;
+            const {attacker, hitDirection} = e;
+            if (attacker) {
+              localVector.copy(npcPlayer.position).sub(attacker.position);
+            } else {
+              localVector.copy(hitDirection);
+            }
+            behavior.startFlee(localVector);
+          }
+        };
+        app.addEventListener('hit', hit);
+
         const activate = () => {
           if (targetSpec?.object !== localPlayer) {
             targetSpec = {
@@ -152,9 +179,6 @@ class NpcManager extends EventTarget {
         };
         app.addEventListener('activate', activate);
 
-        const slowdownFactor = 0.4;
-        const walkSpeed = 0.075 * slowdownFactor;
-        const runSpeed = walkSpeed * 8;
         const speedDistanceRate = 0.07;
         const frame = e => {
           if (npcPlayer && physicsScene.getPhysicsEnabled()) {
@@ -162,18 +186,28 @@ class NpcManager extends EventTarget {
             
             if (targetSpec) {
               const target = targetSpec.object;
-              const v = localVector.setFromMatrixPosition(target.matrixWorld)
+              // walk the path waypoints first, then straight to the target
+              const waypoint = targetSpec.path?.[targetSpec.waypointIndex];
+              const targetPosition = waypoint ? waypoint.position : localVector2.setFromMatrixPosition(target.matrixWorld);
+              const v = localVector.copy(targetPosition)
                 .sub(npcPlayer.position);
               v.y = 0;
               const distance = v.length();
-              if (targetSpec.type === 'moveto' && distance < 2) {
+              if (waypoint && distance < waypointReachDistance) {
+                targetSpec.waypointIndex++;
+              } else if (!waypoint && targetSpec.type === 'moveto' && distance < (targetSpec.reachDistance ?? 2)) {
+                const {onreach} = targetSpec;
                 targetSpec = null;
+                onreach && onreach();
               } else {
                 const speed = Math.min(Math.max(walkSpeed + ((distance - 1.5) * speedDistanceRate), 0), runSpeed);
                 v.normalize()
                   .multiplyScalar(speed * timeDiff);
                 npcPlayer.characterPhysics.applyWasd(v);
               }
+            } else if (behavior) {
+              // following the player or an ai action takes priority over the behavior
+              behavior.update(timestamp, timeDiff, localPlayer);
             }
 
             npcPlayer.setTarget(localPlayer.position);
@@ -195,6 +229,7 @@ class NpcManager extends EventTarget {
 
         cancelFns.push(() => {
           app.removeEventListener('hittrackeradded', hittrackeradd);
+          app.removeEventListener('hit', hit);
           app.removeEventListener('activate', activate);
           world.appManager.removeEventListener('frame', frame);
         });
@@ -222,6 +257,91 @@ class NpcManager extends EventTarget {
         npcWear = [npcWear];
       }
 
+      // object actions; objects are world apps, found by their lore name
+      const _findApp = name => {
+        const object = world.loreAIScene.getObjectByName(name);
+        return (object?.app && object.app !== app) ? object.app : null;
+      };
+      const _findWornApp = name => {
+        const nameLowerCase = name.toLowerCase();
+        return npcPlayer.appManager.apps.find(wornApp => wornApp.name?.toLowerCase() === nameLowerCase) ?? null;
+      };
+      const _getPath = targetApp => {
+        const pathFinder = new PathFinder({
+          ignorePhysicsIds: [npcPlayer.characterController.physicsId]
+            .concat(targetApp.getPhysicsObjects().map(physicsObject => physicsObject.physicsId)),
+        });
+        const dest = localVector.setFromMatrixPosition(targetApp.matrixWorld);
+        return pathFinder.getPath(npcPlayer.position, dest);
+      };
+      // with no path found the npc walks straight there
+      const _moveToApp = (targetApp, onreach = null) => {
+        targetSpec = {
+          type: 'moveto',
+          object: targetApp,
+          path: _getPath(targetApp),
+          waypointIndex: 0,
+          reachDistance: objectReachDistance,
+          onreach,
+        };
+      };
+      // wearables are worn like the player wears them; anything else cannot be carried
+      const _pickUp = targetApp => {
+        if (!world.appManager.hasTrackedApp(targetApp.instanceId)) {
+          console.warn('npc object was taken before the npc got to it', targetApp.name);
+          return false;
+        } else if (!targetApp.getComponent('wear')) {
+          console.warn('npc cannot pick up object without a wear component', targetApp.name);
+          return false;
+        } else {
+          npcPlayer.wear(targetApp);
+          return true;
+        }
+      };
+      const _useWornApp = wornApp => {
+        const useComponent = wornApp.getComponent('use');
+        if (useComponent && !npcPlayer.getAction('use')) {
+          const {boneAttachment, animation, animationCombo, animationEnvelope, ik, behavior, position, quaternion, scale} = useComponent;
+          npcPlayer.addAction({
+            type: 'use',
+            instanceId: wornApp.instanceId,
+            animation,
+            animationCombo,
+            animationEnvelope,
+            ik,
+            behavior,
+            boneAttachment,
+            index: 0,
+            position,
+            quaternion,
+            scale,
+          });
+          wornApp.use();
+
+          setTimeout(() => {
+            if (!live) return;
+            wornApp.dispatchEvent({
+              type: 'use',
+              use: false,
+            });
+            npcPlayer.removeAction('use');
+          }, useDuration);
+        }
+      };
+      const _use = targetApp => {
+        if (npcPlayer.appManager.apps.includes(targetApp)) {
+          _useWornApp(targetApp);
+        } else {
+          _moveToApp(targetApp, () => {
+            if (targetApp.getComponent('wear')) {
+              _pickUp(targetApp) && _useWornApp(targetApp);
+            } else {
+              targetApp.activate();
+            }
+          });
+        }
+      };
+
       // ai scene
       const _addToAiScene = () => {
         character = world.loreAIScene.addCharacter({
@@ -240,6 +360,22 @@ class NpcManager extends EventTarget {
               type: 'sss',
             };
             npcPlayer.addAction(newSssAction);  
+          } else if (npcPlayer && pickupActions.includes(action)) { // pick up object
+            const targetApp = _findApp(object);
+            if (targetApp) {
+              _moveToApp(targetApp, () => {
+                _pickUp(targetApp);
+              });
+            } else {
+              console.warn('npc could not find object to pick up', {name: npcName, object});
+            }
+          } else if (npcPlayer && useActions.includes(action)) { // use object
+            const targetApp = _findWornApp(object) ?? _findApp(object);
+            if (targetApp) {
+              _use(targetApp);
+            } else {
+              console.warn('npc could not find object to use', {name: npcName, object});
+            }
           } else if (action === 'follow' || (object === 'none' && target === localPlayer.name)) { // follow player
             targetSpec = {
               type: 'follow',
@@ -247,17 +383,21 @@ class NpcManager extends EventTarget {
             };
           } else if (action === 'stop') { // stop
             targetSpec = null;
-          } else if (action === 'moveto' || (object !== 'none' && target === 'none')) { // move to object
-            console.log('move to object', object);
+            behavior?.setState('idle');
+          } else if (behavior && behaviorStates.includes(action)) { // switch behavior
+            targetSpec = null;
+            if (action === 'flee') { // from the local player, who the ai is answering
+              behavior.startFlee(localVector.copy(npcPlayer.position).sub(localPlayer.position));
+            } else {
+              behavior.setState(action);
+            }
+          } else if (npcPlayer && action === 'moveto' && object !== 'none' && _findApp(object)) { // move to object
+            _moveToApp(_findApp(object));
           } else if (action === 'moveto' || (object === 'none' && target !== 'none')) { // move to player
             targetSpec = {
               type: 'moveto',
               object: localPlayer,
             };
-          } else if (['pickup', 'grab', 'take', 'get'].includes(action)) { // pick up object
-            console.log('pickup', action, object, target);
-          } else if (['use', 'activate'].includes(action)) { // use object
-            console.log('use', action, object, target);
           }
         });
       };
@@ -287,16 +427,24 @@ class NpcManager extends EventTarget {
       };
       _addPlayerAvatarToApp();
 
-      // voice endpoint setup
+      // voice endpoint setup; the local tts engine takes the voice name as is
       const _setVoiceEndpoint = () => {
-        const voice = voices.voiceEndpoints.find(v => v.name === npcVoiceName);
-        if (voice) {
-          newNpcPlayer.setVoiceEndpoint(voice.drive_id);
+        if (localTts.isEnabled()) {
+          newNpcPlayer.setLocalVoice(npcVoiceName);
         } else {
-          console.warn('unknown voice name', npcVoiceName, voices.voiceEndpoints);
+          const voice = voices.voiceEndpoints.find(v => v.name === npcVoiceName);
+          if (voice) {
+            newNpcPlayer.setVoiceEndpoint(voice.drive_id);
+          } else {
+            console.warn('unknown voice name', npcVoiceName, voices.voiceEndpoints);
+          }
         }
       };
       _setVoiceEndpoint();
+      localTts.addEventListener('change', _setVoiceEndpoint);
+      cancelFns.push(() => {
+        localTts.removeEventListener('change', _setVoiceEndpoint);
+      });
 
       // wearables
       const _updateWearables = async () => {
@@ -315,6 +463,13 @@ class NpcManager extends EventTarget {
       await _updateWearables();
       if (!live) return;
       
+      // behavior
+      behavior = new NpcBehavior({
+        npcPlayer: newNpcPlayer,
+        spawnPosition: newNpcPlayer.position,
+        spec: json,
+      });
+
       // latch
       npcPlayer = newNpcPlayer;
     }
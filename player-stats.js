@@ -1,11 +1,193 @@
-export const hp = 80;
-export const mp = 20;
-export const xp = 40;
-export const level = 6;
-
-export const atk = 23;
-export const def = 17;
-export const vit = 10;
-export const spr = 9;
-export const dex = 50;
-export const lck = 7;
\ No newline at end of file
+/* this file contains the player stats: level, xp, hp, mp and the attributes.
+stats live in the player state under 'stats', so remote players see them; only the player's own client changes them.
+xp comes from kills, which hit trackers report to the attacker with a kill event, and from completed quests.
+each level raises the attributes by their growth, and with them max hp (vit) and max mp (spr).
+the local player's stats are persisted in indexeddb under 'stats'. */
+
+import * as storage from './storage.js';
+
+export const attributeNames = ['atk', 'def', 'vit', 'spr', 'dex', 'lck'];
+export const maxLevel = 99;
+
+const statsStorageKey = 'stats';
+const statsStateKey = 'stats';
+const saveDebounceTime = 1000;
+
+const baseAttributes = {
+  atk: 10,
+  def: 10,
+  vit: 10,
+  spr: 10,
+  dex: 10,
+  lck: 5,
+};
+const attributeGrowth = {
+  atk: 2,
+  def: 2,
+  vit: 2,
+  spr: 1,
+  dex: 2,
+  lck: 1,
+};
+const hpPerVit = 10;
+const mpPerSpr = 5;
+const levelXpScale = 50;
+const levelXpExponent = 1.6;
+const killXpPerHp = 0.2;
+
+// the total xp needed to reach the level
+export const getLevelXp = level => Math.round(levelXpScale * Math.pow(level - 1, levelXpExponent));
+export const getMaxHp = stats => stats.vit * hpPerVit;
+export const getMaxMp = stats => stats.spr * mpPerSpr;
+// how far the xp is towards the next level, 0-1
+export const getLevelProgress = stats => {
+  if (stats.level >= maxLevel) {
+    return 1;
+  } else {
+    const levelXp = getLevelXp(stats.level);
+    return (stats.xp - levelXp) / (getLevelXp(stats.level + 1) - levelXp);
+  }
+};
+// the xp component of the killed app, else scaled by how tough it was
+export const getKillXp = app => app.getComponent?.('xp') ??
+  Math.max(Math.round((app.hitTracker?.totalHp ?? 0) * killXpPerHp), 1);
+
+const _makeStats = (level = 1) => {
+  const stats = {
+    level,
+    xp: getLevelXp(level),
+    hp: 0,
+    mp: 0,
+  };
+  for (const name of attributeNames) {
+    stats[name] = baseAttributes[name] + attributeGrowth[name] * (level - 1);
+  }
+  stats.hp = getMaxHp(stats);
+  stats.mp = getMaxMp(stats);
+  return stats;
+};
+
+export class PlayerStats extends EventTarget {
+  constructor(player) {
+    super();
+
+    this.player = player;
+    this.stats = _makeStats();
+    this.persisted = false;
+    this.saveTimeout = null;
+
+    player.addEventListener('kill', e => {
+      this.addXp(getKillXp(e.app));
+    });
+  }
+  getStats() {
+    return this.stats;
+  }
+  get(name) {
+    return this.stats[name];
+  }
+  getMaxHp() {
+    return getMaxHp(this.stats);
+  }
+  getMaxMp() {
+    return getMaxMp(this.stats);
+  }
+  #setStats(stats) {
+    this.stats = stats;
+    this.writeState();
+    this.dispatchEvent(new MessageEvent('statschange', {
+      data: {
+        stats,
+      },
+    }));
+    if (this.persisted) {
+      this.queueSave();
+    }
+  }
+  #update(changes) {
+    this.#setStats({
+      ...this.stats,
+      ...changes,
+    });
+  }
+  setHp(hp) {
+    this.#update({
+      hp: Math.min(Math.max(hp, 0), this.getMaxHp()),
+    });
+  }
+  setMp(mp) {
+    this.#update({
+      mp: Math.min(Math.max(mp, 0), this.getMaxMp()),
+    });
+  }
+  addXp(amount) {
+    const xp = this.stats.xp + amount;
+    let {level} = this.stats;
+    while (level < maxLevel && xp >= getLevelXp(level + 1)) {
+      level++;
+    }
+
+    if (level !== this.stats.level) {
+      // leveling up restores hp and mp
+      const stats = _makeStats(level);
+      stats.xp = xp;
+      this.#setStats(stats);
+      this.dispatchEvent(new MessageEvent('levelup', {
+        data: {
+          level,
+        },
+      }));
+    } else {
+      this.#update({
+        xp,
+      });
+    }
+  }
+  // stats go to the player state, for remote players to read
+  writeState() {
+    this.player.playerMap?.set(statsStateKey, JSON.stringify(this.stats));
+  }
+  // called when the state of a remote player changes
+  readState() {
+    const statsString = this.player.playerMap?.get(statsStateKey);
+    if (statsString) {
+      this.stats = JSON.parse(statsString);
+      this.dispatchEvent(new MessageEvent('statschange', {
+        data: {
+          stats: this.stats,
+        },
+      }));
+    }
+  }
+  async load() {
+    this.persisted = true;
+    try {
+      const stats = await storage.get(statsStorageKey);
+      if (stats) {
+        const newStats = {
+          ..._makeStats(stats.level),
+          ...stats,
+        };
+        // players who left dead come back alive
+        if (newStats.hp <= 0) {
+          newStats.hp = getMaxHp(newStats);
+        }
+        this.#setStats(newStats);
+      }
+    } catch (err) {
+      console.warn('failed to load player stats', err);
+    }
+  }
+  queueSave() {
+    if (!this.saveTimeout) {
+      this.saveTimeout = setTimeout(async () => {
+        this.saveTimeout = null;
+        try {
+          await storage.set(statsStorageKey, this.stats);
+        } catch (err) {
+          console.warn('failed to save player stats', err);
+        }
+      }, saveDebounceTime);
+    }
+  }
+}
@@ -1,70 +1,551 @@
-// import {scene} from './renderer.js';
-// import * as metaverseModules from './metaverse-modules.js';
-// import metaversefile from 'metaversefile';
+/*
+this file contains the quest engine and the persistent quest log.
+quests are declared in the json of application/quest apps:
+  id -- optional stable id for the quest log (defaults to the name)
+  conditions: [{key, value, label}] -- all of these must be met; nest {key: 'all' | 'any', value: [...]} to combine.
+    a quest without conditions never completes
+  failConditions: [{key, value}] -- the quest fails if any of these are met
+  completeActions: [{key, value}] -- run once when the conditions are met
+  xp -- experience the local player gets the first time the quest is completed (default 100)
+*/
 
-class Quest {
+import * as THREE from 'three';
+import metaversefile from 'metaversefile';
+import {world} from './world.js';
+import {getLocalPlayer} from './players.js';
+import mobManager from './mob-manager.js';
+import dropManager from './drop-manager.js';
+import storyManager from './story.js';
+import * as sounds from './sounds.js';
+import * as storage from './storage.js';
+import {getPlayerFeetPosition, makeAreaBox} from './areas.js';
+
+const localVector = new THREE.Vector3();
+const localVector2 = new THREE.Vector3();
+
+const questLogStorageKey = 'quests';
+const saveDebounceTime = 1000;
+const defaultQuestXp = 100;
+
+//
+
+const _findApp = spec => {
+  const {instanceId, name} = typeof spec === 'string' ? {name: spec} : spec;
+  if (instanceId) {
+    return world.appManager.getAppByInstanceId(instanceId) ?? null;
+  } else if (name) {
+    return world.appManager.apps.find(app => app.name === name) ?? null;
+  } else {
+    return null;
+  }
+};
+const _getSpecName = spec => typeof spec === 'string' ? spec : (spec?.name ?? '');
+const _isMobAlive = mob => !(mob.subApp?.hitTracker?.hp <= 0);
+const _getMobPosition = (mob, target) => target.setFromMatrixPosition((mob.subApp ?? mob.app).matrixWorld);
+const _namesMatch = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+//
+
+// objectives are the leaf conditions; each one tracks progress out of a total
+const _makeObjective = (quest, key, value) => {
+  switch (key) {
+    case 'clearMobs': {
+      // {radius} around the quest, else the quest area (size component), else the whole world
+      const radius = value?.radius ?? null;
+      const size = quest.app.getComponent('size');
+      const area = (radius === null && size) ? makeAreaBox(quest.app, size) : null;
+      const _isMobInRange = mob => {
+        const mobPosition = _getMobPosition(mob, localVector);
+        if (radius !== null) {
+          return mobPosition.distanceTo(localVector2.setFromMatrixPosition(quest.app.matrixWorld)) <= radius;
+        } else if (area) {
+          return area.containsPoint(mobPosition);
+        } else {
+          return true;
+        }
+      };
+      // nothing counts as cleared until there was something to clear, since mobs load in asynchronously
+      let maxMobs = 0;
+      let numMobs = 0;
+      return {
+        label: 'Clear the area of enemies',
+        update() {
+          numMobs = mobManager.mobs.filter(mob => _isMobAlive(mob) && _isMobInRange(mob)).length;
+          maxMobs = Math.max(maxMobs, numMobs);
+        },
+        getProgress: () => maxMobs - numMobs,
+        getTotal: () => maxMobs,
+        isMet: () => maxMobs > 0 && numMobs === 0,
+      };
+    }
+    case 'enter': {
+      // value is the area app's name or {instanceId} / {name}
+      let entered = false;
+      return {
+        label: `Enter ${_getSpecName(value) || 'the area'}`,
+        update() {
+          const areaApp = _findApp(value);
+          if (areaApp) {
+            const localPlayer = getLocalPlayer();
+            entered = makeAreaBox(areaApp).containsPoint(getPlayerFeetPosition(localPlayer, localVector));
+          }
+        },
+        getProgress: () => entered ? 1 : 0,
+        getTotal: () => 1,
+      };
+    }
+    case 'collect': {
+      // {name, quantity}; counts drops picked up after the quest started
+      const {name = '', quantity = 1} = value ?? {};
+      let count = 0;
+      let numClaims = dropManager.claims.length;
+      const claimschange = e => {
+        const {claims} = e.data;
+        for (let i = numClaims; i < claims.length; i++) {
+          const claim = claims[i];
+          if (!name || _namesMatch(claim.name ?? '', name)) {
+            count++;
+          }
+        }
+        numClaims = claims.length;
+      };
+      dropManager.addEventListener('claimschange', claimschange);
+      return {
+        label: `Collect ${quantity} ${name || 'items'}`,
+        getProgress: () => Math.min(count, quantity),
+        getTotal: () => quantity,
+        setProgress(progress) {
+          count = progress;
+        },
+        destroy() {
+          dropManager.removeEventListener('claimschange', claimschange);
+        },
+      };
+    }
+    case 'talk': {
+      // value is the npc name or {name}
+      const name = _getSpecName(value);
+      let talked = false;
+      const conversationstart = e => {
+        const {conversation} = e.data;
+        const {remotePlayer} = conversation;
+        if (remotePlayer?.name && _namesMatch(remotePlayer.name, name)) {
+          talked = true;
+        }
+      };
+      storyManager.addEventListener('conversationstart', conversationstart);
+      return {
+        label: `Talk to ${name}`,
+        getProgress: () => talked ? 1 : 0,
+        getTotal: () => 1,
+        destroy() {
+          storyManager.removeEventListener('conversationstart', conversationstart);
+        },
+      };
+    }
+    case 'survive': {
+      // {duration} in seconds
+      const duration = typeof value === 'number' ? value : value.duration;
+      let time = 0;
+      return {
+        label: `Survive for ${duration} seconds`,
+        update(timestamp, timeDiff) {
+          time += timeDiff / 1000;
+        },
+        getProgress: () => Math.min(Math.floor(time), duration),
+        getTotal: () => duration,
+        setProgress(progress) {
+          time = progress;
+        },
+      };
+    }
+    default: {
+      console.warn('unknown quest condition', key, value);
+      return {
+        label: key,
+        getProgress: () => 0,
+        getTotal: () => 1,
+      };
+    }
+  }
+};
+
+// each condition latches once it has been met, so objectives stay checked off
+const _makeCondition = (quest, spec) => {
+  const {key, value, label} = spec;
+  switch (key) {
+    case 'all':
+    case 'any': {
+      const children = value.map(childSpec => _makeCondition(quest, childSpec));
+      return {
+        update(timestamp, timeDiff) {
+          // every child is updated so time-based conditions keep running
+          const results = children.map(child => child.update(timestamp, timeDiff));
+          // an empty group is never met, so a quest without conditions does not complete as it starts
+          return key === 'all' ? (results.length > 0 && results.every(r => r)) : results.some(r => r);
+        },
+        getObjectives() {
+          return children.flatMap(child => child.getObjectives());
+        },
+        getLeaves() {
+          return children.flatMap(child => child.getLeaves());
+        },
+        destroy() {
+          for (const child of children) {
+            child.destroy();
+          }
+        },
+      };
+    }
+    default: {
+      const objective = _makeObjective(quest, key, value);
+      const {
+        update = () => {},
+        isMet = () => objective.getProgress() >= objective.getTotal(),
+        setProgress = () => {},
+        destroy = () => {},
+      } = objective;
+      let met = false;
+      let progress = 0;
+      let total = objective.getTotal();
+      const _snapshot = () => {
+        progress = objective.getProgress();
+        total = objective.getTotal();
+      };
+      const leaf = {
+        update(timestamp, timeDiff) {
+          if (!met) {
+            update(timestamp, timeDiff);
+            met = isMet();
+            _snapshot();
+          }
+          return met;
+        },
+        getObjectives() {
+          return [
+            {
+              label: label ?? objective.label,
+              progress,
+              total,
+              met,
+            },
+          ];
+        },
+        getLeaves() {
+          return [leaf];
+        },
+        restore(state) {
+          setProgress(state.progress);
+          met = state.met;
+          progress = state.progress;
+          total = state.total;
+        },
+        destroy,
+      };
+      return leaf;
+    }
+  }
+};
+
+//
+
+// run by quests when they complete and by dialogue effects; spawns default to the transform of app
+export const runAction = async (app, action) => {
+  const {key, value} = action;
+  switch (key) {
+    case 'drop': {
+      // {name, quantity, start_url}; dropped at the local player so they are picked up
+      const {quantity = 1, start_url} = value;
+      const localPlayer = getLocalPlayer();
+      const position = getPlayerFeetPosition(localPlayer, new THREE.Vector3());
+      for (let i = 0; i < quantity; i++) {
+        dropManager.createDropApp({
+          start_url,
+          components: value.name ? [
+            {
+              key: 'appName',
+              value: value.name,
+            },
+            {
+              key: 'appUrl',
+              value: start_url,
+            },
+          ] : [],
+          position: position.clone().add(localVector.set(0, 0.7, 0)),
+          quaternion: new THREE.Quaternion(),
+          scale: new THREE.Vector3(1, 1, 1),
+        });
+      }
+      break;
+    }
+    case 'spawn': {
+      // {start_url, position, quaternion, scale, components}; defaults to the transform of app
+      const {
+        start_url,
+        position = app.position.toArray(),
+        quaternion = app.quaternion.toArray(),
+        scale = [1, 1, 1],
+        components = [],
+      } = value;
+      await metaversefile.addTrackedApp(
+        start_url,
+        new THREE.Vector3().fromArray(position),
+        new THREE.Quaternion().fromArray(quaternion),
+        new THREE.Vector3().fromArray(scale),
+        components,
+      );
+      break;
+    }
+    case 'remember': {
+      // {name, fact}; the npc named remembers the fact, e.g. that the player finished its errand
+      const {name, fact} = value;
+      await metaversefile.useLoreAIScene().remember(name, fact);
+      break;
+    }
+    case 'sound': {
+      // value is the sound name or {name}
+      const name = _getSpecName(value);
+      await sounds.waitForLoad();
+      sounds.playSoundName(name);
+      break;
+    }
+    default: {
+      console.warn('unknown quest action', key, value);
+      break;
+    }
+  }
+};
+
+//
+
+class Quest extends EventTarget {
   constructor(app) {
-    // this.app = app;
+    super();
+
+    this.app = app;
 
-    const {name, description, conditions, completeActions} = app.json;
+    const {id, name, description, conditions = [], failConditions = [], completeActions = [], xp = defaultQuestXp} = app.json;
 
+    this.id = id ?? name;
     this.name = name;
     this.description = description;
     this.conditions = conditions;
+    this.failConditions = failConditions;
     this.completeActions = completeActions;
+    this.xp = xp;
 
     this.camera = app.camera;
 
-    this.conditionsFn = (() => {
-      for (const condition of this.conditions) {
-        const {key, value} = condition;
-        switch (key) {
-          case 'clearMobs': {
-            return () => {
-              // XXX
-            };
-          }
-          case 'enter': {
-            return () => {
-              // XXX
-            };
-          }
-          default: {
-            return null;
-          }
+    if (conditions.length === 0) {
+      console.warn('quest has no conditions and will never complete', this.id);
+    }
+
+    this.condition = _makeCondition(this, {
+      key: 'all',
+      value: this.conditions,
+    });
+    this.failCondition = _makeCondition(this, {
+      key: 'any',
+      value: this.failConditions,
+    });
+    this.state = 'active'; // 'active', 'completed', 'failed'
+    this.started = false;
+    this.destroyed = false;
+    this.lastObjectivesString = '';
+  }
+  // called by the quest manager once the scene and the quest log are loaded
+  start(logEntry) {
+    if (logEntry) {
+      this.state = logEntry.state;
+      const leaves = this.condition.getLeaves();
+      for (let i = 0; i < leaves.length && i < logEntry.objectives.length; i++) {
+        leaves[i].restore(logEntry.objectives[i]);
+      }
+    }
+    this.started = true;
+  }
+  getObjectives() {
+    return this.condition.getObjectives();
+  }
+  update(timestamp, timeDiff) {
+    if (this.started && this.state === 'active') {
+      if (this.condition.update(timestamp, timeDiff)) {
+        this.complete();
+      } else if (this.failCondition.update(timestamp, timeDiff)) {
+        this.fail();
+      } else {
+        const objectivesString = JSON.stringify(this.getObjectives());
+        if (objectivesString !== this.lastObjectivesString) {
+          this.lastObjectivesString = objectivesString;
+          this.dispatchEvent(new MessageEvent('questupdate', {
+            data: {
+              quest: this,
+            },
+          }));
+        }
+      }
+    }
+  }
+  complete() {
+    if (this.state === 'completed') return;
+    this.state = 'completed';
+
+    (async () => {
+      for (const completeAction of this.completeActions) {
+        try {
+          await runAction(this.app, completeAction);
+        } catch (err) {
+          console.warn(err);
         }
       }
     })();
+
+    this.app.dispatchEvent({
+      type: 'questcomplete',
+      quest: this,
+    });
+    this.dispatchEvent(new MessageEvent('questcomplete', {
+      data: {
+        quest: this,
+      },
+    }));
   }
-  update(timestamp, timeDiff) {
-    this.conditionsFn && this.conditionsFn();
+  fail() {
+    this.state = 'failed';
+
+    this.app.dispatchEvent({
+      type: 'questfail',
+      quest: this,
+    });
+    this.dispatchEvent(new MessageEvent('questfail', {
+      data: {
+        quest: this,
+      },
+    }));
+  }
+  toLogEntry() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      state: this.state,
+      objectives: this.getObjectives(),
+    };
   }
   destroy() {
-    // nothing
+    if (!this.destroyed) {
+      this.destroyed = true;
+
+      this.condition.destroy();
+      this.failCondition.destroy();
+    }
   }
 }
 
+// quests holds the active quests of the current world
+// log holds the entries of every quest seen so far, in any world, and is persisted
 class QuestManager extends EventTarget {
   constructor() {
     super();
 
     this.quests = [];
+    this.log = [];
+    this.saveTimeout = null;
+
+    this.loadPromise = (async () => {
+      try {
+        const log = await storage.get(questLogStorageKey);
+        if (log) {
+          this.log = log;
+        }
+      } catch (err) {
+        console.warn('failed to load quest log', err);
+      }
+    })();
+  }
+  waitForLoad() {
+    return this.loadPromise;
+  }
+  getLogEntry(id) {
+    return this.log.find(entry => entry.id === id) ?? null;
   }
   addQuest(questApp) {
     const quest = new Quest(questApp);
-    this.quests.push(quest);
-    this.dispatchEvent(new MessageEvent('questadd', {
-      data: {
-        quest,
-      },
-    }));
+
+    const _updateLog = () => {
+      const entry = quest.toLogEntry();
+      const index = this.log.findIndex(entry => entry.id === quest.id);
+      if (index !== -1) {
+        this.log[index] = entry;
+      } else {
+        this.log.push(entry);
+      }
+      this.dispatchEvent(new MessageEvent('logupdate', {
+        data: {
+          log: this.log,
+        },
+      }));
+      this.queueSave();
+    };
+    quest.addEventListener('questupdate', e => {
+      _updateLog();
+      this.dispatchEvent(new MessageEvent('questupdate', {
+        data: {
+          quest,
+        },
+      }));
+    });
+    const _bindEnd = type => {
+      quest.addEventListener(type, e => {
+        _updateLog();
+        this.dispatchEvent(new MessageEvent(type, {
+          data: {
+            quest,
+          },
+        }));
+        this.removeQuest(quest);
+      }, {once: true});
+    };
+    // xp is paid when the logged quest first completes, so the same quest in another world pays nothing
+    quest.addEventListener('questcomplete', e => {
+      const entry = this.getLogEntry(quest.id);
+      if (entry?.state !== 'completed') {
+        getLocalPlayer().playerStats.addXp(quest.xp);
+      }
+    }, {once: true});
+    _bindEnd('questcomplete');
+    _bindEnd('questfail');
+
+    (async () => {
+      // wait for the scene's mobs and areas to be added before checking anything
+      await Promise.all([
+        this.waitForLoad(),
+        metaversefile.waitForSceneLoaded(),
+      ]);
+      if (quest.destroyed) return;
+
+      quest.start(this.getLogEntry(quest.id));
+      _updateLog();
+      if (quest.state === 'active') {
+        this.quests.push(quest);
+        this.dispatchEvent(new MessageEvent('questadd', {
+          data: {
+            quest,
+          },
+        }));
+      } else {
+        quest.destroy();
+      }
+    })();
     return quest;
   }
   removeQuest(quest) {
+    // quests that have not started yet are destroyed too, so they never start
+    quest.destroy();
+
     const index = this.quests.indexOf(quest);
     if (index !== -1) {
       this.quests.splice(index, 1);
-      quest.destroy();
 
       this.dispatchEvent(new MessageEvent('questremove', {
         data: {
@@ -73,12 +554,24 @@ class QuestManager extends EventTarget {
       }));
     }
   }
+  queueSave() {
+    if (!this.saveTimeout) {
+      this.saveTimeout = setTimeout(async () => {
+        this.saveTimeout = null;
+        try {
+          await storage.set(questLogStorageKey, this.log);
+        } catch (err) {
+          console.warn('failed to save quest log', err);
+        }
+      }, saveDebounceTime);
+    }
+  }
   update(timestamp, timeDiff) {
-    for (const quest of this.quests) {
+    for (const quest of this.quests.slice()) {
       quest.update(timestamp, timeDiff);
     }
   }
 }
 const questManager = new QuestManager();
 
-export default questManager;
\ No newline at end of file
+export default questManager;
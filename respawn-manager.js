@@ -0,0 +1,174 @@
+/* this file contains the local player's death and respawn.
+the player dies when their hp runs out (see character-hitter.js): the camera pulls up over the body and the death screen offers to respawn after respawnDelay.
+players respawn with full hp at the last checkpoint they entered, else at the scene's spawn point, else at the world origin.
+spawn points are apps with the spawnPoint component; checkpoints are area apps with the checkpoint component, sized by the size component.
+the player respawns standing at the app's position, with the app's rotation. */
+
+import * as THREE from 'three';
+import metaversefile from 'metaversefile';
+import cameraManager from './camera-manager.js';
+import {camera} from './renderer.js';
+import universe from './universe.js';
+import {world} from './world.js';
+import {getPlayerFeetPosition, isInArea} from './areas.js';
+
+export const respawnDelay = 3000;
+
+const deathCameraTime = 2000;
+const deathCameraDistance = 3;
+const deathCameraHeight = 3;
+const hurtShakeIntensity = 0.1;
+const hurtShakeRadius = 10;
+const hurtShakeDecay = 300;
+
+const localVector = new THREE.Vector3();
+const localVector2 = new THREE.Vector3();
+const localQuaternion = new THREE.Quaternion();
+const localMatrix = new THREE.Matrix4();
+const upVector = new THREE.Vector3(0, 1, 0);
+
+// looks down at the body from above and behind it
+const _makeDeathCameraScript = player => {
+  const position = new THREE.Vector3(0, 0, deathCameraDistance)
+    .applyQuaternion(player.quaternion)
+    .add(player.position);
+  position.y += deathCameraHeight;
+  const quaternion = new THREE.Quaternion().setFromRotationMatrix(
+    localMatrix.lookAt(position, player.position, upVector)
+  );
+  return [
+    {
+      type: 'set',
+      position: camera.position.clone(),
+      quaternion: camera.quaternion.clone(),
+      duration: 0,
+    },
+    {
+      type: 'move',
+      position,
+      quaternion,
+      duration: deathCameraTime,
+    },
+    // hold until respawn
+    {
+      type: 'move',
+      position,
+      quaternion,
+      duration: Infinity,
+    },
+  ];
+};
+
+class RespawnManager extends EventTarget {
+  constructor() {
+    super();
+
+    this.checkpoint = null;
+    this.respawnTime = 0;
+    this.player = null;
+    this.unbindPlayer = null;
+  }
+  listen() {
+    this.#bindPlayer(metaversefile.useLocalPlayer());
+    universe.addEventListener('worldload', e => {
+      this.checkpoint = null;
+    });
+  }
+  // the local player changes when switching characters, so the listeners follow it
+  #bindPlayer(player) {
+    this.unbindPlayer?.();
+
+    const hurt = e => {
+      if (!e.isDot) {
+        cameraManager.addShake(player.position, hurtShakeIntensity, hurtShakeRadius, hurtShakeDecay);
+      }
+    };
+    const die = e => {
+      this.#die(player, e.attacker);
+    };
+    player.addEventListener('hurt', hurt);
+    player.addEventListener('die', die);
+
+    this.player = player;
+    this.unbindPlayer = () => {
+      player.removeEventListener('hurt', hurt);
+      player.removeEventListener('die', die);
+    };
+  }
+  isDead() {
+    return metaversefile.useLocalPlayer().characterHitter.isDead();
+  }
+  canRespawn() {
+    return this.isDead() && performance.now() >= this.respawnTime;
+  }
+  #die(localPlayer, attacker) {
+    this.respawnTime = performance.now() + respawnDelay;
+
+    cameraManager.startCinematicScript(_makeDeathCameraScript(localPlayer));
+    // free the mouse for the death screen
+    if (cameraManager.pointerLockElement) {
+      cameraManager.exitPointerLock();
+    }
+
+    this.dispatchEvent(new MessageEvent('death', {
+      data: {
+        attacker,
+        respawnTime: this.respawnTime,
+      },
+    }));
+  }
+  // the checkpoint if it is still in the world, else the first spawn point
+  getRespawnApp() {
+    if (this.checkpoint && world.appManager.apps.includes(this.checkpoint)) {
+      return this.checkpoint;
+    } else {
+      return world.appManager.apps.find(app => !!app.getComponent('spawnPoint')) ?? null;
+    }
+  }
+  respawn() {
+    if (this.canRespawn()) {
+      const localPlayer = metaversefile.useLocalPlayer();
+      const app = this.getRespawnApp();
+      const position = localVector.set(0, 0, 0);
+      const quaternion = localQuaternion.identity();
+      if (app) {
+        app.matrixWorld.decompose(position, quaternion, localVector2);
+      }
+      if (localPlayer.avatar) {
+        position.y += localPlayer.avatar.height;
+      }
+
+      cameraManager.stopCinematicScript();
+      localPlayer.characterHitter.revive();
+      localPlayer.setSpawnPoint(position, quaternion);
+      localPlayer.characterPhysics.reset();
+
+      this.dispatchEvent(new MessageEvent('respawn', {
+        data: {
+          app,
+        },
+      }));
+    }
+  }
+  update(timestamp) {
+    const localPlayer = metaversefile.useLocalPlayer();
+    if (this.player && localPlayer !== this.player) {
+      this.#bindPlayer(localPlayer);
+    }
+
+    if (!localPlayer.characterHitter.isDead()) {
+      const feetPosition = getPlayerFeetPosition(localPlayer, localVector);
+      const checkpoint = world.appManager.apps.find(app => !!app.getComponent('checkpoint') && isInArea(app, feetPosition));
+      if (checkpoint && checkpoint !== this.checkpoint) {
+        this.checkpoint = checkpoint;
+        this.dispatchEvent(new MessageEvent('checkpoint', {
+          data: {
+            app: checkpoint,
+          },
+        }));
+      }
+    }
+  }
+}
+const respawnManager = new RespawnManager();
+export default respawnManager;
@@ -0,0 +1,281 @@
+/*
+this file contains the single-player world save slots.
+a save is a snapshot of the world apps (AppManager.exportJSON()), the local player transform and avatar, and the loadout.
+saves live in indexeddb under 'worlds/<name>'; the 'autosave' slot is written periodically while playing offline.
+*/
+
+import * as THREE from 'three';
+import universe from './universe.js';
+import {world} from './world.js';
+import {getLocalPlayer} from './players.js';
+import sceneNames from './scenes/scenes.json';
+import {getRandomString, downloadFile} from './util.js';
+import * as storage from './storage.js';
+
+const savesPrefix = 'worlds/';
+const autosaveName = 'autosave';
+const autosaveInterval = 30 * 1000;
+
+const localVector = new THREE.Vector3();
+const localQuaternion = new THREE.Quaternion();
+const localVector2 = new THREE.Vector3();
+
+const _getSaveKey = name => savesPrefix + name;
+const _getContentId = object => {
+  if (object.contentId) {
+    return object.contentId;
+  } else {
+    return `/@proxy/data:${object.type},${encodeURIComponent(JSON.stringify(object.content))}`;
+  }
+};
+const _getLoadout = () => {
+  const localPlayer = getLocalPlayer();
+  const loadout = [];
+  for (const action of localPlayer.getActionsArray()) {
+    if (action.type === 'wear') {
+      const trackedApp = localPlayer.appManager.getTrackedApp(action.instanceId);
+      if (trackedApp) {
+        loadout.push({
+          loadoutIndex: action.loadoutIndex,
+          contentId: trackedApp.get('contentId'),
+          components: trackedApp.get('components') ?? [],
+        });
+      }
+    }
+  }
+  return loadout;
+};
+// the parts of a snapshot that change when the builder changes something
+const _getSnapshotHash = snapshot => JSON.stringify([
+  snapshot.apps.map(object => [
+    Array.from(object.transform),
+    object.components,
+    object.contentId ?? object.content,
+  ]),
+  snapshot.loadout,
+  snapshot.player.avatar,
+]);
+
+class SaveManager extends EventTarget {
+  constructor() {
+    super();
+
+    this.lastAutosaveHash = '';
+    this.autosaving = false;
+
+    universe.addEventListener('worldload', e => {
+      this.lastAutosaveHash = '';
+    });
+    setInterval(() => {
+      this.autosave();
+    }, autosaveInterval);
+  }
+  canSave() {
+    return !universe.isConnected() && universe.isSceneLoaded() && !!universe.currentWorld;
+  }
+  takeSnapshot(name) {
+    const localPlayer = getLocalPlayer();
+    const {src} = universe.currentWorld;
+    return {
+      name,
+      timestamp: Date.now(),
+      world: {
+        src,
+      },
+      apps: world.appManager.exportJSON(),
+      player: {
+        position: localPlayer.position.toArray(),
+        quaternion: localPlayer.quaternion.toArray(),
+        avatar: localPlayer.getAvatarApp()?.contentId ?? null,
+      },
+      loadout: _getLoadout(),
+    };
+  }
+  async saveWorld(name) {
+    if (!this.canSave()) {
+      throw new Error('can only save a loaded single-player world');
+    }
+
+    const snapshot = this.takeSnapshot(name);
+    await storage.set(_getSaveKey(name), snapshot);
+
+    this.dispatchEvent(new MessageEvent('saveschange', {
+      data: {
+        name,
+      },
+    }));
+    return snapshot;
+  }
+  async autosave() {
+    if (this.canSave() && !this.autosaving) {
+      this.autosaving = true;
+      try {
+        const snapshot = this.takeSnapshot(autosaveName);
+        const hash = _getSnapshotHash(snapshot);
+        if (hash !== this.lastAutosaveHash) {
+          await storage.set(_getSaveKey(autosaveName), snapshot);
+          this.lastAutosaveHash = hash;
+
+          this.dispatchEvent(new MessageEvent('saveschange', {
+            data: {
+              name: autosaveName,
+            },
+          }));
+        }
+      } catch (err) {
+        console.warn('autosave failed', err);
+      } finally {
+        this.autosaving = false;
+      }
+    }
+  }
+  async listSaves() {
+    const keys = await storage.getKeys(savesPrefix);
+    const saves = await Promise.all(keys.map(async key => {
+      const snapshot = await storage.get(key);
+      return {
+        name: snapshot.name,
+        timestamp: snapshot.timestamp,
+        src: snapshot.world.src,
+        numApps: snapshot.apps.length,
+      };
+    }));
+    saves.sort((a, b) => b.timestamp - a.timestamp);
+    return saves;
+  }
+  async getSave(name) {
+    const snapshot = await storage.get(_getSaveKey(name));
+    if (!snapshot) {
+      throw new Error('no such save: ' + name);
+    }
+    return snapshot;
+  }
+  async deleteSave(name) {
+    await storage.remove(_getSaveKey(name));
+
+    this.dispatchEvent(new MessageEvent('saveschange', {
+      data: {
+        name,
+      },
+    }));
+  }
+  async loadWorld(name) {
+    const snapshot = await this.getSave(name);
+
+    // the saved apps include the scene's own, so enter a fresh single-player state without them and restore the saved list
+    await universe.enterWorld({
+      src: snapshot.world.src,
+    }, {
+      sceneApps: false,
+    });
+    await this.restoreSnapshot(snapshot);
+
+    this.lastAutosaveHash = _getSnapshotHash(snapshot);
+
+    this.dispatchEvent(new MessageEvent('worldrestore', {
+      data: {
+        name,
+        snapshot,
+      },
+    }));
+  }
+  async restoreSnapshot(snapshot) {
+    const {appManager} = world;
+    const instanceIds = [];
+    appManager.appsArray.doc.transact(function tx() {
+      for (const object of snapshot.apps) {
+        const instanceId = object.instanceId ?? getRandomString();
+        appManager.addTrackedAppInternal(
+          instanceId,
+          _getContentId(object),
+          Float32Array.from(object.transform),
+          object.components,
+        );
+        instanceIds.push(instanceId);
+      }
+    });
+    await Promise.all(instanceIds.map(instanceId => appManager.pendingAddPromises.get(instanceId)));
+
+    const localPlayer = getLocalPlayer();
+    localPlayer.setSpawnPoint(
+      localVector.fromArray(snapshot.player.position),
+      localQuaternion.fromArray(snapshot.player.quaternion),
+    );
+
+    const {avatar} = snapshot.player;
+    if (avatar && avatar !== localPlayer.getAvatarApp()?.contentId) {
+      await localPlayer.setAvatarUrl(avatar);
+    }
+
+    // replace the current loadout with the saved one
+    for (const action of localPlayer.getActionsArray()) {
+      if (action.type === 'wear') {
+        const app = localPlayer.appManager.getAppByInstanceId(action.instanceId);
+        if (app) {
+          localPlayer.unwear(app, {
+            destroy: true,
+          });
+        }
+      }
+    }
+    for (const {loadoutIndex, contentId, components} of snapshot.loadout) {
+      const app = await world.appManager.addTrackedApp(
+        contentId,
+        localPlayer.position,
+        localPlayer.quaternion,
+        localVector2.set(1, 1, 1),
+        components,
+      );
+      localPlayer.wear(app, {
+        loadoutIndex,
+      });
+    }
+  }
+  async exportScene(name) {
+    const snapshot = await this.getSave(name);
+
+    const objects = [];
+    let {src} = snapshot.world;
+    if (src === undefined) {
+      src = './scenes/' + sceneNames[0];
+    }
+    // the overworld is procedural, so there is no scene to reference
+    if (src && !/^weba:\/\//i.test(src)) {
+      objects.push({
+        position: [0, 0, 0],
+        quaternion: [0, 0, 0, 1],
+        scale: [1, 1, 1],
+        start_url: src,
+      });
+    }
+    for (const object of snapshot.apps) {
+      const {transform, components, instanceId} = object;
+      const o = {
+        position: Array.from(transform.slice(0, 3)),
+        quaternion: Array.from(transform.slice(3, 7)),
+        scale: Array.from(transform.slice(7, 10)),
+      };
+      if (instanceId) {
+        o.instanceId = instanceId;
+      }
+      if (object.contentId) {
+        o.start_url = object.contentId;
+      } else {
+        o.type = object.type;
+        o.content = object.content;
+      }
+      if (components.length > 0) {
+        o.components = components;
+      }
+      objects.push(o);
+    }
+
+    const s = JSON.stringify({objects}, null, 2);
+    const blob = new Blob([s], {
+      type: 'application/json',
+    });
+    downloadFile(blob, `${name}.scn`);
+  }
+}
+const saveManager = new SaveManager();
+export default saveManager;
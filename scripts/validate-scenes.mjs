@@ -0,0 +1,382 @@
+/*
+this file validates scene (.scn) files against scenes/scene.schema.json and a few semantic rules:
+unknown component keys, bad transforms, unresolved relative start_urls and duplicate instance ids.
+root start_urls (/path) missing from the checkout are only warnings, since public/ assets are not all checked in.
+usage: node scripts/validate-scenes.mjs [--strict] [scene.scn ...]
+with no files, every scene listed in scenes/scenes.json is checked. --strict fails on warnings too.
+*/
+
+import path from 'path';
+import fs from 'fs';
+import url from 'url';
+
+const dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const rootDir = path.join(dirname, '..');
+const scenesDir = path.join(rootDir, 'scenes');
+const schema = JSON.parse(fs.readFileSync(path.join(scenesDir, 'scene.schema.json'), 'utf8'));
+
+// component keys the engine and the bundled modules read; anything else is probably a typo
+const knownComponentKeys = [
+  'aim', 'appName', 'appUrl', 'appUrls', 'bounds', 'cameraPosition', 'cameraQuaternion', 'clipRange',
+  'conditions', 'completeActions', 'contentId', 'coords', 'debug', 'delta', 'description', 'doubleSide',
+  'drop', 'dynamic', 'enterNormals', 'exits', 'failConditions', 'focus', 'group', 'instanceId', 'line',
+  'lods', 'look', 'meshLodderId', 'minLodRange', 'mode', 'npc', 'objectComponents', 'paused', 'pet',
+  'physics', 'physicsId', 'physicsInstance', 'player', 'previewPosition', 'previewQuaternion', 'quest',
+  'range', 'renderPosition', 'renderPriority', 'resolution', 'sceneUrl', 'seed', 'singleUse', 'sit',
+  'size', 'use', 'voucher', 'wait', 'wear',
+];
+const quaternionEpsilon = 1e-3;
+
+// json parsing that remembers where every value starts, keyed by json pointer
+
+class JsonSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(message);
+    this.line = line;
+    this.column = column;
+  }
+}
+const parseJsonWithLocations = s => {
+  const locations = new Map();
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const _fail = message => {
+    throw new JsonSyntaxError(message, line, column);
+  };
+  const _advance = () => {
+    if (s[index] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    index++;
+  };
+  const _skipWhitespace = () => {
+    while (index < s.length && /\s/.test(s[index])) {
+      _advance();
+    }
+  };
+  const _expect = c => {
+    if (s[index] !== c) {
+      _fail(`expected '${c}' but found ${index < s.length ? `'${s[index]}'` : 'end of file'}`);
+    }
+    _advance();
+  };
+  const _parseString = () => {
+    const start = index;
+    _expect('"');
+    while (s[index] !== '"') {
+      if (index >= s.length || s[index] === '\n') {
+        _fail('unterminated string');
+      }
+      if (s[index] === '\\') {
+        _advance();
+      }
+      _advance();
+    }
+    _advance();
+    return JSON.parse(s.slice(start, index));
+  };
+  const _parseValue = pointer => {
+    _skipWhitespace();
+    locations.set(pointer, {line, column});
+
+    const c = s[index];
+    if (c === '{') {
+      _advance();
+      const result = {};
+      _skipWhitespace();
+      if (s[index] === '}') {
+        _advance();
+        return result;
+      }
+      for (;;) {
+        _skipWhitespace();
+        const keyLocation = {line, column};
+        const key = _parseString();
+        const childPointer = pointer + '/' + key.replace(/~/g, '~0').replace(/\//g, '~1');
+        if (Object.prototype.hasOwnProperty.call(result, key)) {
+          _fail(`duplicate key '${key}'`);
+        }
+        _skipWhitespace();
+        _expect(':');
+        result[key] = _parseValue(childPointer);
+        // point errors about a property at its key rather than its value
+        locations.set(childPointer + '#key', keyLocation);
+        _skipWhitespace();
+        if (s[index] === ',') {
+          _advance();
+        } else {
+          _expect('}');
+          return result;
+        }
+      }
+    } else if (c === '[') {
+      _advance();
+      const result = [];
+      _skipWhitespace();
+      if (s[index] === ']') {
+        _advance();
+        return result;
+      }
+      for (;;) {
+        result.push(_parseValue(pointer + '/' + result.length));
+        _skipWhitespace();
+        if (s[index] === ',') {
+          _advance();
+        } else {
+          _expect(']');
+          return result;
+        }
+      }
+    } else if (c === '"') {
+      return _parseString();
+    } else {
+      const match = s.slice(index).match(/^(?:-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?|true|false|null)/);
+      if (!match) {
+        _fail(index < s.length ? `unexpected '${s[index]}'` : 'unexpected end of file');
+      }
+      for (let i = 0; i < match[0].length; i++) {
+        _advance();
+      }
+      return JSON.parse(match[0]);
+    }
+  };
+
+  const value = _parseValue('');
+  _skipWhitespace();
+  if (index < s.length) {
+    _fail(`unexpected '${s[index]}' after the end of the scene`);
+  }
+  return {value, locations};
+};
+
+// the subset of json schema used by scene.schema.json
+
+const _getType = v => {
+  if (v === null) {
+    return 'null';
+  } else if (Array.isArray(v)) {
+    return 'array';
+  } else if (typeof v === 'number') {
+    return Number.isInteger(v) ? 'integer' : 'number';
+  } else {
+    return typeof v;
+  }
+};
+const _resolveRef = ref => {
+  const parts = ref.replace(/^#\//, '').split('/');
+  let result = schema;
+  for (const part of parts) {
+    result = result[part];
+  }
+  return result;
+};
+const validateSchema = (value, subschema, pointer, report) => {
+  if (subschema.$ref) {
+    subschema = _resolveRef(subschema.$ref);
+  }
+
+  if (subschema.type) {
+    const types = Array.isArray(subschema.type) ? subschema.type : [subschema.type];
+    const type = _getType(value);
+    if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+      report('error', pointer, `expected ${types.join(' or ')} but found ${type}`);
+      return;
+    }
+  }
+  if (subschema.enum && !subschema.enum.includes(value)) {
+    report('error', pointer, `expected one of ${subschema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (subschema.anyOf) {
+    const matches = subschema.anyOf.some(option => {
+      let valid = true;
+      validateSchema(value, option, pointer, () => {
+        valid = false;
+      });
+      return valid;
+    });
+    if (!matches) {
+      const options = subschema.anyOf.map(option => option.required ? option.required.join(' + ') : '?');
+      report('error', pointer, `expected ${options.join(' or ')}`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (subschema.minItems !== undefined && value.length < subschema.minItems) {
+      report('error', pointer, `expected at least ${subschema.minItems} items but found ${value.length}`);
+    }
+    if (subschema.maxItems !== undefined && value.length > subschema.maxItems) {
+      report('error', pointer, `expected at most ${subschema.maxItems} items but found ${value.length}`);
+    }
+    if (subschema.items) {
+      for (let i = 0; i < value.length; i++) {
+        validateSchema(value[i], subschema.items, pointer + '/' + i, report);
+      }
+    }
+  } else if (_getType(value) === 'object') {
+    for (const key of subschema.required ?? []) {
+      if (!(key in value) && !subschema.anyOf) {
+        report('error', pointer, `missing required property '${key}'`);
+      }
+    }
+    const properties = subschema.properties ?? {};
+    for (const key in value) {
+      const childPointer = pointer + '/' + key.replace(/~/g, '~0').replace(/\//g, '~1');
+      if (properties[key]) {
+        validateSchema(value[key], properties[key], childPointer, report);
+      } else if (subschema.additionalProperties === false) {
+        report('error', childPointer + '#key', `unknown property '${key}'`);
+      }
+    }
+  }
+};
+
+// semantic checks
+
+const _isFiniteArray = a => Array.isArray(a) && a.every(n => typeof n === 'number' && isFinite(n));
+const _checkTransform = (object, pointer, report) => {
+  const {position, quaternion, scale} = object;
+  if (_isFiniteArray(quaternion) && quaternion.length === 4) {
+    const length = Math.hypot(...quaternion);
+    if (length === 0) {
+      // usually written by hand and meant to be [0, 0, 0, 1]
+      report('warning', pointer + '/quaternion', 'quaternion has zero length; use [0, 0, 0, 1] for no rotation');
+    } else if (Math.abs(length - 1) > quaternionEpsilon) {
+      report('warning', pointer + '/quaternion', `quaternion is not normalized (length ${length.toFixed(4)})`);
+    }
+  }
+  if (_isFiniteArray(scale) && scale.length === 3 && scale.some(n => n === 0)) {
+    report('error', pointer + '/scale', 'scale has a zero component');
+  }
+  if (_isFiniteArray(position) && position.some(n => Math.abs(n) > 1e6)) {
+    report('warning', pointer + '/position', 'position is very far from the origin');
+  }
+};
+const _isRemoteUrl = u => /^[a-z][a-z0-9+.-]*:/i.test(u);
+const _isRootUrl = u => u.startsWith('/');
+const _urlExists = (u, scenePath) => {
+  const pathname = decodeURIComponent(u.replace(/[?#].*$/, ''));
+  const candidates = _isRootUrl(pathname) ?
+    // absolute paths are served from the app root or public/
+    [path.join(rootDir, pathname), path.join(rootDir, 'public', pathname)]
+  :
+    [path.resolve(path.dirname(scenePath), pathname), path.join(rootDir, 'public', pathname)];
+  return candidates.some(p => fs.existsSync(p));
+};
+const _checkObject = (object, pointer, scenePath, instanceIds, report) => {
+  _checkTransform(object, pointer, report);
+
+  const {start_url: startUrl, components, instanceId} = object;
+  if (typeof startUrl === 'string' && !_isRemoteUrl(startUrl) && !_urlExists(startUrl, scenePath)) {
+    if (_isRootUrl(startUrl)) {
+      report('warning', pointer + '/start_url', `start_url '${startUrl}' is not in this checkout`);
+    } else {
+      report('error', pointer + '/start_url', `start_url '${startUrl}' does not resolve to a file`);
+    }
+  }
+  if (Array.isArray(components)) {
+    for (let i = 0; i < components.length; i++) {
+      const {key} = components[i] ?? {};
+      if (typeof key === 'string' && !knownComponentKeys.includes(key)) {
+        report('warning', pointer + '/components/' + i + '/key', `unknown component key '${key}'`);
+      }
+    }
+  }
+  if (typeof instanceId === 'string') {
+    const otherPointer = instanceIds.get(instanceId);
+    if (otherPointer) {
+      report('error', pointer + '/instanceId', `duplicate instanceId '${instanceId}' (also at ${otherPointer})`);
+    } else {
+      instanceIds.set(instanceId, pointer);
+    }
+  }
+};
+
+export const validateScene = (scenePath, s = fs.readFileSync(scenePath, 'utf8')) => {
+  const problems = [];
+
+  let parsed;
+  try {
+    parsed = parseJsonWithLocations(s);
+  } catch (err) {
+    if (err instanceof JsonSyntaxError) {
+      problems.push({
+        severity: 'error',
+        line: err.line,
+        column: err.column,
+        message: err.message,
+      });
+      return problems;
+    } else {
+      throw err;
+    }
+  }
+
+  const {value, locations} = parsed;
+  const report = (severity, pointer, message) => {
+    const location = locations.get(pointer) ?? locations.get(pointer.replace(/#key$/, '')) ?? {line: 1, column: 1};
+    problems.push({
+      severity,
+      line: location.line,
+      column: location.column,
+      pointer: pointer.replace(/#key$/, ''),
+      message,
+    });
+  };
+
+  validateSchema(value, schema, '', report);
+
+  if (Array.isArray(value?.objects)) {
+    const instanceIds = new Map();
+    for (let i = 0; i < value.objects.length; i++) {
+      const object = value.objects[i];
+      if (_getType(object) === 'object') {
+        _checkObject(object, '/objects/' + i, scenePath, instanceIds, report);
+      }
+    }
+  }
+
+  problems.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+  return problems;
+};
+
+const _getSceneListPaths = () => {
+  const sceneNames = JSON.parse(fs.readFileSync(path.join(scenesDir, 'scenes.json'), 'utf8'));
+  return sceneNames.map(name => path.join(scenesDir, name));
+};
+const main = () => {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const files = args.filter(arg => !arg.startsWith('--'));
+  const scenePaths = files.length > 0 ? files.map(f => path.resolve(f)) : _getSceneListPaths();
+
+  let numErrors = 0;
+  let numWarnings = 0;
+  for (const scenePath of scenePaths) {
+    const relativePath = path.relative(process.cwd(), scenePath);
+    if (!fs.existsSync(scenePath)) {
+      console.log(`${relativePath}: error: scene file not found`);
+      numErrors++;
+      continue;
+    }
+
+    const problems = validateScene(scenePath);
+    for (const {severity, line, column, message} of problems) {
+      console.log(`${relativePath}:${line}:${column}: ${severity}: ${message}`);
+      if (severity === 'error') {
+        numErrors++;
+      } else {
+        numWarnings++;
+      }
+    }
+  }
+
+  console.log(`${scenePaths.length} scenes checked, ${numErrors} errors, ${numWarnings} warnings`);
+  process.exitCode = (numErrors > 0 || (strict && numWarnings > 0)) ? 1 : 0;
+};
+if (process.argv[1] && path.resolve(process.argv[1]) === url.fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -3,12 +3,8 @@ import classnames from 'classnames';
 
 import { AppContext } from './components/app';
 import {world} from '../world.js';
-import {
-  hp,
-  mp,
-  xp,
-  level,
-} from '../player-stats.js';
+import {getMaxHp, getMaxMp, getLevelProgress} from '../player-stats.js';
+import usePlayerStats from './hooks/usePlayerStats.js';
 
 import styles from './AvatarIcon.module.css';
 import {PlaceholderImg} from './PlaceholderImg.jsx';
@@ -23,6 +19,8 @@ const pixelRatio = window.devicePixelRatio;
 const CharacterIcon = () => {
   const [loaded, setLoaded] = useState(false);
   const canvasRef = useRef();
+  const stats = usePlayerStats();
+  const {hp, mp, xp, level} = stats;
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -80,19 +78,19 @@ const CharacterIcon = () => {
                   </div>
                   <div className={classnames(styles.stat, styles.hp)}>
                       <div className={styles.label}>HP</div>
-                      <progress className={styles.progress} value={hp} max={100} />
+                      <progress className={styles.progress} value={hp} max={getMaxHp(stats)} />
                       <div className={styles.value}>{hp}</div>
                   </div>
                   <div className={classnames(styles.stat, styles.mp)}>
                       <div className={styles.label}>MP</div>
-                      <progress className={styles.progress} value={mp} max={100} />
+                      <progress className={styles.progress} value={mp} max={getMaxMp(stats)} />
                       <div className={styles.value}>{mp}</div>
                   </div>
                   <div className={classnames(styles.stat, styles.xp)}>
                       <img className={styles.barImg} src={`./images/xp-bar.svg`} />
                       <div className={styles.label}>XP</div>
                       <div className={styles.value}>{xp}</div>
-                      <progress className={styles.progress} value={xp} max={100} />
+                      <progress className={styles.progress} value={getLevelProgress(stats)} max={1} />
                   </div>
                   <div className={styles.limitBar}>
                       <div className={styles.inner} />
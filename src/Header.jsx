@@ -6,6 +6,7 @@ import * as hacks from '../hacks.js'
 import cameraManager from '../camera-manager.js'
 import metaversefile from '../metaversefile-api.js'
 import ioManager from '../io-manager.js'
+import keybindingsManager from '../keybindings-manager.js'
 
 import { Character } from './components/general/character';
 import { CharacterSelect } from './components/general/character-select';
@@ -127,9 +128,9 @@ export default function Header() {
 
         const handleNonInputKey = ( event ) => {
 
-            switch ( event.which ) {
+            switch ( keybindingsManager.getKeyAction( event ) ) {
 
-                case 191: { // /
+                case 'toggleMagicPanel': {
 
                     if ( ! state.openedPanel === 'MagicPanel' && ! ioManager.inputFocused() ) {
 
@@ -149,9 +150,9 @@ export default function Header() {
 
         const handleAnytimeKey = ( event ) => {
 
-            switch ( event.which ) {
+            switch ( keybindingsManager.getKeyAction( event ) ) {
 
-                case 9: { // tab
+                case 'toggleCharacterPanel': {
 
                     if ( !event.repeat ) {
 
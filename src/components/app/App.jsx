@@ -15,11 +15,14 @@ import { world } from '../../../world';
 
 import { ActionMenu } from '../general/action-menu';
 import { Crosshair } from '../general/crosshair';
+import { TouchControls } from '../general/touch-controls';
 import { Settings } from '../general/settings';
 import { WorldObjectsList } from '../general/world-objects-list';
 import { IoHandler, registerIoEventHandler, unregisterIoEventHandler } from '../general/io-handler';
 import { ZoneTitleCard } from '../general/zone-title-card';
 import { Quests } from '../play-mode/quests';
+import { QuestLog } from '../general/quest-log';
+import { DeathScreen } from '../general/death-screen';
 import { MapGen } from '../general/map-gen/MapGen.jsx';
 import { UIMode } from '../general/ui-mode';
 import { LoadingBox } from '../../LoadingBox.jsx';
@@ -231,7 +234,7 @@ export const App = () => {
 
     useEffect( () => {
 
-        const handleClick = () => {
+        const handleClick = ( event ) => {
 
             const hoverObject = game.getMouseHoverObject();
 
@@ -239,7 +242,17 @@ export const App = () => {
 
                 const physicsId = game.getMouseHoverPhysicsId();
                 const position = game.getMouseHoverPosition();
-                selectApp( hoverObject, physicsId, position );
+
+                if ( event.shiftKey ) {
+
+                    game.toggleMouseSelectedObject( hoverObject, physicsId, position );
+
+                } else {
+
+                    selectApp( hoverObject, physicsId, position );
+
+                }
+
                 return false;
 
             }
@@ -336,6 +349,7 @@ export const App = () => {
                 <DomRenderer />
                 <Canvas app={app} />
                 <Crosshair />
+                <TouchControls />
                 <UIMode hideDirection='right'>
                     <ActionMenu setUIMode={ setUIMode } />
                 </UIMode>
@@ -357,6 +371,8 @@ export const App = () => {
                 <ZoneTitleCard />
                 <MapGen />
                 <Quests />
+                <QuestLog />
+                <DeathScreen />
                 <LoadingBox />
                 <FocusBar />
                 <DragAndDrop />
@@ -4,6 +4,7 @@ import React from 'react';
 import { MagicMenu } from './magic-menu';
 import { SceneMenu } from './scene-menu';
 import { Inspector } from './inspector';
+import { Selection } from './selection';
 import { UIMode } from '../general/ui-mode';
 
 //
@@ -27,6 +28,7 @@ export const EditorMode = ({ selectedScene, setSelectedScene, selectedRoom, setS
             </UIMode>
             <MagicMenu />
             <Inspector />
+            <Selection />
         </div>
     );
 
@@ -4,6 +4,7 @@ import React, { useState, useEffect, useRef, useContext } from 'react'
 import * as codeAi from '../../../../ai/code/code-ai';
 import metaversefile from 'metaversefile';
 import game from '../../../../game';
+import keybindingsManager from '../../../../keybindings-manager.js';
 
 import { registerIoEventHandler, unregisterIoEventHandler } from '../../general/io-handler';
 import { AppContext } from '../../app';
@@ -138,7 +139,7 @@ export function MagicMenu () {
 
             }
 
-            if ( event.which === 191 ) { // /
+            if ( keybindingsManager.getKeyAction( event ) === 'toggleMagicPanel' ) {
 
                 if ( game.inputFocused() ) return true;
 
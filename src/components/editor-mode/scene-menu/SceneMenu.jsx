@@ -3,6 +3,7 @@ import React, { useState, useEffect, useContext, useRef } from 'react';
 import classnames from 'classnames';
 
 import universe from '../../../../universe'
+import saveManager from '../../../../save-manager';
 import voiceInput from '../../../../voice-input/voice-input';
 import sceneNames from '../../../../scenes/scenes.json';
 
@@ -32,6 +33,8 @@ export const SceneMenu = ({ className, multiplayerConnected, selectedScene, setS
     const [ speechEnabled, setSpeechEnabled ] = useState( false );
     const [ sceneInputName, setSceneInputName ] = useState( selectedScene );
     const [ scenesList, setScenesList ] = useState( origSceneList );
+    const [ saves, setSaves ] = useState([]);
+    const [ saveName, setSaveName ] = useState( '' );
 
     //
 
@@ -53,6 +56,21 @@ export const SceneMenu = ({ className, multiplayerConnected, selectedScene, setS
 
     };
 
+    const refreshSaves = async () => {
+
+        try {
+
+            const saves = await saveManager.listSaves();
+            setSaves( saves );
+
+        } catch ( err ) {
+
+            console.warn( 'failed to list saves', err );
+
+        }
+
+    };
+
     //
 
     const stopPropagation = ( event ) => {
@@ -156,6 +174,69 @@ export const SceneMenu = ({ className, multiplayerConnected, selectedScene, setS
 
     };
 
+    const handleSavesMenuOpen = ( value ) => {
+
+        value = ( typeof value === 'boolean' ? value : ( state.openedPanel === 'SavesMenuPanel' ) );
+        setState({ openedPanel: value ? null : 'SavesMenuPanel' });
+
+    };
+
+    const handleSaveBtnClick = async () => {
+
+        const name = saveName.trim();
+
+        if ( name ) {
+
+            try {
+
+                await saveManager.saveWorld( name );
+                setSaveName( '' );
+
+            } catch ( err ) {
+
+                console.warn( 'failed to save world', err );
+
+            }
+
+        }
+
+    };
+
+    const handleSaveNameKeyUp = ( event ) => {
+
+        event.stopPropagation();
+
+        if ( event.which === 13 ) { // enter
+
+            handleSaveBtnClick();
+
+        }
+
+    };
+
+    const handleSaveSelect = async ( save ) => {
+
+        setState({ openedPanel: null });
+        history.pushState( {}, '', save.src !== undefined ? `/?src=${ encodeURIComponent( save.src ) }` : '/' );
+        window.dispatchEvent( new MessageEvent( 'pushstate' ) );
+        await saveManager.loadWorld( save.name );
+
+    };
+
+    const handleExportSaveBtnClick = ( save, event ) => {
+
+        event.stopPropagation();
+        saveManager.exportScene( save.name );
+
+    };
+
+    const handleDeleteSaveBtnClick = ( save, event ) => {
+
+        event.stopPropagation();
+        saveManager.deleteSave( save.name );
+
+    };
+
     const handleSceneInputKeyDown = ( event ) => {
 
         const newList = ( event.target.value ? origSceneList.filter( ( sceneName ) => ( sceneName.indexOf( event.target.value ) !== -1 ) ) : origSceneList );
@@ -228,6 +309,7 @@ export const SceneMenu = ({ className, multiplayerConnected, selectedScene, setS
     useEffect( () => {
 
         refreshRooms();
+        refreshSaves();
 
         function michange ( event ) {
 
@@ -243,11 +325,13 @@ export const SceneMenu = ({ className, multiplayerConnected, selectedScene, setS
 
         voiceInput.addEventListener( 'micchange', michange );
         voiceInput.addEventListener( 'speechchange', speechchange );
+        saveManager.addEventListener( 'saveschange', refreshSaves );
 
         return () => {
 
             voiceInput.removeEventListener( 'micchange', michange );
             voiceInput.removeEventListener( 'speechchange', speechchange );
+            saveManager.removeEventListener( 'saveschange', refreshSaves );
 
         };
 
@@ -272,6 +356,11 @@ export const SceneMenu = ({ className, multiplayerConnected, selectedScene, setS
                         <img src="images/wifi.svg" />
                     </div>
                 </div>
+                <div className={ styles.buttonWrap } onClick={ handleSavesMenuOpen.bind( this, null ) } >
+                    <div className={ classnames( styles.button, state.openedPanel === 'SavesMenuPanel' ? null : styles.disabled ) } >
+                        <img src="images/ui/down.svg" />
+                    </div>
+                </div>
                 <div className={styles.buttonWrap } onClick={ handleMicBtnClick } >
                     <div className={ classnames( styles.button, micEnabled ? null : styles.disabled ) } >
                         <img src="images/microphone.svg" className={ classnames( micEnabled ? null : styles.hidden ) } />
@@ -321,6 +410,32 @@ export const SceneMenu = ({ className, multiplayerConnected, selectedScene, setS
                 ) : null
             }
 
+            {
+                state.openedPanel === 'SavesMenuPanel' ? (
+                    <div className={ styles.rooms } >
+                        <div className={ styles.create } >
+                            <input type="text" className={ styles.saveInput } value={ saveName } onChange={ ( e ) => { setSaveName( e.target.value ) } } onKeyUp={ handleSaveNameKeyUp } disabled={ multiplayerConnected } placeholder="Save name..." />
+                            <button className={ styles.button } onClick={ handleSaveBtnClick } disabled={ multiplayerConnected } >Save world</button>
+                        </div>
+                        {
+                            saves.map( ( save, i ) => (
+                                <div className={ styles.room } onClick={ ( e ) => { handleSaveSelect( save ) } } key={ i } >
+                                    <img className={ styles.image } src="images/world.jpg" />
+                                    <div className={ styles.name } >
+                                        <div>{ save.name }</div>
+                                        <div className={ styles.saveInfo } >{ new Date( save.timestamp ).toLocaleString() } · { save.numApps } objects</div>
+                                    </div>
+                                    <div className={ styles.delete } >
+                                        <button className={ styles.button } onClick={ handleExportSaveBtnClick.bind( this, save ) } >Export</button>
+                                        <button className={ classnames( styles.button, styles.warning ) } onClick={ handleDeleteSaveBtnClick.bind( this, save ) } >Delete</button>
+                                    </div>
+                                </div>
+                            ))
+                        }
+                    </div>
+                ) : null
+            }
+
         </div>
     );
 
@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useContext, useRef } from 'react';
+import classnames from 'classnames';
+
+import { world2canvas } from '../../../ThreeUtils.js';
+import { world } from '../../../../world.js';
+import game from '../../../../game.js';
+import transformControls from '../../../../transform-controls.js';
+import cameraManager from '../../../../camera-manager.js';
+import keybindingsManager from '../../../../keybindings-manager.js';
+import { getRenderer } from '../../../../renderer.js';
+
+import { AppContext } from '../../app';
+import { registerIoEventHandler, unregisterIoEventHandler } from '../../general/io-handler';
+
+import styles from './selection.module.css';
+
+//
+
+const minDragDistance = 4;
+const transformModes = [ 'translate', 'rotate', 'scale' ];
+
+const _getBox = ( start, end ) => ({
+    left: Math.min( start.x, end.x ),
+    top: Math.min( start.y, end.y ),
+    right: Math.max( start.x, end.x ),
+    bottom: Math.max( start.y, end.y ),
+});
+
+// apps whose origin projects into the box, in client pixels
+const _getAppsInBox = ( box ) => {
+
+    const rect = getRenderer().domElement.getBoundingClientRect();
+
+    return world.appManager.getApps().filter( ( app ) => {
+
+        const p = world2canvas( app.position );
+
+        if ( p.z < 0 ) return false;
+
+        const x = rect.left + p.x * rect.width;
+        const y = rect.top + p.y * rect.height;
+        return x >= box.left && x <= box.right && y >= box.top && y <= box.bottom;
+
+    });
+
+};
+
+export const Selection = () => {
+
+    const { state } = useContext( AppContext );
+    const [ dragStart, setDragStart ] = useState( null );
+    const [ dragEnd, setDragEnd ] = useState( null );
+    const [ numSelected, setNumSelected ] = useState( 0 );
+    const [ transformMode, setTransformMode ] = useState( 'translate' );
+
+    const worldOpen = state.openedPanel === 'WorldPanel';
+    const worldOpenRef = useRef( worldOpen );
+
+    //
+
+    const handleTransformModeClick = ( mode ) => {
+
+        transformControls.setTransformMode( mode );
+        setTransformMode( mode );
+
+    };
+
+    const handleGroupClick = () => {
+
+        game.groupMouseSelectedObjects();
+
+    };
+
+    const handleUngroupClick = () => {
+
+        game.ungroupMouseSelectedObjects();
+
+    };
+
+    //
+
+    useEffect( () => {
+
+        const selectchange = ( event ) => {
+
+            setNumSelected( event.data.apps.length );
+
+        };
+
+        world.appManager.addEventListener( 'selectchange', selectchange );
+
+        return () => {
+
+            world.appManager.removeEventListener( 'selectchange', selectchange );
+
+        };
+
+    }, [] );
+
+    useEffect( () => {
+
+        worldOpenRef.current = worldOpen;
+        setDragStart( null );
+        setDragEnd( null );
+
+    }, [ worldOpen ] );
+
+    // registered once on mount, so that these run before the click-to-select handler in App
+    useEffect( () => {
+
+        let start = null;
+        let dragged = false;
+
+        const mousedown = ( event ) => {
+
+            const renderer = getRenderer();
+
+            if ( worldOpenRef.current && event.button === 0 && event.target === renderer.domElement && ! cameraManager.pointerLockElement ) {
+
+                start = { x: event.clientX, y: event.clientY };
+                dragged = false;
+
+            }
+
+            return true;
+
+        };
+
+        const mousemove = ( event ) => {
+
+            if ( start ) {
+
+                const end = { x: event.clientX, y: event.clientY };
+
+                if ( ! dragged && Math.hypot( end.x - start.x, end.y - start.y ) >= minDragDistance ) {
+
+                    dragged = true;
+
+                }
+
+                // dragging the gizmo is not a box select
+                if ( dragged && ! transformControls.dragging ) {
+
+                    setDragStart( start );
+                    setDragEnd( end );
+
+                }
+
+            }
+
+            return true;
+
+        };
+
+        const mouseup = ( event ) => {
+
+            if ( start && event.button === 0 ) {
+
+                if ( dragged && ! transformControls.dragging ) {
+
+                    const apps = _getAppsInBox( _getBox( start, { x: event.clientX, y: event.clientY } ) );
+
+                    if ( event.shiftKey ) {
+
+                        game.setMouseSelectedObjects( game.getMouseSelectedObjects().concat( apps ) );
+
+                    } else {
+
+                        game.setMouseSelectedObjects( apps );
+
+                    }
+
+                }
+
+                start = null;
+                setDragStart( null );
+                setDragEnd( null );
+
+            }
+
+            return true;
+
+        };
+
+        // the click that ends a drag should not also select the object under the mouse
+        const click = ( event ) => {
+
+            if ( dragged ) {
+
+                dragged = false;
+                return false;
+
+            }
+
+            return true;
+
+        };
+
+        const keydown = ( event ) => {
+
+            if ( ! worldOpenRef.current || game.inputFocused() ) return true;
+
+            switch ( keybindingsManager.getKeyAction( event ) ) {
+
+                case 'selectAll': {
+
+                    game.menuSelectAll();
+                    return false;
+
+                }
+
+                case 'groupSelection': {
+
+                    game.groupMouseSelectedObjects();
+                    return false;
+
+                }
+
+                case 'ungroupSelection': {
+
+                    game.ungroupMouseSelectedObjects();
+                    return false;
+
+                }
+
+            }
+
+            return true;
+
+        };
+
+        registerIoEventHandler( 'mousedown', mousedown );
+        registerIoEventHandler( 'mousemove', mousemove );
+        registerIoEventHandler( 'mouseup', mouseup );
+        registerIoEventHandler( 'click', click );
+        registerIoEventHandler( 'keydown', keydown );
+
+        return () => {
+
+            unregisterIoEventHandler( 'mousedown', mousedown );
+            unregisterIoEventHandler( 'mousemove', mousemove );
+            unregisterIoEventHandler( 'mouseup', mouseup );
+            unregisterIoEventHandler( 'click', click );
+            unregisterIoEventHandler( 'keydown', keydown );
+
+        };
+
+    }, [] );
+
+    //
+
+    const box = ( dragStart && dragEnd ) ? _getBox( dragStart, dragEnd ) : null;
+
+    return (
+        <>
+            {
+                box ? (
+                    <div className={ styles.box } style={{
+                        left: `${ box.left }px`,
+                        top: `${ box.top }px`,
+                        width: `${ box.right - box.left }px`,
+                        height: `${ box.bottom - box.top }px`,
+                    }} />
+                ) : null
+            }
+            <div className={ classnames( styles.toolbar, ( worldOpen && numSelected > 0 ) ? styles.open : null ) } >
+                <div className={ styles.count } >{ numSelected } selected</div>
+                {
+                    transformModes.map( ( mode ) => (
+                        <div className={ classnames( styles.button, transformMode === mode ? styles.selected : null ) } onClick={ handleTransformModeClick.bind( this, mode ) } key={ mode } >{ mode }</div>
+                    ))
+                }
+                <div className={ styles.button } onClick={ handleGroupClick } >group</div>
+                <div className={ styles.button } onClick={ handleUngroupClick } >ungroup</div>
+            </div>
+        </>
+    );
+
+};
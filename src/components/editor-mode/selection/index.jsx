@@ -0,0 +1,2 @@
+import { Selection } from './Selection';
+export { Selection };
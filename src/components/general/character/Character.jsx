@@ -4,16 +4,8 @@ import classnames from 'classnames';
 import { defaultPlayerName } from '../../../../ai/lore/lore-model.js';
 import * as sounds from '../../../../sounds.js';
 // import cameraManager from '../../../../camera-manager.js';
-import {
-    hp,
-    mp,
-    atk,
-    def,
-    vit,
-    spr,
-    dex,
-    lck,
-} from '../../../../player-stats.js';
+import { getMaxHp, getMaxMp, getLevelProgress } from '../../../../player-stats.js';
+import usePlayerStats from '../../../hooks/usePlayerStats.js';
 
 import { AppContext } from '../../app';
 
@@ -23,7 +15,7 @@ import { BigButton } from '../../../BigButton';
 
 import styles from './character.module.css';
 
-const mainStatSpecs = [
+const getMainStatSpecs = stats => [
     {
         // imgSrc: 'images/stats/noun-support-cure-2360283.svg',
         // imgSrc: 'images/stats/noun-heart-1014575.svg',
@@ -31,7 +23,8 @@ const mainStatSpecs = [
         imgSrc: 'images/stats/noun-angel-heart-1927972.svg',
         name: 'HP',
         className: 'hp',
-        progress: hp,
+        value: stats.hp,
+        progress: stats.hp / getMaxHp( stats ),
     },
     {
         // imgSrc: 'images/stats/noun-item-crystal-2360128.svg',
@@ -42,43 +35,44 @@ const mainStatSpecs = [
         imgSrc: 'images/stats/noun-vortex-2806369.svg',
         name: 'MP',
         className: 'mp',
-        progress: mp,
+        value: stats.mp,
+        progress: stats.mp / getMaxMp( stats ),
     },
 ];
-const statSpecs = [
+const getStatSpecs = stats => [
     {
         // imgSrc: 'images/noun-abnormal-bleeding-2360001.svg',
         imgSrc: 'images/stats/noun-skill-sword-swing-2360242.svg',
         // imgSrc: 'images/noun-effect-circle-strike-2360022.svg',
         name: 'Atk',
-        value: atk,
+        value: stats.atk,
     },
     {
         imgSrc: 'images/stats/noun-abnormal-burned-2359995.svg',
         name: 'Def',
-        value: def,
+        value: stats.def,
     },
     {
         // imgSrc: 'images/stats/noun-skill-magic-shock-2360168.svg',
         // imgSrc: 'images/noun-classes-magician-2360012.svg',
         imgSrc: 'images/stats/noun-skill-dna-2360269.svg',
         name: 'Vit',
-        value: vit,
+        value: stats.vit,
     },
     {
         imgSrc: 'images/stats/noun-skill-magic-chain-lightning-2360268.svg',
         name: 'Spr',
-        value: spr,
+        value: stats.spr,
     },
     {
         imgSrc: 'images/stats/noun-skill-speed-down-2360205.svg',
         name: 'Dex',
-        value: dex,
+        value: stats.dex,
     },
     {
         imgSrc: 'images/stats/noun-effect-circle-strike-2360022.svg',
         name: 'Lck',
-        value: lck,
+        value: stats.lck,
     },
 ];
 
@@ -95,7 +89,7 @@ const Stat = ({
                     <div className={styles.statName}>{statSpec.name}</div>
                     <div className={styles.statValue}>{statSpec.value}</div>
                 </div>
-                {statSpec.progress ? (
+                {statSpec.progress !== undefined ? (
                     <progress className={styles.progress} value={statSpec.progress} />
                 )  : null}
             </div>
@@ -110,6 +104,7 @@ export const Character = ({ game, /* wearActions,*/ dioramaCanvasRef }) => {
     const { state, setState } = useContext( AppContext );
     const [ open, setOpen ] = useState(false);
     const [ characterSelectOpen, setCharacterSelectOpen ] = useState(false);
+    const stats = usePlayerStats();
 
     const sideSize = 400;
 
@@ -226,18 +221,18 @@ export const Character = ({ game, /* wearActions,*/ dioramaCanvasRef }) => {
                                 <h1>{defaultPlayerName}</h1>
                             </div>
                             <div className={classnames(styles['panel-section'], styles.level)}>
-                                <h2>Lv. {6}</h2>
-                                <progress className={styles.progress} value={20} max={100} />
+                                <h2>Lv. {stats.level}</h2>
+                                <progress className={styles.progress} value={getLevelProgress( stats )} max={1} />
                             </div>
                         </div>
                     </div>
                     <div className={classnames(styles.stats, styles.main)}>
-                        {mainStatSpecs.map((statSpec, i) => {
+                        {getMainStatSpecs( stats ).map((statSpec, i) => {
                             return <Stat statSpec={statSpec} key={i} />;
                         })}
                     </div>
                     <div className={classnames(styles.stats, styles.sub)}>
-                        {statSpecs.map((statSpec, i) => {
+                        {getStatSpecs( stats ).map((statSpec, i) => {
                             return <Stat statSpec={statSpec} key={i} />;
                         })}
                     </div>
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import classnames from 'classnames';
+
+import respawnManager from '../../../../respawn-manager.js';
+
+import styles from './death-screen.module.css';
+
+//
+
+export const DeathScreen = () => {
+
+    const [ dead, setDead ] = useState( false );
+    const [ attackerName, setAttackerName ] = useState( '' );
+    const [ respawnTime, setRespawnTime ] = useState( 0 );
+    const [ now, setNow ] = useState( 0 );
+
+    //
+
+    const handleRespawnClick = ( event ) => {
+
+        event.stopPropagation();
+        respawnManager.respawn();
+
+    };
+
+    //
+
+    useEffect( () => {
+
+        const death = ( event ) => {
+
+            const { attacker, respawnTime } = event.data;
+            setAttackerName( attacker?.name ?? '' );
+            setRespawnTime( respawnTime );
+            setNow( performance.now() );
+            setDead( true );
+
+        };
+
+        const respawn = () => {
+
+            setDead( false );
+
+        };
+
+        respawnManager.addEventListener( 'death', death );
+        respawnManager.addEventListener( 'respawn', respawn );
+
+        return () => {
+
+            respawnManager.removeEventListener( 'death', death );
+            respawnManager.removeEventListener( 'respawn', respawn );
+
+        };
+
+    }, [] );
+
+    useEffect( () => {
+
+        if ( dead && now < respawnTime ) {
+
+            const timeout = setTimeout( () => {
+
+                setNow( performance.now() );
+
+            }, 100 );
+
+            return () => {
+
+                clearTimeout( timeout );
+
+            };
+
+        }
+
+    }, [ dead, now, respawnTime ] );
+
+    //
+
+    const secondsLeft = Math.ceil( Math.max( respawnTime - now, 0 ) / 1000 );
+
+    return (
+        <div className={ classnames( styles.deathScreen, dead ? styles.open : null ) } >
+            <div className={ styles.title } >You died</div>
+            { attackerName ? (
+                <div className={ styles.attacker } >Defeated by { attackerName }</div>
+            ) : null }
+            <div
+                className={ classnames( styles.respawnBtn, secondsLeft > 0 ? styles.disabled : null ) }
+                onClick={ handleRespawnClick }
+            >
+                { secondsLeft > 0 ? `Respawn in ${ secondsLeft }` : 'Respawn' }
+            </div>
+        </div>
+    );
+
+};
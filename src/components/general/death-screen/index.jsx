@@ -0,0 +1,3 @@
+
+import { DeathScreen } from './DeathScreen';
+export { DeathScreen };
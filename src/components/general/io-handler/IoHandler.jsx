@@ -5,7 +5,7 @@ import ioManager from '../../../../io-manager.js';
 
 //
 
-const types = [ 'keydown', 'keypress', 'keyup', 'click', 'dblclick', 'mousedown', 'mouseup', 'mousemove', 'mouseenter', 'mouseleave', 'wheel', 'paste' ];
+const types = [ 'keydown', 'keypress', 'keyup', 'click', 'dblclick', 'mousedown', 'mouseup', 'mousemove', 'mouseenter', 'mouseleave', 'wheel', 'paste', 'blur' ];
 const ioEventHandlers = {};
 
 for ( const type of types.concat(['']) ) {
@@ -87,10 +87,21 @@ function IoHandler () {
 
                     ioManager[ type ]( event );
 
-                } else if ( event.cancelable ) {
+                } else {
 
-                    event.stopPropagation();
-                    event.preventDefault();
+                    // a swallowed release still ends the action its press started
+                    if ( type === 'keyup' ) {
+
+                        ioManager.actionUp( event.code, event );
+
+                    }
+
+                    if ( event.cancelable ) {
+
+                        event.stopPropagation();
+                        event.preventDefault();
+
+                    }
 
                 }
 
@@ -14,6 +14,7 @@ import {world} from '../../../../world.js';
 import universe from '../../../../universe.js';
 import cameraManager from '../../../../camera-manager.js';
 import story from '../../../../story.js';
+import keybindingsManager from '../../../../keybindings-manager.js';
 // import raycastManager from '../../../../raycast-manager.js';
 import {snapshotMapChunk} from '../../../../scene-cruncher.js';
 import {Text} from 'troika-three-text';
@@ -398,9 +399,9 @@ export const MapGen = () => {
 
               if (game.inputFocused()) return true;
 
-                switch ( event.which ) {
+                switch ( keybindingsManager.getKeyAction( event ) ) {
 
-                  case 74: { // J
+                  case 'toggleFiredrop': {
 
                     if (!firedropMeshApp) {
                       const localPlayer = useLocalPlayer();
@@ -428,7 +429,7 @@ export const MapGen = () => {
                     return false;
                   }
 
-                  case 75: { // K
+                  case 'toggleHalo': {
 
                     if (!haloMeshApp) {
                       const haloMeshApp = metaversefile.createApp();
@@ -450,7 +451,7 @@ export const MapGen = () => {
                     return false;
                   }
 
-                  case 76: { // L
+                  case 'toggleSilks': {
                   
                       if (!silksMeshApp) {
                         const silksMeshApp = metaversefile.createApp();
@@ -473,7 +474,7 @@ export const MapGen = () => {
 
                   }
 
-                  case 80: { // P
+                  case 'toggleComet': {
                   
                     if (!cometMeshApp) {
                       const cometMeshApp = metaversefile.createApp();
@@ -504,7 +505,7 @@ export const MapGen = () => {
 
                 }
 
-                  case 186: { // ;
+                  case 'toggleFlare': {
 
                     if (!flareMeshApp) {
                       const flareMeshApp = metaversefile.createApp();
@@ -526,7 +527,7 @@ export const MapGen = () => {
                     return false;
 
                   }
-                  case 222: { // '
+                  case 'snapshotMapChunk': {
 
                     (async () => {
                       const chunkWorldSize = new THREE.Vector3(64, 64, 64);
@@ -548,7 +549,7 @@ export const MapGen = () => {
 
                   }
 
-                  case 188: { // ,
+                  case 'toggleMagic': {
 
                     if (!magicMeshApp) {
                       const magicMeshApp = metaversefile.createApp();
@@ -571,7 +572,7 @@ export const MapGen = () => {
 
                   }
 
-                  case 190: { // .
+                  case 'toggleLimit': {
 
                     if (!limitMeshApp) {
                       const limitMeshApp = metaversefile.createApp();
@@ -594,7 +595,7 @@ export const MapGen = () => {
 
                   }
 
-                  case 77: { // M
+                  case 'toggleMapGen': {
 
                       if ( state.openedPanel === 'MapGenPanel' ) {
 
@@ -622,7 +623,7 @@ export const MapGen = () => {
 
                   }
 
-                  case 219: { // [
+                  case 'playIntro': {
 
                     story.startCinematicIntro();
                   
@@ -0,0 +1,203 @@
+
+import React, { useState, useEffect, useContext } from 'react';
+import classnames from 'classnames';
+
+import { AppContext } from '../../app';
+import { registerIoEventHandler, unregisterIoEventHandler } from '../io-handler';
+import questManager from '../../../../quest-manager.js';
+import cameraManager from '../../../../camera-manager.js';
+import game from '../../../../game.js';
+import keybindingsManager from '../../../../keybindings-manager.js';
+
+import styles from './quest-log.module.css';
+
+//
+
+const stateNames = [ 'active', 'completed', 'failed' ];
+
+const Objective = ({ objective }) => {
+
+    const { label, progress, total, met } = objective;
+    const factor = total > 0 ? Math.min( progress / total, 1 ) : ( met ? 1 : 0 );
+
+    return (
+        <div className={ classnames( styles.objective, met ? styles.met : null ) } >
+            <div className={ styles.label } >{ label }</div>
+            <div className={ styles.count } >{ progress }/{ total }</div>
+            <div className={ styles.bar } >
+                <div className={ styles.fill } style={{ width: `${ factor * 100 }%` }} />
+            </div>
+        </div>
+    );
+
+};
+
+const QuestEntry = ({ entry }) => {
+
+    const { name, description, state, objectives } = entry;
+
+    return (
+        <div className={ classnames( styles.quest, styles[ state ] ) } >
+            <div className={ styles.name } >{ name }</div>
+            <div className={ styles.description } >{ description }</div>
+            <div className={ styles.objectives } >
+                { objectives.map( ( objective, i ) => <Objective objective={ objective } key={ i } /> ) }
+            </div>
+        </div>
+    );
+
+};
+
+export const QuestLog = () => {
+
+    const { state, setState } = useContext( AppContext );
+    const [ log, setLog ] = useState( () => questManager.log.slice() );
+    const [ activeState, setActiveState ] = useState( 'active' );
+    const open = state.openedPanel === 'QuestLogPanel';
+
+    //
+
+    const stopPropagation = ( event ) => {
+
+        event.stopPropagation();
+
+    };
+
+    const handleCloseBtnClick = () => {
+
+        setState({ openedPanel: null });
+
+    };
+
+    const handleTabClick = ( event ) => {
+
+        const stateName = event.currentTarget.getAttribute('data-state-name');
+        setActiveState( stateName );
+
+    };
+
+    //
+
+    useEffect( () => {
+
+        const logupdate = () => {
+
+            setLog( questManager.log.slice() );
+
+        };
+
+        questManager.addEventListener( 'logupdate', logupdate );
+
+        ( async () => {
+
+            await questManager.waitForLoad();
+            logupdate();
+
+        } )();
+
+        return () => {
+
+            questManager.removeEventListener( 'logupdate', logupdate );
+
+        };
+
+    }, [] );
+
+    useEffect( () => {
+
+        const handleKeyUp = ( event ) => {
+
+            if ( game.inputFocused() ) {
+
+                return true;
+
+            }
+
+            if ( keybindingsManager.getKeyAction( event ) === 'toggleQuestLog' ) {
+
+                if ( open ) {
+
+                    if ( ! cameraManager.pointerLockElement ) {
+
+                        cameraManager.requestPointerLock();
+
+                    }
+
+                    setState({ openedPanel: null });
+
+                } else if ( state.openedPanel !== 'SettingsPanel' ) {
+
+                    if ( cameraManager.pointerLockElement ) {
+
+                        cameraManager.exitPointerLock();
+
+                    }
+
+                    setState({ openedPanel: 'QuestLogPanel' });
+
+                }
+
+                return false;
+
+            }
+
+            switch ( event.which ) {
+
+                case 27: { // esc
+
+                    if ( open ) {
+
+                        setState({ openedPanel: null });
+                        return false;
+
+                    }
+
+                    break;
+
+                }
+
+            }
+
+            return true;
+
+        };
+
+        registerIoEventHandler( 'keyup', handleKeyUp );
+
+        return () => {
+
+            unregisterIoEventHandler( 'keyup', handleKeyUp );
+
+        };
+
+    }, [ state.openedPanel ] );
+
+    //
+
+    const entries = log.filter( entry => entry.state === activeState );
+
+    return (
+        <div className={ classnames( styles.questLog, open ? styles.open : null ) } onClick={ stopPropagation } >
+            <div className={ styles.closeBtn } onClick={ handleCloseBtnClick } >X</div>
+            <div className={ styles.header } >Quest Log</div>
+            <div className={ styles.tabs } >
+                { stateNames.map( stateName => (
+                    <div
+                        className={ classnames( styles.tab, activeState === stateName ? styles.active : null ) }
+                        onClick={ handleTabClick }
+                        data-state-name={ stateName }
+                        key={ stateName }
+                    >
+                        { stateName } ({ log.filter( entry => entry.state === stateName ).length })
+                    </div>
+                ) ) }
+            </div>
+            <div className={ styles.quests } >
+                { entries.length > 0 ? entries.map( entry => <QuestEntry entry={ entry } key={ entry.id } /> ) : (
+                    <div className={ styles.empty } >No { activeState } quests</div>
+                ) }
+            </div>
+        </div>
+    );
+
+};
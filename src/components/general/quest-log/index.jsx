@@ -0,0 +1,3 @@
+
+import { QuestLog } from './QuestLog';
+export { QuestLog };
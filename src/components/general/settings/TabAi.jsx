@@ -4,6 +4,7 @@ import classNames from 'classnames';
 
 import { Switch } from './switch';
 import loreAI from '../../../../ai/lore/lore-ai';
+import { authenticatedApiName } from '../../../../ai/lore/hosted-providers';
 import preauthenticator from '../../../../preauthenticator';
 import debug from '../../../../debug';
 
@@ -11,12 +12,12 @@ import styles from './settings.module.css';
 
 //
 
-const ApiTypes = [ 'NONE', 'AI21', 'GOOSEAI', 'OPENAI', 'CONVAI' ];
+const ApiTypes = loreAI.getProviders().map( provider => provider.name );
 const DefaultSettings = {
     apiType: ApiTypes[0],
     apiKey: '',
+    providerSettings: {},
 };
-const authenticatedApiName = 'ai';
 
 export const TabAi = ({ active }) => {
 
@@ -29,6 +30,7 @@ export const TabAi = ({ active }) => {
     const [ apiType, setApiType ] = useState( null );
     const [ apiKey, setApiKey ] = useState( null );
     const [ apiKeyEnabled, setApiKeyEnabled ] = useState( false );
+    const [ providerSettings, setProviderSettings ] = useState( DefaultSettings.providerSettings );
     const [ testRunning, setTestRunning ] = useState( false );
 
     //
@@ -58,44 +60,38 @@ export const TabAi = ({ active }) => {
 
     //
 
-    const _getApiUrl = apiType => {
-        switch (apiType) {
-            case 'NONE': return null;
-            case 'AI21': return `https://ai.webaverse.com/ai21/v1/engines/j1-large/completions`;
-            case 'GOOSEAI': return `https://ai.webaverse.com/gooseai/v1/engines/gpt-neo-20b/completions`;
-            case 'OPENAI': return `https://api.openai.com/v1/engines/text-davinci-002/completions`;
-            case 'CONVAI': return `https://api.convai.com/webaverse`
-            default: return null;
-        }
+    const provider = loreAI.getProvider( apiType );
+    const _apiTypeNeedsApiKey = apiType => !! loreAI.getProvider( apiType )?.needsApiKey;
+
+    function updateLoreEndpoint(apiType, providerSettings) {
+        loreAI.setProvider(apiType, providerSettings[apiType]);
     };
-    const _apiTypeNeedsApiKey = apiType => apiType === 'OPENAI' || apiType === 'CONVAI';
-
-    function updateLoreEndpoint(apiType) {
-        const url = _getApiUrl(apiType);
-        if (_apiTypeNeedsApiKey(apiType)) {
-            // console.log('lore ai set endpoint', {authenticatedApiName, url});
-            loreAI.setEndpoint(async query => {
-                // console.log('call lore ai endpoint', {authenticatedApiName, url, query});
-                return await preauthenticator.callAuthenticatedApi(authenticatedApiName, url, query);
-            });
-        } else {
-            loreAI.setEndpointUrl(url);
-        }
+
+    function setProviderSetting ( name, value ) {
+
+        setProviderSettings({
+            ...providerSettings,
+            [ apiType ]: {
+                ...providerSettings[ apiType ],
+                [ name ]: value,
+            },
+        });
+
     };
 
     async function saveSettings () {
 
         const settings = {
-            apiType:        apiType,
-            apiKey:         '',
+            apiType:            apiType,
+            apiKey:             '',
+            providerSettings:   providerSettings,
         };
 
         if (_apiTypeNeedsApiKey(apiType) && apiKeyEnabled && !apiKey) {
             // keep old api key
         } else {
             if (_apiTypeNeedsApiKey(apiType) && apiKey) {
-                const url = _getApiUrl(apiType);
-                const origin = new URL(url).origin;
+                const origin = new URL(provider.url).origin;
                 
                 (async () => {
                     await preauthenticator.setAuthenticatedApi(authenticatedApiName, origin, `Bearer ${apiKey}`);
@@ -115,7 +111,7 @@ export const TabAi = ({ active }) => {
 
         localStorage.setItem( 'AiSettings', JSON.stringify( settings ) );
 
-        updateLoreEndpoint(apiType);
+        updateLoreEndpoint(apiType, providerSettings);
 
     };
 
@@ -137,13 +133,15 @@ export const TabAi = ({ active }) => {
 
         settings = settings ?? DefaultSettings;
 
-        const apiType = settings.apiType ?? DefaultSettings.apiType;
+        const apiType = ApiTypes.includes( settings.apiType ) ? settings.apiType : DefaultSettings.apiType;
+        const providerSettings = settings.providerSettings ?? DefaultSettings.providerSettings;
 
-        updateLoreEndpoint(apiType);
+        updateLoreEndpoint(apiType, providerSettings);
 
         // set react state
         setApiType( apiType );
         setApiKey( '' );
+        setProviderSettings( providerSettings );
 
         // console.log('set api', settings.apiType ?? DefaultSettings.apiType, keyString ?? DefaultSettings.apiKey);
 
@@ -192,7 +190,7 @@ export const TabAi = ({ active }) => {
 
         }
 
-    }, [ apiType, apiKey ] );
+    }, [ apiType, apiKey, providerSettings ] );
 
     useEffect( () => {
 
@@ -232,6 +230,21 @@ export const TabAi = ({ active }) => {
                   null}
                 <div className={ styles.clearfix } />                
             </div>
+            {
+                provider ? provider.settings.map( ( setting ) => (
+                    <div className={ styles.row } key={ setting.name }>
+                        <div className={ styles.paramName }>{ setting.label }</div>
+                        <input
+                            type="text"
+                            className={ styles.input }
+                            value={ providerSettings[ apiType ]?.[ setting.name ] ?? setting.defaultValue }
+                            onChange={ e => setProviderSetting( setting.name, e.target.value ) }
+                            placeholder={ setting.defaultValue || setting.label }
+                        />
+                        <div className={ styles.clearfix } />
+                    </div>
+                ) ) : null
+            }
 
             {debugEnabled ? (<>
                 <div className={ styles.blockTitle }>Test</div>
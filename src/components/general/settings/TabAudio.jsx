@@ -4,6 +4,7 @@ import classNames from 'classnames';
 // import { voicePacksUrl, voiceEndpointsUrl, defaultVoicePackName } from '../../../../constants';
 // import game from '../../../../game';
 import { Slider } from './slider';
+import { Switch } from './switch';
 import * as voices from '../../../../voices';
 // import {localPlayer} from '../../../../players';
 import overrides from '../../../../overrides';
@@ -11,6 +12,9 @@ import overrides from '../../../../overrides';
 import styles from './settings.module.css';
 
 import audioManager from '../../../../audio-manager.js';
+import localTts, { defaultTtsUrls, urlTtsEngines } from '../../../../voice-output/local-tts.js';
+import voiceInput from '../../../../voice-input/voice-input.js';
+import voiceChat from '../../../../voice-chat.js';
 
 //
 
@@ -23,6 +27,17 @@ const noneVoiceEndpoint = {
     name: 'None',
     drive_id: null,
 };
+const TtsEngines = [
+    { name: 'none',     label: 'Remote' },
+    { name: 'browser',  label: 'Browser' },
+    { name: 'server',   label: 'Local server' },
+    { name: 'wasm',     label: 'WASM engine' },
+];
+const VoiceChatModes = [
+    { name: 'open',         label: 'Open mic' },
+    { name: 'pushToTalk',   label: 'Push to talk' },
+];
+const PlayerVoiceStates = [ 'ON', 'MUTED' ];
 const DefaultSettings = {
     general:        100,
     music:          100,
@@ -30,6 +45,61 @@ const DefaultSettings = {
     effects:        100,
     voicePack:      noneVoicePack.name,
     voiceEndpoint:  noneVoiceEndpoint.name,
+    ttsEngine:      'none',
+    ttsUrl:         '',
+    voiceChatMode:  'open',
+};
+
+// per player voice settings apply right away; the voice chat saves them
+
+const VoiceChatPlayers = () => {
+
+    const [ players, setPlayers ] = useState( voiceChat.getPlayers() );
+    const [ , setSettingsVersion ] = useState( 0 );
+
+    useEffect( () => {
+
+        const handlePlayersChange = ( event ) => {
+
+            setPlayers( event.data.players );
+
+        };
+
+        const handlePlayerSettingsChange = () => {
+
+            setSettingsVersion( version => version + 1 );
+
+        };
+
+        voiceChat.addEventListener( 'playerschange', handlePlayersChange );
+        voiceChat.addEventListener( 'playersettingschange', handlePlayerSettingsChange );
+
+        return () => {
+
+            voiceChat.removeEventListener( 'playerschange', handlePlayersChange );
+            voiceChat.removeEventListener( 'playersettingschange', handlePlayerSettingsChange );
+
+        };
+
+    }, [] );
+
+    //
+
+    return players.map( ( player ) => {
+
+        const { muted, volume } = voiceChat.getPlayerSettings( player );
+
+        return (
+            <div className={ styles.row } key={ player.playerId } >
+                <div className={ styles.paramName }>{ player.name || player.playerId }</div>
+                <Switch className={ styles.switch } value={ muted ? PlayerVoiceStates[1] : PlayerVoiceStates[0] } setValue={ value => { voiceChat.setPlayerMuted( player, value === PlayerVoiceStates[1] ); } } values={ PlayerVoiceStates } />
+                <Slider className={ styles.slider } value={ Math.round( volume * 100 ) } setValue={ value => { voiceChat.setPlayerVolume( player, value / 100 ); } } />
+                <div className={ styles.clearfix } />
+            </div>
+        );
+
+    });
+
 };
 
 export const TabAudio = ({ active }) => {
@@ -47,6 +117,9 @@ export const TabAudio = ({ active }) => {
     const [ effectsVolume, setEffectsVolume ] = useState( null );
     const [ voicePack, setVoicePack ] = useState( '' );
     const [ voiceEndpoint, setVoiceEndpoint ] = useState( '' );
+    const [ ttsEngine, setTtsEngine ] = useState( '' );
+    const [ ttsUrl, setTtsUrl ] = useState( '' );
+    const [ voiceChatMode, setVoiceChatMode ] = useState( '' );
 
     //
 
@@ -59,6 +132,9 @@ export const TabAudio = ({ active }) => {
             effects:        effectsVolume,
             voicePack:      voicePack,
             voiceEndpoint:  voiceEndpoint,
+            ttsEngine:      ttsEngine,
+            ttsUrl:         ttsUrl,
+            voiceChatMode:  voiceChatMode,
         };
 
         localStorage.setItem( 'AudioSettings', JSON.stringify( settings ) );
@@ -88,6 +164,9 @@ export const TabAudio = ({ active }) => {
         setEffectsVolume( settings.effects ?? DefaultSettings.effects );
         setVoicePack( settings.voicePack ?? DefaultSettings.voicePack );
         setVoiceEndpoint( settings.voiceEndpoint ?? DefaultSettings.voiceEndpoint );
+        setTtsEngine( settings.ttsEngine ?? DefaultSettings.ttsEngine );
+        setTtsUrl( settings.ttsUrl ?? DefaultSettings.ttsUrl );
+        setVoiceChatMode( settings.voiceChatMode ?? DefaultSettings.voiceChatMode );
 
         setSettingsLoaded( true );
 
@@ -107,6 +186,14 @@ export const TabAudio = ({ active }) => {
 
         overrides.overrideVoiceEndpoint.set(voiceEndpoint !== 'None' ? voiceEndpoint : null);
 
+        // set speech synthesis; npcs speak with it instead of the voice endpoints
+
+        localTts.setEngine(ttsEngine, { url: ttsUrl });
+
+        // set voice chat mode; in push to talk the mic only sends while the key is held
+
+        voiceInput.setPushToTalk(voiceChatMode === 'pushToTalk');
+
         //
 
         saveSettings();
@@ -146,7 +233,7 @@ export const TabAudio = ({ active }) => {
 
     useEffect( () => {
 
-        if ( generalVolume && musicVolume && voiceVolume && effectsVolume && voicePack && voiceEndpoint ) {
+        if ( generalVolume && musicVolume && voiceVolume && effectsVolume && voicePack && voiceEndpoint && ttsEngine && voiceChatMode ) {
 
             if ( settingsLoaded ) {
 
@@ -161,7 +248,7 @@ export const TabAudio = ({ active }) => {
 
         }
 
-    }, [ generalVolume, musicVolume, voiceVolume, effectsVolume, voicePack, voiceEndpoint ] );
+    }, [ generalVolume, musicVolume, voiceVolume, effectsVolume, voicePack, voiceEndpoint, ttsEngine, ttsUrl, voiceChatMode ] );
 
     useEffect( async () => {
 
@@ -221,6 +308,46 @@ export const TabAudio = ({ active }) => {
                     }
                 </select>
             </div>
+            <div className={ styles.row } >
+                <div className={ styles.paramName }>Speech synthesis</div>
+                <select className={ styles.select } value={ ttsEngine } onChange={ e => { setTtsEngine( e.target.value ); } } >
+                    {
+                        TtsEngines.map( ( engine, i ) => {
+                            return (
+                                <option value={ engine.name } key={ i }>{ engine.label }</option>
+                            );
+                        })
+                    }
+                </select>
+            </div>
+            {
+                urlTtsEngines.includes( ttsEngine ) ? (
+                    <div className={ styles.row } >
+                        <div className={ styles.paramName }>Speech synthesis url</div>
+                        <input
+                            type="text"
+                            className={ styles.input }
+                            value={ ttsUrl }
+                            placeholder={ defaultTtsUrls[ ttsEngine ] ?? 'Engine module url (required)' }
+                            onChange={ e => { setTtsUrl( e.target.value ); } }
+                        />
+                        <div className={ styles.clearfix } />
+                    </div>
+                ) : null
+            }
+            <div className={ styles.row } >
+                <div className={ styles.paramName }>Voice chat</div>
+                <select className={ styles.select } value={ voiceChatMode } onChange={ e => { setVoiceChatMode( e.target.value ); } } >
+                    {
+                        VoiceChatModes.map( ( mode, i ) => {
+                            return (
+                                <option value={ mode.name } key={ i }>{ mode.label }</option>
+                            );
+                        })
+                    }
+                </select>
+            </div>
+            <VoiceChatPlayers />
             <div className={ classNames( styles.applyBtn, changesNotSaved ? styles.active : null ) } onClick={ handleApplySettingsBtnClick } >
                 { appyingChanges ? 'APPLYING' : 'APPLY' }
             </div>
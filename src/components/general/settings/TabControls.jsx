@@ -2,195 +2,186 @@
 import React, { useState, useEffect } from 'react';
 import classNames from 'classnames';
 
+import keybindingsManager, { actions, getDefaultBindings, isGamepadBinding, defaultGamepadSettings } from '../../../../keybindings-manager.js';
 import { KeyInput } from './key-input';
+import { Button } from './button';
+import { Slider } from './slider';
+import { Switch } from './switch';
 
 import styles from './settings.module.css';
 
 //
 
-const DefaultSettings = {
-    moveForward:        'w',
-    moveLeft:           'a',
-    moveRight:          'd',
-    moveBack:           's',
-    jump:               'space',
-    action:             'e',
-    run:                'shift+w',
-    narutoRun:          'shift+w+w',
-    chat:               'enter',
-    inventory:          'i'
+const numKeySlots = 2;
+
+// each action shows two keyboard / mouse slots and one gamepad slot
+
+const getSlots = ( actionBindings ) => {
+
+    const keys = actionBindings.filter( binding => ! isGamepadBinding( binding ) );
+    const gamepad = actionBindings.find( binding => isGamepadBinding( binding ) ) ?? '';
+
+    return { keys, gamepad };
+
 };
 
 export const TabControls = ({ active }) => {
 
     const [ appyingChanges, setAppyingChanges ] = useState( false );
     const [ changesNotSaved, setChangesNotSaved ] = useState( false );
-    const [ settingsLoaded, setSettingsLoaded ] = useState( false );
-
-    const [ moveForward, setMoveForward ] = useState( null );
-    const [ moveLeft, setMoveLeft ] = useState( null );
-    const [ moveRight, setMoveRight ] = useState( null );
-    const [ moveBack, setMoveBack ] = useState( null );
-    const [ jump, setJump ] = useState( null );
-    const [ run, setRun ] = useState( null );
-    const [ narutoRun, setNarutoRun ] = useState( null );
-    const [ action, setAction ] = useState( null );
-    const [ chat, setChat ] = useState( null );
-    const [ inventory, setInventory ] = useState( null );
+    const [ bindings, setBindings ] = useState( keybindingsManager.getBindings() );
+    const [ error, setError ] = useState( null );
+    const [ gamepadSettings, setGamepadSettings ] = useState( keybindingsManager.getGamepadSettings() );
+
+    const conflicts = keybindingsManager.getConflicts( bindings );
+    const conflictBindings = new Set( conflicts.map( conflict => conflict.binding ) );
 
     //
 
-    function saveSettings () {
-
-        const settings = {
-            moveForward,
-            moveLeft,
-            moveRight,
-            moveBack,
-            jump,
-            run,
-            narutoRun,
-            action,
-            chat,
-            inventory
-        };
+    function setSlot ( actionName, slot, value ) {
 
-        localStorage.setItem( 'ControlsSettings', JSON.stringify( settings ) );
+        const { keys, gamepad } = getSlots( bindings[ actionName ] );
+        let newBindings;
 
-    };
+        if ( slot === 'gamepad' ) {
 
-    function loadSettings () {
+            newBindings = keys.concat( value ? [ value ] : [] );
 
-        const settingsString = localStorage.getItem( 'ControlsSettings' );
-        let settings;
+        } else {
 
-        try {
-
-            settings = JSON.parse( settingsString );
+            const newKeys = keys.slice();
+            newKeys[ slot ] = value;
+            newBindings = newKeys.filter( binding => !! binding ).concat( gamepad ? [ gamepad ] : [] );
 
-        } catch ( err ) {
+        }
 
-            settings = DefaultSettings;
+        setBindings({ ...bindings, [ actionName ]: newBindings });
+        setChangesNotSaved( true );
+        setError( null );
 
-        }
+    };
 
-        settings = settings ?? DefaultSettings;
+    function setGamepadSetting ( key, value ) {
 
-        setMoveForward( settings.moveForward ?? DefaultSettings.moveForward );
-        setMoveLeft( settings.moveLeft ?? DefaultSettings.moveLeft );
-        setMoveRight( settings.moveRight ?? DefaultSettings.moveRight );
-        setMoveBack( settings.moveBack ?? DefaultSettings.moveBack );
-        setJump( settings.jump ?? DefaultSettings.jump );
-        setRun( settings.run ?? DefaultSettings.run );
-        setNarutoRun( settings.narutoRun ?? DefaultSettings.narutoRun );
-        setAction( settings.action ?? DefaultSettings.action );
-        setChat( settings.chat ?? DefaultSettings.chat );
-        setInventory( settings.inventory ?? DefaultSettings.inventory );
+        setGamepadSettings({ ...gamepadSettings, [ key ]: value });
+        setChangesNotSaved( true );
 
     };
 
     function applySettings () {
 
-        // todo
+        try {
 
-        //
+            keybindingsManager.setBindings( bindings );
+            keybindingsManager.setGamepadSettings( gamepadSettings );
+            setChangesNotSaved( false );
+
+        } catch ( err ) {
+
+            setError( err.message );
+
+        }
 
-        saveSettings();
-        setChangesNotSaved( false );
         setTimeout( () => { setAppyingChanges( false ) }, 1000 );
 
     };
 
     function handleApplySettingsBtnClick () {
 
+        if ( conflicts.length > 0 ) return;
+
         setAppyingChanges( true );
         setTimeout( applySettings, 100 );
 
     };
 
-    //
+    function handleResetBtnClick () {
 
-    useEffect( () => {
+        setBindings( getDefaultBindings() );
+        setGamepadSettings( defaultGamepadSettings );
+        setChangesNotSaved( true );
+        setError( null );
 
-        if ( moveForward && moveLeft && moveRight && moveBack && jump && run && narutoRun && action && chat && inventory ) {
+    };
 
-            if ( settingsLoaded ) {
+    //
 
-                setChangesNotSaved( true );
+    useEffect( () => {
 
-            } else {
+        const bindingschange = ( event ) => {
 
-                setSettingsLoaded( true );
-                applySettings();
+            setBindings( event.data.bindings );
 
-            }
+        };
 
-        }
+        keybindingsManager.addEventListener( 'bindingschange', bindingschange );
 
-    }, [ moveForward, moveLeft, moveRight, moveBack, jump, run, narutoRun, action, chat, inventory ] );
+        return () => {
 
-    useEffect( () => {
+            keybindingsManager.removeEventListener( 'bindingschange', bindingschange );
 
-        loadSettings();
+        };
 
     }, [] );
 
     //
 
+    const actionLabels = {};
+    for ( const action of actions ) actionLabels[ action.name ] = action.label;
+
     return (
         <div className={ classNames( styles.controlsTab, styles.tabContent, active ? styles.active : null ) }>
+            <div className={ styles.blockTitle }>Bindings</div>
+            {
+                actions.map( ( action ) => {
+
+                    const { keys, gamepad } = getSlots( bindings[ action.name ] );
+
+                    return (
+                        <div className={ styles.row } key={ action.name }>
+                            <div className={ styles.paramName }>{ action.label }</div>
+                            {
+                                Array.from( { length: numKeySlots }, ( _, i ) => (
+                                    <KeyInput className={ styles.keyInput } value={ keys[ i ] ?? '' } conflict={ conflictBindings.has( keys[ i ] ) } setValue={ value => setSlot( action.name, i, value ) } key={ i } />
+                                ) )
+                            }
+                            <KeyInput className={ styles.keyInput } value={ gamepad } conflict={ conflictBindings.has( gamepad ) } setValue={ value => setSlot( action.name, 'gamepad', value ) } gamepad />
+                            <div className={ styles.clearfix } />
+                        </div>
+                    );
+
+                })
+            }
+
+            {
+                conflicts.map( ( conflict ) => (
+                    <div className={ styles.conflict } key={ conflict.binding }>
+                        { keybindingsManager.formatBinding( conflict.binding ) } is bound to { conflict.actions.map( name => actionLabels[ name ] ).join( ' and ' ) }
+                    </div>
+                ) )
+            }
+            { error ? <div className={ styles.conflict }>{ error }</div> : null }
+
+            <div className={ styles.blockTitle }>Gamepad</div>
             <div className={ styles.row }>
-                <div className={ styles.paramName }>Move forward</div>
-                <KeyInput className={ styles.keyInput } value={ moveForward } setValue={ setMoveForward } />
-                <div className={ styles.clearfix } />
-            </div>
-            <div className={ styles.row }>
-                <div className={ styles.paramName }>Move left</div>
-                <KeyInput className={ styles.keyInput } value={ moveLeft } setValue={ setMoveLeft } />
-                <div className={ styles.clearfix } />
-            </div>
-            <div className={ styles.row }>
-                <div className={ styles.paramName }>Move right</div>
-                <KeyInput className={ styles.keyInput } value={ moveRight } setValue={ setMoveRight } />
-                <div className={ styles.clearfix } />
-            </div>
-            <div className={ styles.row }>
-                <div className={ styles.paramName }>Move back</div>
-                <KeyInput className={ styles.keyInput } value={ moveBack } setValue={ setMoveBack } />
-                <div className={ styles.clearfix } />
-            </div>
-            <div className={ styles.row }>
-                <div className={ styles.paramName }>Jump</div>
-                <KeyInput className={ styles.keyInput } value={ jump } setValue={ setJump } />
-                <div className={ styles.clearfix } />
-            </div>
-            <div className={ styles.row }>
-                <div className={ styles.paramName }>Run</div>
-                <KeyInput className={ styles.keyInput } value={ run } setValue={ setRun } />
-                <div className={ styles.clearfix } />
-            </div>
-            <div className={ styles.row }>
-                <div className={ styles.paramName }>Naruto run</div>
-                <KeyInput className={ styles.keyInput } value={ narutoRun } setValue={ setNarutoRun } />
-                <div className={ styles.clearfix } />
-            </div>
-            <div className={ styles.row }>
-                <div className={ styles.paramName }>Action</div>
-                <KeyInput className={ styles.keyInput } value={ action } setValue={ setAction } />
+                <div className={ styles.paramName }>Stick dead zone</div>
+                <Slider className={ styles.slider } value={ gamepadSettings.deadZone } setValue={ value => setGamepadSetting( 'deadZone', value ) } max={ 90 } />
                 <div className={ styles.clearfix } />
             </div>
             <div className={ styles.row }>
-                <div className={ styles.paramName }>Chat</div>
-                <KeyInput className={ styles.keyInput } value={ chat } setValue={ setChat } />
+                <div className={ styles.paramName }>Look sensitivity</div>
+                <Slider className={ styles.slider } value={ gamepadSettings.lookSensitivity } setValue={ value => setGamepadSetting( 'lookSensitivity', value ) } min={ 10 } />
                 <div className={ styles.clearfix } />
             </div>
             <div className={ styles.row }>
-                <div className={ styles.paramName }>Inventory</div>
-                <KeyInput className={ styles.keyInput } value={ inventory } setValue={ setInventory } />
+                <div className={ styles.paramName }>Invert look</div>
+                <Switch className={ styles.switch } value={ gamepadSettings.invertLook ? 'ON' : 'OFF' } setValue={ value => setGamepadSetting( 'invertLook', value === 'ON' ) } values={ [ 'ON', 'OFF' ] } />
                 <div className={ styles.clearfix } />
             </div>
 
-            <div className={ classNames( styles.applyBtn, changesNotSaved ? styles.active : null ) } onClick={ handleApplySettingsBtnClick } >
+            <Button className={ styles.resetBtn } label="Reset to defaults" onClick={ handleResetBtnClick } />
+
+            <div className={ classNames( styles.applyBtn, changesNotSaved && conflicts.length === 0 ? styles.active : null ) } onClick={ handleApplySettingsBtnClick } >
                 { appyingChanges ? 'APPLYING' : 'APPLY' }
             </div>
         </div>
@@ -1,81 +1,168 @@
 
 import classNames from 'classnames';
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+
+import keybindingsManager, { getKeyBinding, getMouseBinding, getGamepadBinding } from '../../../../../keybindings-manager.js';
 
 import styles from './key-input.module.css';
 
 //
 
-export const KeyInput = ({ value, setValue, className }) => {
+const modifierCodeRegex = /^(?:Shift|Control|Alt|Meta)(?:Left|Right)$/;
+
+// captures one binding: a key combo or mouse button, or a gamepad button in gamepad mode
+// escape cancels, backspace clears the binding
+
+export const KeyInput = ({ value, setValue, className, gamepad = false, conflict = false }) => {
 
     const [ active, setActive ] = useState( false );
-    const keysList = new Map();
 
-    const updateValue = () => {
+    useEffect( () => {
+
+        if ( ! active ) return;
+
+        let pendingModifier = null;
+
+        const finish = ( binding ) => {
+
+            if ( binding !== undefined ) setValue( binding );
+            setActive( false );
+
+        };
+
+        const handleKeyDown = ( event ) => {
+
+            event.preventDefault();
+            event.stopImmediatePropagation();
+
+            if ( event.repeat ) return;
+
+            if ( event.code === 'Escape' ) {
+
+                finish();
+
+            } else if ( event.code === 'Backspace' ) {
+
+                finish( '' );
+
+            } else if ( ! gamepad ) {
+
+                if ( modifierCodeRegex.test( event.code ) ) {
+
+                    // a modifier on its own is only a binding if it is released without another key
+                    pendingModifier = event.code;
+
+                } else {
+
+                    finish( getKeyBinding( event ) );
+
+                }
+
+            }
 
-        let value = '';
-        let index = 0;
+        };
 
-        keysList.forEach( ( key, keyIndex ) => {
+        const handleKeyUp = ( event ) => {
 
-            let keyName = '';
+            event.preventDefault();
+            event.stopImmediatePropagation();
 
-            if ( keyIndex === ' ' ) {
+            if ( pendingModifier === event.code ) {
 
-                keyName = 'space';
+                finish( pendingModifier );
+
+            }
+
+        };
+
+        const handleMouseDown = ( event ) => {
+
+            event.preventDefault();
+            event.stopImmediatePropagation();
+
+            if ( gamepad ) {
+
+                finish();
 
             } else {
 
-                keyName = keyIndex;
+                finish( getMouseBinding( event.button ) );
 
             }
 
-            value += keyName;
-            index ++;
-            if ( index < keysList.size ) value += '+';
+        };
 
-        });
+        const stopEvent = ( event ) => {
 
-        setValue( value );
+            event.preventDefault();
+            event.stopImmediatePropagation();
 
-    };
+        };
 
-    const handleKeyDown = ( event ) => {
+        let frame = 0;
+        const pollGamepads = () => {
 
-        keysList.set( event.key, true );
-        updateValue();
+            for ( const gamepad of navigator.getGamepads ? navigator.getGamepads() : [] ) {
 
-    };
+                if ( ! gamepad ) continue;
 
-    const handleKeyUp = ( event ) => {
+                const index = gamepad.buttons.findIndex( button => button.pressed );
 
-        keysList.delete( event.key );
+                if ( index !== -1 ) {
 
-    };
+                    finish( getGamepadBinding( index ) );
+                    return;
+
+                }
 
-    const handleWindowClick = () => {
+            }
 
-        setActive( false );
-        window.removeEventListener( 'keydown', handleKeyDown );
-        window.removeEventListener( 'keyup', handleKeyUp );
-        window.removeEventListener( 'click', handleWindowClick );
+            frame = requestAnimationFrame( pollGamepads );
 
-    };
+        };
+
+        if ( gamepad ) frame = requestAnimationFrame( pollGamepads );
+
+        window.addEventListener( 'keydown', handleKeyDown, true );
+        window.addEventListener( 'keyup', handleKeyUp, true );
+        window.addEventListener( 'mousedown', handleMouseDown, true );
+        window.addEventListener( 'mouseup', stopEvent, true );
+        window.addEventListener( 'click', stopEvent, true );
+        window.addEventListener( 'contextmenu', stopEvent, true );
+
+        return () => {
+
+            cancelAnimationFrame( frame );
+            window.removeEventListener( 'keydown', handleKeyDown, true );
+            window.removeEventListener( 'keyup', handleKeyUp, true );
+            window.removeEventListener( 'mousedown', handleMouseDown, true );
+            window.removeEventListener( 'mouseup', stopEvent, true );
+            window.removeEventListener( 'click', stopEvent, true );
+
+            // the contextmenu of a right button binding comes after the mouseup
+            setTimeout( () => {
+
+                window.removeEventListener( 'contextmenu', stopEvent, true );
+
+            } );
+
+        };
+
+    }, [ active ] );
 
     const handleClick = ( event ) => {
 
         event.stopPropagation();
         setActive( true );
-        window.addEventListener( 'keydown', handleKeyDown );
-        window.addEventListener( 'keyup', handleKeyUp );
-        window.addEventListener( 'mousedown', handleWindowClick );
 
     };
 
     //
 
     return (
-        <div className={ classNames( className, styles.keyInput, active ? styles.active : null ) } onClick={ handleClick }>{ value }</div>
+        <div className={ classNames( className, styles.keyInput, active ? styles.active : null, conflict ? styles.conflict : null ) } onClick={ handleClick }>
+            { active ? ( gamepad ? 'press a button' : 'press a key' ) : ( keybindingsManager.formatBinding( value ) || '-' ) }
+        </div>
     );
 
 };
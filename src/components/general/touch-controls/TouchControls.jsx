@@ -0,0 +1,259 @@
+
+import React, { useEffect, useRef, useState } from 'react';
+import classnames from 'classnames';
+
+import ioManager from '../../../../io-manager.js';
+import cameraManager from '../../../../camera-manager.js';
+import { getRenderer } from '../../../../renderer.js';
+import { isTouchDevice } from '../../../../util.js';
+
+import styles from './touch-controls.module.css';
+
+//
+
+const tapMaxTime = 250;
+const tapMaxDistance = 10;
+const pinchZoomSpeed = 0.02;
+
+// a virtual stick; reports the knob offset from the center, -1 to 1 on each axis
+
+const Joystick = ({ className, onChange }) => {
+
+    const baseRef = useRef( null );
+    const pointerIdRef = useRef( null );
+    const [ knob, setKnob ] = useState([ 0, 0 ]);
+
+    const update = ( event ) => {
+
+        const rect = baseRef.current.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = ( event.clientX - rect.left - radius ) / radius;
+        let y = ( event.clientY - rect.top - radius ) / radius;
+        const length = Math.hypot( x, y );
+
+        if ( length > 1 ) {
+
+            x /= length;
+            y /= length;
+
+        }
+
+        setKnob([ x, y ]);
+        onChange( x, y );
+
+    };
+
+    const handlePointerDown = ( event ) => {
+
+        if ( pointerIdRef.current !== null ) return;
+
+        pointerIdRef.current = event.pointerId;
+        event.currentTarget.setPointerCapture( event.pointerId );
+        update( event );
+
+    };
+
+    const handlePointerMove = ( event ) => {
+
+        if ( event.pointerId === pointerIdRef.current ) update( event );
+
+    };
+
+    const handlePointerUp = ( event ) => {
+
+        if ( event.pointerId !== pointerIdRef.current ) return;
+
+        pointerIdRef.current = null;
+        setKnob([ 0, 0 ]);
+        onChange( 0, 0 );
+
+    };
+
+    //
+
+    return (
+        <div
+            className={ classnames( styles.joystick, className ) }
+            ref={ baseRef }
+            onPointerDown={ handlePointerDown }
+            onPointerMove={ handlePointerMove }
+            onPointerUp={ handlePointerUp }
+            onPointerCancel={ handlePointerUp }
+        >
+            <div className={ styles.knob } style={{ transform: `translate(${ knob[ 0 ] * 100 }%, ${ knob[ 1 ] * 100 }%)` }} />
+        </div>
+    );
+
+};
+
+// holds an action down while pressed, like a bound key
+
+const TouchButton = ({ className, label, input, action }) => {
+
+    const [ pressed, setPressed ] = useState( false );
+
+    const handlePointerDown = ( event ) => {
+
+        event.currentTarget.setPointerCapture( event.pointerId );
+        ioManager.actionDown( input, action, event );
+        setPressed( true );
+
+    };
+
+    const handlePointerUp = ( event ) => {
+
+        ioManager.actionUp( input, event );
+        setPressed( false );
+
+    };
+
+    //
+
+    return (
+        <div
+            className={ classnames( styles.button, className, pressed ? styles.pressed : null ) }
+            onPointerDown={ handlePointerDown }
+            onPointerUp={ handlePointerUp }
+            onPointerCancel={ handlePointerUp }
+        >
+            { label }
+        </div>
+    );
+
+};
+
+export const TouchControls = () => {
+
+    const [ enabled ] = useState( isTouchDevice );
+
+    // gestures on the canvas: tap to interact, pinch to zoom
+
+    useEffect( () => {
+
+        if ( ! enabled ) return;
+
+        const touches = new Map();
+        let pinchDistance = 0;
+        let pinched = false;
+
+        const isCanvasEvent = ( event ) => event.target === getRenderer().domElement;
+        const getPinchDistance = () => {
+
+            const [ a, b ] = Array.from( touches.values() );
+            return Math.hypot( a.x - b.x, a.y - b.y );
+
+        };
+
+        const handleTouchStart = ( event ) => {
+
+            if ( ! isCanvasEvent( event ) ) return;
+
+            for ( const touch of event.changedTouches ) {
+
+                touches.set( touch.identifier, {
+                    startX: touch.clientX,
+                    startY: touch.clientY,
+                    x: touch.clientX,
+                    y: touch.clientY,
+                    startTime: performance.now(),
+                });
+
+            }
+
+            if ( touches.size === 2 ) {
+
+                pinchDistance = getPinchDistance();
+                pinched = true;
+
+            }
+
+            event.preventDefault();
+
+        };
+
+        const handleTouchMove = ( event ) => {
+
+            if ( ! isCanvasEvent( event ) ) return;
+
+            for ( const touch of event.changedTouches ) {
+
+                const t = touches.get( touch.identifier );
+
+                if ( t ) {
+
+                    t.x = touch.clientX;
+                    t.y = touch.clientY;
+
+                }
+
+            }
+
+            if ( touches.size === 2 ) {
+
+                const distance = getPinchDistance();
+                cameraManager.zoomCamera( ( pinchDistance - distance ) * pinchZoomSpeed );
+                pinchDistance = distance;
+
+            }
+
+            event.preventDefault();
+
+        };
+
+        const handleTouchEnd = ( event ) => {
+
+            if ( ! isCanvasEvent( event ) ) return;
+
+            for ( const touch of event.changedTouches ) {
+
+                const t = touches.get( touch.identifier );
+                if ( ! t ) continue;
+
+                touches.delete( touch.identifier );
+
+                const isTap = event.type === 'touchend' &&
+                    ! pinched &&
+                    performance.now() - t.startTime < tapMaxTime &&
+                    Math.hypot( t.x - t.startX, t.y - t.startY ) < tapMaxDistance;
+
+                if ( isTap ) ioManager.tap( t.x, t.y );
+
+            }
+
+            if ( touches.size === 0 ) pinched = false;
+
+            // no synthesized mouse events, which would try to lock the pointer
+            event.preventDefault();
+
+        };
+
+        document.addEventListener( 'touchstart', handleTouchStart, { passive: false } );
+        document.addEventListener( 'touchmove', handleTouchMove, { passive: false } );
+        document.addEventListener( 'touchend', handleTouchEnd, { passive: false } );
+        document.addEventListener( 'touchcancel', handleTouchEnd, { passive: false } );
+
+        return () => {
+
+            document.removeEventListener( 'touchstart', handleTouchStart );
+            document.removeEventListener( 'touchmove', handleTouchMove );
+            document.removeEventListener( 'touchend', handleTouchEnd );
+            document.removeEventListener( 'touchcancel', handleTouchEnd );
+
+        };
+
+    }, [ enabled ] );
+
+    //
+
+    if ( ! enabled ) return null;
+
+    return (
+        <div className={ styles.touchControls } onTouchEnd={ event => event.preventDefault() } >
+            <Joystick className={ styles.moveStick } onChange={ ( x, y ) => ioManager.setTouchMove( x, y ) } />
+            <Joystick className={ styles.lookStick } onChange={ ( x, y ) => ioManager.setTouchLook( x, y ) } />
+            <TouchButton className={ styles.jumpButton } label="Jump" input="TouchJump" action="jump" />
+            <TouchButton className={ styles.useButton } label="Use" input="TouchUse" action="attack" />
+        </div>
+    );
+
+};
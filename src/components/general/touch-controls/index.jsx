@@ -0,0 +1,2 @@
+import { TouchControls } from './TouchControls';
+export { TouchControls };
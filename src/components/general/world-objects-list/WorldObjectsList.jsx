@@ -6,6 +6,7 @@ import { world } from '../../../../world.js'
 import game from '../../../../game.js'
 import metaversefile from '../../../../metaversefile-api.js';
 import cameraManager from '../../../../camera-manager.js';
+import keybindingsManager from '../../../../keybindings-manager.js';
 
 import { NumberInput } from '../number-input';
 import { AppContext } from '../../app';
@@ -237,9 +238,10 @@ export const WorldObjectsList = () => {
 
             }
 
-            switch ( event.which ) {
+            // modified keys are actions of their own, like ctrl+z undo
+            switch ( keybindingsManager.getKeyAction( event ) ) {
 
-                case 90: {   // Z
+                case 'toggleWorldPanel': {
 
                     if ( state.openedPanel === 'WorldPanel' ) {
 
@@ -14,10 +14,16 @@ import styles from './chat.module.css';
 
 //
 
+const commandOutputTime = 5000;
+
+//
+
 function ChatInput () {
 
     const { state, setState } = useContext( AppContext );
     const [ value, setValue ] = useState('');
+    const [ completions, setCompletions ] = useState([]);
+    const [ commandOutput, setCommandOutput ] = useState( null );
     const inputRef = useRef();
 
     //
@@ -34,6 +40,24 @@ function ChatInput () {
 
     };
 
+    const handleKeyDown = ( event ) => {
+
+        if ( event.key === 'Tab' && completions.length > 0 ) {
+
+            event.preventDefault();
+            setValue( completions[0] );
+
+        }
+
+    };
+
+    const handleCompletionClick = ( completion ) => ( event ) => {
+
+        setValue( completion );
+        inputRef.current.focus();
+
+    };
+
     //
 
     useEffect( () => {
@@ -63,10 +87,20 @@ function ChatInput () {
 
                             if ( document.activeElement !== inputRef.current ) return true;
 
+                            if ( chatManager.isCommand( value ) ) {
+
+                                // the panel stays open to show the output
+
+                                chatManager.submitMessage( value );
+                                setValue('');
+                                return true;
+
+                            }
+
                             if ( value ) {
 
                                 const text = checkText( value );
-                                chatManager.addMessage( text, { timeout: 3000 });
+                                chatManager.submitMessage( text, { timeout: 3000 });
 
                             }
 
@@ -146,6 +180,49 @@ function ChatInput () {
 
     }, [ value, state.openedPanel ] );
 
+    useEffect( () => {
+
+        setCompletions( chatManager.getCompletions( value ) );
+
+    }, [ value ] );
+
+    useEffect( () => {
+
+        let timeout = null;
+
+        const handleCommandOutput = ( event ) => {
+
+            const { output, error } = event.data;
+            clearTimeout( timeout );
+
+            if ( output ) {
+
+                setCommandOutput({ output, error });
+                timeout = setTimeout( () => {
+
+                    setCommandOutput( null );
+
+                }, commandOutputTime );
+
+            } else {
+
+                setCommandOutput( null );
+
+            }
+
+        };
+
+        chatManager.addEventListener( 'commandoutput', handleCommandOutput );
+
+        return () => {
+
+            chatManager.removeEventListener( 'commandoutput', handleCommandOutput );
+            clearTimeout( timeout );
+
+        };
+
+    }, [] );
+
     useEffect(() => {
 
         if ( inputRef.current ) {
@@ -169,11 +246,24 @@ function ChatInput () {
 	return (
         <div className={ classnames( styles.chat, state.openedPanel === 'ChatPanel' ? styles.open : null ) } onClick={ stopPropagation } >
             <img src="images/webpencil.svg" className={ styles.background } />
+            {
+                commandOutput ? (
+                    <div className={ classnames( styles.output, commandOutput.error ? styles.error : null ) } >{ commandOutput.output }</div>
+                ) : null
+            }
+            {
+                completions.map( ( completion, i ) => {
+                    return (
+                        <div className={ classnames( styles.completion, i === 0 ? styles.selected : null ) } onClick={ handleCompletionClick( completion ) } key={ i } >{ completion }</div>
+                    );
+                })
+            }
             <input
                 type="text"
                 className={ styles.input }
                 value={ value }
                 onChange={ handleMessageChange }
+                onKeyDown={ handleKeyDown }
                 ref={ inputRef }
             />
         </div>
@@ -6,6 +6,7 @@ import {HotBox} from '../hotbox/HotBox.jsx';
 
 import game from '../../../../game.js';
 import loadoutManager from '../../../../loadout-manager.js';
+import keybindingsManager from '../../../../keybindings-manager.js';
 import {registerIoEventHandler, unregisterIoEventHandler} from '../../general/io-handler/IoHandler.jsx';
 import {hotbarSize, numLoadoutSlots} from '../../../../constants.js';
 
@@ -15,17 +16,16 @@ export const Hotbar = ({ className }) => {
 
     useEffect(() => {
         if (open) {
+            // while the panel is open, drop and delete act on its selected app
             const keydown = e => {
-                if (!e.ctrlKey) {
-                    switch (e.which) {
-                        case 82: { // R
-                            game.dropSelectedApp();
-                            return false;
-                        }
-                        case 46: { // delete
-                            game.deleteSelectedApp();
-                            return false;
-                        }
+                switch (keybindingsManager.getKeyAction(e)) {
+                    case 'drop': {
+                        game.dropSelectedApp();
+                        return false;
+                    }
+                    case 'deleteSelected': {
+                        game.deleteSelectedApp();
+                        return false;
                     }
                 }
             };
@@ -4,7 +4,8 @@ import classnames from 'classnames';
 import {RpgText} from '../../../RpgText.jsx';
 import {LightArrow} from '../../../LightArrow.jsx';
 import {chatTextSpeed} from '../../../../constants.js';
-import {level} from '../../../../player-stats.js';
+import {getLocalPlayer} from '../../../../players.js';
+import usePlayerStats from '../../../hooks/usePlayerStats.js';
 import * as sounds from '../../../../sounds.js';
 
 import styles from './MegaChatBox.module.css';
@@ -21,6 +22,7 @@ export const MegaChatBox = ({
 }) => {
   const [currentMessage, setCurrentMessage] = useState(message);
   const selectedOptionIndex = options ? options.indexOf(option) : -1;
+  const {level} = usePlayerStats(currentMessage?.player ?? getLocalPlayer());
 
   useEffect(() => {
     if (message && currentMessage !== message) {
@@ -48,9 +48,20 @@ export const Quest = ({
     enabled,
 }) => {
     const canvasRef = useRef();
+    const [ objectives, setObjectives ] = useState(() => quest.getObjectives());
 
     const {name, description} = quest;
 
+    useEffect(() => {
+        const questupdate = e => {
+            setObjectives(quest.getObjectives());
+        };
+        quest.addEventListener('questupdate', questupdate);
+        return () => {
+            quest.removeEventListener('questupdate', questupdate);
+        };
+    }, [quest]);
+
     useEffect(() => {
         const canvas = canvasRef.current;
         if (canvas) {
@@ -121,6 +132,14 @@ export const Quest = ({
             <div className={ styles.content }>
                 <h1 className={ styles.heading }>{name}</h1>
                 <div className={ styles.description }>{description}</div>
+                <div className={ styles.objectives }>
+                    {objectives.map((objective, i) => {
+                        const {label, progress, total, met} = objective;
+                        return (
+                            <div className={ met ? styles.met : null } key={i}>{label} ({progress}/{total})</div>
+                        );
+                    })}
+                </div>
                 <div className={ styles.drops }>
                     {quest.completeActions.map((completeAction, i) => {
                         const {key, value} = completeAction;
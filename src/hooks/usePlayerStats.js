@@ -0,0 +1,21 @@
+import {useEffect, useState} from 'react';
+import {getLocalPlayer} from '../../players.js';
+
+// the player's stats, updated as they change
+export default function usePlayerStats(player = getLocalPlayer()) {
+  const [stats, setStats] = useState(() => player.playerStats.getStats());
+
+  useEffect(() => {
+    const statschange = e => {
+      setStats(e.data.stats);
+    };
+    player.playerStats.addEventListener('statschange', statschange);
+    setStats(player.playerStats.getStats());
+
+    return () => {
+      player.playerStats.removeEventListener('statschange', statschange);
+    };
+  }, [player]);
+
+  return stats;
+}
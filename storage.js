@@ -0,0 +1,60 @@
+/*
+this file contains the indexeddb key-value store used to persist game state between sessions.
+values must be structured-cloneable.
+*/
+
+const dbName = 'webaverse';
+const dbVersion = 1;
+const storeName = 'keyval';
+
+let dbPromise = null;
+const _getDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((accept, reject) => {
+      const request = indexedDB.open(dbName, dbVersion);
+      request.onupgradeneeded = e => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName);
+        }
+      };
+      request.onsuccess = () => {
+        accept(request.result);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+const _request = async (mode, fn) => {
+  const db = await _getDb();
+  return await new Promise((accept, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      accept(request.result);
+    };
+    tx.onerror = tx.onabort = () => {
+      reject(tx.error);
+    };
+  });
+};
+
+export const get = async key => {
+  const value = await _request('readonly', store => store.get(key));
+  return value !== undefined ? value : null;
+};
+export const set = async (key, value) => {
+  await _request('readwrite', store => store.put(value, key));
+};
+export const remove = async key => {
+  await _request('readwrite', store => store.delete(key));
+};
+// keys are namespaced with '/', e.g. getKeys('worlds/')
+export const getKeys = async (prefix = '') => {
+  const keys = await _request('readonly', store => store.getAllKeys());
+  return keys.filter(key => typeof key === 'string' && key.startsWith(prefix));
+};
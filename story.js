@@ -23,6 +23,7 @@ import {chatManager} from './chat-manager.js';
 import {mod} from './util.js';
 import {getLocalPlayer} from './players.js';
 import {alea} from './procgen/procgen.js';
+import {Dialogue} from './dialogue.js';
 
 import { triggerEmote } from './src/components/general/character/Poses.jsx';
 import validEmotionMapping from "./validEmotionMapping.json";
@@ -91,6 +92,10 @@ class Conversation extends EventTarget {
     this.option = null;
     this.hoverIndex = null;
 
+    this.dialogue = null;
+    this.dialogueNode = null;
+    this.dialogueNextId = null;
+
     /* this.addEventListener('message', e => {
       if (this.options) {
         const {message} = e.data;
@@ -234,14 +239,91 @@ class Conversation extends EventTarget {
     this.#setOptions(null);
     this.#setOption(option);
 
+    const {dialogueOption} = option;
+    if (dialogueOption) {
+      this.dialogue.runEffects(dialogueOption.effects);
+      if (dialogueOption.ai) { // the ai takes over from here
+        this.dialogue = null;
+        this.localTurn = false;
+      } else if (dialogueOption.next) {
+        this.dialogueNextId = dialogueOption.next;
+      } else {
+        this.finish();
+      }
+      return;
+    }
+
     // 25% chance of self elaboration, 75% chance of other character reply
     this.localTurn = Math.random() < 0.25;
   }
+  // authored dialogue runs until it ends or an option hands it over to the ai
+  startDialogue(dialogue, nodeId) {
+    this.dialogue = dialogue;
+    this.#enterDialogueNode(nodeId);
+  }
+  #enterDialogueNode(id) {
+    const node = this.dialogue.getNode(id);
+    if (!node) {
+      console.warn('unknown dialogue node', id);
+      this.finish();
+      return;
+    }
+
+    this.dialogueNode = node;
+    const _say = (text, emote) => {
+      this.addRemotePlayerMessage(text, emote);
+      this.dialogue.runEffects(node.effects);
+      node.end && this.finish();
+    };
+    if (node.ai) {
+      this.wrapProgress(async () => {
+        let result = null;
+        try {
+          const aiScene = metaversefile.useLoreAIScene();
+          result = await aiScene.generateChatMessage(this.messages, this.remotePlayer.name);
+        } catch (err) {
+          console.warn('failed to generate dialogue line', err);
+        }
+        if (result?.value) {
+          _say(result.value, result.emote);
+        } else {
+          _say(node.text ?? '', node.emote ?? 'none');
+        }
+      });
+    } else {
+      _say(node.text ?? '', node.emote ?? 'none');
+    }
+  }
+  #progressDialogue() {
+    if (this.options) {
+      this.progressOptionSelect();
+    } else if (this.dialogueNextId) {
+      const nextId = this.dialogueNextId;
+      this.dialogueNextId = null;
+      this.#enterDialogueNode(nextId);
+    } else {
+      const options = this.dialogue.getOptions(this.dialogueNode);
+      if (options.length > 0) {
+        this.#setOptions(options.map(dialogueOption => ({
+          message: dialogueOption.text,
+          emote: dialogueOption.emote ?? 'none',
+          dialogueOption,
+        })));
+        this.#setHoverIndex(0);
+      } else if (this.dialogueNode.next) {
+        this.#enterDialogueNode(this.dialogueNode.next);
+      } else {
+        this.finish();
+      }
+    }
+  }
   #getMessageAgo(n) {
     return this.messages[this.messages.length - n] ?? null;
   }
   progress() {
-    if (!this.finished) {
+    if (!this.finished && this.dialogue) {
+      this.#progressDialogue();
+    } else if (!this.finished) {
       const lastMessage = this.#getMessageAgo(1);
       
       const _handleLocalTurn = () => {
@@ -427,11 +509,25 @@ story.handleWheel = e => {
   }
 };
 
-const _startConversation = (comment, remotePlayer, done) => {
+// npcs remember their conversations with the player
+const _rememberConversation = conversation => {
+  const {remotePlayer, messages} = conversation;
+  const aiScene = metaversefile.useLoreAIScene();
+  const character = remotePlayer?.name ? aiScene.getCharacterByName(remotePlayer.name) : null;
+  if (character && messages.length > 0) {
+    aiScene.rememberMessages(character, messages.map(m => ({
+      name: m.name,
+      message: m.text,
+    })));
+  }
+};
+const _createConversation = remotePlayer => {
   const localPlayer = getLocalPlayer();
-  currentConversation = new Conversation(localPlayer, remotePlayer);
+  const conversation = new Conversation(localPlayer, remotePlayer);
+  currentConversation = conversation;
   currentConversation.addEventListener('close', () => {
     currentConversation = null;
+    _rememberConversation(conversation);
 
     cameraManager.setDynamicTarget(null);
   }, {once: true});
@@ -440,10 +536,19 @@ const _startConversation = (comment, remotePlayer, done) => {
       conversation: currentConversation,
     },
   }));
-  currentConversation.addLocalPlayerMessage(comment);
-  done && currentConversation.finish();
   return currentConversation;
 };
+const _startConversation = (comment, remotePlayer, done) => {
+  const conversation = _createConversation(remotePlayer);
+  conversation.addLocalPlayerMessage(comment);
+  done && conversation.finish();
+  return conversation;
+};
+const _startDialogue = (dialogue, nodeId, remotePlayer) => {
+  const conversation = _createConversation(remotePlayer);
+  conversation.startDialogue(dialogue, nodeId);
+  return conversation;
+};
 story.startLocalPlayerComment = comment => {
   return _startConversation(comment, null, true);
 };
@@ -471,12 +576,20 @@ story.listenHack = () => {
               const remotePlayer = npcManager.npcs.find(npc => npc.npcApp === app);
 
               if (remotePlayer) {
-                const {
-                  value: comment,
-                  done,
-                } = await aiScene.generateSelectCharacterComment(name, description);
-
-                _startConversation(comment, remotePlayer, done);
+                // authored dialogue comes first; the ai talks when none of it applies
+                const dialogueSpec = app.getDialogue?.();
+                const dialogue = dialogueSpec ? new Dialogue(dialogueSpec, remotePlayer) : null;
+                const startNodeId = await dialogue?.getStartNodeId();
+                if (startNodeId) {
+                  _startDialogue(dialogue, startNodeId, remotePlayer);
+                } else if (!dialogue || dialogue.aiFallback) {
+                  const {
+                    value: comment,
+                    done,
+                  } = await aiScene.generateSelectCharacterComment(name, description);
+
+                  _startConversation(comment, remotePlayer, done);
+                }
               } else {
                 console.warn('no player associated with app', app);
               }
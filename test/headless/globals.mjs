@@ -0,0 +1,77 @@
+/*
+this file installs the browser globals that app modules touch at import time.
+anything the harness does not model is a null object that absorbs reads and calls.
+*/
+
+const nullTarget = function() {};
+export const nullObject = new Proxy(nullTarget, {
+  get(target, key) {
+    if (key === 'then') {
+      // not a promise, so awaiting a null object does not hang
+      return undefined;
+    } else if (key === Symbol.toPrimitive) {
+      return () => 0;
+    } else if (key === Symbol.iterator) {
+      return function*() {};
+    } else {
+      return nullObject;
+    }
+  },
+  set() {
+    return true;
+  },
+  apply() {
+    return nullObject;
+  },
+  construct() {
+    return nullObject;
+  },
+});
+// fill in the missing properties of o with null objects
+export const withNullFallback = o => new Proxy(o, {
+  get(target, key, receiver) {
+    if (key in target || typeof key === 'symbol' || key === 'then' || key === 'toJSON') {
+      return Reflect.get(target, key, receiver);
+    } else {
+      return nullObject;
+    }
+  },
+});
+
+const _define = (key, value) => {
+  if (!(key in globalThis)) {
+    Object.defineProperty(globalThis, key, {
+      value,
+      writable: true,
+      configurable: true,
+    });
+  }
+};
+export const installGlobals = origin => {
+  const location = new URL(origin);
+
+  _define('window', globalThis);
+  _define('self', globalThis);
+  _define('location', location);
+  _define('navigator', withNullFallback({
+    userAgent: 'node',
+  }));
+  _define('document', withNullFallback({
+    location,
+    createElement: () => nullObject,
+    getElementById: () => null,
+    querySelector: () => null,
+    addEventListener() {},
+    removeEventListener() {},
+  }));
+  _define('localStorage', withNullFallback({
+    getItem: () => null,
+    setItem() {},
+    removeItem() {},
+  }));
+  _define('requestAnimationFrame', fn => setTimeout(() => fn(performance.now()), 0));
+  _define('cancelAnimationFrame', id => clearTimeout(id));
+  for (const key of ['Image', 'HTMLCanvasElement', 'OffscreenCanvas', 'Worker', 'AudioContext', 'WebSocket']) {
+    _define(key, nullObject);
+  }
+};
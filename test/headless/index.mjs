@@ -0,0 +1,256 @@
+/*
+this file is the headless scene loading harness.
+it loads every scene through the metaversefile import pipeline (vite + the metaversefile plugin) in node,
+with the renderer and physics stubbed out, and reports per-app load success, load time and thrown errors.
+usage: node test/headless/index.mjs [--json report.json] [--junit report.xml] [--timeout ms] [--frames n] [scene.scn ...]
+it runs the app's vite.config.js, so it needs the root install, including the metaversefile plugin from the packages/ submodules.
+*/
+
+import path from 'path';
+import fs from 'fs';
+import url from 'url';
+import {installGlobals} from './globals.mjs';
+import {createApi} from './metaversefile-stub.mjs';
+import {getTestCases, renderJUnit} from './report.mjs';
+import {validateScene} from '../../scripts/validate-scenes.mjs';
+
+const dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const rootDir = path.join(dirname, '..', '..');
+const scenesDir = path.join(rootDir, 'scenes');
+const apiGlobalKey = '__headlessMetaversefileApi';
+const stubModuleId = '\0headless-metaversefile';
+// how long app loads still running after the last scene get to settle, so their errors are reported
+const settleTime = 5 * 1000;
+// what vite.config.js imports, and where the root install puts it
+const requiredModules = [
+  {name: 'vite', path: 'node_modules/vite/package.json'},
+  {name: 'metaversefile', path: 'node_modules/metaversefile/plugins/rollup.js'},
+  {name: '@vitejs/plugin-react-refresh', path: 'node_modules/@vitejs/plugin-react-refresh/package.json'},
+];
+
+const _parseArgs = argv => {
+  const options = {
+    json: null,
+    junit: null,
+    timeout: 60 * 1000,
+    frames: 3,
+    scenes: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--json': {
+        options.json = argv[++i];
+        break;
+      }
+      case '--junit': {
+        options.junit = argv[++i];
+        break;
+      }
+      case '--timeout': {
+        options.timeout = parseInt(argv[++i], 10);
+        break;
+      }
+      case '--frames': {
+        options.frames = parseInt(argv[++i], 10);
+        break;
+      }
+      default: {
+        if (arg.startsWith('--')) {
+          throw new Error('unknown option: ' + arg);
+        }
+        options.scenes.push(arg);
+        break;
+      }
+    }
+  }
+  if (options.scenes.length === 0) {
+    const sceneNames = JSON.parse(fs.readFileSync(path.join(scenesDir, 'scenes.json'), 'utf8'));
+    options.scenes = sceneNames.map(name => path.join(scenesDir, name));
+  }
+  return options;
+};
+
+// app modules import 'metaversefile'; point them at the stub api instead of metaversefile-api.js
+const headlessMetaversefilePlugin = api => ({
+  name: 'headless-metaversefile',
+  enforce: 'pre',
+  resolveId(id) {
+    if (id === 'metaversefile') {
+      return stubModuleId;
+    } else {
+      return null;
+    }
+  },
+  load(id) {
+    if (id === stubModuleId) {
+      // import is a reserved word, so it is only reachable through the default export
+      const names = Object.keys(api).filter(name => /^[a-zA-Z]+$/.test(name) && name !== 'import');
+      return `const api = globalThis.${apiGlobalKey};
+export default api;
+export const {${names.join(', ')}} = api;
+`;
+    } else {
+      return null;
+    }
+  },
+});
+
+const _getMissingModules = () => requiredModules
+  .filter(({path: modulePath}) => !fs.existsSync(path.join(rootDir, modulePath)))
+  .map(({name}) => name);
+
+const _withTimeout = (p, timeout) => new Promise((accept, reject) => {
+  const timer = setTimeout(() => {
+    reject(new Error(`timed out after ${timeout}ms`));
+  }, timeout);
+  p.then(accept, reject)
+    .finally(() => {
+      clearTimeout(timer);
+    });
+});
+const _loadScene = async (api, scenePath, options) => {
+  const sceneName = path.relative(scenesDir, scenePath);
+  const sceneResult = api.beginScene(sceneName);
+  const exists = fs.existsSync(scenePath);
+  sceneResult.problems = exists ?
+    validateScene(scenePath).filter(problem => problem.severity === 'error')
+  :
+    [{line: 1, column: 1, message: 'scene file not found'}];
+
+  const startTime = performance.now();
+  if (exists) {
+    try {
+      await _withTimeout(api.createAppAsync({
+        start_url: '/' + path.relative(rootDir, scenePath).split(path.sep).join('/'),
+      }), options.timeout);
+    } catch (err) {
+      api.reportError(err);
+    }
+
+    // run a few frames so errors in frame handlers show up too
+    for (let i = 0; i < options.frames; i++) {
+      api.tick(performance.now(), 1000 / 60);
+      await new Promise(accept => setTimeout(accept));
+    }
+
+    // apps the scene app added load in the background, within the same timeout
+    await api.waitForLoads(Math.max(options.timeout - (performance.now() - startTime), 0));
+  }
+  sceneResult.loadTime = performance.now() - startTime;
+
+  for (const app of sceneResult.apps) {
+    if (!app.ok && !app.error) {
+      app.error = {
+        message: `still loading after ${options.timeout}ms`,
+        stack: '',
+      };
+    }
+  }
+  api.endScene();
+
+  const failures = getTestCases(sceneResult).filter(testCase => testCase.error).length;
+  sceneResult.ok = failures === 0;
+  console.log(`${sceneResult.ok ? 'ok' : 'FAIL'} ${sceneName} (${sceneResult.apps.length} apps, ${failures} failures, ${Math.round(sceneResult.loadTime)}ms)`);
+  for (const app of sceneResult.apps) {
+    if (!app.ok) {
+      console.log(`  ${app.url}: ${app.error.message}`);
+    }
+  }
+  return sceneResult;
+};
+
+const main = async () => {
+  const options = _parseArgs(process.argv.slice(2));
+
+  const missingModules = _getMissingModules();
+  if (missingModules.length > 0) {
+    console.error(`missing ${missingModules.join(', ')}: the harness runs vite.config.js, which needs the root install.
+check out the packages/ submodules (git submodule update --init) and run npm install in the repo root.`);
+    process.exit(1);
+  }
+  const {createServer} = await import('vite');
+
+  let server = null;
+  const api = createApi({
+    loadModule: s => server.ssrLoadModule(s),
+  });
+  globalThis[apiGlobalKey] = api;
+
+  server = await createServer({
+    root: rootDir,
+    configFile: path.join(rootDir, 'vite.config.js'),
+    logLevel: 'error',
+    server: {
+      host: '127.0.0.1',
+      port: 0,
+    },
+    plugins: [
+      headlessMetaversefilePlugin(api),
+    ],
+  });
+  await server.listen();
+  const {port} = server.httpServer.address();
+  installGlobals(`http://127.0.0.1:${port}/`);
+
+  const _onError = err => {
+    api.reportError(err);
+  };
+  process.on('unhandledRejection', _onError);
+  process.on('uncaughtException', _onError);
+
+  const startTime = performance.now();
+  const scenes = [];
+  try {
+    for (const scenePath of options.scenes) {
+      scenes.push(await _loadScene(api, path.resolve(scenePath), options));
+    }
+
+    // loads that timed out are already failed; this is so their errors make it into the report
+    await api.waitForLoads(settleTime);
+  } finally {
+    await server.close();
+  }
+
+  // errors with no scene to go to, like rejections from app code still running after its scene timed out
+  if (api.errors.length > 0) {
+    scenes.push({
+      scene: '(outside scenes)',
+      apps: [],
+      problems: [],
+      errors: api.errors,
+      loadTime: 0,
+      ok: false,
+    });
+    console.log(`FAIL (outside scenes) (${api.errors.length} errors)`);
+    for (const error of api.errors) {
+      console.log(`  ${error.message}`);
+    }
+  }
+
+  const testCases = scenes.flatMap(getTestCases);
+  const report = {
+    timestamp: new Date().toISOString(),
+    duration: performance.now() - startTime,
+    summary: {
+      scenes: scenes.length,
+      failedScenes: scenes.filter(sceneResult => !sceneResult.ok).length,
+      tests: testCases.length,
+      failures: testCases.filter(testCase => testCase.error).length,
+    },
+    scenes,
+  };
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+  }
+  if (options.junit) {
+    fs.writeFileSync(options.junit, renderJUnit(report));
+  }
+
+  console.log(`${report.summary.scenes} scenes, ${report.summary.failedScenes} failed, ${report.summary.failures}/${report.summary.tests} checks failed`);
+  process.exit(report.summary.failures > 0 ? 1 : 0);
+};
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
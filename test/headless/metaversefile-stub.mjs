@@ -0,0 +1,476 @@
+/*
+this file contains the metaversefile api used by the headless harness.
+it follows metaversefile-api.js for app creation and module loading, but the renderer, physics and loaders are stubs.
+every app load is recorded with its load time and error, so the harness can report it.
+errors thrown outside a scene, like from app code that keeps running after its scene timed out, are kept in api.errors.
+*/
+
+import * as THREE from 'three';
+import {nullObject, withNullFallback} from './globals.mjs';
+
+const _serializeError = err => ({
+  message: err?.message ?? String(err),
+  stack: err?.stack ?? '',
+});
+
+class HeadlessApp extends THREE.Object3D {
+  constructor() {
+    super();
+
+    this.isApp = true;
+    this.components = [];
+    this.description = '';
+    this.appType = 'none';
+    this.modules = [];
+    this.physicsObjects = [];
+    this.hasSubApps = false;
+    this.lastMatrix = new THREE.Matrix4();
+  }
+  getComponent(key) {
+    const component = this.components.find(component => component.key === key);
+    return component ? component.value : null;
+  }
+  setComponent(key, value = true) {
+    let component = this.components.find(component => component.key === key);
+    if (!component) {
+      component = {key, value};
+      this.components.push(component);
+    }
+    component.value = value;
+    this.dispatchEvent({
+      type: 'componentupdate',
+      key,
+      value,
+    });
+  }
+  setComponents(o) {
+    for (const key in o) {
+      this.setComponent(key, o[key]);
+    }
+  }
+  hasComponent(key) {
+    return this.components.some(component => component.key === key);
+  }
+  removeComponent(key) {
+    const index = this.components.findIndex(component => component.key === key);
+    if (index !== -1) {
+      this.components.splice(index, 1);
+      this.dispatchEvent({
+        type: 'componentupdate',
+        key,
+        value: null,
+      });
+    }
+  }
+  get contentId() {
+    return this.getComponent('contentId') ?? '';
+  }
+  set contentId(contentId) {
+    this.setComponent('contentId', contentId + '');
+  }
+  get instanceId() {
+    return this.getComponent('instanceId') ?? '';
+  }
+  set instanceId(instanceId) {
+    this.setComponent('instanceId', instanceId + '');
+  }
+  getPhysicsObjects() {
+    return this.physicsObjects;
+  }
+  activate() {
+    this.dispatchEvent({
+      type: 'activate',
+    });
+  }
+  use() {
+    this.dispatchEvent({
+      type: 'use',
+      use: true,
+    });
+  }
+  hit() {}
+  getRenderSettings() {
+    return null;
+  }
+  destroy() {
+    this.dispatchEvent({
+      type: 'destroy',
+    });
+  }
+}
+
+// physics calls that create something return a physics object; everything else is a no-op
+let nextPhysicsId = 1;
+const _makePhysicsObject = () => {
+  const physicsObject = new THREE.Object3D();
+  physicsObject.physicsId = nextPhysicsId++;
+  physicsObject.physicsMesh = new THREE.Object3D();
+  return physicsObject;
+};
+const physics = new Proxy({}, {
+  get(target, key) {
+    if (typeof key === 'string' && /^(?:add|create|cook)/.test(key)) {
+      return () => _makePhysicsObject();
+    } else if (key === 'then') {
+      return undefined;
+    } else {
+      return nullObject;
+    }
+  },
+});
+
+// loaders fetch the asset so missing files fail, but do not parse it
+const _makeLoader = api => withNullFallback({
+  async loadAsync(u) {
+    if (!/^(?:data|blob):/.test(u)) {
+      const res = await fetch(new URL(u, location.href));
+      if (!res.ok) {
+        throw new Error(`failed to load ${u}: ${res.status}`);
+      }
+      await res.arrayBuffer();
+    }
+    const scene = new THREE.Object3D();
+    return withNullFallback({
+      scene,
+      scenes: [scene],
+      animations: [],
+      userData: {},
+    });
+  },
+  load(u, onLoad, onProgress, onError) {
+    this.loadAsync(u)
+      .then(onLoad, err => {
+        api.reportError(err);
+        onError && onError(err);
+      });
+  },
+  setPath() {
+    return this;
+  },
+});
+
+export const createApi = ({loadModule}) => {
+  let currentAppRender = null;
+  let currentScene = null;
+  const pendingLoads = new Set();
+  const apps = [];
+  const frameFns = [];
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera();
+  const localPlayer = withNullFallback(Object.assign(new THREE.Object3D(), {
+    isLocalPlayer: true,
+    playerId: 'headless',
+    characterPhysics: withNullFallback({}),
+    avatar: null,
+    appManager: withNullFallback({
+      apps: [],
+    }),
+  }));
+
+  const _record = (app, url, fn) => {
+    const record = {
+      url,
+      ok: false,
+      loadTime: 0,
+      error: null,
+    };
+    if (currentScene) {
+      currentScene.apps.push(record);
+    }
+
+    const startTime = performance.now();
+    const p = (async () => {
+      try {
+        await fn();
+        // a load that finishes after its scene timed out still failed
+        record.ok = !record.error;
+      } catch (err) {
+        record.error = _serializeError(err);
+      } finally {
+        record.loadTime = performance.now() - startTime;
+        pendingLoads.delete(p);
+      }
+    })();
+    pendingLoads.add(p);
+    return p;
+  };
+  const _bindHook = (eventType, fn) => {
+    const app = currentAppRender;
+    const listener = e => {
+      try {
+        fn(e);
+      } catch (err) {
+        api.reportError(err);
+      }
+    };
+    app.addEventListener(eventType, listener);
+    app.addEventListener('destroy', () => {
+      app.removeEventListener(eventType, listener);
+    });
+  };
+  const world = withNullFallback({
+    appManager: withNullFallback({
+      apps,
+      addApp: app => api.addApp(app),
+      removeApp: app => api.removeApp(app),
+      getApps: () => apps,
+    }),
+  });
+
+  const api = withNullFallback({
+    apps,
+    errors: [],
+    // harness control
+
+    beginScene(name) {
+      currentScene = {
+        scene: name,
+        apps: [],
+        errors: [],
+      };
+      return currentScene;
+    },
+    endScene() {
+      const result = currentScene;
+      currentScene = null;
+      for (const app of apps.splice(0)) {
+        app.destroy();
+      }
+      frameFns.length = 0;
+      return result;
+    },
+    reportError(err) {
+      (currentScene ?? api).errors.push(_serializeError(err));
+    },
+    // resolves to the number of app loads still pending, once they have all settled or the timeout passes
+    async waitForLoads(timeout) {
+      let timer = null;
+      await Promise.race([
+        Promise.all(Array.from(pendingLoads)),
+        new Promise(accept => {
+          timer = setTimeout(accept, timeout);
+        }),
+      ]);
+      clearTimeout(timer);
+      return pendingLoads.size;
+    },
+    tick(timestamp, timeDiff) {
+      for (const {app, fn} of frameFns.slice()) {
+        if (!app.paused) {
+          try {
+            fn({
+              timestamp,
+              timeDiff,
+            });
+          } catch (err) {
+            api.reportError(err);
+          }
+        }
+      }
+    },
+
+    // module loading, as in metaversefile-api.js
+
+    async import(s) {
+      if (/^(?:ipfs:\/\/|https?:\/\/|weba:\/\/|data:)/.test(s)) {
+        const prefix = location.protocol + '//' + location.host + '/@proxy/';
+        if (s.startsWith(prefix)) {
+          s = s.slice(prefix.length);
+        }
+        s = `/@proxy/${s}`;
+      } else if (s.startsWith('./')) {
+        s = s.slice(1);
+      }
+      return await loadModule(s);
+    },
+    async addModule(app, m) {
+      await Promise.resolve();
+
+      app.name = m.name ?? (m.contentId ? m.contentId.match(/([^\/\.]*)$/)[1] : '');
+      app.description = m.description ?? '';
+      app.appType = m.type ?? '';
+      app.contentId = m.contentId ?? '';
+      if (Array.isArray(m.components)) {
+        for (const {key, value} of m.components) {
+          if (!app.hasComponent(key)) {
+            app.setComponent(key, value);
+          }
+        }
+      }
+      app.modules.push(m);
+
+      const fn = m.default;
+      if (typeof fn !== 'function') {
+        throw new Error('module default export is not a function');
+      }
+      let waitUntilPromise = null;
+      let renderSpec;
+      currentAppRender = app;
+      try {
+        renderSpec = fn({
+          waitUntil(p) {
+            waitUntilPromise = p;
+          },
+        });
+      } finally {
+        currentAppRender = null;
+      }
+      if (waitUntilPromise) {
+        await waitUntilPromise;
+      }
+
+      if (renderSpec instanceof THREE.Object3D && renderSpec !== app) {
+        app.add(renderSpec);
+      }
+      return app;
+    },
+    createAppInternal({
+      name = '',
+      start_url = '',
+      type = '',
+      content = '',
+      components = [],
+      position = null,
+      quaternion = null,
+      scale = null,
+      parent = null,
+      in_front = false,
+    } = {}, {onWaitPromise = null} = {}) {
+      const app = new HeadlessApp();
+      app.name = name;
+      if (position) {
+        app.position.copy(position);
+      }
+      if (quaternion) {
+        app.quaternion.copy(quaternion);
+      }
+      if (scale) {
+        app.scale.copy(scale);
+      }
+      if (parent) {
+        parent.add(app);
+      }
+      app.updateMatrixWorld();
+      app.lastMatrix.copy(app.matrixWorld);
+
+      if (Array.isArray(components)) {
+        for (const {key, value} of components) {
+          app.setComponent(key, value);
+        }
+      } else if (typeof components === 'object' && components !== null) {
+        app.setComponents(components);
+      }
+
+      if (!start_url && type) {
+        start_url = `data:${type},${encodeURIComponent(JSON.stringify(content))}`;
+      }
+      if (start_url) {
+        const p = _record(app, start_url, async () => {
+          const m = await api.import(start_url);
+          await api.addModule(app, m);
+        });
+        if (onWaitPromise) {
+          onWaitPromise(p);
+        }
+      }
+      return app;
+    },
+    createApp(spec) {
+      return api.createAppInternal(spec);
+    },
+    async createAppAsync(spec) {
+      let p = null;
+      const app = api.createAppInternal(spec, {
+        onWaitPromise(newP) {
+          p = newP;
+        },
+      });
+      if (p !== null) {
+        await p;
+      }
+      return app;
+    },
+    createAppPair(spec) {
+      let promise = null;
+      const app = api.createAppInternal(spec, {
+        onWaitPromise(newPromise) {
+          promise = newPromise;
+        },
+      });
+      return [app, promise];
+    },
+    addApp(app) {
+      apps.push(app);
+      scene.add(app);
+      return app;
+    },
+    removeApp(app) {
+      const index = apps.indexOf(app);
+      if (index !== -1) {
+        apps.splice(index, 1);
+      }
+      app.parent && app.parent.remove(app);
+    },
+    getAppByName: name => apps.find(app => app.name === name) ?? null,
+    getAppsByName: name => apps.filter(app => app.name === name),
+    getAppsByType: type => apps.filter(app => app.appType === type),
+    getAppsByTypes: types => apps.filter(app => types.includes(app.appType)),
+    getAppsByComponent: key => apps.filter(app => app.hasComponent(key)),
+    getAppByInstanceId: instanceId => apps.find(app => app.instanceId === instanceId) ?? null,
+
+    // hooks
+
+    useApp() {
+      const app = currentAppRender;
+      if (app) {
+        return app;
+      } else {
+        throw new Error('useApp cannot be called outside of render()');
+      }
+    },
+    useFrame(fn) {
+      const app = currentAppRender;
+      const frame = {app, fn};
+      frameFns.push(frame);
+      app.addEventListener('destroy', () => {
+        const index = frameFns.indexOf(frame);
+        if (index !== -1) {
+          frameFns.splice(index, 1);
+        }
+      });
+    },
+    useCleanup(fn) {
+      _bindHook('destroy', fn);
+    },
+    useActivate(fn) {
+      _bindHook('activate', fn);
+    },
+    useWear(fn) {
+      _bindHook('wearupdate', fn);
+    },
+    useUse(fn) {
+      _bindHook('use', fn);
+    },
+    useResize() {},
+    useBeforeRender: () => nullObject,
+    useAfterRender: () => nullObject,
+    useScene: () => scene,
+    useCamera: () => camera,
+    useRenderer: () => nullObject,
+    usePhysics: () => physics,
+    useLoaders: () => loaders,
+    useWorld: () => world,
+    useLocalPlayer: () => localPlayer,
+    useRemotePlayers: () => [],
+  });
+  const loaders = new Proxy({}, {
+    get(target, key) {
+      if (typeof key === 'string' && /Loader$/.test(key)) {
+        return target[key] ?? (target[key] = _makeLoader(api));
+      } else {
+        return nullObject;
+      }
+    },
+  });
+  return api;
+};
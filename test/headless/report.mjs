@@ -0,0 +1,66 @@
+/*
+this file renders the headless loading report as junit xml.
+each scene is a test suite; the scene file checks and every app it loaded are its test cases.
+*/
+
+const _escapeXml = s => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+const _seconds = ms => (ms / 1000).toFixed(3);
+
+const _renderTestCase = (classname, name, time, error) => {
+  const attributes = `classname="${_escapeXml(classname)}" name="${_escapeXml(name)}" time="${_seconds(time)}"`;
+  if (error) {
+    return `    <testcase ${attributes}>
+      <failure message="${_escapeXml(error.message)}">${_escapeXml(error.stack || error.message)}</failure>
+    </testcase>`;
+  } else {
+    return `    <testcase ${attributes}/>`;
+  }
+};
+export const getTestCases = sceneResult => {
+  const testCases = [];
+  testCases.push({
+    name: 'scene file',
+    time: 0,
+    error: sceneResult.problems.length > 0 ? {
+      message: `${sceneResult.problems.length} scene file errors`,
+      stack: sceneResult.problems.map(({line, column, message}) => `${line}:${column}: ${message}`).join('\n'),
+    } : null,
+  });
+  for (const app of sceneResult.apps) {
+    testCases.push({
+      name: app.url,
+      time: app.loadTime,
+      error: app.ok ? null : (app.error ?? {message: 'did not load'}),
+    });
+  }
+  if (sceneResult.errors.length > 0) {
+    testCases.push({
+      name: 'runtime errors',
+      time: 0,
+      error: {
+        message: `${sceneResult.errors.length} errors thrown while loading`,
+        stack: sceneResult.errors.map(error => error.stack || error.message).join('\n\n'),
+      },
+    });
+  }
+  return testCases;
+};
+export const renderJUnit = report => {
+  const suites = report.scenes.map(sceneResult => {
+    const testCases = getTestCases(sceneResult);
+    const failures = testCases.filter(testCase => testCase.error).length;
+    return `  <testsuite name="${_escapeXml(sceneResult.scene)}" tests="${testCases.length}" failures="${failures}" time="${_seconds(sceneResult.loadTime)}">
+${testCases.map(testCase => _renderTestCase(sceneResult.scene, testCase.name, testCase.time, testCase.error)).join('\n')}
+  </testsuite>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="scene loading" tests="${report.summary.tests}" failures="${report.summary.failures}" time="${_seconds(report.duration)}">
+${suites.join('\n')}
+</testsuites>
+`;
+};
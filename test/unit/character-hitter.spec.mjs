@@ -0,0 +1,71 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+const _round = v => v.toArray().map(n => Math.round(n * 1000) / 1000 + 0);
+
+const _makeHitter = async () => {
+  const sweeps = [];
+  const {CharacterHitter} = await importIsolated('character-hitter.js', {
+    three: THREE,
+    './renderer.js': {
+      scene: new THREE.Scene(),
+      camera: new THREE.PerspectiveCamera(),
+    },
+    './physics-manager.js': {
+      default: {
+        getScene: () => ({
+          getCollisionObject: (radius, halfHeight, position, quaternion) => {
+            sweeps.push({
+              position: position.clone(),
+              quaternion: quaternion.clone(),
+            });
+            return null;
+          },
+        }),
+      },
+    },
+  });
+  const player = new THREE.Object3D();
+  player.characterPhysics = {
+    facePosition: new THREE.Vector3(),
+    facePositionEnabled: false,
+  };
+  return {
+    hitter: new CharacterHitter(player),
+    player,
+    sweeps,
+  };
+};
+// as game.js swings a sword, in front of the player
+const _swing = (hitter, player) => hitter.attemptHit({
+  type: 'sword',
+  args: {
+    hitRadius: 0.5,
+    hitHalfHeight: 0.3,
+    position: player.position.clone().add(new THREE.Vector3(0, 0, -1).applyQuaternion(player.quaternion)),
+    quaternion: player.quaternion,
+  },
+});
+
+describe('character hitter', () => {
+  it('swings where the player faces', async () => {
+    const {hitter, player, sweeps} = await _makeHitter();
+    _swing(hitter, player);
+    assert.deepStrictEqual(_round(sweeps[0].position), [0, 0, -1]);
+  });
+
+  it('turns the swing to the lock-on target', async () => {
+    const {hitter, player, sweeps} = await _makeHitter();
+    player.position.set(1, 0, 1);
+    player.characterPhysics.facePosition.set(6, 1, 1);
+    player.characterPhysics.facePositionEnabled = true;
+
+    _swing(hitter, player);
+    assert.deepStrictEqual(_round(sweeps[0].position), [2, 0, 1]);
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(sweeps[0].quaternion);
+    assert.deepStrictEqual(_round(forward), [1, 0, 0]);
+    // the player turns with it
+    assert.deepStrictEqual(_round(new THREE.Vector3(0, 0, -1).applyQuaternion(player.quaternion)), [1, 0, 0]);
+  });
+});
@@ -0,0 +1,68 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+const _makeChatCommands = async () => {
+  const chatManagerModule = await importIsolated('chat-manager.js');
+  const drops = [];
+  const {registerDefaultCommands} = await importIsolated('chat-commands.js', {
+    three: THREE,
+    './chat-manager.js': chatManagerModule,
+    './quest-manager.js': {
+      runAction: async (player, action) => {
+        drops.push(action.value);
+      },
+    },
+    'metaversefile': {
+      default: {
+        useDefaultModules: () => ({
+          moduleUrls: {
+            sword: '/sword.glb',
+          },
+        }),
+      },
+    },
+  });
+  const {chatManager} = chatManagerModule;
+  registerDefaultCommands();
+  return {
+    chatManager,
+    drops,
+  };
+};
+
+describe('chat commands', () => {
+  it('finds commands whatever their case', async () => {
+    const {chatManager} = await _makeChatCommands();
+    const command = {
+      name: 'Dance',
+      aliases: ['Boogie'],
+      run: () => 'danced',
+    };
+    chatManager.registerCommand(command);
+
+    assert.strictEqual(chatManager.getCommand('dance').name, 'dance');
+    assert.strictEqual(chatManager.getCommand('BOOGIE').name, 'dance');
+    assert.strictEqual(await chatManager.runCommand('/DaNcE'), 'danced');
+    assert.throws(() => chatManager.registerCommand({
+      name: 'DANCE',
+      run: () => '',
+    }), /command already registered: dance/);
+    assert.throws(() => chatManager.registerCommand({
+      name: 'jig',
+      aliases: ['boogie'],
+      run: () => '',
+    }), /command already registered: boogie/);
+  });
+
+  it('gives a bounded number of items', async () => {
+    const {chatManager, drops} = await _makeChatCommands();
+    chatManager.setRole('admin');
+
+    assert.strictEqual(await chatManager.runCommand('/give sword 3'), 'gave 3 sword');
+    assert.strictEqual(await chatManager.runCommand('/give sword 1e9'), 'gave 100 sword');
+    assert.strictEqual(await chatManager.runCommand('/give sword -5'), 'gave 1 sword');
+    assert.deepStrictEqual(drops.map(drop => drop.quantity), [3, 100, 1]);
+    assert.strictEqual(await chatManager.runCommand('/give sword lots'), 'not a number: lots');
+  });
+});
@@ -0,0 +1,152 @@
+import assert from 'assert';
+import {importIsolated} from './isolate.mjs';
+
+const _makeDialogueModule = async ({
+  flags = null,
+  log = [],
+  claims = [],
+  worn = [],
+} = {}) => {
+  let resolveFlags;
+  const flagsLoad = new Promise(resolve => {
+    resolveFlags = () => resolve(flags);
+  });
+  const dialogueModule = await importIsolated('dialogue.js', {
+    './drop-manager.js': {
+      default: {
+        claims,
+      },
+    },
+    './quest-manager.js': {
+      default: {
+        waitForLoad: async () => {},
+        getLogEntry: id => log.find(entry => entry.id === id) ?? null,
+      },
+    },
+    './players.js': {
+      getLocalPlayer: () => ({
+        appManager: {
+          apps: worn,
+        },
+      }),
+    },
+    './storage.js': {
+      get: () => flagsLoad,
+      set: async () => {},
+    },
+  });
+  return {
+    ...dialogueModule,
+    resolveFlags,
+  };
+};
+const _condition = (key, value) => ({key, value});
+
+describe('dialogue', () => {
+  it('checks quest states', async () => {
+    const {areConditionsMet, resolveFlags} = await _makeDialogueModule({
+      log: [
+        {
+          id: 'rats',
+          state: 'completed',
+        },
+        {
+          id: 'wolves',
+          state: 'active',
+        },
+      ],
+    });
+    resolveFlags();
+
+    assert.strictEqual(areConditionsMet([_condition('quest', {id: 'rats'})]), true);
+    assert.strictEqual(areConditionsMet([_condition('quest', {id: 'wolves'})]), false);
+    assert.strictEqual(areConditionsMet([_condition('quest', {id: 'wolves', state: 'active'})]), true);
+    assert.strictEqual(areConditionsMet([_condition('quest', {id: 'bears', state: 'none'})]), true);
+  });
+
+  it('counts claimed and worn items', async () => {
+    const {areConditionsMet, resolveFlags} = await _makeDialogueModule({
+      claims: [
+        {name: 'Silk'},
+        {name: 'silk'},
+      ],
+      worn: [
+        {name: 'Sword'},
+      ],
+    });
+    resolveFlags();
+
+    assert.strictEqual(areConditionsMet([_condition('has', 'sword')]), true);
+    assert.strictEqual(areConditionsMet([_condition('has', {name: 'silk', quantity: 2})]), true);
+    assert.strictEqual(areConditionsMet([_condition('has', {name: 'silk', quantity: 3})]), false);
+    assert.strictEqual(areConditionsMet([_condition('has', 'shield')]), false);
+  });
+
+  it('checks flags and combines conditions', async () => {
+    const {areConditionsMet, dialogueFlags, resolveFlags} = await _makeDialogueModule();
+    resolveFlags();
+    await dialogueFlags.waitForLoad();
+    dialogueFlags.set('metSmith');
+    dialogueFlags.set('mood', 'angry');
+
+    const metSmith = _condition('flag', 'metSmith');
+    const calm = _condition('flag', {name: 'mood', value: 'calm'});
+    assert.strictEqual(areConditionsMet([metSmith]), true);
+    assert.strictEqual(areConditionsMet([calm]), false);
+    assert.strictEqual(areConditionsMet([_condition('all', [metSmith, calm])]), false);
+    assert.strictEqual(areConditionsMet([_condition('any', [metSmith, calm])]), true);
+    assert.strictEqual(areConditionsMet([_condition('not', [calm])]), true);
+    assert.strictEqual(areConditionsMet([_condition('not', [metSmith])]), false);
+    assert.strictEqual(areConditionsMet([]), true);
+  });
+
+  it('chooses the start node once the flags have loaded', async () => {
+    const {Dialogue, resolveFlags} = await _makeDialogueModule({
+      flags: {
+        metSmith: true,
+      },
+    });
+    const dialogue = new Dialogue({
+      start: ['again', 'hello'],
+      nodes: {
+        again: {
+          text: 'Back again?',
+          conditions: [_condition('flag', 'metSmith')],
+        },
+        hello: {
+          text: 'Hello, stranger.',
+        },
+      },
+    }, null);
+
+    const startNodeIdPromise = dialogue.getStartNodeId();
+    resolveFlags();
+    assert.strictEqual(await startNodeIdPromise, 'again');
+  });
+
+  it('hides options whose conditions are not met', async () => {
+    const {Dialogue, resolveFlags} = await _makeDialogueModule();
+    resolveFlags();
+    const dialogue = new Dialogue({
+      nodes: {
+        start: {
+          text: 'What do you want?',
+          options: [
+            {
+              text: 'Nothing.',
+              end: true,
+            },
+            {
+              text: 'The secret.',
+              conditions: [_condition('flag', 'knowsSecret')],
+              end: true,
+            },
+          ],
+        },
+      },
+    }, null);
+
+    assert.strictEqual(await dialogue.getStartNodeId(), 'start');
+    assert.deepStrictEqual(dialogue.getOptions(dialogue.getNode('start')).map(option => option.text), ['Nothing.']);
+  });
+});
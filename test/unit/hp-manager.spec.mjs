@@ -0,0 +1,135 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+const _makeTarget = async () => {
+  const damageModule = await importIsolated('damage.js', {
+    three: THREE,
+  });
+  const {default: hpManager} = await importIsolated('hp-manager.js', {
+    three: THREE,
+    './world.js': {
+      world: {
+        appManager: new EventTarget(),
+      },
+    },
+    'metaversefile': {
+      default: {
+        getPhysicsObjectByPhysicsId: () => ({
+          physicsMesh: new THREE.Mesh(new THREE.BoxGeometry()),
+        }),
+      },
+    },
+    './damage.js': damageModule,
+  });
+
+  const parent = new THREE.Object3D();
+  const app = new THREE.Object3D();
+  parent.add(app);
+  const hitTracker = hpManager.makeHitTracker({totalHp: 100});
+  hitTracker.bind(app);
+  // as metaversefile apps forward hits
+  app.hit = (damage, opts) => hitTracker.hit(damage, opts);
+
+  const attacker = new THREE.Object3D();
+  const events = {
+    die: 0,
+    kill: 0,
+  };
+  app.addEventListener('die', () => {
+    events.die++;
+  });
+  attacker.addEventListener('kill', () => {
+    events.kill++;
+  });
+  return {
+    damageManager: damageModule.default,
+    app,
+    hitTracker,
+    attacker,
+    events,
+  };
+};
+const _hit = (hitTracker, damage, opts = {}) => hitTracker.hit(damage, {
+  collisionId: 0,
+  hitPosition: new THREE.Vector3(),
+  hitDirection: new THREE.Vector3(0, 0, -1),
+  hitQuaternion: new THREE.Quaternion(),
+  critical: false,
+  ...opts,
+});
+
+describe('hit tracker', () => {
+  it('dies once from the killing hit', async () => {
+    const {hitTracker, attacker, events} = await _makeTarget();
+    assert.deepStrictEqual(_hit(hitTracker, 100, {attacker}), {hit: true, died: true});
+    assert.strictEqual(hitTracker.hp, 0);
+    assert.strictEqual(events.die, 1);
+    assert.strictEqual(events.kill, 1);
+  });
+
+  it('does not hit a dead target', async () => {
+    const {hitTracker, attacker, events} = await _makeTarget();
+    _hit(hitTracker, 100, {attacker});
+    // after the hit animation
+    hitTracker.update(1000);
+
+    assert.deepStrictEqual(_hit(hitTracker, 10, {attacker}), {hit: false, died: false});
+    assert.strictEqual(events.die, 1);
+    assert.strictEqual(events.kill, 1);
+  });
+
+  it('dies once from damage over time', async () => {
+    const {damageManager, hitTracker, attacker, events} = await _makeTarget();
+    _hit(hitTracker, 90, {
+      attacker,
+      dot: {
+        damage: 10,
+        duration: 5000,
+        interval: 1000,
+      },
+    });
+    assert.strictEqual(damageManager.getDots(hitTracker.children[0]).length, 1);
+
+    // every tick is due, but only the first one lands
+    damageManager.update(performance.now() + 5000);
+    assert.strictEqual(hitTracker.hp, 0);
+    assert.strictEqual(events.die, 1);
+    assert.strictEqual(events.kill, 1);
+    assert.strictEqual(damageManager.dots.length, 0);
+  });
+
+  it('does not tick damage over time on a dead target', async () => {
+    const {damageManager, app, hitTracker, attacker, events} = await _makeTarget();
+    _hit(hitTracker, 100, {attacker});
+
+    assert.deepStrictEqual(_hit(hitTracker, 10, {attacker, isDot: true}), {hit: false, died: false});
+    damageManager.addDot(app, 'fire', {
+      damage: 10,
+      duration: 5000,
+      interval: 1000,
+    }, {attacker});
+    damageManager.update(performance.now() + 5000);
+    assert.strictEqual(events.die, 1);
+    assert.strictEqual(events.kill, 1);
+    assert.strictEqual(damageManager.dots.length, 0);
+  });
+
+  it('ticks damage over time with a zero interval at the minimum interval', async () => {
+    const {damageManager, app, hitTracker, attacker} = await _makeTarget();
+    damageManager.addDot(app, 'fire', {
+      damage: 1,
+      duration: 1000,
+      interval: 0,
+    }, {
+      attacker,
+      hitQuaternion: new THREE.Quaternion(),
+    });
+    assert.strictEqual(damageManager.getDots(app)[0].interval, 100);
+
+    // returns, with one tick per 100ms
+    damageManager.update(performance.now() + 1000);
+    assert.strictEqual(hitTracker.hp, 90);
+    assert.strictEqual(damageManager.dots.length, 0);
+  });
+});
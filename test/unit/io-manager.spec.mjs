@@ -0,0 +1,111 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {installGlobals} from '../headless/globals.mjs';
+import {importIsolated} from './isolate.mjs';
+
+const _makeIoManager = async () => {
+  installGlobals('http://localhost/');
+  document.activeElement = null;
+  navigator.keyboard = null;
+
+  const calls = {
+    undo: 0,
+    redo: 0,
+  };
+  const keybindingsModule = await importIsolated('keybindings-manager.js');
+  const {default: ioManager} = await importIsolated('io-manager.js', {
+    three: THREE,
+    'metaversefile': {
+      default: {
+        useLocalPlayer: () => ({
+          characterHitter: {
+            isDead: () => false,
+          },
+        }),
+      },
+    },
+    './camera-manager.js': {
+      default: new EventTarget(),
+    },
+    './game.js': {
+      default: {
+        menuUndo() {
+          calls.undo++;
+        },
+        menuRedo() {
+          calls.redo++;
+        },
+      },
+    },
+    './keybindings-manager.js': keybindingsModule,
+  });
+  return {
+    ioManager,
+    calls,
+  };
+};
+const _makeKeyEvent = (code, {ctrlKey = false, shiftKey = false} = {}) => ({
+  code,
+  which: code === 'KeyZ' ? 90 : 0,
+  keyCode: code === 'KeyZ' ? 90 : 0,
+  ctrlKey,
+  shiftKey,
+  altKey: false,
+  metaKey: false,
+  repeat: false,
+  preventDefault() {},
+  stopPropagation() {},
+});
+
+describe('io manager', () => {
+  it('undoes on every ctrl+z', async () => {
+    const {ioManager, calls} = await _makeIoManager();
+    for (let i = 0; i < 3; i++) {
+      ioManager.keydown(_makeKeyEvent('KeyZ', {ctrlKey: true}));
+      ioManager.keyup(_makeKeyEvent('KeyZ', {ctrlKey: true}));
+    }
+    assert.strictEqual(calls.undo, 3);
+  });
+
+  it('undoes on every ctrl+z when ctrl is let go first', async () => {
+    const {ioManager, calls} = await _makeIoManager();
+    for (let i = 0; i < 3; i++) {
+      ioManager.keydown(_makeKeyEvent('KeyZ', {ctrlKey: true}));
+      ioManager.keyup(_makeKeyEvent('KeyZ'));
+    }
+    assert.strictEqual(calls.undo, 3);
+  });
+
+  it('redoes on ctrl+shift+z between undos', async () => {
+    const {ioManager, calls} = await _makeIoManager();
+    for (let i = 0; i < 2; i++) {
+      ioManager.keydown(_makeKeyEvent('KeyZ', {ctrlKey: true}));
+      ioManager.keyup(_makeKeyEvent('KeyZ', {ctrlKey: true}));
+      ioManager.keydown(_makeKeyEvent('KeyZ', {ctrlKey: true, shiftKey: true}));
+      ioManager.keyup(_makeKeyEvent('KeyZ', {ctrlKey: true, shiftKey: true}));
+    }
+    assert.strictEqual(calls.undo, 2);
+    assert.strictEqual(calls.redo, 2);
+  });
+
+  it('lets go of keys when the window loses focus', async () => {
+    const {ioManager} = await _makeIoManager();
+    ioManager.keydown(_makeKeyEvent('KeyW'));
+    assert.strictEqual(ioManager.keys.up, true);
+
+    ioManager.blur();
+    assert.strictEqual(ioManager.keys.up, false);
+    assert.strictEqual(ioManager.isActionDown('moveForward'), false);
+  });
+
+  it('undoes again after the ui swallows a release', async () => {
+    const {ioManager, calls} = await _makeIoManager();
+    for (let i = 0; i < 3; i++) {
+      const e = _makeKeyEvent('KeyZ', {ctrlKey: true});
+      ioManager.keydown(e);
+      // as the io handler does when a panel returns false on keyup
+      ioManager.actionUp(e.code, e);
+    }
+    assert.strictEqual(calls.undo, 3);
+  });
+});
@@ -0,0 +1,91 @@
+/*
+this file loads an engine module in node with its imports replaced by stubs, so its logic can be unit tested without the renderer, physics or network.
+stubs are keyed by import specifier, as written in the module; a stub is the module namespace, so default exports go in its default key.
+imports that are not stubbed, and names a plain object stub does not have, are null objects that absorb reads and calls.
+*/
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import url from 'url';
+import {nullObject, withNullFallback} from '../headless/globals.mjs';
+
+const dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const rootDir = path.join(dirname, '..', '..');
+const stubsGlobalKey = '__isolateStubs';
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'isolate-'));
+process.on('exit', () => {
+  fs.rmSync(outDir, {recursive: true, force: true});
+});
+
+const importRegex = /^import\s+(?:([\s\S]*?)\s+from\s+)?['"]([^'"]+)['"];?/gm;
+const _parseNamed = s => s.replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => !!name)
+  .map(name => {
+    const [imported, local = imported] = name.split(/\s+as\s+/);
+    return `${imported}: ${local} = nullObject`;
+  });
+// import clauses become declarations reading from the stub namespace
+const _rewriteImport = (clause, namespace) => {
+  if (!clause) {
+    return '';
+  }
+  const declarations = [];
+  const namedMatch = clause.match(/\{([\s\S]*)\}/);
+  const rest = clause.replace(/\{[\s\S]*\}/, '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(s => !!s);
+  for (const s of rest) {
+    const namespaceMatch = s.match(/^\*\s+as\s+(\S+)$/);
+    if (namespaceMatch) {
+      declarations.push(`const ${namespaceMatch[1]} = ${namespace};`);
+    } else {
+      declarations.push(`const ${s} = ${namespace}.default ?? nullObject;`);
+    }
+  }
+  if (namedMatch) {
+    declarations.push(`const {${_parseNamed(namedMatch[1]).join(', ')}} = ${namespace};`);
+  }
+  return declarations.join(' ');
+};
+
+// real modules and class instances are used as they are
+const _isPlainObject = o => !!o && Object.getPrototypeOf(o) === Object.prototype;
+const _makeNamespace = stub => {
+  if (stub === undefined) {
+    return nullObject;
+  } else if (_isPlainObject(stub)) {
+    return withNullFallback({
+      ...stub,
+      default: _isPlainObject(stub.default) ? withNullFallback(stub.default) : (stub.default ?? nullObject),
+    });
+  } else {
+    return stub;
+  }
+};
+
+let numLoads = 0;
+export const importIsolated = async (modulePath, stubs = {}) => {
+  const id = numLoads++;
+  globalThis[stubsGlobalKey] ??= [];
+  globalThis[stubsGlobalKey][id] = {
+    nullObject,
+    getStub: specifier => _makeNamespace(stubs[specifier]),
+  };
+
+  const source = fs.readFileSync(path.join(rootDir, modulePath), 'utf8');
+  // on the first line, so the module's line numbers stay the same
+  const prefix = `const {nullObject, getStub} = globalThis.${stubsGlobalKey}[${id}]; `;
+  const isolatedSource = prefix + source.replace(importRegex, (s, clause, specifier) => {
+    const namespace = `getStub(${JSON.stringify(specifier)})`;
+    // keep multiline imports' line breaks, so line numbers stay the same
+    return _rewriteImport(clause, namespace) + '\n'.repeat(s.split('\n').length - 1);
+  });
+  // written out so stack traces name the module
+  const outPath = path.join(outDir, `${id}-${path.basename(modulePath).replace(/\.[^.]+$/, '')}.mjs`);
+  fs.writeFileSync(outPath, isolatedSource);
+  return await import(url.pathToFileURL(outPath).href);
+};
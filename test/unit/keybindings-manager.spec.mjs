@@ -0,0 +1,48 @@
+import assert from 'assert';
+import {installGlobals} from '../headless/globals.mjs';
+import {importIsolated} from './isolate.mjs';
+
+const _makeKeybindingsManager = async () => {
+  installGlobals('http://localhost/');
+  navigator.keyboard = null;
+
+  return await importIsolated('keybindings-manager.js');
+};
+const _makeKeyEvent = (code, {ctrlKey = false, shiftKey = false} = {}) => ({
+  code,
+  ctrlKey,
+  shiftKey,
+  altKey: false,
+});
+
+describe('keybindings manager', () => {
+  it('has no conflicts in the default bindings', async () => {
+    const {default: keybindingsManager, getDefaultBindings} = await _makeKeybindingsManager();
+    assert.deepStrictEqual(keybindingsManager.getConflicts(getDefaultBindings()), []);
+  });
+
+  it('binds the panel hotkeys as actions', async () => {
+    const {default: keybindingsManager} = await _makeKeybindingsManager();
+    assert.strictEqual(keybindingsManager.getKeyAction(_makeKeyEvent('KeyZ')), 'toggleWorldPanel');
+    assert.strictEqual(keybindingsManager.getKeyAction(_makeKeyEvent('KeyZ', {ctrlKey: true})), 'undo');
+    assert.strictEqual(keybindingsManager.getKeyAction(_makeKeyEvent('KeyN')), 'toggleQuestLog');
+    assert.strictEqual(keybindingsManager.getKeyAction(_makeKeyEvent('Tab')), 'toggleCharacterPanel');
+    assert.strictEqual(keybindingsManager.getKeyAction(_makeKeyEvent('KeyJ')), 'toggleInventory');
+    assert.strictEqual(keybindingsManager.getKeyAction(_makeKeyEvent('KeyJ', {shiftKey: true})), 'toggleFiredrop');
+  });
+
+  it('finds conflicts with the panel hotkeys', async () => {
+    const {default: keybindingsManager, getDefaultBindings} = await _makeKeybindingsManager();
+    const bindings = {
+      ...getDefaultBindings(),
+      lockOn: ['KeyZ'],
+    };
+    assert.deepStrictEqual(keybindingsManager.getConflicts(bindings), [
+      {
+        binding: 'KeyZ',
+        actions: ['lockOn', 'toggleWorldPanel'],
+      },
+    ]);
+    assert.throws(() => keybindingsManager.setBindings(bindings), /bound to both lockOn and toggleWorldPanel/);
+  });
+});
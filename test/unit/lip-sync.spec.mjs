@@ -0,0 +1,67 @@
+import assert from 'assert';
+import {importIsolated} from './isolate.mjs';
+
+let visemeNames, makeTrackFromPhonemes, makeTrackFromText, LipSync;
+
+// the strongest viseme of each keyframe, or null where the mouth is at rest
+const _getVisemes = track => track.keyframes.map(({weights}) => {
+  const max = Math.max(...weights);
+  return max > 0 ? visemeNames[weights.indexOf(max)] : null;
+});
+
+describe('lip sync', () => {
+  before(async () => {
+    ({
+      visemeNames,
+      makeTrackFromPhonemes,
+      makeTrackFromText,
+      LipSync,
+    } = await importIsolated('avatars/lip-sync.js'));
+  });
+
+  it('times the mouth to the phoneme alignment', () => {
+    const track = makeTrackFromPhonemes([
+      {phoneme: 'HH', start: 0, end: 0.1},
+      {phoneme: 'AH0', start: 0.1, end: 0.2},
+      {phoneme: 'L', start: 0.2, end: 0.3},
+      {phoneme: 'OW1', start: 0.3, end: 0.5},
+    ]);
+    assert.deepStrictEqual(_getVisemes(track), ['ih', 'aa', 'ih', 'oh', null]);
+    assert.deepStrictEqual(track.keyframes.map(keyframe => keyframe.time), [0, 0.1, 0.2, 0.3, 0.5]);
+    assert.strictEqual(track.duration, 0.5);
+    assert.strictEqual(track.gated, false);
+  });
+
+  it('estimates the mouth from the text over the duration', () => {
+    const track = makeTrackFromText('go, moo', 2);
+    // a closed mouth for m, open for the vowels, at rest for the pauses
+    assert.deepStrictEqual(_getVisemes(track), ['ih', 'oh', null, null, null, 'ou', null]);
+    assert.strictEqual(track.keyframes[0].time, 0);
+    assert.strictEqual(track.keyframes.at(-1).time, 2);
+    for (let i = 1; i < track.keyframes.length; i++) {
+      assert.ok(track.keyframes[i].time >= track.keyframes[i - 1].time);
+    }
+    assert.strictEqual(track.gated, true);
+  });
+
+  it('drops the silent e', () => {
+    assert.deepStrictEqual(_getVisemes(makeTrackFromText('mad', 1)), _getVisemes(makeTrackFromText('made', 1)));
+  });
+
+  it('eases into the shapes and rests when the track ends', () => {
+    const lipSync = new LipSync();
+    const track = makeTrackFromPhonemes([
+      {phoneme: 'AA', start: 0, end: 1},
+    ]);
+    lipSync.play(track, 0);
+
+    assert.strictEqual(lipSync.update(100), true);
+    assert.strictEqual(lipSync.weights[0], 0.5);
+    lipSync.update(200);
+    assert.strictEqual(lipSync.weights[0], 0.75);
+
+    assert.strictEqual(lipSync.update(1000), false);
+    assert.strictEqual(lipSync.isPlaying(), false);
+    assert.deepStrictEqual(Array.from(lipSync.weights), [0, 0, 0, 0, 0]);
+  });
+});
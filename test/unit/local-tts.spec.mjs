@@ -0,0 +1,129 @@
+import assert from 'assert';
+import {importIsolated} from './isolate.mjs';
+
+// the browser's page wide speech queue
+class SpeechSynthesisUtterance extends EventTarget {
+  constructor(text) {
+    super();
+    this.text = text;
+  }
+}
+const _makeSpeechSynthesis = () => ({
+  spoken: [],
+  speaking: null,
+  speak(utterance) {
+    this.spoken.push(utterance.text);
+    this.speaking = utterance;
+  },
+  cancel() {
+    const {speaking} = this;
+    this.speaking = null;
+    speaking?.dispatchEvent(new Event('error'));
+  },
+  finish() {
+    const {speaking} = this;
+    this.speaking = null;
+    speaking.dispatchEvent(new Event('end'));
+  },
+});
+const _makePromise = () => {
+  let accept;
+  const p = new Promise(a => {
+    accept = a;
+  });
+  p.accept = accept;
+  return p;
+};
+
+const _makeLocalTts = async () => {
+  const {default: localTts} = await importIsolated('voice-output/local-tts.js');
+  return localTts;
+};
+const _makeBrowserVoicers = async () => {
+  const speechSynthesis = _makeSpeechSynthesis();
+  Object.assign(globalThis, {
+    SpeechSynthesisUtterance,
+    speechSynthesis,
+  });
+  const {LocalVoicer} = await importIsolated('voice-output/local-voicer.js', {
+    '../util.js': {
+      makePromise: _makePromise,
+    },
+    './voice-endpoint-voicer.js': {
+      VoiceEndpointVoicer: class {
+        constructor(voiceEndpoint, player) {
+          this.voiceEndpoint = voiceEndpoint;
+          this.player = player;
+        }
+        stop() {}
+      },
+    },
+    './local-tts.js': {
+      default: {
+        engine: 'browser',
+        isAudioEngine: () => false,
+        getBrowserVoice: () => null,
+      },
+    },
+  });
+  const _makeVoicer = name => new LocalVoicer({name}, {
+    avatar: {
+      lipSync: {
+        play() {},
+        stop() {},
+      },
+    },
+  });
+  return {
+    speechSynthesis,
+    alice: _makeVoicer('alice'),
+    bob: _makeVoicer('bob'),
+  };
+};
+
+describe('local tts', () => {
+  it('keeps the wasm engine off until an engine module url is set', async () => {
+    const localTts = await _makeLocalTts();
+    localTts.setEngine('server');
+    assert.strictEqual(localTts.isEnabled(), true);
+
+    localTts.setEngine('wasm');
+    assert.strictEqual(localTts.isEnabled(), false);
+    await assert.rejects(localTts.synthesize('hello', 'alice'), /no wasm tts engine module url set/);
+
+    localTts.setEngine('wasm', {url: '/my-tts/tts.js'});
+    assert.strictEqual(localTts.isEnabled(), true);
+  });
+
+  it('speaks browser utterances one at a time', async () => {
+    const {speechSynthesis, alice, bob} = await _makeBrowserVoicers();
+    const aliceEnd = alice.start('hello');
+    bob.start('hi');
+    assert.deepStrictEqual(speechSynthesis.spoken, ['hello']);
+
+    speechSynthesis.finish();
+    await aliceEnd;
+    assert.deepStrictEqual(speechSynthesis.spoken, ['hello', 'hi']);
+  });
+
+  it('stops only the voicer that is stopped', async () => {
+    const {speechSynthesis, alice, bob} = await _makeBrowserVoicers();
+    const aliceEnd = alice.start('hello');
+    const bobEnd = bob.start('hi');
+    alice.start('again');
+
+    // alice is speaking, so only her utterance is cancelled
+    alice.stop();
+    await aliceEnd;
+    assert.deepStrictEqual(speechSynthesis.spoken, ['hello', 'hi']);
+    assert.strictEqual(speechSynthesis.speaking.text, 'hi');
+
+    // bob is speaking, so stopping alice leaves him alone
+    alice.start('later');
+    alice.stop();
+    assert.strictEqual(speechSynthesis.speaking.text, 'hi');
+    speechSynthesis.finish();
+    await bobEnd;
+    assert.deepStrictEqual(speechSynthesis.spoken, ['hello', 'hi']);
+  });
+});
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import * as loreModel from '../../ai/lore/lore-model.js';
+import * as loreProviders from '../../ai/lore/lore-providers.js';
+import {importIsolated} from './isolate.mjs';
+
+const _makeLoreAI = async () => {
+  const {default: loreAI} = await importIsolated('ai/lore/lore-ai.js', {
+    './lore-model.js': loreModel,
+    './lore-providers.js': loreProviders,
+  });
+  return loreAI;
+};
+
+describe('lore ai', () => {
+  it('registers the offline providers', async () => {
+    const loreAI = await _makeLoreAI();
+    assert.deepStrictEqual(loreAI.getProviders().map(provider => provider.name), ['NONE', 'LOCAL', 'MOCK']);
+    assert.strictEqual(loreAI.providerName, null);
+    assert.strictEqual(await loreAI.generate('hi'), '');
+  });
+
+  it('switches providers', async () => {
+    const loreAI = await _makeLoreAI();
+    loreAI.setProvider('MOCK');
+    assert.strictEqual(loreAI.providerName, 'MOCK');
+    assert.strictEqual(await loreAI.generate('\ncomment:'), ' Interesting.');
+
+    loreAI.setProvider('NONE');
+    assert.strictEqual(loreAI.providerName, 'NONE');
+    assert.strictEqual(await loreAI.generate('\ncomment:'), '');
+  });
+
+  it('passes settings to registered providers, with their defaults', async () => {
+    const loreAI = await _makeLoreAI();
+    const queries = [];
+    const endpointSettings = [];
+    loreAI.registerProvider({
+      name: 'TEST',
+      needsApiKey: false,
+      settings: [
+        {name: 'url', label: 'Server URL', defaultValue: 'http://localhost/'},
+        {name: 'model', label: 'Model', defaultValue: 'small'},
+      ],
+      makeEndpoint: settings => {
+        endpointSettings.push(settings);
+        return async query => {
+          queries.push(query);
+          return {
+            choices: [{
+              text: ' test',
+            }],
+          };
+        };
+      },
+    });
+    assert.strictEqual(loreAI.getProvider('TEST').name, 'TEST');
+
+    loreAI.setProvider('TEST', {
+      model: 'large',
+      extra: true,
+    });
+    assert.deepStrictEqual(endpointSettings, [
+      {
+        url: 'http://localhost/',
+        model: 'large',
+      },
+    ]);
+    assert.strictEqual(await loreAI.generate('hi', {stop: '\n'}), ' test');
+    assert.strictEqual(queries[0].prompt, 'hi');
+    assert.strictEqual(queries[0].stop, '\n');
+  });
+
+  it('rejects unknown providers and keeps the current one', async () => {
+    const loreAI = await _makeLoreAI();
+    loreAI.setProvider('MOCK');
+    assert.throws(() => loreAI.setProvider('MISSING'), /unknown lore provider: MISSING/);
+    assert.strictEqual(loreAI.providerName, 'MOCK');
+    assert.strictEqual(await loreAI.generate('\ncomment:'), ' Interesting.');
+  });
+
+  it('forgets the provider when an endpoint is set directly', async () => {
+    const loreAI = await _makeLoreAI();
+    loreAI.setProvider('MOCK');
+    loreAI.setEndpoint(loreProviders.makeMockEndpoint({
+      completions: [' direct'],
+    }));
+    assert.strictEqual(loreAI.providerName, null);
+    assert.strictEqual(await loreAI.generate('hi'), ' direct');
+  });
+});
@@ -0,0 +1,225 @@
+import assert from 'assert';
+import {
+  endToken,
+  makeLorePrompt,
+  makeLoreStop,
+  postProcessResponse,
+  parseLoreResponses,
+  makeCommentPrompt,
+  parseCommentResponse,
+  makeSelectCharacterPrompt,
+  parseSelectCharacterResponse,
+  makeChatPrompt,
+  parseChatResponse,
+  parseOptionsResponse,
+  parseCharacterIntroResponse,
+  makeMemoryPrompt,
+  parseMemoryResponse,
+} from '../../ai/lore/lore-model.js';
+
+const player = {
+  name: 'Anon',
+  bio: 'A new player.',
+};
+const guide = {
+  name: 'Guide',
+  bio: 'Knows the way.',
+};
+const _makeLoreOpts = opts => ({
+  settings: ['A quiet town.'],
+  characters: [player, guide],
+  messages: [
+    {
+      character: player,
+      message: 'Can you follow me?',
+      emote: 'none',
+      action: 'none',
+      object: 'none',
+      target: 'none',
+    },
+  ],
+  objects: [],
+  dstCharacter: null,
+  ...opts,
+});
+
+describe('lore model', () => {
+  describe('scene dialogue', () => {
+    it('labels characters by index and name', () => {
+      const prompt = makeLorePrompt(_makeLoreOpts());
+      assert.ok(prompt.includes('0/Anon: A new player.'));
+      assert.ok(prompt.includes('1/Guide: Knows the way.'));
+      assert.ok(prompt.includes('+0/Anon: Can you follow me? [emote=none,action=none,object=none,target=none]'));
+      assert.ok(prompt.endsWith('\n+'));
+      assert.strictEqual(makeLoreStop(player, 0), '\n+0/Anon');
+    });
+
+    it('ends the prompt with the character that should answer', () => {
+      const prompt = makeLorePrompt(_makeLoreOpts({
+        dstCharacter: guide,
+      }));
+      assert.ok(prompt.endsWith('\n+1/Guide:'));
+    });
+
+    it('includes memories in the prompt', () => {
+      const prompt = makeLorePrompt(_makeLoreOpts({
+        memories: [
+          {
+            character: guide,
+            memory: {
+              summary: 'Met Anon at the gate.',
+              facts: ['Anon likes swords.'],
+              lastMessages: [],
+            },
+          },
+        ],
+      }));
+      assert.ok(prompt.includes('# Memories\n\n1/Guide remembers: Met Anon at the gate.\n1/Guide knows: Anon likes swords.'));
+    });
+
+    it('parses the completion of a prompt that names the speaker', () => {
+      const response = postProcessResponse(' Sure, lead the way. [emote=headNod,action=follow,object=none,target=Anon]', [player, guide], guide);
+      assert.deepStrictEqual(parseLoreResponses(response), [
+        {
+          name: 'Guide',
+          message: 'Sure, lead the way.',
+          emote: 'headNod',
+          action: 'follow',
+          object: 'none',
+          target: 'Anon',
+        },
+      ]);
+    });
+
+    it('parses several lines and defaults missing tags', () => {
+      const response = postProcessResponse('1/Guide: Hello.\n+2/Smith: Welcome! [emote=victory,action=none,object=none,target=none]\nnot a line', [player, guide], null);
+      assert.deepStrictEqual(parseLoreResponses(response), [
+        {
+          name: 'Guide',
+          message: 'Hello.',
+          emote: 'none',
+          action: 'none',
+          object: 'none',
+          target: 'none',
+        },
+        {
+          name: 'Smith',
+          message: 'Welcome!',
+          emote: 'victory',
+          action: 'none',
+          object: 'none',
+          target: 'none',
+        },
+      ]);
+    });
+  });
+
+  describe('comments and greetings', () => {
+    it('cleans names and parses the first line of a comment', () => {
+      const prompt = makeCommentPrompt({
+        settings: [],
+        dstCharacter: null,
+        name: 'Old\nMill: [ruin]',
+      });
+      assert.ok(prompt.endsWith('location: Old Mill   ruin\ncomment:'));
+      assert.strictEqual(parseCommentResponse(' "Smells of flour."\nlocation: next'), 'Smells of flour.');
+    });
+
+    it('parses greetings that end the conversation', () => {
+      const prompt = makeSelectCharacterPrompt({
+        name: 'Guard',
+        description: '',
+      });
+      assert.ok(prompt.endsWith('character: Guard\ndescription: A new player. Not much is known about them.\ngreeting:'));
+      assert.deepStrictEqual(parseSelectCharacterResponse(` Move along. ${endToken}\nextra`), {
+        value: 'Move along.',
+        done: true,
+      });
+      assert.deepStrictEqual(parseSelectCharacterResponse(' Welcome!'), {
+        value: 'Welcome!',
+        done: false,
+      });
+    });
+  });
+
+  describe('conversations', () => {
+    it('formats chat messages and parses the emote', () => {
+      const prompt = makeChatPrompt({
+        messages: [
+          {
+            name: 'Anon',
+            text: 'Hi!',
+            emote: '',
+          },
+        ],
+        nextCharacter: 'Guide',
+      });
+      assert.ok(prompt.endsWith('+Anon: Hi! [emote=none]\n+Guide:'));
+      assert.deepStrictEqual(parseChatResponse(' Nice to meet you. [emote=victory]'), {
+        value: 'Nice to meet you.',
+        emote: 'victory',
+        done: false,
+      });
+      assert.deepStrictEqual(parseChatResponse(` Bye. [emote=headNod] ${endToken}`), {
+        value: 'Bye.',
+        emote: 'headNod',
+        done: true,
+      });
+    });
+
+    it('parses dialogue options', () => {
+      assert.deepStrictEqual(parseOptionsResponse(' Tell me more. [emote=none]\n- "Goodbye." [emote=headNod]\n-'), {
+        value: [
+          {
+            message: 'Tell me more.',
+            emote: 'none',
+          },
+          {
+            message: 'Goodbye.',
+            emote: 'headNod',
+          },
+        ],
+        done: false,
+      });
+      assert.deepStrictEqual(parseOptionsResponse(` ${endToken}`), {
+        value: [],
+        done: true,
+      });
+    });
+  });
+
+  describe('character intros and memory', () => {
+    it('parses the intro and the select line', () => {
+      assert.deepStrictEqual(parseCharacterIntroResponse(' Hi, I\'m Guide!\nonselect: "Let\'s go!"'), {
+        message: 'Hi, I\'m Guide!',
+        onselect: 'Let\'s go!',
+      });
+      assert.deepStrictEqual(parseCharacterIntroResponse(' Hi.'), {
+        message: 'Hi.',
+        onselect: '',
+      });
+    });
+
+    it('parses the updated memory', () => {
+      const prompt = makeMemoryPrompt({
+        name: 'Guide',
+        playerName: 'Anon',
+        summary: '',
+        facts: ['Anon likes swords.'],
+        messages: [
+          {
+            name: 'Anon',
+            message: 'I am from the north.',
+          },
+        ],
+      });
+      assert.ok(prompt.includes('# Old summary\n\nnone'));
+      assert.ok(prompt.includes('fact: Anon likes swords.'));
+      assert.ok(prompt.endsWith('# Updated memory\n\nsummary:'));
+      assert.deepStrictEqual(parseMemoryResponse(' They talked about home.\nfact: Anon is from the north.\nfact: none\nnoise'), {
+        summary: 'They talked about home.',
+        facts: ['Anon is from the north.'],
+      });
+    });
+  });
+});
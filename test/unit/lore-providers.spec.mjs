@@ -0,0 +1,194 @@
+import assert from 'assert';
+import {
+  defaultLocalUrl,
+  makeOpenAICompatibleEndpoint,
+  makeMockEndpoint,
+} from '../../ai/lore/lore-providers.js';
+import {
+  makeLorePrompt,
+  makeLoreStop,
+  postProcessResponse,
+  parseLoreResponses,
+  makeChatPrompt,
+  parseChatResponse,
+  makeOptionsPrompt,
+  parseOptionsResponse,
+  makeMemoryPrompt,
+  parseMemoryResponse,
+} from '../../ai/lore/lore-model.js';
+
+const _complete = async (endpoint, prompt) => {
+  const {choices} = await endpoint({
+    prompt,
+    max_tokens: 100,
+  });
+  return choices[0].text;
+};
+// records requests to a fake fetch
+const _withFetch = async (res, fn) => {
+  const requests = [];
+  const oldFetch = globalThis.fetch;
+  globalThis.fetch = async (url, opts) => {
+    requests.push({
+      url,
+      ...opts,
+      body: JSON.parse(opts.body),
+    });
+    return res;
+  };
+  try {
+    await fn();
+  } finally {
+    globalThis.fetch = oldFetch;
+  }
+  return requests;
+};
+
+describe('lore providers', () => {
+  describe('mock endpoint', () => {
+    it('answers prompts with the first matching rule', async () => {
+      const endpoint = makeMockEndpoint({
+        completions: [
+          {match: 'hello', text: ' hi'},
+          {match: /^bye/, text: prompt => ` ${prompt.length}`},
+          {match: 'hello', text: ' never'},
+        ],
+      });
+      assert.strictEqual(await _complete(endpoint, 'say hello'), ' hi');
+      assert.strictEqual(await _complete(endpoint, 'bye now'), ' 7');
+      assert.strictEqual(await _complete(endpoint, 'nothing'), '');
+    });
+
+    it('replays the script in order, looping', async () => {
+      const endpoint = makeMockEndpoint({
+        completions: [
+          {match: 'rule', text: ' ruled'},
+          ' one',
+          ' two',
+        ],
+      });
+      const texts = [];
+      for (const prompt of ['a', 'rule', 'b', 'c']) {
+        texts.push(await _complete(endpoint, prompt));
+      }
+      assert.deepStrictEqual(texts, [' one', ' ruled', ' two', ' one']);
+    });
+
+    it('gives parseable answers to the lore model prompts', async () => {
+      const endpoint = makeMockEndpoint();
+      const player = {
+        name: 'Anon',
+        bio: 'A new player.',
+      };
+      const guide = {
+        name: 'Guide',
+        bio: 'Knows the way.',
+      };
+      const characters = [player, guide];
+      const messages = [
+        {
+          character: player,
+          message: 'Hello?',
+        },
+      ];
+      for (const dstCharacter of [guide, null]) {
+        const prompt = makeLorePrompt({
+          settings: [],
+          characters,
+          messages,
+          objects: [],
+          dstCharacter,
+        });
+        const response = postProcessResponse(await _complete(endpoint, prompt), characters, dstCharacter);
+        assert.ok(!response.includes(makeLoreStop(player, 0).trim()));
+        assert.deepStrictEqual(parseLoreResponses(response).map(o => [o.name, o.emote]), [['Guide', 'headNod']]);
+      }
+
+      const chatMessages = [
+        {
+          name: 'Anon',
+          text: 'Hello?',
+        },
+      ];
+      assert.deepStrictEqual(parseChatResponse(await _complete(endpoint, makeChatPrompt({
+        messages: chatMessages,
+        nextCharacter: 'Guide',
+      }))), {
+        value: 'Nice to meet you.',
+        emote: 'victory',
+        done: true,
+      });
+      assert.strictEqual(parseOptionsResponse(await _complete(endpoint, makeOptionsPrompt({
+        messages: chatMessages,
+        nextCharacter: 'Anon',
+      }))).value.length, 2);
+      assert.deepStrictEqual(parseMemoryResponse(await _complete(endpoint, makeMemoryPrompt({
+        name: 'Guide',
+        playerName: 'Anon',
+        summary: '',
+        facts: [],
+        messages: [
+          {
+            name: 'Anon',
+            message: 'Hello?',
+          },
+        ],
+      }))), {
+        summary: 'They talked for a while.',
+        facts: [],
+      });
+    });
+  });
+
+  describe('openai compatible endpoint', () => {
+    it('posts to the completions path of the local server', async () => {
+      const requests = await _withFetch({
+        ok: true,
+        json: async () => ({
+          choices: [{
+            text: ' ok',
+          }],
+        }),
+      }, async () => {
+        assert.strictEqual(await _complete(makeOpenAICompatibleEndpoint(), 'hi'), ' ok');
+      });
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].url, defaultLocalUrl + '/completions');
+      assert.strictEqual(requests[0].headers.Authorization, undefined);
+      assert.deepStrictEqual(requests[0].body, {
+        prompt: 'hi',
+        max_tokens: 100,
+      });
+    });
+
+    it('sends the model and api key', async () => {
+      const requests = await _withFetch({
+        ok: true,
+        json: async () => ({
+          choices: [{
+            text: '',
+          }],
+        }),
+      }, async () => {
+        await _complete(makeOpenAICompatibleEndpoint({
+          url: 'http://localhost:11434/v1/',
+          model: 'llama3',
+          apiKey: 'key',
+        }), 'hi');
+      });
+      assert.strictEqual(requests[0].url, 'http://localhost:11434/v1/completions');
+      assert.strictEqual(requests[0].headers.Authorization, 'Bearer key');
+      assert.strictEqual(requests[0].body.model, 'llama3');
+    });
+
+    it('rejects failed requests', async () => {
+      await _withFetch({
+        ok: false,
+        status: 503,
+        statusText: 'Service Unavailable',
+      }, async () => {
+        await assert.rejects(_complete(makeOpenAICompatibleEndpoint(), 'hi'), /503 Service Unavailable/);
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import {createApi} from '../headless/metaversefile-stub.mjs';
+
+// module loads the test settles by hand
+const _makeApi = () => {
+  const loads = new Map();
+  const api = createApi({
+    loadModule: s => new Promise((accept, reject) => {
+      loads.set(s, {accept, reject});
+    }),
+  });
+  return {
+    api,
+    loads,
+  };
+};
+const _flush = () => new Promise(accept => setTimeout(accept));
+
+describe('headless metaversefile api', () => {
+  it('waits for pending app loads', async () => {
+    const {api, loads} = _makeApi();
+    const sceneResult = api.beginScene('test.scn');
+    api.createApp({
+      start_url: './app.js',
+    });
+    await _flush();
+    assert.strictEqual(await api.waitForLoads(10), 1);
+
+    setTimeout(() => {
+      loads.get('/app.js').accept({
+        default: () => null,
+      });
+    });
+    assert.strictEqual(await api.waitForLoads(1000), 0);
+    assert.strictEqual(sceneResult.apps[0].ok, true);
+    api.endScene();
+  });
+
+  it('reports loads that fail after their scene ended', async () => {
+    const {api, loads} = _makeApi();
+    const sceneResult = api.beginScene('test.scn');
+    api.createApp({
+      start_url: './app.js',
+    });
+    await _flush();
+    // as the harness marks loads that ran out of time
+    sceneResult.apps[0].error = {
+      message: 'still loading',
+      stack: '',
+    };
+    api.endScene();
+
+    loads.get('/app.js').reject(new Error('late failure'));
+    await api.waitForLoads(1000);
+    assert.strictEqual(sceneResult.apps[0].ok, false);
+    assert.strictEqual(sceneResult.apps[0].error.message, 'late failure');
+  });
+
+  it('does not pass loads that finish after their scene timed out', async () => {
+    const {api, loads} = _makeApi();
+    const sceneResult = api.beginScene('test.scn');
+    api.createApp({
+      start_url: './app.js',
+    });
+    await _flush();
+    sceneResult.apps[0].error = {
+      message: 'still loading',
+      stack: '',
+    };
+    api.endScene();
+
+    loads.get('/app.js').accept({
+      default: () => null,
+    });
+    await api.waitForLoads(1000);
+    assert.strictEqual(sceneResult.apps[0].ok, false);
+    assert.strictEqual(sceneResult.apps[0].error.message, 'still loading');
+  });
+
+  it('keeps errors thrown outside a scene', () => {
+    const {api} = _makeApi();
+    const sceneResult = api.beginScene('test.scn');
+    api.reportError(new Error('in scene'));
+    api.endScene();
+    api.reportError(new Error('outside'));
+
+    assert.deepStrictEqual(sceneResult.errors.map(error => error.message), ['in scene']);
+    assert.deepStrictEqual(api.errors.map(error => error.message), ['outside']);
+  });
+});
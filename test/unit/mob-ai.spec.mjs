@@ -0,0 +1,183 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+const playerPhysicsId = 7;
+
+// a mob body that walks where the ai says, unless it is blocked
+const _makeBody = position => {
+  const body = {
+    position: new THREE.Vector3().fromArray(position),
+    hp: 1,
+    blocked: false,
+    attacker: {},
+    getPhysicsObjects: () => [],
+    getPosition: target => target.copy(body.position),
+    getHp: () => body.hp,
+    heal() {
+      body.hp = 1;
+    },
+    move(direction, distance) {
+      if (!body.blocked) {
+        body.position.addScaledVector(direction, distance);
+      }
+    },
+    lookAt() {},
+    telegraph() {},
+  };
+  return body;
+};
+const _makeLocalPlayer = position => {
+  const localPlayer = new THREE.Object3D();
+  localPlayer.position.fromArray(position);
+  localPlayer.hits = [];
+  localPlayer.characterHitter = {
+    isDead: () => false,
+    getHit(damage) {
+      localPlayer.hits.push(damage);
+    },
+  };
+  localPlayer.characterController = {
+    physicsId: playerPhysicsId,
+  };
+  return localPlayer;
+};
+const _makeMob = async (json, {position = [0, 0, 0], playerPosition = [50, 0, 0]} = {}) => {
+  const localPlayer = _makeLocalPlayer(playerPosition);
+  const {MobAi} = await importIsolated('mob-ai.js', {
+    three: THREE,
+    './areas.js': await importIsolated('areas.js', {
+      three: THREE,
+    }),
+    './renderer.js': {
+      scene: new THREE.Scene(),
+    },
+    './physics-manager.js': {
+      default: {
+        // every swing lands
+        getScene: () => ({
+          getCollisionObject: () => ({objectId: playerPhysicsId}),
+          enableGeometryQueries() {},
+          disableGeometryQueries() {},
+        }),
+      },
+    },
+    './damage.js': {
+      default: {
+        rollHit: attack => ({damage: attack.damage}),
+      },
+    },
+    './players.js': {
+      getLocalPlayer: () => localPlayer,
+    },
+  });
+  const body = _makeBody(position);
+  const ai = new MobAi(json, body);
+  let timestamp = 0;
+  const run = (numFrames, timeDiff = 100) => {
+    for (let i = 0; i < numFrames; i++) {
+      timestamp += timeDiff;
+      ai.update(timestamp, timeDiff);
+    }
+  };
+  return {
+    ai,
+    body,
+    localPlayer,
+    run,
+  };
+};
+
+describe('mob ai', () => {
+  it('chases the player in aggro range, winds up and attacks', async () => {
+    const {ai, localPlayer, run} = await _makeMob({
+      aggroDistance: 10,
+      walkSpeed: 10,
+      damage: 3,
+    }, {
+      playerPosition: [5, 0, 0],
+    });
+
+    run(1);
+    assert.strictEqual(ai.state, 'chase');
+    run(5);
+    assert.strictEqual(ai.state, 'windup');
+    // the default melee winds up for 400 ms
+    run(4);
+    assert.strictEqual(ai.state, 'recover');
+    assert.deepStrictEqual(localPlayer.hits, [3]);
+    run(3);
+    assert.strictEqual(ai.state, 'chase');
+  });
+
+  it('walks home past its leash, then takes the player on again', async () => {
+    const {ai, body, localPlayer, run} = await _makeMob({
+      aggroDistance: 5,
+      walkSpeed: 10,
+      leashDistance: 10,
+    }, {
+      playerPosition: [3, 0, 0],
+    });
+    run(1);
+    assert.strictEqual(ai.state, 'chase');
+
+    // pulled away past the leash
+    body.position.set(11, 0, 0);
+    localPlayer.position.set(13, 0, 0);
+    run(1);
+    assert.strictEqual(ai.state, 'return');
+    // the player follows, but the mob is still too far from home
+    run(2);
+    localPlayer.position.copy(body.position).add(new THREE.Vector3(-2, 0, 0));
+    run(1);
+    assert.strictEqual(ai.state, 'return');
+
+    // back within half of the leash
+    run(4);
+    localPlayer.position.copy(body.position).add(new THREE.Vector3(2, 0, 0));
+    run(1);
+    assert.strictEqual(ai.state, 'chase');
+  });
+
+  it('makes its home where it gets stuck on the way back', async () => {
+    const {ai, body, localPlayer, run} = await _makeMob({
+      aggroDistance: 5,
+      walkSpeed: 1,
+      leashDistance: 10,
+    }, {
+      position: [0, 0, 0],
+    });
+    body.position.set(20, 0, 0);
+    body.hp = 0.5;
+    body.blocked = true;
+    run(1);
+    assert.strictEqual(ai.state, 'return');
+
+    // a few seconds without getting closer
+    run(35);
+    assert.strictEqual(ai.state, 'idle');
+    assert.strictEqual(body.hp, 1);
+    assert.deepStrictEqual(ai.home.toArray(), [20, 0, 0]);
+
+    // and is no longer stuck ignoring the player
+    localPlayer.position.set(23, 0, 0);
+    run(1);
+    assert.strictEqual(ai.state, 'chase');
+  });
+
+  it('flees under its flee hp', async () => {
+    const {ai, body, run} = await _makeMob({
+      aggroDistance: 10,
+      walkSpeed: 1,
+      fleeHp: 0.3,
+    }, {
+      playerPosition: [5, 0, 0],
+    });
+    run(1);
+    body.hp = 0.2;
+    run(1);
+    assert.strictEqual(ai.state, 'flee');
+    run(1);
+    assert.ok(body.position.x < 0);
+  });
+});
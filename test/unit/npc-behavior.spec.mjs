@@ -0,0 +1,122 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+const _round = v => v.toArray().map(n => Math.round(n * 10) / 10 + 0);
+
+// walks straight, moving the npc as far as it asks
+const _makeNpcPlayer = position => {
+  const npcPlayer = new THREE.Object3D();
+  npcPlayer.name = 'guard';
+  npcPlayer.position.fromArray(position);
+  npcPlayer.characterController = {
+    physicsId: 1,
+  };
+  npcPlayer.characterPhysics = {
+    applyWasd(v) {
+      npcPlayer.position.add(v);
+    },
+  };
+  return npcPlayer;
+};
+const _makeBehavior = async (spec, position = [0, 0, 0]) => {
+  const {NpcBehavior} = await importIsolated('npc-behavior.js', {
+    three: THREE,
+    './npc-utils.js': {
+      PathFinder: class {
+        getPath() {
+          return null;
+        }
+      },
+    },
+  });
+  const npcPlayer = _makeNpcPlayer(position);
+  const behavior = new NpcBehavior({
+    npcPlayer,
+    spawnPosition: npcPlayer.position,
+    spec,
+  });
+  return {
+    behavior,
+    npcPlayer,
+  };
+};
+const _run = (behavior, localPlayer, numFrames, timeDiff = 10) => {
+  for (let i = 0; i < numFrames; i++) {
+    behavior.update(0, timeDiff, localPlayer);
+  }
+};
+const _makeLocalPlayer = position => {
+  const localPlayer = new THREE.Object3D();
+  localPlayer.position.fromArray(position);
+  return localPlayer;
+};
+
+describe('npc behavior', () => {
+  it('patrols its waypoints in a loop', async () => {
+    const {behavior, npcPlayer} = await _makeBehavior({
+      behavior: 'patrol',
+      patrol: [[0, 0, 0], [3, 0, 0]],
+    });
+    const localPlayer = _makeLocalPlayer([50, 0, 0]);
+
+    // the first waypoint is where it stands
+    _run(behavior, localPlayer, 1);
+    assert.strictEqual(behavior.patrolIndex, 1);
+    _run(behavior, localPlayer, 10);
+    assert.strictEqual(behavior.patrolIndex, 0);
+    assert.ok(npcPlayer.position.x > 2.5);
+    _run(behavior, localPlayer, 10);
+    assert.strictEqual(behavior.patrolIndex, 1);
+    assert.ok(npcPlayer.position.x < 1);
+  });
+
+  it('only takes the states its spec declares', async () => {
+    const {behavior} = await _makeBehavior({
+      wander: 5,
+    });
+    assert.strictEqual(behavior.state, 'idle');
+    assert.strictEqual(behavior.setState('patrol'), false);
+    assert.strictEqual(behavior.setState('wander'), true);
+    assert.strictEqual(behavior.state, 'wander');
+    assert.strictEqual(behavior.setState('flee'), false);
+  });
+
+  it('approaches the player in its radius without leaving its post', async () => {
+    const {behavior, npcPlayer} = await _makeBehavior({
+      behavior: 'guard',
+      guard: 4,
+    });
+
+    const localPlayer = _makeLocalPlayer([3, 0, 0]);
+    _run(behavior, localPlayer, 10);
+    // stopping within talking distance
+    assert.deepStrictEqual(_round(npcPlayer.position), [1.2, 0, 0]);
+
+    localPlayer.position.set(10, 0, 0);
+    _run(behavior, localPlayer, 10);
+    // back at its post
+    assert.ok(npcPlayer.position.x < 0.5);
+  });
+
+  it('runs away when hit, then goes back to what it was doing', async () => {
+    const {behavior, npcPlayer} = await _makeBehavior({
+      behavior: 'patrol',
+      patrol: [[0, 0, 0], [3, 0, 0]],
+      flee: {
+        distance: 10,
+        duration: 1,
+      },
+    });
+    const localPlayer = _makeLocalPlayer([50, 0, 0]);
+
+    // hit from the +x side
+    behavior.startFlee(new THREE.Vector3(-1, 0, 0));
+    assert.strictEqual(behavior.state, 'flee');
+    _run(behavior, localPlayer, 10);
+    assert.ok(npcPlayer.position.x < -9);
+
+    _run(behavior, localPlayer, 90);
+    assert.strictEqual(behavior.state, 'patrol');
+  });
+});
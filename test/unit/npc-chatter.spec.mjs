@@ -0,0 +1,151 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+const conversationCooldown = 30 * 1000;
+const lineInterval = 4 * 1000;
+
+const _makeNpc = (name, position) => {
+  const npc = new THREE.Object3D();
+  npc.name = name;
+  npc.playerId = name + 'Id';
+  npc.npcApp = {};
+  npc.avatar = {};
+  npc.position.fromArray(position);
+  return npc;
+};
+const _makeNpcChatter = async ({npcs, lines}) => {
+  const localPlayer = new THREE.Object3D();
+  const said = [];
+  const story = Object.assign(new EventTarget(), {
+    conversation: null,
+    getConversation() {
+      return this.conversation;
+    },
+  });
+  const {default: npcChatter} = await importIsolated('npc-chatter.js', {
+    'metaversefile': {
+      default: {
+        useLoreAIScene: () => ({
+          generateChatMessage: async (messages, name) => lines.shift() ?? {
+            value: '',
+            done: true,
+          },
+        }),
+      },
+    },
+    './npc-manager.js': {
+      default: {
+        npcs,
+      },
+    },
+    './story.js': {
+      default: story,
+    },
+    './chat-manager.js': {
+      chatManager: {
+        addPlayerMessage(player, m) {
+          said.push([player.name, m.message]);
+        },
+      },
+    },
+    './players.js': {
+      getLocalPlayer: () => localPlayer,
+    },
+    './util.js': {
+      makeId: () => 'chatId',
+    },
+  });
+  return {
+    npcChatter,
+    story,
+    said,
+  };
+};
+const _line = (value, done = false) => ({
+  value,
+  emote: 'none',
+  done,
+});
+// lets the generated line land
+const _waitForLine = () => new Promise(resolve => setTimeout(resolve));
+
+describe('npc chatter', () => {
+  it('has npcs in earshot take turns after the cooldown', async () => {
+    const npcs = [
+      _makeNpc('alice', [0, 0, 0]),
+      _makeNpc('bob', [2, 0, 0]),
+      _makeNpc('carol', [50, 0, 0]),
+    ];
+    const {npcChatter, said} = await _makeNpcChatter({
+      npcs,
+      lines: [
+        _line('Nice day.'),
+        _line('It is.', true),
+      ],
+    });
+
+    npcChatter.update(0, conversationCooldown - 1);
+    assert.strictEqual(npcChatter.conversation, null);
+    npcChatter.update(0, 1);
+    npcChatter.update(0, 0);
+    await _waitForLine();
+    npcChatter.update(0, lineInterval);
+    await _waitForLine();
+
+    assert.deepStrictEqual(said.map(([, message]) => message), ['Nice day.', 'It is.']);
+    const [first, second] = said.map(([name]) => name);
+    assert.deepStrictEqual([first, second].sort(), ['alice', 'bob']);
+    // the last line ends the conversation
+    assert.strictEqual(npcChatter.conversation, null);
+  });
+
+  it('stops when the player starts a conversation', async () => {
+    const {npcChatter, story} = await _makeNpcChatter({
+      npcs: [
+        _makeNpc('alice', [0, 0, 0]),
+        _makeNpc('bob', [2, 0, 0]),
+      ],
+      lines: [],
+    });
+    npcChatter.update(0, conversationCooldown);
+    assert.notStrictEqual(npcChatter.conversation, null);
+
+    story.conversation = {};
+    story.dispatchEvent(new Event('conversationstart'));
+    assert.strictEqual(npcChatter.conversation, null);
+    npcChatter.update(0, conversationCooldown);
+    assert.strictEqual(npcChatter.conversation, null);
+  });
+
+  it('stops when the speakers walk apart', async () => {
+    const npcs = [
+      _makeNpc('alice', [0, 0, 0]),
+      _makeNpc('bob', [2, 0, 0]),
+    ];
+    const {npcChatter, said} = await _makeNpcChatter({
+      npcs,
+      lines: [
+        _line('Nice day.'),
+      ],
+    });
+    npcChatter.update(0, conversationCooldown);
+    npcs[1].position.set(10, 0, 0);
+    npcChatter.update(0, 0);
+    await _waitForLine();
+    assert.strictEqual(npcChatter.conversation, null);
+    assert.deepStrictEqual(said, []);
+  });
+
+  it('does not start conversations out of the player\'s hearing', async () => {
+    const {npcChatter} = await _makeNpcChatter({
+      npcs: [
+        _makeNpc('alice', [30, 0, 0]),
+        _makeNpc('bob', [32, 0, 0]),
+      ],
+      lines: [],
+    });
+    npcChatter.update(0, conversationCooldown);
+    assert.strictEqual(npcChatter.conversation, null);
+  });
+});
@@ -0,0 +1,111 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+const _makeQuestManager = async ({log = null} = {}) => {
+  const xps = [];
+  const {default: questManager} = await importIsolated('quest-manager.js', {
+    three: THREE,
+    './areas.js': await importIsolated('areas.js', {
+      three: THREE,
+    }),
+    'metaversefile': {
+      default: {
+        waitForSceneLoaded: async () => {},
+      },
+    },
+    './players.js': {
+      getLocalPlayer: () => ({
+        playerStats: {
+          addXp(xp) {
+            xps.push(xp);
+          },
+        },
+      }),
+    },
+    './storage.js': {
+      get: async () => log,
+      set: async () => {},
+    },
+  });
+  return {
+    questManager,
+    xps,
+  };
+};
+const _makeQuestApp = () => {
+  const app = new THREE.Object3D();
+  app.json = {
+    id: 'survive',
+    name: 'Survive',
+    conditions: [
+      {
+        key: 'survive',
+        value: 1,
+      },
+    ],
+    xp: 50,
+  };
+  return app;
+};
+// lets the quest start after the log and the scene load
+const _waitForStart = () => new Promise(resolve => setTimeout(resolve));
+
+describe('quest manager', () => {
+  it('pays xp once when a quest completes', async () => {
+    const {questManager, xps} = await _makeQuestManager();
+    const quest = questManager.addQuest(_makeQuestApp());
+    await _waitForStart();
+
+    questManager.update(0, 1000);
+    quest.complete();
+    assert.strictEqual(quest.state, 'completed');
+    assert.deepStrictEqual(xps, [50]);
+  });
+
+  it('does not pay xp for a quest the log has completed', async () => {
+    const {questManager, xps} = await _makeQuestManager();
+    const quest = questManager.addQuest(_makeQuestApp());
+    await _waitForStart();
+    questManager.update(0, 1000);
+
+    // the same quest, in another world, before the log knew it was completed
+    const otherQuest = questManager.addQuest(_makeQuestApp());
+    otherQuest.start(null);
+    otherQuest.complete();
+    assert.strictEqual(quest.state, 'completed');
+    assert.deepStrictEqual(xps, [50]);
+  });
+
+  it('does not start quests completed in a saved log', async () => {
+    const {questManager, xps} = await _makeQuestManager({
+      log: [
+        {
+          id: 'survive',
+          name: 'Survive',
+          state: 'completed',
+          objectives: [],
+        },
+      ],
+    });
+    const quest = questManager.addQuest(_makeQuestApp());
+    await _waitForStart();
+
+    questManager.update(0, 1000);
+    assert.strictEqual(questManager.quests.length, 0);
+    assert.strictEqual(quest.destroyed, true);
+    assert.deepStrictEqual(xps, []);
+  });
+
+  it('does not complete quests without conditions', async () => {
+    const {questManager, xps} = await _makeQuestManager();
+    const app = _makeQuestApp();
+    app.json.conditions = [];
+    const quest = questManager.addQuest(app);
+    await _waitForStart();
+
+    questManager.update(0, 1000);
+    assert.strictEqual(quest.state, 'active');
+    assert.deepStrictEqual(xps, []);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+const _makeApp = (components, position) => {
+  const app = new THREE.Object3D();
+  app.getComponent = key => components[key];
+  app.position.fromArray(position);
+  app.updateMatrixWorld();
+  return app;
+};
+const _makePlayer = () => {
+  const player = new THREE.Object3D();
+  let dead = false;
+  player.characterHitter = {
+    isDead: () => dead,
+    die() {
+      dead = true;
+      player.dispatchEvent({
+        type: 'die',
+        attacker: null,
+      });
+    },
+    revive() {
+      dead = false;
+    },
+  };
+  player.characterPhysics = {
+    reset() {},
+  };
+  player.setSpawnPoint = (position, quaternion) => {
+    player.position.copy(position);
+    player.quaternion.copy(quaternion);
+  };
+  return player;
+};
+const _makeRespawnManager = async ({apps = []} = {}) => {
+  const players = {
+    localPlayer: _makePlayer(),
+  };
+  const {default: respawnManager} = await importIsolated('respawn-manager.js', {
+    three: THREE,
+    './areas.js': await importIsolated('areas.js', {
+      three: THREE,
+    }),
+    'metaversefile': {
+      default: {
+        useLocalPlayer: () => players.localPlayer,
+      },
+    },
+    './camera-manager.js': {
+      default: {
+        pointerLockElement: null,
+        addShake() {},
+        startCinematicScript() {},
+        stopCinematicScript() {},
+      },
+    },
+    './renderer.js': {
+      camera: new THREE.PerspectiveCamera(),
+    },
+    './universe.js': {
+      default: new EventTarget(),
+    },
+    './world.js': {
+      world: {
+        appManager: {
+          apps,
+        },
+      },
+    },
+  });
+  respawnManager.listen();
+  const deaths = [];
+  respawnManager.addEventListener('death', e => {
+    deaths.push(e.data);
+  });
+  return {
+    respawnManager,
+    players,
+    deaths,
+  };
+};
+
+describe('respawn manager', () => {
+  it('waits for the respawn delay', async () => {
+    const {respawnManager, players, deaths} = await _makeRespawnManager();
+    players.localPlayer.characterHitter.die();
+    assert.strictEqual(deaths.length, 1);
+    assert.strictEqual(respawnManager.canRespawn(), false);
+
+    respawnManager.respawn();
+    assert.strictEqual(respawnManager.isDead(), true);
+    respawnManager.respawnTime = performance.now();
+    respawnManager.respawn();
+    assert.strictEqual(respawnManager.isDead(), false);
+  });
+
+  it('respawns at the last checkpoint entered, else at the spawn point', async () => {
+    const spawnPoint = _makeApp({spawnPoint: true}, [0, 0, 0]);
+    const checkpoint = _makeApp({checkpoint: true}, [20, 0, 0]);
+    const {respawnManager, players} = await _makeRespawnManager({
+      apps: [spawnPoint, checkpoint],
+    });
+    const {localPlayer} = players;
+    assert.strictEqual(respawnManager.getRespawnApp(), spawnPoint);
+
+    localPlayer.position.set(21, 1, 0);
+    respawnManager.update(0);
+    assert.strictEqual(respawnManager.checkpoint, checkpoint);
+
+    localPlayer.position.set(50, 1, 0);
+    localPlayer.characterHitter.die();
+    respawnManager.respawnTime = performance.now();
+    respawnManager.respawn();
+    assert.deepStrictEqual(localPlayer.position.toArray(), [20, 0, 0]);
+  });
+
+  it('follows the local player when switching characters', async () => {
+    const {respawnManager, players, deaths} = await _makeRespawnManager();
+    const oldPlayer = players.localPlayer;
+    players.localPlayer = _makePlayer();
+    respawnManager.update(0);
+
+    oldPlayer.characterHitter.die();
+    assert.strictEqual(deaths.length, 0);
+    players.localPlayer.characterHitter.die();
+    assert.strictEqual(deaths.length, 1);
+    assert.strictEqual(respawnManager.isDead(), true);
+  });
+});
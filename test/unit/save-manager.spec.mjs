@@ -0,0 +1,143 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+// the tracked apps of a single-player world, as the app manager keeps them
+const _makeAppManager = () => {
+  const appsArray = [];
+  appsArray.doc = {
+    transact: fn => fn(),
+  };
+  return {
+    appsArray,
+    pendingAddPromises: new Map(),
+    clear() {
+      appsArray.length = 0;
+    },
+    addTrackedAppInternal(instanceId, contentId, transform, components) {
+      const trackedApp = new Map([
+        ['instanceId', instanceId],
+        ['contentId', contentId],
+        ['transform', transform],
+        ['components', components],
+      ]);
+      appsArray.push(trackedApp);
+      return trackedApp;
+    },
+    exportJSON() {
+      return appsArray.map(trackedApp => ({
+        instanceId: trackedApp.get('instanceId'),
+        transform: trackedApp.get('transform'),
+        components: trackedApp.get('components'),
+        contentId: trackedApp.get('contentId'),
+      }));
+    },
+  };
+};
+const _addApp = (appManager, instanceId, x = 0) => {
+  const transform = new Float32Array([x, 0, 0, 0, 0, 0, 1, 1, 1, 1]);
+  appManager.addTrackedAppInternal(instanceId, `/${instanceId}.glb`, transform, []);
+};
+const _makePlayer = () => {
+  const player = new THREE.Object3D();
+  player.getActionsArray = () => [];
+  player.getAvatarApp = () => null;
+  player.setSpawnPoint = (position, quaternion) => {
+    player.position.copy(position);
+    player.quaternion.copy(quaternion);
+  };
+  return player;
+};
+
+const _makeSaveManager = async () => {
+  const appManager = _makeAppManager();
+  const storage = new Map();
+  const localPlayer = _makePlayer();
+  // entering a world adds its scene's apps, as the scene file does
+  const universe = Object.assign(new EventTarget(), {
+    currentWorld: null,
+    isConnected: () => false,
+    isSceneLoaded: () => true,
+    async enterWorld(worldSpec, {sceneApps = true} = {}) {
+      appManager.clear();
+      if (sceneApps) {
+        _addApp(appManager, 'tree');
+        _addApp(appManager, 'rock');
+      }
+      this.currentWorld = worldSpec;
+    },
+  });
+
+  // the autosave interval would keep the test run alive
+  const {setInterval} = globalThis;
+  globalThis.setInterval = (fn, t) => setInterval(fn, t).unref();
+  const {default: saveManager} = await importIsolated('save-manager.js', {
+    three: THREE,
+    './universe.js': {
+      default: universe,
+    },
+    './world.js': {
+      world: {
+        appManager,
+      },
+    },
+    './players.js': {
+      getLocalPlayer: () => localPlayer,
+    },
+    './storage.js': {
+      get: async key => storage.get(key) ?? null,
+      set: async (key, value) => {
+        storage.set(key, structuredClone(value));
+      },
+    },
+  }).finally(() => {
+    globalThis.setInterval = setInterval;
+  });
+  return {
+    saveManager,
+    universe,
+    appManager,
+    localPlayer,
+  };
+};
+const _getInstanceIds = appManager => appManager.appsArray.map(trackedApp => trackedApp.get('instanceId'));
+
+describe('save manager', () => {
+  it('restores the saved apps without duplicating the scene', async () => {
+    const {saveManager, universe, appManager, localPlayer} = await _makeSaveManager();
+    await universe.enterWorld({
+      src: './scenes/test.scn',
+    });
+    // the builder moves a scene app, deletes another and adds one
+    appManager.appsArray[0].set('transform', new Float32Array([5, 0, 0, 0, 0, 0, 1, 1, 1, 1]));
+    appManager.appsArray.splice(1, 1);
+    _addApp(appManager, 'chair', 2);
+    localPlayer.position.set(1, 2, 3);
+    await saveManager.saveWorld('mine');
+
+    await universe.enterWorld({
+      src: '',
+    });
+    localPlayer.position.set(0, 0, 0);
+    await saveManager.loadWorld('mine');
+
+    assert.deepStrictEqual(universe.currentWorld, {src: './scenes/test.scn'});
+    assert.deepStrictEqual(_getInstanceIds(appManager), ['tree', 'chair']);
+    assert.strictEqual(appManager.appsArray[0].get('transform')[0], 5);
+    assert.strictEqual(appManager.appsArray[1].get('contentId'), '/chair.glb');
+    assert.deepStrictEqual(localPlayer.position.toArray(), [1, 2, 3]);
+  });
+
+  it('saves the same apps again after a load', async () => {
+    const {saveManager, universe, appManager} = await _makeSaveManager();
+    await universe.enterWorld({
+      src: './scenes/test.scn',
+    });
+    const saved = await saveManager.saveWorld('mine');
+
+    await saveManager.loadWorld('mine');
+    const resaved = await saveManager.saveWorld('mine');
+    assert.deepStrictEqual(resaved.apps, saved.apps);
+    assert.strictEqual(appManager.appsArray.length, 2);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+// tracked apps are yjs maps in the app; these keep the parts the undo manager reads
+const _makeTrackedApp = (instanceId, transform) => {
+  const values = new Map([
+    ['instanceId', instanceId],
+    ['contentId', 'app.glb'],
+    ['transform', Float32Array.from(transform)],
+    ['components', []],
+  ]);
+  return {
+    get: key => values.get(key),
+    set: (key, value) => {
+      values.set(key, value);
+    },
+  };
+};
+const _makeAppManager = () => {
+  const trackedApp = _makeTrackedApp('a', [0, 0, 0, 0, 0, 0, 1, 1, 1, 1]);
+  const appsArray = [trackedApp];
+  appsArray.doc = {
+    transact: fn => fn(),
+  };
+  // the transform apps were moved to, pushed to the apps array once per frame
+  let pendingTransform = null;
+  return {
+    appsArray,
+    getTrackedApp: instanceId => appsArray.find(trackedApp => trackedApp.get('instanceId') === instanceId) ?? null,
+    getAppByInstanceId: () => null,
+    moveApp(transform) {
+      pendingTransform = Float32Array.from(transform);
+    },
+    pushAppUpdates() {
+      if (pendingTransform) {
+        trackedApp.set('transform', pendingTransform);
+        pendingTransform = null;
+      }
+    },
+    getTransform: () => Array.from(trackedApp.get('transform')),
+  };
+};
+const _makeUndoManager = async appManager => {
+  const {default: undoManager} = await importIsolated('undo-manager.js', {
+    three: THREE,
+    './world.js': {
+      world: {
+        appManager,
+      },
+    },
+  });
+  return undoManager;
+};
+
+describe('undo manager', () => {
+  it('records moves that were not pushed yet when the edit ends', async () => {
+    const appManager = _makeAppManager();
+    const undoManager = await _makeUndoManager(appManager);
+
+    undoManager.beginEdit();
+    // released in the same frame as the last move
+    appManager.moveApp([1, 2, 3, 0, 0, 0, 1, 1, 1, 1]);
+    undoManager.endEdit();
+    assert.strictEqual(undoManager.canUndo(), true);
+    assert.deepStrictEqual(appManager.getTransform().slice(0, 3), [1, 2, 3]);
+
+    await undoManager.undo();
+    assert.deepStrictEqual(appManager.getTransform().slice(0, 3), [0, 0, 0]);
+    await undoManager.redo();
+    assert.deepStrictEqual(appManager.getTransform().slice(0, 3), [1, 2, 3]);
+  });
+
+  it('does not record edits that change nothing', async () => {
+    const appManager = _makeAppManager();
+    const undoManager = await _makeUndoManager(appManager);
+
+    undoManager.transact(() => {});
+    assert.strictEqual(undoManager.canUndo(), false);
+  });
+});
@@ -0,0 +1,48 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+import {validateScene} from '../../scripts/validate-scenes.mjs';
+
+const dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const scenesDir = path.join(dirname, '..', '..', 'scenes');
+
+const _validateObjects = objects => validateScene(path.join(scenesDir, 'test.scn'), JSON.stringify({objects}, null, 2));
+const _getErrors = problems => problems.filter(problem => problem.severity === 'error');
+
+describe('scene validation', () => {
+  it('finds no errors in the listed scenes', () => {
+    const sceneNames = JSON.parse(fs.readFileSync(path.join(scenesDir, 'scenes.json'), 'utf8'));
+    for (const sceneName of sceneNames) {
+      const errors = _getErrors(validateScene(path.join(scenesDir, sceneName)));
+      assert.deepStrictEqual(errors, [], sceneName);
+    }
+  });
+
+  it('reports scales with the wrong number of items', () => {
+    const errors = _getErrors(_validateObjects([
+      {
+        start_url: 'https://example.com/a.glb',
+        scale: [5, 5, 5, 5],
+      },
+    ]));
+    assert.deepStrictEqual(errors.map(({pointer, message}) => [pointer, message]), [
+      ['/objects/0/scale', 'expected at most 3 items but found 4'],
+    ]);
+  });
+
+  it('reports missing relative start_urls as errors and missing root ones as warnings', () => {
+    const problems = _validateObjects([
+      {
+        start_url: './missing.glb',
+      },
+      {
+        start_url: '/avatars/missing.vrm',
+      },
+    ]);
+    assert.deepStrictEqual(problems.map(({severity, pointer}) => [severity, pointer]), [
+      ['error', '/objects/0/start_url'],
+      ['warning', '/objects/1/start_url'],
+    ]);
+  });
+});
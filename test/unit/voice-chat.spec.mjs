@@ -0,0 +1,203 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {installGlobals} from '../headless/globals.mjs';
+import {importIsolated} from './isolate.mjs';
+
+// web audio nodes, keeping the values the voice chat sets
+class AudioParam {
+  constructor(value = 0) {
+    this.value = value;
+  }
+  setTargetAtTime(value) {
+    this.value = value;
+  }
+}
+class AudioNode {
+  constructor(context) {
+    this.context = context;
+  }
+  connect() {}
+  disconnect() {}
+}
+class PannerNode extends AudioNode {
+  constructor(context) {
+    super(context);
+    this.positionX = new AudioParam();
+    this.positionY = new AudioParam();
+    this.positionZ = new AudioParam();
+  }
+}
+class BiquadFilterNode extends AudioNode {
+  constructor(context, {frequency}) {
+    super(context);
+    this.frequency = new AudioParam(frequency);
+  }
+}
+class GainNode extends AudioNode {
+  constructor(context) {
+    super(context);
+    this.gain = new AudioParam(1);
+  }
+}
+const _makeAudioContext = () => ({
+  currentTime: 0,
+  listener: {
+    setPosition() {},
+    setOrientation() {},
+  },
+});
+
+const _makeZoneApp = name => {
+  const app = new THREE.Object3D();
+  app.instanceId = name;
+  app.getComponent = key => ({
+    voiceZone: name,
+    size: [10, 4, 10],
+  })[key];
+  app.updateMatrixWorld();
+  return app;
+};
+const _makePlayer = (name, position) => {
+  const player = new THREE.Object3D();
+  player.name = name;
+  player.playerId = name + 'Id';
+  player.position.fromArray(position);
+  return player;
+};
+
+const _makeVoiceChat = async ({apps = [], storage = new Map(), occluded = false} = {}) => {
+  installGlobals('http://localhost/');
+  globalThis.localStorage = {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => {
+      storage.set(key, value);
+    },
+  };
+  Object.assign(globalThis, {
+    PannerNode,
+    BiquadFilterNode,
+    GainNode,
+  });
+
+  const localPlayer = _makePlayer('local', [0, 0, 0]);
+  const {default: voiceChat} = await importIsolated('voice-chat.js', {
+    three: THREE,
+    './areas.js': await importIsolated('areas.js', {
+      three: THREE,
+    }),
+    'metaversefile': {
+      default: {
+        useLocalPlayer: () => localPlayer,
+      },
+    },
+    './renderer.js': {
+      camera: new THREE.PerspectiveCamera(),
+    },
+    './physics-manager.js': {
+      default: {
+        getScene: () => ({
+          raycast: () => occluded ? {distance: 1} : null,
+        }),
+      },
+    },
+    './world.js': {
+      world: {
+        appManager: {
+          apps,
+        },
+      },
+    },
+  });
+  const connect = player => {
+    voiceChat.connectPlayer(player, new AudioNode(_makeAudioContext()), null);
+    return voiceChat.voices.get(player);
+  };
+  return {
+    voiceChat,
+    localPlayer,
+    storage,
+    connect,
+  };
+};
+
+describe('voice chat', () => {
+  it('plays nearby voices at their volume', async () => {
+    const {voiceChat, connect} = await _makeVoiceChat();
+    const player = _makePlayer('alice', [3, 0, 0]);
+    const voice = connect(player);
+    voiceChat.setPlayerVolume(player, 0.5);
+
+    voiceChat.update(1000);
+    assert.strictEqual(voice.gain.gain.value, 0.5);
+    assert.strictEqual(voice.panner.positionX.value, 3);
+  });
+
+  it('silences muted players', async () => {
+    const {voiceChat, connect} = await _makeVoiceChat();
+    const player = _makePlayer('alice', [3, 0, 0]);
+    const voice = connect(player);
+    voiceChat.setPlayerMuted(player, true);
+
+    voiceChat.update(1000);
+    assert.strictEqual(voice.gain.gain.value, 0);
+  });
+
+  it('muffles voices behind walls', async () => {
+    const {voiceChat, connect} = await _makeVoiceChat({occluded: true});
+    const voice = connect(_makePlayer('alice', [3, 0, 0]));
+
+    voiceChat.update(1000);
+    assert.strictEqual(voice.gain.gain.value, 0.4);
+    assert.strictEqual(voice.filter.frequency.value, 800);
+  });
+
+  it('routes voice zones to the players in them', async () => {
+    const zoneApp = _makeZoneApp('stage');
+    const {voiceChat, localPlayer, connect} = await _makeVoiceChat({
+      apps: [zoneApp],
+    });
+    const inside = connect(_makePlayer('alice', [4, 1, 4]));
+    const outside = connect(_makePlayer('bob', [6, 1, 0]));
+
+    // the listener is outside of the zone
+    localPlayer.position.set(7, 1, 0);
+    voiceChat.update(1000);
+    assert.strictEqual(inside.gain.gain.value, 0);
+    assert.strictEqual(outside.gain.gain.value, 1);
+
+    // and then in it, where the zone is heard at full volume, unmuffled
+    localPlayer.position.set(-4, 1, -4);
+    voiceChat.update(2000);
+    assert.strictEqual(inside.gain.gain.value, 1);
+    assert.strictEqual(inside.filter.frequency.value, 22050);
+    assert.strictEqual(outside.gain.gain.value, 0);
+  });
+
+  it('keeps player settings by name across sessions', async () => {
+    const {voiceChat, storage} = await _makeVoiceChat();
+    voiceChat.setPlayerMuted(_makePlayer('alice', [0, 0, 0]), true);
+    voiceChat.setPlayerVolume(_makePlayer('bob', [0, 0, 0]), 2);
+
+    const {voiceChat: nextVoiceChat} = await _makeVoiceChat({storage});
+    // the same players, with new ids
+    const alice = _makePlayer('alice', [0, 0, 0]);
+    alice.playerId = 'otherId';
+    assert.deepStrictEqual(nextVoiceChat.getPlayerSettings(alice), {muted: true, volume: 1});
+    assert.deepStrictEqual(nextVoiceChat.getPlayerSettings(_makePlayer('bob', [0, 0, 0])), {muted: false, volume: 1});
+  });
+
+  it('lists the players whose voices are connected', async () => {
+    const {voiceChat, connect} = await _makeVoiceChat();
+    const player = _makePlayer('alice', [0, 0, 0]);
+    const changes = [];
+    voiceChat.addEventListener('playerschange', e => {
+      changes.push(e.data.players.length);
+    });
+
+    connect(player);
+    assert.deepStrictEqual(voiceChat.getPlayers(), [player]);
+    voiceChat.disconnectPlayer(player);
+    assert.deepStrictEqual(voiceChat.getPlayers(), []);
+    assert.deepStrictEqual(changes, [1, 0]);
+  });
+});
@@ -0,0 +1,42 @@
+import assert from 'assert';
+import {importIsolated} from './isolate.mjs';
+
+// every client has its own key pair, so each player gets its own copy of the module
+const _makePlayer = async () => {
+  const whispers = await importIsolated('whispers.js');
+  const player = {
+    name: 'player',
+    playerMap: new Map(),
+  };
+  await whispers.writeWhisperKey(player);
+  return {
+    whispers,
+    player,
+  };
+};
+
+describe('whispers', () => {
+  it('can be read by the sender and the recipient', async () => {
+    const sender = await _makePlayer();
+    const recipient = await _makePlayer();
+
+    const whisper = await sender.whispers.encryptWhisper(recipient.whispers.getWhisperKey(recipient.player), 'meet me at the fountain');
+    assert.strictEqual(await recipient.whispers.decryptWhisper(whisper), 'meet me at the fountain');
+    assert.strictEqual(await sender.whispers.decryptWhisper(whisper), 'meet me at the fountain');
+  });
+
+  it('cannot be read by anyone else in the room', async () => {
+    const sender = await _makePlayer();
+    const recipient = await _makePlayer();
+    const other = await _makePlayer();
+
+    const whisper = await sender.whispers.encryptWhisper(recipient.whispers.getWhisperKey(recipient.player), 'meet me at the fountain');
+    assert.ok(!JSON.stringify(whisper).includes('fountain'));
+    assert.strictEqual(await other.whispers.decryptWhisper(whisper), null);
+    // claiming to be the recipient does not help without its private key
+    assert.strictEqual(await other.whispers.decryptWhisper({
+      ...whisper,
+      to: other.whispers.getWhisperKey(other.player),
+    }), null);
+  });
+});
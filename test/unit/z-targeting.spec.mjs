@@ -0,0 +1,192 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import {importIsolated} from './isolate.mjs';
+
+const _makeEnemy = (physicsId, position, hp = 10) => {
+  const app = new THREE.Object3D();
+  app.position.fromArray(position);
+  app.updateMatrixWorld();
+  app.hitTracker = {
+    hp,
+    totalHp: 10,
+  };
+  app.getPhysicsObjects = () => [{physicsId}];
+  app.physicsId = physicsId;
+  return app;
+};
+const _makePlayer = () => {
+  const player = new THREE.Object3D();
+  player.actions = new Set();
+  player.hasAction = type => player.actions.has(type);
+  player.characterHitter = {
+    isDead: () => false,
+  };
+  player.characterPhysics = {
+    facePosition: new THREE.Vector3(),
+    facePositionEnabled: false,
+    setFacePosition(position) {
+      if (position) {
+        this.facePosition.copy(position);
+        this.facePositionEnabled = true;
+      } else {
+        this.facePositionEnabled = false;
+      }
+    },
+  };
+  return player;
+};
+const _makeZTargeting = async enemies => {
+  const camera = new THREE.PerspectiveCamera();
+  camera.updateMatrixWorld();
+  const players = {
+    localPlayer: _makePlayer(),
+  };
+  const cameraLock = {
+    position: null,
+  };
+  const {default: zTargeting} = await importIsolated('z-targeting.js', {
+    three: THREE,
+    './metaversefile-api.js': {
+      default: {
+        getAppByPhysicsId: physicsId => enemies.find(app => app.physicsId === physicsId) ?? null,
+      },
+    },
+    './renderer.js': {
+      scene: new THREE.Scene(),
+      camera,
+    },
+    './camera-manager.js': {
+      default: {
+        focus: false,
+        setLockTarget(position) {
+          cameraLock.position = position?.clone() ?? null;
+        },
+      },
+    },
+    './physics-manager.js': {
+      default: {
+        getScene: () => ({
+          cookConvexGeometry: () => null,
+          createConvexShape: () => 1,
+          // everything in front of the camera, at the middle of the enemy
+          sweepConvexShape: () => enemies.map(app => ({
+            position: app.position.clone().add(new THREE.Vector3(0, 1, 0)),
+            objectId: app.physicsId,
+          })),
+        }),
+      },
+    },
+    './players.js': {
+      getLocalPlayer: () => players.localPlayer,
+    },
+  });
+  // as loaded by waitForLoad
+  zTargeting.targetReticleApp = {
+    children: [
+      {
+        setReticles() {},
+        setTargetHp() {},
+      },
+    ],
+  };
+  return {
+    zTargeting,
+    players,
+    cameraLock,
+  };
+};
+
+describe('z-targeting', () => {
+  it('locks on to the most centered enemy and faces it', async () => {
+    const center = _makeEnemy(1, [0, 0, -10]);
+    const side = _makeEnemy(2, [3, 0, -10]);
+    const {zTargeting, players, cameraLock} = await _makeZTargeting([side, center]);
+    const {characterPhysics} = players.localPlayer;
+
+    zTargeting.lockOn();
+    assert.strictEqual(zTargeting.lockTarget.app, center);
+    assert.strictEqual(characterPhysics.facePositionEnabled, true);
+    assert.deepStrictEqual(characterPhysics.facePosition.toArray(), [0, 1, -10]);
+    zTargeting.update(0);
+    assert.deepStrictEqual(cameraLock.position.toArray(), [0, 1, -10]);
+
+    zTargeting.lockOn();
+    assert.strictEqual(zTargeting.lockTarget, null);
+    assert.strictEqual(characterPhysics.facePositionEnabled, false);
+    assert.strictEqual(cameraLock.position, null);
+  });
+
+  it('leaves out dead and distant enemies', async () => {
+    const dead = _makeEnemy(1, [0, 0, -5], 0);
+    const distant = _makeEnemy(2, [0, 0, -25]);
+    const {zTargeting} = await _makeZTargeting([dead, distant]);
+
+    assert.deepStrictEqual(zTargeting.getLockCandidates(), []);
+    zTargeting.lockOn();
+    assert.strictEqual(zTargeting.lockTarget, null);
+  });
+
+  it('cycles through the enemies in view', async () => {
+    const a = _makeEnemy(1, [0, 0, -10]);
+    const b = _makeEnemy(2, [3, 0, -10]);
+    const {zTargeting} = await _makeZTargeting([a, b]);
+
+    zTargeting.cycleLockTarget();
+    assert.strictEqual(zTargeting.lockTarget.app, a);
+    zTargeting.cycleLockTarget();
+    assert.strictEqual(zTargeting.lockTarget.app, b);
+    zTargeting.cycleLockTarget();
+    assert.strictEqual(zTargeting.lockTarget.app, a);
+  });
+
+  it('ends the lock-on when the target dies or gets away', async () => {
+    const enemy = _makeEnemy(1, [0, 0, -10]);
+    const {zTargeting} = await _makeZTargeting([enemy]);
+
+    zTargeting.lockOn();
+    enemy.hitTracker.hp = 0;
+    zTargeting.update(0);
+    assert.strictEqual(zTargeting.lockTarget, null);
+
+    enemy.hitTracker.hp = 10;
+    zTargeting.lockOn();
+    enemy.position.z = -40;
+    enemy.updateMatrixWorld();
+    zTargeting.update(0);
+    assert.strictEqual(zTargeting.lockTarget, null);
+  });
+
+  it('soft locks on to close enemies for the attack', async () => {
+    const far = _makeEnemy(1, [0, -1, -8]);
+    const near = _makeEnemy(2, [1, -1, -3]);
+    const {zTargeting, players} = await _makeZTargeting([far, near]);
+    const {localPlayer} = players;
+
+    localPlayer.actions.add('use');
+    zTargeting.softLock();
+    assert.strictEqual(zTargeting.lockTarget.app, near);
+    assert.strictEqual(zTargeting.lockTarget.hard, false);
+    // facing right away, for the attack that soft locked
+    assert.strictEqual(localPlayer.characterPhysics.facePositionEnabled, true);
+
+    zTargeting.update(0);
+    assert.strictEqual(zTargeting.lockTarget.app, near);
+    localPlayer.actions.delete('use');
+    zTargeting.update(0);
+    assert.strictEqual(zTargeting.lockTarget, null);
+    assert.strictEqual(localPlayer.characterPhysics.facePositionEnabled, false);
+  });
+
+  it('stops the previous player facing the target after a character switch', async () => {
+    const enemy = _makeEnemy(1, [0, 0, -10]);
+    const {zTargeting, players} = await _makeZTargeting([enemy]);
+    const oldPlayer = players.localPlayer;
+
+    zTargeting.lockOn();
+    players.localPlayer = _makePlayer();
+    zTargeting.update(0);
+    assert.strictEqual(zTargeting.lockTarget, null);
+    assert.strictEqual(oldPlayer.characterPhysics.facePositionEnabled, false);
+    assert.strictEqual(players.localPlayer.characterPhysics.facePositionEnabled, false);
+  });
+});
@@ -2,14 +2,19 @@ import * as THREE from 'three';
 import {scene, sceneLowPriority} from './renderer.js';
 import game from './game.js';
 import TransformGizmo from './TransformGizmo.js';
+import {world} from './world.js';
+import undoManager from './undo-manager.js';
 import {capitalize} from './util.js';
 
 const localVector = new THREE.Vector3();
 const localVector2 = new THREE.Vector3();
 const localVector3 = new THREE.Vector3();
 const localVector4 = new THREE.Vector3();
+const localVector5 = new THREE.Vector3();
+const localVector6 = new THREE.Vector3();
 const localQuaternion = new THREE.Quaternion();
 const localMatrix = new THREE.Matrix4();
+const localMatrix2 = new THREE.Matrix4();
 const localPlane = new THREE.Plane();
 
 const TransformAxisConstraints = {
@@ -21,6 +26,7 @@ const TransformAxisConstraints = {
   XZ: new THREE.Vector3(1, 0, 1),
   XYZ: new THREE.Vector3(1, 1, 1)
 };
+const minScale = 0.01;
 
 const loadPromise = (async () => {
   await TransformGizmo.load();
@@ -32,6 +38,21 @@ const loadPromise = (async () => {
   transformControls.setTransformMode('translate');
 })();
 
+// the gizmo sits on the selection's shared pivot: the app itself for one app, the center for several
+const _getPivot = (apps, position, quaternion) => {
+  if (apps.length === 1) {
+    position.copy(apps[0].position);
+    quaternion.copy(apps[0].quaternion);
+  } else {
+    position.set(0, 0, 0);
+    for (const app of apps) {
+      position.add(app.position);
+    }
+    position.divideScalar(apps.length);
+    quaternion.identity();
+  }
+};
+
 // let binding = null;
 const transformControls = {
   transformGizmo: null,
@@ -41,6 +62,9 @@ const transformControls = {
   dragging: false,
   startMatrix: new THREE.Matrix4(),
   startMouseMatrix: new THREE.Matrix4(),
+  startApps: [],
+  startAppMatrices: [],
+  deltaMatrix: new THREE.Matrix4(),
   waitForLoad() {
     return loadPromise;
   },
@@ -58,36 +82,114 @@ const transformControls = {
       this.transformGizmo.position.copy(o.position);
       this.transformGizmo.quaternion.copy(o.quaternion);
       this.transformGizmo.scale.copy(o.scale);
-      
+
     }
     binding = o;
   }, */
   handleMouseDown(raycaster) {
-    this.transformAxis = this.transformGizmo?.selectAxisWithRaycaster(raycaster);
+    if (!this.transformGizmo?.visible) {
+      return;
+    }
+
+    this.transformAxis = this.transformGizmo.selectAxisWithRaycaster(raycaster);
     if (this.transformAxis) {
-      console.log('yes transform axis');
-      
       const axisInfo = this.transformGizmo.selectedAxis.axisInfo;
       this.planeNormal
         .copy(axisInfo.planeNormal)
         .applyQuaternion(this.transformGizmo.quaternion)
         .normalize();
       this.transformPlane.setFromNormalAndCoplanarPoint(this.planeNormal, this.transformGizmo.position);
-      this.dragging = true;
-      
-      this.startMatrix.copy(this.transformGizmo.matrix);
-      raycaster.ray.intersectPlane(this.transformPlane, localVector);
-      this.startMouseMatrix.compose(
-        localVector,
-        localQuaternion.set(0, 0, 0, 1),
-        localVector2.set(1, 1, 1)
-      );
+
+      if (raycaster.ray.intersectPlane(this.transformPlane, localVector)) {
+        this.dragging = true;
+
+        this.transformGizmo.updateMatrix();
+        this.startMatrix.copy(this.transformGizmo.matrix);
+        this.startMouseMatrix.compose(
+          localVector,
+          localQuaternion.set(0, 0, 0, 1),
+          localVector2.set(1, 1, 1)
+        );
+        this.startApps = game.getMouseSelectedObjects().slice();
+        this.startAppMatrices = this.startApps.map(app => app.matrix.clone());
+
+        // the whole drag is one undo step
+        undoManager.beginEdit();
+
+        world.appManager.dispatchEvent(new MessageEvent('dragchange', {
+          data: {
+            dragging: true,
+          },
+        }));
+      } else {
+        this.transformGizmo.deselectAxis();
+      }
     } else {
       // console.log('no transform axis');
     }
   },
   handleMouseUp(raycaster) {
-    this.dragging = false;
+    if (this.dragging) {
+      this.dragging = false;
+      this.transformGizmo.deselectAxis();
+      this.startApps = [];
+      this.startAppMatrices = [];
+
+      undoManager.endEdit();
+
+      world.appManager.dispatchEvent(new MessageEvent('dragchange', {
+        data: {
+          dragging: false,
+        },
+      }));
+    }
+  },
+  // delta transform of the drag so far, in world space around the pivot
+  getDeltaMatrix(startPosition, endPosition, target) {
+    const pivot = localVector5.setFromMatrixPosition(this.startMatrix);
+    const constraint = TransformAxisConstraints[this.transformAxis];
+
+    switch (this.getTransformMode()) {
+      case 'translate': {
+        const diffVector = localVector3.copy(endPosition)
+          .sub(startPosition);
+        // single axes move along the axis; planes already keep the point in the plane
+        if (this.transformAxis.length === 1) {
+          const axis = localVector4.copy(constraint)
+            .applyQuaternion(this.transformGizmo.quaternion);
+          diffVector.copy(axis.multiplyScalar(diffVector.dot(axis)));
+        }
+        return target.makeTranslation(diffVector.x, diffVector.y, diffVector.z);
+      }
+      case 'rotate': {
+        const startVector = localVector3.copy(startPosition).sub(pivot);
+        const endVector = localVector4.copy(endPosition).sub(pivot);
+        const angle = Math.atan2(
+          localVector6.crossVectors(startVector, endVector).dot(this.planeNormal),
+          startVector.dot(endVector)
+        );
+        return target.makeTranslation(pivot.x, pivot.y, pivot.z)
+          .multiply(localMatrix2.makeRotationAxis(this.planeNormal, angle))
+          .multiply(localMatrix2.makeTranslation(-pivot.x, -pivot.y, -pivot.z));
+      }
+      case 'scale': {
+        const startDistance = localVector3.copy(startPosition).sub(pivot).length();
+        const endDistance = localVector4.copy(endPosition).sub(pivot).length();
+        const factor = startDistance > 0 ? Math.max(endDistance / startDistance, minScale) : 1;
+        const scale = localVector3.set(1, 1, 1)
+          .addScaledVector(constraint, factor - 1);
+        // scale along the gizmo axes
+        localQuaternion.copy(this.transformGizmo.quaternion);
+        return target.makeTranslation(pivot.x, pivot.y, pivot.z)
+          .multiply(localMatrix2.makeRotationFromQuaternion(localQuaternion))
+          .multiply(localMatrix2.makeScale(scale.x, scale.y, scale.z))
+          .multiply(localMatrix2.makeRotationFromQuaternion(localQuaternion.invert()))
+          .multiply(localMatrix2.makeTranslation(-pivot.x, -pivot.y, -pivot.z));
+      }
+      default: {
+        return target.identity();
+      }
+    }
   },
   handleMouseMove(raycaster) {
     if (this.transformGizmo) {
@@ -99,40 +201,38 @@ const transformControls = {
           .sub(this.transformRay.origin);
         this.transformRay.intersectPlane(this.transformPlane, this.planeIntersection); */
 
-        raycaster.ray.intersectPlane(this.transformPlane, localVector);
-        const endPosition = localVector;
-        this.startMouseMatrix.decompose(
-          localVector2,
-          localQuaternion,
-          localVector3
-        );
-        const startPosition = localVector2;
-        const diffVector = localVector3.copy(endPosition)
-          .sub(startPosition);
-      
-        this.transformGizmo.matrix.copy(this.startMatrix)
-          .premultiply(
-            localMatrix.compose(
-              diffVector,
-              localQuaternion.set(0, 0, 0, 1),
-              localVector4.set(1, 1, 1)
-            )
-          );
-
-        const constraint = TransformAxisConstraints[this.transformAxis];
+        if (raycaster.ray.intersectPlane(this.transformPlane, localVector)) {
+          const endPosition = localVector;
+          const startPosition = localVector2.setFromMatrixPosition(this.startMouseMatrix);
+          const deltaMatrix = this.getDeltaMatrix(startPosition, endPosition, this.deltaMatrix);
+
+          if (this.getTransformMode() !== 'scale') {
+            localMatrix.multiplyMatrices(deltaMatrix, this.startMatrix)
+              .decompose(this.transformGizmo.position, this.transformGizmo.quaternion, localVector3);
+          }
+
+          for (let i = 0; i < this.startApps.length; i++) {
+            const app = this.startApps[i];
+            localMatrix.multiplyMatrices(deltaMatrix, this.startAppMatrices[i])
+              .decompose(app.position, app.quaternion, app.scale);
+            app.updateMatrixWorld();
+          }
+        }
       } else {
         this.transformGizmo.highlightHoveredAxis(raycaster);
       }
     }
   },
   update() {
-    const mouseSelectedObject = game.getMouseSelectedObject();
-    this.transformGizmo.visible = !!mouseSelectedObject && !game.contextMenu;
+    const mouseSelectedObjects = game.getMouseSelectedObjects();
+    this.transformGizmo.visible = mouseSelectedObjects.length > 0 && !game.contextMenu;
     if (this.transformGizmo.visible) {
-      this.transformGizmo.position.copy(mouseSelectedObject.position);
-      this.transformGizmo.quaternion.copy(mouseSelectedObject.quaternion);
-      this.transformGizmo.scale.copy(mouseSelectedObject.scale);
+      if (!this.dragging) {
+        _getPivot(mouseSelectedObjects, this.transformGizmo.position, this.transformGizmo.quaternion);
+      }
+    } else if (this.dragging) {
+      this.handleMouseUp();
     }
   },
 };
-export default transformControls;
\ No newline at end of file
+export default transformControls;
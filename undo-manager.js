@@ -0,0 +1,263 @@
+/*
+this file contains the undo/redo history for world edits.
+an edit is a diff of the world apps array (transform, components, adds and removes) captured around a change.
+loadout edits live in the player's apps array, so they are recorded as wear/unwear steps instead.
+*/
+
+import * as THREE from 'three';
+import {world} from './world.js';
+import {getLocalPlayer} from './players.js';
+
+const maxHistoryLength = 100;
+
+const localVector = new THREE.Vector3();
+
+const _cloneComponents = components => JSON.parse(JSON.stringify(components ?? []));
+const _getAppsState = appsArray => {
+  const state = new Map();
+  for (const trackedApp of appsArray) {
+    const instanceId = trackedApp.get('instanceId');
+    state.set(instanceId, {
+      contentId: trackedApp.get('contentId'),
+      // the transform may be a shared scratch buffer, so copy it
+      transform: Float32Array.from(trackedApp.get('transform')),
+      components: _cloneComponents(trackedApp.get('components')),
+    });
+  }
+  return state;
+};
+const _transformsEqual = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+};
+const _specsEqual = (a, b) => a.contentId === b.contentId &&
+  _transformsEqual(a.transform, b.transform) &&
+  JSON.stringify(a.components) === JSON.stringify(b.components);
+const _diffAppsStates = (oldState, newState) => {
+  const changes = [];
+  for (const [instanceId, before] of oldState) {
+    const after = newState.get(instanceId) ?? null;
+    if (!after || !_specsEqual(before, after)) {
+      changes.push({
+        instanceId,
+        before,
+        after,
+      });
+    }
+  }
+  for (const [instanceId, after] of newState) {
+    if (!oldState.has(instanceId)) {
+      changes.push({
+        instanceId,
+        before: null,
+        after,
+      });
+    }
+  }
+  return changes;
+};
+const _applyComponents = (app, oldComponents, newComponents) => {
+  const o = {};
+  for (const {key, value} of newComponents) {
+    o[key] = value;
+  }
+  app.setComponents(o);
+  for (const {key} of oldComponents) {
+    if (!newComponents.some(component => component.key === key)) {
+      app.removeComponent(key);
+    }
+  }
+};
+const _applyChanges = (appManager, changes, key) => {
+  appManager.appsArray.doc.transact(function tx() {
+    for (const change of changes) {
+      const {instanceId} = change;
+      const spec = change[key];
+      const trackedApp = appManager.getTrackedApp(instanceId);
+      if (!spec) {
+        if (trackedApp) {
+          appManager.removeTrackedAppInternal(instanceId);
+        }
+      } else if (!trackedApp) {
+        appManager.addTrackedAppInternal(
+          instanceId,
+          spec.contentId,
+          Float32Array.from(spec.transform),
+          _cloneComponents(spec.components),
+        );
+      } else {
+        trackedApp.set('transform', Float32Array.from(spec.transform));
+
+        const oldComponents = trackedApp.get('components') ?? [];
+        if (JSON.stringify(oldComponents) !== JSON.stringify(spec.components)) {
+          trackedApp.set('components', _cloneComponents(spec.components));
+
+          const app = appManager.getAppByInstanceId(instanceId);
+          if (app) {
+            _applyComponents(app, oldComponents, spec.components);
+          }
+        }
+      }
+    }
+  });
+};
+
+class UndoManager extends EventTarget {
+  constructor() {
+    super();
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this.appsArray = null;
+    this.pendingEdit = null;
+    this.queue = Promise.resolve();
+  }
+  // history is only valid for the apps array it was recorded against
+  #checkAppsArray() {
+    const {appsArray} = world.appManager;
+    if (appsArray !== this.appsArray) {
+      this.appsArray = appsArray;
+      this.pendingEdit = null;
+      this.clear();
+    }
+  }
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+  clear() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+    this.dispatchHistoryChange();
+  }
+  push(entry) {
+    this.#checkAppsArray();
+
+    this.undoStack.push(entry);
+    if (this.undoStack.length > maxHistoryLength) {
+      this.undoStack.shift();
+    }
+    this.redoStack.length = 0;
+    this.dispatchHistoryChange();
+  }
+  beginEdit() {
+    this.endEdit();
+    this.#checkAppsArray();
+
+    this.pendingEdit = _getAppsState(this.appsArray);
+  }
+  endEdit() {
+    if (this.pendingEdit) {
+      const oldState = this.pendingEdit;
+      this.pendingEdit = null;
+      if (world.appManager.appsArray === this.appsArray) {
+        // apps moved since the last frame are only pushed to the apps array once per frame
+        world.appManager.pushAppUpdates();
+
+        const changes = _diffAppsStates(oldState, _getAppsState(this.appsArray));
+        if (changes.length > 0) {
+          const {appManager} = world;
+          this.push({
+            undo() {
+              _applyChanges(appManager, changes, 'before');
+            },
+            redo() {
+              _applyChanges(appManager, changes, 'after');
+            },
+          });
+        }
+      }
+    }
+  }
+  // records everything fn() does to the world apps array as one undo step
+  transact(fn) {
+    this.beginEdit();
+    try {
+      return fn();
+    } finally {
+      this.endEdit();
+    }
+  }
+  // unwear the app from the local player's loadout as an undoable step
+  unwear(app, opts) {
+    const localPlayer = getLocalPlayer();
+    const wearAction = localPlayer.findAction(action => action.type === 'wear' && action.instanceId === app.instanceId);
+    if (wearAction) {
+      const {loadoutIndex} = wearAction;
+      const {instanceId, contentId} = app;
+      const components = _cloneComponents(localPlayer.appManager.getTrackedApp(instanceId)?.get('components'));
+
+      const _unwear = () => {
+        const app = localPlayer.appManager.getAppByInstanceId(instanceId);
+        if (app) {
+          localPlayer.unwear(app, opts);
+        }
+      };
+      const _wear = async () => {
+        let app = world.appManager.getAppByInstanceId(instanceId);
+        if (!app) {
+          app = await world.appManager.addTrackedApp(
+            contentId,
+            localPlayer.position,
+            localPlayer.quaternion,
+            localVector.set(1, 1, 1),
+            _cloneComponents(components),
+            instanceId,
+          );
+        }
+        localPlayer.wear(app, {
+          loadoutIndex,
+        });
+      };
+
+      this.endEdit();
+      _unwear();
+      this.push({
+        undo: _wear,
+        redo: _unwear,
+      });
+    } else {
+      localPlayer.unwear(app, opts);
+    }
+  }
+  // steps run one at a time, since restoring a loadout item waits for the app to load
+  #step(fromStack, toStack, method) {
+    this.endEdit();
+    this.#checkAppsArray();
+
+    const entry = fromStack.pop();
+    if (entry) {
+      toStack.push(entry);
+      this.dispatchHistoryChange();
+
+      this.queue = this.queue
+        .then(() => entry[method]())
+        .catch(err => {
+          console.warn('failed to ' + method, err);
+        });
+    }
+    return this.queue;
+  }
+  undo() {
+    return this.#step(this.undoStack, this.redoStack, 'undo');
+  }
+  redo() {
+    return this.#step(this.redoStack, this.undoStack, 'redo');
+  }
+  dispatchHistoryChange() {
+    this.dispatchEvent(new MessageEvent('historychange', {
+      data: {
+        canUndo: this.canUndo(),
+        canRedo: this.canRedo(),
+      },
+    }));
+  }
+}
+const undoManager = new UndoManager();
+export default undoManager;
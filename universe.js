@@ -8,6 +8,7 @@ import metaversefile from 'metaversefile';
 import WSRTC from 'wsrtc/wsrtc.js';
 import * as Z from 'zjs';
 
+import {chatManager} from './chat-manager.js';
 import {appsMapName, initialPosY, playersMapName} from './constants.js';
 import {loadOverworld} from './overworld.js';
 import physicsManager from './physics-manager.js';
@@ -33,7 +34,8 @@ class Universe extends EventTarget {
     return window.location.protocol + '//' + window.location.hostname + ':' +
       ((window.location.port ? parseInt(window.location.port, 10) : (window.location.protocol === 'https:' ? 443 : 80)) + 1) + '/worlds/';
   }
-  async enterWorld(worldSpec) {
+  // sceneApps: false enters the world without the apps its scene file adds, for a save that restores them itself
+  async enterWorld(worldSpec, {sceneApps = true} = {}) {
     this.disconnectRoom();
     
     const localPlayer = metaversefile.useLocalPlayer();
@@ -57,7 +59,9 @@ class Universe extends EventTarget {
         this.connectState(state);
         
         let match;
-        if (src === undefined) {
+        if (!sceneApps && !/^weba:\/\//i.test(src ?? '')) {
+          // nothing
+        } else if (src === undefined) {
           promises.push(metaversefile.createAppAsync({
             start_url: './scenes/' + sceneNames[0],
           }));
@@ -153,6 +157,7 @@ class Universe extends EventTarget {
   // This is called when a user joins a multiplayer room
   // either from single player or directly from a link
   async connectRoom(u, state = new Z.Doc()) {
+    chatManager.setRole('player');
     // Players cannot be initialized until the physx worker is loaded
     // Otherwise you will receive allocation errors because the module instance is undefined
     await physx.waitForLoad();
@@ -206,6 +211,7 @@ class Universe extends EventTarget {
   disconnectRoom() {
     if (this.wsrtc && this.wsrtc.state === 'open') this.wsrtc.close();
     this.wsrtc = null;
+    chatManager.setRole('admin');
   }
 }
 const universe = new Universe();
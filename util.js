@@ -509,6 +509,10 @@ export function isInIframe() {
   }
 }
 
+export function isTouchDevice() {
+  return navigator.maxTouchPoints > 0 && !!window.matchMedia?.('(pointer: coarse)').matches;
+}
+
 export async function contentIdToFile(contentId) {
   let token = null;
   if (typeof contentId === 'number') {
@@ -0,0 +1,206 @@
+/* this file contains the voice chat mixing of remote players.
+each remote voice goes through a panner, positioned at the player's head, then an occlusion filter and a gain for the listener's mute and volume settings.
+the mute and volume settings are kept by player name, since player ids change every session, and persisted in localstorage.
+voices fall off linearly to silence at hearingDistance, so only the players around you can be heard in a crowded room.
+voices behind walls are muffled: a physics raycast from the listener to the speaker is checked every occlusionCheckRate ms.
+voice zones are area apps with the voiceZone component (true or a zone name). players in a zone hear each other at full volume wherever they are in it,
+and cannot be heard from outside of it. */
+
+import * as THREE from 'three';
+import metaversefile from 'metaversefile';
+import {camera} from './renderer.js';
+import physicsManager from './physics-manager.js';
+import {world} from './world.js';
+import {getPlayerFeetPosition, isInArea} from './areas.js';
+
+const refDistance = 2;
+const hearingDistance = 30;
+const occlusionCheckRate = 200;
+const occludedGain = 0.4;
+const occludedFrequency = 800;
+const openFrequency = 22050;
+const rampTime = 0.1;
+const playerSettingsStorageKey = 'VoiceChatPlayerSettings';
+
+const localVector = new THREE.Vector3();
+const localVector2 = new THREE.Vector3();
+const localVector3 = new THREE.Vector3();
+const localVector4 = new THREE.Vector3();
+const localVector5 = new THREE.Vector3();
+const localQuaternion = new THREE.Quaternion();
+
+const _getHeadPosition = (player, target) => target.copy(player.position);
+const _getZoneName = app => {
+  const voiceZone = app.getComponent('voiceZone');
+  return typeof voiceZone === 'string' ? voiceZone : app.instanceId;
+};
+const _getPlayerKey = player => player.name || player.playerId;
+const _loadPlayerSettings = () => {
+  try {
+    return new Map(Object.entries(JSON.parse(localStorage.getItem(playerSettingsStorageKey)) ?? {}));
+  } catch (err) {
+    return new Map();
+  }
+};
+
+class VoiceChat extends EventTarget {
+  constructor() {
+    super();
+
+    this.voices = new Map(); // player -> voice
+    this.playerSettings = _loadPlayerSettings(); // player name -> {muted, volume}
+  }
+  // the players whose voices are connected
+  getPlayers() {
+    return Array.from(this.voices.keys());
+  }
+  #dispatchPlayersChange() {
+    this.dispatchEvent(new MessageEvent('playerschange', {
+      data: {
+        players: this.getPlayers(),
+      },
+    }));
+  }
+  // routes the player's voice from source to destination
+  connectPlayer(player, source, destination) {
+    const audioContext = source.context;
+    const panner = new PannerNode(audioContext, {
+      panningModel: 'HRTF',
+      distanceModel: 'linear',
+      refDistance,
+      maxDistance: hearingDistance,
+      rolloffFactor: 1,
+    });
+    const filter = new BiquadFilterNode(audioContext, {
+      type: 'lowpass',
+      frequency: openFrequency,
+    });
+    const gain = new GainNode(audioContext);
+    source.connect(panner);
+    panner.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+
+    this.voices.set(player, {
+      source,
+      panner,
+      filter,
+      gain,
+      occluded: false,
+      lastOcclusionCheckTime: -Infinity,
+    });
+    this.#dispatchPlayersChange();
+  }
+  disconnectPlayer(player) {
+    const voice = this.voices.get(player);
+    if (voice) {
+      voice.source.disconnect();
+      voice.gain.disconnect();
+      this.voices.delete(player);
+      this.#dispatchPlayersChange();
+    }
+  }
+  getPlayerSettings(player) {
+    return this.playerSettings.get(_getPlayerKey(player)) ?? {
+      muted: false,
+      volume: 1,
+    };
+  }
+  #setPlayerSettings(player, settings) {
+    this.playerSettings.set(_getPlayerKey(player), {
+      ...this.getPlayerSettings(player),
+      ...settings,
+    });
+    try {
+      localStorage.setItem(playerSettingsStorageKey, JSON.stringify(Object.fromEntries(this.playerSettings)));
+    } catch (err) {
+      console.warn('failed to save voice chat player settings', err);
+    }
+    this.dispatchEvent(new MessageEvent('playersettingschange', {
+      data: {
+        player,
+        settings: this.getPlayerSettings(player),
+      },
+    }));
+  }
+  setPlayerMuted(player, muted) {
+    this.#setPlayerSettings(player, {muted});
+  }
+  // volume is 0-1
+  setPlayerVolume(player, volume) {
+    this.#setPlayerSettings(player, {
+      volume: Math.min(Math.max(volume, 0), 1),
+    });
+  }
+  // the voice zone the position is in, or null
+  getVoiceZone(position) {
+    const zoneApp = world.appManager.apps.find(app => !!app.getComponent('voiceZone') && isInArea(app, position));
+    return zoneApp ? _getZoneName(zoneApp) : null;
+  }
+  #isOccluded(listenerPosition, speakerPosition) {
+    const distance = listenerPosition.distanceTo(speakerPosition);
+    const direction = localVector3.copy(speakerPosition).sub(listenerPosition).normalize();
+    localQuaternion.setFromUnitVectors(localVector2.set(0, 0, -1), direction);
+    const physicsScene = physicsManager.getScene();
+    const result = physicsScene.raycast(listenerPosition, localQuaternion);
+    // hits at the speaker are its own body
+    return !!result && result.distance < distance - 0.5;
+  }
+  #updateListener(audioContext) {
+    const {listener} = audioContext;
+    const forward = localVector.set(0, 0, -1).applyQuaternion(camera.quaternion);
+    const up = localVector2.set(0, 1, 0).applyQuaternion(camera.quaternion);
+    if (listener.positionX) {
+      listener.positionX.value = camera.position.x;
+      listener.positionY.value = camera.position.y;
+      listener.positionZ.value = camera.position.z;
+      listener.forwardX.value = forward.x;
+      listener.forwardY.value = forward.y;
+      listener.forwardZ.value = forward.z;
+      listener.upX.value = up.x;
+      listener.upY.value = up.y;
+      listener.upZ.value = up.z;
+    } else {
+      listener.setPosition(camera.position.x, camera.position.y, camera.position.z);
+      listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+    }
+  }
+  update(timestamp) {
+    if (this.voices.size > 0) {
+      const localPlayer = metaversefile.useLocalPlayer();
+      const listenerPosition = _getHeadPosition(localPlayer, localVector4);
+      const listenerZone = this.getVoiceZone(getPlayerFeetPosition(localPlayer, localVector));
+
+      let audioContext = null;
+      for (const [player, voice] of this.voices) {
+        audioContext = voice.gain.context;
+        const speakerPosition = _getHeadPosition(player, localVector5);
+        const speakerZone = this.getVoiceZone(getPlayerFeetPosition(player, localVector));
+        const {muted, volume} = this.getPlayerSettings(player);
+
+        // players sharing a zone are heard as if they were next to the listener
+        const sameZone = speakerZone !== null && speakerZone === listenerZone;
+        const position = sameZone ? camera.position : speakerPosition;
+        voice.panner.positionX.value = position.x;
+        voice.panner.positionY.value = position.y;
+        voice.panner.positionZ.value = position.z;
+
+        if (!sameZone && timestamp - voice.lastOcclusionCheckTime >= occlusionCheckRate) {
+          voice.occluded = speakerPosition.distanceTo(listenerPosition) < hearingDistance &&
+            this.#isOccluded(listenerPosition, speakerPosition);
+          voice.lastOcclusionCheckTime = timestamp;
+        }
+        const occluded = !sameZone && voice.occluded;
+
+        const audible = !muted && speakerZone === listenerZone;
+        const gain = audible ? volume * (occluded ? occludedGain : 1) : 0;
+        voice.gain.gain.setTargetAtTime(gain, audioContext.currentTime, rampTime);
+        voice.filter.frequency.setTargetAtTime(occluded ? occludedFrequency : openFrequency, audioContext.currentTime, rampTime);
+      }
+
+      this.#updateListener(audioContext);
+    }
+  }
+}
+const voiceChat = new VoiceChat();
+export default voiceChat;
@@ -9,6 +9,9 @@ class VoiceInput extends EventTarget {
 
     this.mediaStream = null;
     this.speechRecognition = null;
+    // in push to talk mode the mic only sends while the key is held
+    this.pushToTalk = false;
+    this.talking = false;
   }
 
   micEnabled() {
@@ -17,6 +20,7 @@ class VoiceInput extends EventTarget {
   async enableMic() {
     await WSRTC.waitForReady();
     this.mediaStream = await WSRTC.getUserMedia();
+    this.#updateMicTracks();
 
     const localPlayer = metaversefile.useLocalPlayer();
     localPlayer.setMicMediaStream(this.mediaStream);
@@ -63,6 +67,43 @@ class VoiceInput extends EventTarget {
     }
   }
 
+  // disabled tracks send silence, so the connection stays up between talks
+  #updateMicTracks() {
+    if (this.mediaStream) {
+      const enabled = !this.pushToTalk || this.talking;
+      for (const track of this.mediaStream.getAudioTracks()) {
+        track.enabled = enabled;
+      }
+    }
+  }
+  setPushToTalk(pushToTalk) {
+    if (pushToTalk !== this.pushToTalk) {
+      this.pushToTalk = pushToTalk;
+      this.#updateMicTracks();
+
+      this.dispatchEvent(new MessageEvent('pushtotalkchange', {
+        data: {
+          pushToTalk,
+        }
+      }));
+    }
+  }
+  async setTalking(talking) {
+    if (talking !== this.talking) {
+      this.talking = talking;
+      if (talking && this.pushToTalk && !this.micEnabled()) {
+        await this.enableMic();
+      }
+      this.#updateMicTracks();
+
+      this.dispatchEvent(new MessageEvent('talkingchange', {
+        data: {
+          talking,
+        }
+      }));
+    }
+  }
+
   speechEnabled() {
     return !!this.speechRecognition;
   }
@@ -0,0 +1,133 @@
+/* this module synthesizes speech locally, so characters can talk without the remote tts endpoint.
+engines:
+  browser -- the browser's speech synthesis
+  server -- a tts server on localhost, called as GET url?text=...&voice=... and answering with audio (e.g. wav),
+    or with json {audio: base64 audio, phonemes} to lip sync to its alignment
+  wasm -- a wasm tts engine module loaded from url, exporting synthesize(text, {voice}) -> {samples: Float32Array, sampleRate, phonemes}.
+    no engine module ships with the app, so this engine stays off until the url of one is set.
+phonemes are the optional alignment, as [{phoneme, start, end}] with arpabet phonemes and times in seconds.
+the voice is the character's voice name; engines pick their closest voice for it. */
+
+import audioManager from '../audio-manager.js';
+
+export const ttsEngines = ['none', 'browser', 'server', 'wasm'];
+export const urlTtsEngines = ['server', 'wasm'];
+export const defaultTtsUrls = {
+  server: 'http://127.0.0.1:5002/api/tts',
+};
+
+const _hashString = s => {
+  let hash = 0;
+  for (let i = 0; i < s.length; i++) {
+    hash = ((hash << 5) - hash + s.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+};
+
+class LocalTts extends EventTarget {
+  constructor() {
+    super();
+
+    this.engine = 'none';
+    this.url = '';
+    this.wasmModulePromise = null;
+  }
+  isEnabled() {
+    return this.engine !== 'none' && (!urlTtsEngines.includes(this.engine) || !!this.getUrl());
+  }
+  // the browser engine speaks directly; the others make audio buffers
+  isAudioEngine() {
+    return this.engine === 'server' || this.engine === 'wasm';
+  }
+  setEngine(engine, {url = ''} = {}) {
+    if (!ttsEngines.includes(engine)) {
+      throw new Error('unknown tts engine: ' + engine);
+    }
+
+    if (engine === 'wasm' && !url) {
+      console.warn('the wasm tts engine needs the url of an engine module; none ships with the app, so the remote voices are kept');
+    }
+
+    if (engine !== this.engine || url !== this.url) {
+      this.engine = engine;
+      this.url = url;
+      this.wasmModulePromise = null;
+
+      this.dispatchEvent(new MessageEvent('change', {
+        data: {
+          engine,
+          url,
+        },
+      }));
+    }
+  }
+  getUrl() {
+    return this.url || defaultTtsUrls[this.engine] || '';
+  }
+  #loadWasmModule() {
+    if (!this.wasmModulePromise) {
+      if (!this.getUrl()) {
+        throw new Error('no wasm tts engine module url set');
+      }
+      const u = new URL(this.getUrl(), location.href);
+      this.wasmModulePromise = import(/* @vite-ignore */ u.href);
+    }
+    return this.wasmModulePromise;
+  }
+  // resolves to {audioBuffer, phonemes}
+  async synthesize(text, voiceName) {
+    const audioContext = audioManager.getAudioContext();
+    switch (this.engine) {
+      case 'server': {
+        const u = new URL(this.getUrl(), location.href);
+        u.searchParams.set('text', text);
+        u.searchParams.set('voice', voiceName);
+        const res = await fetch(u);
+        if (!res.ok) {
+          throw new Error(`tts request failed: ${res.status} ${res.statusText}`);
+        }
+        if (/json/.test(res.headers.get('Content-Type') ?? '')) {
+          const {audio, phonemes = null} = await res.json();
+          const arrayBuffer = Uint8Array.from(atob(audio), c => c.charCodeAt(0)).buffer;
+          return {
+            audioBuffer: await audioContext.decodeAudioData(arrayBuffer),
+            phonemes,
+          };
+        } else {
+          const arrayBuffer = await res.arrayBuffer();
+          return {
+            audioBuffer: await audioContext.decodeAudioData(arrayBuffer),
+            phonemes: null,
+          };
+        }
+      }
+      case 'wasm': {
+        const m = await this.#loadWasmModule();
+        const {samples, sampleRate, phonemes = null} = await m.synthesize(text, {
+          voice: voiceName,
+        });
+        const audioBuffer = audioContext.createBuffer(1, samples.length, sampleRate);
+        audioBuffer.copyToChannel(samples, 0);
+        return {
+          audioBuffer,
+          phonemes,
+        };
+      }
+      default: {
+        throw new Error('tts engine does not make audio: ' + this.engine);
+      }
+    }
+  }
+  // a voice of that name, else one picked by the name, so each character keeps its voice
+  getBrowserVoice(voiceName) {
+    const voices = globalThis.speechSynthesis?.getVoices() ?? [];
+    if (voices.length > 0) {
+      return voices.find(voice => voice.name === voiceName) ??
+        voices[_hashString(voiceName) % voices.length];
+    } else {
+      return null;
+    }
+  }
+}
+const localTts = new LocalTts();
+export default localTts;
@@ -0,0 +1,134 @@
+/* this module maps the local tts engine to the character.
+it has the same interface as the voice endpoint voicer, whose playback it reuses: audio goes through the avatar, which lip syncs to the engine's phoneme alignment when it has one.
+the browser engine cannot be routed through the avatar, so the mouth is synced per spoken word instead.
+the browser has one speech queue for the page and can only cancel all of it, so utterances wait here and are handed to it one at a time;
+stopping a voicer then drops its waiting utterances and cancels only the one being spoken if it is its own. */
+
+import audioManager from '../audio-manager.js';
+import {makePromise} from '../util.js';
+import {makeTrackFromPhonemes, makeTrackFromText} from '../avatars/lip-sync.js';
+import {VoiceEndpointVoicer} from './voice-endpoint-voicer.js';
+import localTts from './local-tts.js';
+
+const alignments = new WeakMap(); // audio buffer -> phonemes
+const browserPhonemeTime = 0.07;
+
+const browserQueue = []; // [{voicer, utterance, end}]
+let browserSpeaking = null;
+const _speakNextBrowserUtterance = () => {
+  if (!browserSpeaking && browserQueue.length > 0) {
+    browserSpeaking = browserQueue.shift();
+    speechSynthesis.speak(browserSpeaking.utterance);
+  }
+};
+
+class LocalVoice {
+  constructor(name) {
+    this.name = name;
+  }
+}
+class LocalPreloadMessage {
+  constructor(voiceName, text) {
+    this.voiceName = voiceName;
+    this.text = text;
+
+    this.isPreloadMessage = true;
+    this.loadPromise = localTts.isAudioEngine() ? LocalVoicer.loadAudioBuffer(this.voiceName, this.text) : Promise.resolve(null);
+  }
+  waitForLoad() {
+    return this.loadPromise;
+  }
+}
+class LocalVoicer extends VoiceEndpointVoicer {
+  static async loadAudioBuffer(voiceName, text) {
+    try {
+      const {audioBuffer, phonemes} = await localTts.synthesize(text, voiceName);
+      if (phonemes) {
+        alignments.set(audioBuffer, phonemes);
+      }
+      return audioBuffer;
+    } catch (err) {
+      console.warn('local tts failed', err);
+      // an empty buffer still ends, so the voice queue moves on
+      const audioContext = audioManager.getAudioContext();
+      return audioContext.createBuffer(1, 1, audioContext.sampleRate);
+    }
+  }
+  loadAudioBuffer(text) {
+    return LocalVoicer.loadAudioBuffer(this.voiceEndpoint.name, text);
+  }
+  preloadMessage(text) {
+    return new LocalPreloadMessage(this.voiceEndpoint.name, text);
+  }
+  getLipSyncTrack(text, audioBuffer) {
+    const phonemes = alignments.get(audioBuffer);
+    return phonemes ? makeTrackFromPhonemes(phonemes) : super.getLipSyncTrack(text, audioBuffer);
+  }
+  start(text) {
+    if (localTts.engine === 'browser') {
+      return this.#speak(text.isPreloadMessage ? text.text : text);
+    } else {
+      return super.start(text);
+    }
+  }
+  #speak(text) {
+    const p = makePromise();
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = localTts.getBrowserVoice(this.voiceEndpoint.name);
+    if (voice) {
+      utterance.voice = voice;
+    }
+    utterance.addEventListener('boundary', e => {
+      if (e.name === 'word') {
+        const word = text.slice(e.charIndex, e.charIndex + (e.charLength || text.slice(e.charIndex).search(/\s|$/)));
+        this.player.avatar.lipSync.play(makeTrackFromText(word, word.length * browserPhonemeTime, {
+          gated: false,
+        }));
+      }
+    });
+    const entry = {
+      voicer: this,
+      utterance,
+      end: () => {
+        this.player.avatar.lipSync.stop();
+        p.accept();
+      },
+    };
+    const ended = () => {
+      if (browserSpeaking === entry) {
+        browserSpeaking = null;
+        entry.end();
+        _speakNextBrowserUtterance();
+      }
+    };
+    utterance.addEventListener('end', ended, {once: true});
+    utterance.addEventListener('error', ended, {once: true});
+    browserQueue.push(entry);
+    _speakNextBrowserUtterance();
+    return p;
+  }
+  stop() {
+    super.stop();
+    for (let i = browserQueue.length - 1; i >= 0; i--) {
+      const entry = browserQueue[i];
+      if (entry.voicer === this) {
+        browserQueue.splice(i, 1);
+        entry.end();
+      }
+    }
+    // only this voicer's utterance is with the browser, so cancelling it leaves the others waiting here
+    if (browserSpeaking?.voicer === this) {
+      const entry = browserSpeaking;
+      browserSpeaking = null;
+      speechSynthesis.cancel();
+      entry.end();
+      _speakNextBrowserUtterance();
+    }
+  }
+}
+
+export {
+  LocalVoice,
+  LocalPreloadMessage,
+  LocalVoicer,
+};
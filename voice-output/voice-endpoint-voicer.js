@@ -3,6 +3,7 @@
 import audioManager from '../audio-manager.js';
 import {makePromise} from '../util.js';
 import {voiceEndpointBaseUrl} from '../constants.js';
+import {makeTrackFromText} from '../avatars/lip-sync.js';
 
 class VoiceEndpoint {
   constructor(url) {
@@ -59,6 +60,10 @@ class VoiceEndpointVoicer {
   /* async loadAudioBuffer(text) {
     return VoiceEndpointVoicer.loadAudioBuffer(this.voiceEndpoint.url, text);
   } */
+  // the endpoint has no phoneme timings, so they are estimated from the text
+  getLipSyncTrack(text, audioBuffer) {
+    return makeTrackFromText(text.isPreloadMessage ? text.text : text, audioBuffer.duration);
+  }
   start(text) {
     if (!this.endPromise) {
       this.endPromise = makePromise();
@@ -105,6 +110,7 @@ class VoiceEndpointVoicer {
         const ended = () => {
           this.cancel = null;
           this.running = false;
+          this.player.avatar.lipSync.stop();
 
           if (this.queue.length > 0) {
             const text = this.queue.shift();
@@ -119,9 +125,11 @@ class VoiceEndpointVoicer {
         }
         audioBufferSourceNode.connect(this.player.avatar.getAudioInput());
         audioBufferSourceNode.start();
+        this.player.avatar.lipSync.play(this.getLipSyncTrack(text, audioBuffer));
 
         cancelFns.push(() => {
           audioBufferSourceNode.removeEventListener('ended', ended);
+          this.player.avatar.lipSync.stop();
 
           audioBufferSourceNode.stop();
           audioBufferSourceNode.disconnect();
@@ -4,6 +4,7 @@ it is responsible for playing Banjo-Kazooie style character speech. */
 import audioManager from '../audio-manager.js';
 import {loadAudioBuffer, makePromise, selectVoice} from '../util.js';
 import {chatTextSpeed} from '../constants.js';
+import {makeTrackFromText} from '../avatars/lip-sync.js';
 
 
 class VoicePack {
@@ -117,9 +118,12 @@ class VoicePackVoicer {
     // 500ms by default, plus the time it takes to render the text
     const fullTextTime = 500 + this.charactersSinceStart * chatTextSpeed * 2;
     const remainingTextTime = fullTextTime - (now - this.startTime);
+    // the syllables are gibberish, so the mouth is shaped by the text over the time it takes to show
+    this.player.avatar.lipSync.play(makeTrackFromText(text, remainingTextTime / 1000));
     this.endTimeout = setTimeout(() => {
       this.clearTimeouts();
       this.resetStart();
+      this.player.avatar.lipSync.stop();
 
       p.accept();
     }, remainingTextTime);
@@ -128,6 +132,7 @@ class VoicePackVoicer {
   }
   stop() {
     this.clearTimeouts();
+    this.player.avatar.lipSync.stop();
   }
 }
 
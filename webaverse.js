@@ -14,12 +14,16 @@ import * as blockchain from './blockchain.js';
 import cameraManager from './camera-manager.js';
 import game from './game.js';
 import hpManager from './hp-manager.js';
+import damageManager from './damage.js';
 import {playersManager} from './players-manager.js';
 import minimapManager from './minimap.js';
 import postProcessing from './post-processing.js';
 import particleSystemManager from './particle-system.js';
 import loadoutManager from './loadout-manager.js';
 import questManager from './quest-manager.js';
+import respawnManager from './respawn-manager.js';
+import npcChatter from './npc-chatter.js';
+import voiceChat from './voice-chat.js';
 import mobManager from './mob-manager.js';
 import {
   getRenderer,
@@ -44,6 +48,7 @@ import WebaWallet from './src/components/wallet.js';
 import musicManager from './music-manager.js';
 import physxWorkerManager from './physx-worker-manager.js';
 import story from './story.js';
+import {registerDefaultCommands} from './chat-commands.js';
 import zTargeting from './z-targeting.js';
 import raycastManager from './raycast-manager.js';
 
@@ -76,6 +81,8 @@ export default class Webaverse extends EventTarget {
     super();
 
     story.listenHack();
+    registerDefaultCommands();
+    respawnManager.listen();
 
     this.loadPromise = (async () => {
       await Promise.all([
@@ -319,12 +326,16 @@ export default class Webaverse extends EventTarget {
           
           localPlayer.updateAvatar(timestamp, timeDiffCapped);
           playersManager.updateRemotePlayers(timestamp, timeDiffCapped);
+          voiceChat.update(timestamp);
           
           world.appManager.tick(timestamp, timeDiffCapped, frame);
 
           mobManager.update(timestamp, timeDiffCapped);
           hpManager.update(timestamp, timeDiffCapped);
+          damageManager.update(timestamp);
           questManager.update(timestamp, timeDiffCapped);
+          respawnManager.update(timestamp);
+          npcChatter.update(timestamp, timeDiffCapped);
           particleSystemManager.update(timestamp, timeDiffCapped);
 
           cameraManager.updatePost(timestamp, timeDiffCapped);
@@ -0,0 +1,86 @@
+/* this file contains the whisper encryption.
+a whisper is a chat action like any other, so every player in the room receives it; only its sender and recipient can read its text.
+each player publishes an ecdh public key in the player state under 'whisperKey'. the whisper carries both players' keys,
+and either of them derives the same aes key from its own private key and the other's public key. */
+
+const whisperKeyStateKey = 'whisperKey';
+const keyAlgorithm = {
+  name: 'ECDH',
+  namedCurve: 'P-256',
+};
+const cipherAlgorithmName = 'AES-GCM';
+const ivLength = 12;
+
+const _toBase64 = buffer => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const _fromBase64 = s => Uint8Array.from(atob(s), c => c.charCodeAt(0));
+
+// one key pair per page; the private key never leaves it
+let keyPairPromise = null;
+let publicKeyPromise = null;
+const _getKeyPair = () => {
+  keyPairPromise ??= crypto.subtle.generateKey(keyAlgorithm, false, ['deriveKey']);
+  return keyPairPromise;
+};
+const _getPublicKey = () => {
+  publicKeyPromise ??= _getKeyPair()
+    .then(({publicKey}) => crypto.subtle.exportKey('raw', publicKey))
+    .then(_toBase64);
+  return publicKeyPromise;
+};
+const _deriveKey = async otherPublicKey => {
+  const {privateKey} = await _getKeyPair();
+  const publicKey = await crypto.subtle.importKey('raw', _fromBase64(otherPublicKey), keyAlgorithm, false, []);
+  return await crypto.subtle.deriveKey({
+    name: keyAlgorithm.name,
+    public: publicKey,
+  }, privateKey, {
+    name: cipherAlgorithmName,
+    length: 256,
+  }, false, ['encrypt', 'decrypt']);
+};
+
+// called when the local player state is bound
+export const writeWhisperKey = async player => {
+  const publicKey = await _getPublicKey();
+  player.playerMap?.set(whisperKeyStateKey, publicKey);
+};
+export const getWhisperKey = player => player.playerMap?.get(whisperKeyStateKey) ?? null;
+
+export const encryptWhisper = async (targetKey, message) => {
+  const key = await _deriveKey(targetKey);
+  const iv = crypto.getRandomValues(new Uint8Array(ivLength));
+  const data = await crypto.subtle.encrypt({
+    name: cipherAlgorithmName,
+    iv,
+  }, key, new TextEncoder().encode(message));
+  return {
+    from: await _getPublicKey(),
+    to: targetKey,
+    iv: _toBase64(iv),
+    data: _toBase64(data),
+  };
+};
+// the text, or null if the whisper is not to or from us
+export const decryptWhisper = async whisper => {
+  const publicKey = await _getPublicKey();
+  let otherKey;
+  if (whisper.to === publicKey) {
+    otherKey = whisper.from;
+  } else if (whisper.from === publicKey) {
+    otherKey = whisper.to;
+  } else {
+    return null;
+  }
+
+  try {
+    const key = await _deriveKey(otherKey);
+    const data = await crypto.subtle.decrypt({
+      name: cipherAlgorithmName,
+      iv: _fromBase64(whisper.iv),
+    }, key, _fromBase64(whisper.data));
+    return new TextDecoder().decode(data);
+  } catch (err) {
+    console.warn('failed to decrypt whisper', err);
+    return null;
+  }
+};
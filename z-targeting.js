@@ -10,12 +10,23 @@ import {getLocalPlayer} from './players.js';
 //
 
 const localVector = new THREE.Vector3();
+const localVector2 = new THREE.Vector3();
 
 const physicsScene = physicsManager.getScene();
 // const maxResults = 16;
 
+const lockOnDistance = 20;
+const lockOnBreakDistance = 30;
+const softLockDistance = 4;
+const targetCenterHeight = 1;
+
 //
 
+// lock-on targets are things that can still be fought
+const _isHittable = app => !!app?.hitTracker && app.hitTracker.hp > 0;
+const _getTargetPosition = (app, target) => target.setFromMatrixPosition(app.matrixWorld)
+  .add(localVector2.set(0, targetCenterHeight, 0));
+
 const getPyramidConvexGeometry = (() => {
   const radius = 0.5;
   const height = 0.2;
@@ -115,6 +126,10 @@ class QueryResults {
   }
 }
 
+/* besides focusing, z-targeting locks on to enemies for combat.
+a hard lock-on is toggled by the player: the camera frames the player and the target, and the player faces the target.
+a soft lock-on happens when the player attacks without one: the attack turns to the closest enemy in front of the camera.
+the lock-on ends when the target dies or gets out of range. */
 class ZTargeting extends THREE.Object3D {
   constructor() {
     super();
@@ -123,6 +138,13 @@ class ZTargeting extends THREE.Object3D {
     this.reticles = [];
     this.focusTargetReticle = null;
     this.queryResults = new QueryResults();
+    this.lockTarget = null; // {app, hard, player}
+    this.lockReticle = {
+      position: new THREE.Vector3(),
+      physicsId: -1,
+      type: 'enemy',
+      zoom: 0,
+    };
 
     this.loadPromise = null;
   }
@@ -150,6 +172,11 @@ class ZTargeting extends THREE.Object3D {
     } else {
       reticles = [];
     }
+    if (this.lockTarget) {
+      reticles = [
+        this.lockReticle,
+      ];
+    }
     if (this.focusTargetReticle) {
       const timeDiff = timestamp - cameraManager.lerpStartTime;
       const focusTime = 250;
@@ -172,8 +199,121 @@ class ZTargeting extends THREE.Object3D {
     
     const targetReticleMesh = this.targetReticleApp.children[0];
     targetReticleMesh.setReticles(reticles);
+    if (this.lockTarget) {
+      const {hitTracker} = this.lockTarget.app;
+      targetReticleMesh.setTargetHp(this.lockReticle.position, hitTracker.hp / hitTracker.totalHp);
+    } else {
+      targetReticleMesh.setTargetHp(null);
+    }
+  }
+  // the enemies in view, from the pyramid query, most centered first
+  getLockCandidates(maxDistance = lockOnDistance) {
+    const localPlayer = getLocalPlayer();
+    this.queryResults.snapshot(camera);
+    const apps = [];
+    for (const reticle of this.queryResults.results) {
+      const app = metaversefile.getAppByPhysicsId(reticle.physicsId);
+      if (
+        _isHittable(app) && !apps.includes(app) &&
+        _getTargetPosition(app, localVector).distanceTo(localPlayer.position) <= maxDistance
+      ) {
+        apps.push(app);
+      }
+    }
+    return apps;
+  }
+  // the player faces the target right away, so the attack that soft locks already hits it
+  #setLockTarget(app, hard) {
+    const localPlayer = getLocalPlayer();
+    if (this.lockTarget && this.lockTarget.player !== localPlayer) {
+      this.lockTarget.player.characterPhysics.setFacePosition(null);
+    }
+    this.lockTarget = {
+      app,
+      hard,
+      player: localPlayer,
+    };
+    const physicsObject = app.getPhysicsObjects?.()[0];
+    this.lockReticle.physicsId = physicsObject ? physicsObject.physicsId : -1;
+    const position = _getTargetPosition(app, this.lockReticle.position);
+    localPlayer.characterPhysics.setFacePosition(position);
+  }
+  // the player that locked on, even if the local player has changed since
+  unlock() {
+    if (this.lockTarget) {
+      const {player} = this.lockTarget;
+      this.lockTarget = null;
+
+      player.characterPhysics.setFacePosition(null);
+      cameraManager.setLockTarget(null);
+    }
+  }
+  // toggles the hard lock-on
+  lockOn() {
+    if (this.lockTarget?.hard) {
+      this.unlock();
+      sounds.playSoundName('zTargetCancel');
+    } else {
+      const [app] = this.getLockCandidates();
+      if (app) {
+        this.#setLockTarget(app, true);
+        sounds.playSoundName('zTargetEnemy');
+      } else {
+        sounds.playSoundName('zTargetCenter');
+      }
+    }
+  }
+  // moves the hard lock-on to the next enemy in view
+  cycleLockTarget() {
+    if (this.lockTarget?.hard) {
+      const apps = this.getLockCandidates();
+      if (apps.length > 0) {
+        const index = apps.indexOf(this.lockTarget.app);
+        const app = apps[(index + 1) % apps.length];
+        if (app !== this.lockTarget.app) {
+          this.#setLockTarget(app, true);
+          sounds.playSoundName('zTargetObject');
+        }
+      }
+    } else {
+      this.lockOn();
+    }
+  }
+  // called when the local player attacks
+  softLock() {
+    if (!this.lockTarget) {
+      const [app] = this.getLockCandidates(softLockDistance);
+      if (app) {
+        this.#setLockTarget(app, false);
+      }
+    }
+  }
+  #updateLockTarget() {
+    if (this.lockTarget) {
+      const {app, hard, player} = this.lockTarget;
+      const localPlayer = getLocalPlayer();
+      const position = _getTargetPosition(app, this.lockReticle.position);
+      if (
+        // switching characters ends the lock-on
+        player !== localPlayer ||
+        !_isHittable(app) ||
+        localPlayer.characterHitter.isDead() ||
+        position.distanceTo(localPlayer.position) > lockOnBreakDistance ||
+        // soft lock-ons last for the attack
+        (!hard && !localPlayer.hasAction('use'))
+      ) {
+        this.unlock();
+        hard && sounds.playSoundName('zTargetCancel');
+      } else {
+        localPlayer.characterPhysics.setFacePosition(position);
+        if (hard) {
+          cameraManager.setLockTarget(position);
+        }
+      }
+    }
   }
   update(timestamp) {
+    this.#updateLockTarget();
     this.setQueryResult(timestamp);
   }
   handleDown(object = camera) {